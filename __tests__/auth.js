@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const BlogDatabase = require('../database');
+const {
+  hashPassword,
+  createApiToken,
+  createSessionMiddleware,
+  createAuthMiddleware,
+  requireLogin,
+  requireAdmin,
+  registerAuthRoutes,
+  registerApiTokenRoutes,
+} = require('../auth');
+
+/**
+ * Webビューアーの認証・権限のテスト（一時ディレクトリの新しいデータベースを使用）
+ * webServer.js と同じ順番でミドルウェアを組み込んだアプリに、閲覧・管理者用・フィードのルートを足して確認する
+ */
+
+let tempDir;
+let db;
+let app;
+let admin;
+let viewer;
+
+// ログイン失敗の回数制限は IP アドレスごとのため、テストごとに別の IP アドレスから送る
+let clientIp;
+let clientCount = 0;
+
+/**
+ * テスト用のアプリを作成
+ * @param {BlogDatabase} dataService - データサービス
+ * @returns {object} Express アプリケーション
+ */
+function createTestApp(dataService) {
+  const testApp = express();
+  testApp.set('trust proxy', true);
+  testApp.set('view engine', 'ejs');
+  testApp.set('views', path.join(__dirname, '..', 'views'));
+  testApp.use(express.urlencoded({ extended: false }));
+
+  testApp.use(createSessionMiddleware());
+  testApp.use(createAuthMiddleware(dataService));
+  registerAuthRoutes(testApp, dataService);
+  testApp.use(requireLogin);
+  registerApiTokenRoutes(testApp, dataService);
+
+  const describeRequest = (req, res) => {
+    res.json({ username: req.user ? req.user.username : null, role: req.role });
+  };
+  testApp.get('/members', describeRequest);
+  testApp.get('/feed.xml', describeRequest);
+  testApp.get('/api/v1/posts', describeRequest);
+  testApp.post('/posts/:id/delete', requireAdmin, describeRequest);
+  testApp.delete('/api/v1/posts/:id', requireAdmin, describeRequest);
+  return testApp;
+}
+
+const post = (target, url) => target.post(url).set('X-Forwarded-For', clientIp);
+const get = (target, url) => target.get(url).set('X-Forwarded-For', clientIp);
+const login = (target, username, password, next) =>
+  post(target, '/login').type('form').send({ username, password, ...(next ? { next } : {}) });
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-archive-auth-'));
+  db = new BlogDatabase(path.join(tempDir, 'blog.db'));
+  clientIp = `192.0.2.${++clientCount}`;
+
+  await db.createUser({ username: 'alice', passwordHash: await hashPassword('adminpass1'), role: 'admin' });
+  await db.createUser({ username: 'bob', passwordHash: await hashPassword('viewerpass1'), role: 'viewer' });
+  admin = await db.getUserByUsername('alice');
+  viewer = await db.getUserByUsername('bob');
+  app = createTestApp(db);
+});
+
+afterEach(async () => {
+  await db.ready;
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('ログイン', () => {
+  test('未ログインのページはログイン画面へ、API は 401 にする', async () => {
+    const page = await get(request(app), '/members?sort=asc');
+    expect(page.status).toBe(302);
+    expect(page.headers.location).toBe(`/login?next=${encodeURIComponent('/members?sort=asc')}`);
+
+    const api = await get(request(app), '/api/v1/posts');
+    expect(api.status).toBe(401);
+    expect(api.body).toEqual({ success: false, message: 'ログインが必要です' });
+  });
+
+  test('ログイン後は指定したサイト内のパスへ移動し、サイト外の URL はトップへ移動する', async () => {
+    expect((await login(request(app), 'bob', 'viewerpass1', '/members?page=2')).headers.location).toBe('/members?page=2');
+    expect((await login(request(app), 'bob', 'viewerpass1', 'https://evil.example/')).headers.location).toBe('/');
+    expect((await login(request(app), 'bob', 'viewerpass1', '//evil.example/')).headers.location).toBe('/');
+    expect((await login(request(app), 'bob', 'viewerpass1', '/\\evil.example/')).headers.location).toBe('/');
+
+    const form = await get(request(app), `/login?next=${encodeURIComponent('//evil.example/')}`);
+    expect(form.text).toContain('name="next" value="/"');
+  });
+
+  test('ログインのたびにセッション ID を作り直し、以前のセッション ID は使えない', async () => {
+    const sessionCookie = (res) => res.headers['set-cookie'][0].split(';')[0];
+    const before = sessionCookie(await login(request(app), 'bob', 'viewerpass1'));
+
+    // ログイン済みのセッションのまま別のユーザーでログインし直す
+    const relogin = await login(request(app), 'alice', 'adminpass1').set('Cookie', before);
+    const after = sessionCookie(relogin);
+    expect(after).not.toBe(before);
+    expect((await get(request(app), '/members').set('Cookie', after)).body).toEqual({ username: 'alice', role: 'admin' });
+
+    // ログイン前のセッション ID を使い続けても、ログイン後のユーザーにはならない
+    expect((await get(request(app), '/members').set('Cookie', before)).status).toBe(302);
+  });
+
+  test('失敗が5回続くと正しいパスワードでもロックし、15分後に解除する', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await login(request(app), 'alice', 'wrong-password')).status).toBe(401);
+    }
+
+    const locked = await login(request(app), 'alice', 'adminpass1');
+    expect(locked.status).toBe(429);
+    expect(locked.text).toContain('しばらく時間をおいてから');
+
+    // 別の IP アドレスからはログインできる
+    const otherClient = await request(app)
+      .post('/login')
+      .set('X-Forwarded-For', '198.51.100.1')
+      .type('form')
+      .send({ username: 'alice', password: 'adminpass1' });
+    expect(otherClient.status).toBe(302);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 15 * 60 * 1000 + 1);
+    expect((await login(request(app), 'alice', 'adminpass1')).status).toBe(302);
+  });
+
+  test('ログアウトするとセッションが無効になる', async () => {
+    const agent = request.agent(app);
+    await login(agent, 'alice', 'adminpass1');
+    await post(agent, '/logout');
+
+    expect((await get(agent, '/members')).status).toBe(302);
+  });
+});
+
+describe('権限', () => {
+  test('削除などの操作は管理者のみ、閲覧のみのユーザーは 403 にする', async () => {
+    const viewerAgent = request.agent(app);
+    await login(viewerAgent, 'bob', 'viewerpass1');
+    expect((await get(viewerAgent, '/members')).body).toEqual({ username: 'bob', role: 'viewer' });
+    expect((await post(viewerAgent, '/posts/1/delete')).status).toBe(403);
+
+    const adminAgent = request.agent(app);
+    await login(adminAgent, 'alice', 'adminpass1');
+    expect((await post(adminAgent, '/posts/1/delete')).status).toBe(200);
+  });
+
+  test('削除・権限変更されたユーザーのセッションは次のリクエストで無効になる', async () => {
+    const agent = request.agent(app);
+    await login(agent, 'alice', 'adminpass1');
+    await db.dbRun('UPDATE users SET role = ? WHERE id = ?', ['viewer', admin.id]);
+    expect((await post(agent, '/posts/1/delete')).status).toBe(403);
+
+    await db.dbRun('DELETE FROM users WHERE id = ?', [admin.id]);
+    expect((await get(agent, '/members')).status).toBe(302);
+  });
+});
+
+describe('APIトークン', () => {
+  const bearer = (target, token) => target.set('Authorization', `Bearer ${token}`);
+
+  test('データベースにはトークンの SHA-256 と先頭部分だけを保存する', async () => {
+    const { id, token } = await createApiToken(db, admin, { name: 'バックアップ', scope: 'read' });
+
+    const row = await db.dbGet('SELECT * FROM api_tokens WHERE id = ?', [id]);
+    expect(token.startsWith('sba_')).toBe(true);
+    expect(row.token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(token.startsWith(row.token_prefix)).toBe(true);
+    expect(row.token_prefix.length).toBeLessThan(token.length);
+    expect(Object.values(row)).not.toContain(token);
+  });
+
+  test('write 権限のトークンは管理者のみ作成でき、read 権限のトークンは管理者でも操作できない', async () => {
+    await expect(createApiToken(db, viewer, { name: 'スクリプト', scope: 'write' })).rejects.toThrow('管理者のみ');
+
+    const read = await createApiToken(db, admin, { name: '閲覧', scope: 'read' });
+    const write = await createApiToken(db, admin, { name: '操作', scope: 'write' });
+
+    expect((await bearer(request(app).get('/api/v1/posts'), read.token)).body).toEqual({ username: 'alice', role: 'viewer' });
+    const readDelete = await bearer(request(app).delete('/api/v1/posts/1'), read.token);
+    expect(readDelete.status).toBe(403);
+    expect(readDelete.body.message).toBe('この操作には write 権限のAPIトークンが必要です');
+
+    expect((await bearer(request(app).delete('/api/v1/posts/1'), write.token)).status).toBe(200);
+  });
+
+  test('?token= はフィードのみ閲覧のみで受け付け、使用記録にトークンを残さない', async () => {
+    const { id, token } = await createApiToken(db, admin, { name: 'フィードリーダー', scope: 'write' });
+
+    const feed = await request(app).get(`/feed.xml?token=${token}`);
+    expect(feed.body).toEqual({ username: 'alice', role: 'viewer' });
+    const row = await db.dbGet('SELECT last_used_request FROM api_tokens WHERE id = ?', [id]);
+    expect(row.last_used_request).toBe('GET /feed.xml');
+
+    // フィード以外のページ・API では ?token= を使わない
+    expect((await get(request(app), `/members?token=${token}`)).status).toBe(302);
+    expect((await get(request(app), `/api/v1/posts?token=${token}`)).status).toBe(401);
+
+    expect((await request(app).get('/feed.xml?token=sba_invalid')).status).toBe(401);
+  });
+
+  test('失効したトークンは使えず、他のユーザーのトークンは管理者以外失効できない', async () => {
+    const adminToken = await createApiToken(db, admin, { name: '管理者用', scope: 'read' });
+    const viewerToken = await createApiToken(db, viewer, { name: '閲覧用', scope: 'read' });
+
+    const viewerAgent = request.agent(app);
+    await login(viewerAgent, 'bob', 'viewerpass1');
+    expect((await post(viewerAgent, `/tokens/${adminToken.id}/revoke`)).status).toBe(404);
+    expect((await bearer(request(app).get('/api/v1/posts'), adminToken.token)).status).toBe(200);
+
+    const revoke = await post(viewerAgent, `/tokens/${viewerToken.id}/revoke`);
+    expect(revoke.status).toBe(302);
+    const revoked = await bearer(request(app).get('/api/v1/posts'), viewerToken.token);
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.message).toBe('APIトークンが無効です');
+
+    const adminAgent = request.agent(app);
+    await login(adminAgent, 'alice', 'adminpass1');
+    expect((await post(adminAgent, `/tokens/${adminToken.id}/revoke`)).status).toBe(302);
+    expect((await bearer(request(app).get('/api/v1/posts'), adminToken.token)).status).toBe(401);
+  });
+
+  test('トークンでトークンを作成・失効させることはできない', async () => {
+    const { id, token } = await createApiToken(db, admin, { name: '操作', scope: 'write' });
+
+    expect((await bearer(request(app).post(`/tokens/${id}/revoke`), token)).status).toBe(302);
+    expect(await db.dbGet('SELECT revoked_at FROM api_tokens WHERE id = ?', [id])).toEqual({ revoked_at: null });
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  parseCronExpression,
+  getNextCronTime,
+  parseQuietHours,
+  isInQuietHours
+} = require('../utils/cron');
+
+/**
+ * cron 形式のスケジュールのテスト（時刻はすべて日本時間で指定する）
+ */
+
+const jst = (text) => new Date(`${text}+09:00`);
+const next = (expression, after) => getNextCronTime(parseCronExpression(expression), jst(after));
+
+describe('parseCronExpression', () => {
+  test('各項目を値の集合にする', () => {
+    const schedule = parseCronExpression('5,35 */6 1-3 * 1-5');
+    expect([...schedule.minutes]).toEqual([5, 35]);
+    expect([...schedule.hours]).toEqual([0, 6, 12, 18]);
+    expect([...schedule.days]).toEqual([1, 2, 3]);
+    expect(schedule.months.size).toBe(12);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('"5/15" は5から最大値まで15おき、曜日の7は日曜日', () => {
+    expect([...parseCronExpression('5/15 * * * 7').minutes]).toEqual([5, 20, 35, 50]);
+    expect([...parseCronExpression('5/15 * * * 7').weekdays]).toEqual([0]);
+  });
+
+  test('@daily などのマクロに対応する', () => {
+    expect(next('@daily', '2024-01-01T12:00')).toEqual(jst('2024-01-02T00:00'));
+    expect(next('@hourly', '2024-01-01T12:00')).toEqual(jst('2024-01-01T13:00'));
+  });
+
+  test('不正な式はエラーにする', () => {
+    expect(() => parseCronExpression('0 * * *')).toThrow('5項目');
+    expect(() => parseCronExpression('60 * * * *')).toThrow('分の範囲が不正です');
+    expect(() => parseCronExpression('0 0 * * mon')).toThrow('曜日の指定が不正です');
+    expect(() => parseCronExpression('0 0 5-1 * *')).toThrow('日の範囲が不正です');
+  });
+});
+
+describe('getNextCronTime', () => {
+  test('基準の時刻より後の最初の時刻を日本時間で求める', () => {
+    expect(next('0 */6 * * *', '2024-01-01T00:10')).toEqual(jst('2024-01-01T06:00'));
+    // 基準の時刻ちょうどは含まない
+    expect(next('0 */6 * * *', '2024-01-01T06:00')).toEqual(jst('2024-01-01T12:00'));
+    // 分の途中なら次の分から
+    expect(next('* * * * *', '2024-01-01T06:00:30')).toEqual(jst('2024-01-01T06:01'));
+  });
+
+  test('日本時間の日付で判定する（UTCでは前日の時刻）', () => {
+    const result = next('30 8 1 * *', '2024-02-15T00:00');
+    expect(result).toEqual(jst('2024-03-01T08:30'));
+    expect(result.toISOString()).toBe('2024-02-29T23:30:00.000Z');
+  });
+
+  test('月末・年をまたいで探す', () => {
+    expect(next('0 0 1 1 *', '2024-06-01T00:00')).toEqual(jst('2025-01-01T00:00'));
+    expect(next('0 12 29 2 *', '2023-03-01T00:00')).toEqual(jst('2024-02-29T12:00'));
+  });
+
+  test('曜日だけを指定した場合はその曜日のみ', () => {
+    // 2024-09-01 は日曜日
+    expect(next('30 8 * * 1', '2024-09-01T00:00')).toEqual(jst('2024-09-02T08:30'));
+    expect(next('0 0 * * 0', '2024-09-01T00:00')).toEqual(jst('2024-09-08T00:00'));
+  });
+
+  test('日と曜日の両方を指定した場合はどちらかに一致すればよい', () => {
+    // 毎月13日と毎週金曜日
+    expect(next('0 9 13 * 5', '2024-09-01T00:00')).toEqual(jst('2024-09-06T09:00'));
+    expect(next('0 9 13 * 5', '2024-09-06T10:00')).toEqual(jst('2024-09-13T09:00'));
+    expect(next('0 9 13 * 5', '2024-09-13T10:00')).toEqual(jst('2024-09-20T09:00'));
+    // 2024-10-13 は日曜日
+    expect(next('0 9 13 * 5', '2024-10-12T10:00')).toEqual(jst('2024-10-13T09:00'));
+  });
+
+  test('一致する日時がない場合はエラーにする', () => {
+    expect(() => next('0 0 30 2 *', '2024-01-01T00:00')).toThrow('一致する日時がありません');
+  });
+});
+
+describe('実行しない時間帯', () => {
+  test('同じ日の時間帯（終了時は含まない）', () => {
+    const quietHours = parseQuietHours('1-7');
+    expect(isInQuietHours(quietHours, jst('2024-01-01T00:59'))).toBe(false);
+    expect(isInQuietHours(quietHours, jst('2024-01-01T01:00'))).toBe(true);
+    expect(isInQuietHours(quietHours, jst('2024-01-01T06:59'))).toBe(true);
+    expect(isInQuietHours(quietHours, jst('2024-01-01T07:00'))).toBe(false);
+  });
+
+  test('日をまたぐ時間帯', () => {
+    const quietHours = parseQuietHours('23-5');
+    expect(isInQuietHours(quietHours, jst('2024-01-01T22:59'))).toBe(false);
+    expect(isInQuietHours(quietHours, jst('2024-01-01T23:30'))).toBe(true);
+    expect(isInQuietHours(quietHours, jst('2024-01-02T00:00'))).toBe(true);
+    expect(isInQuietHours(quietHours, jst('2024-01-02T04:59'))).toBe(true);
+    expect(isInQuietHours(quietHours, jst('2024-01-02T05:00'))).toBe(false);
+    expect(isInQuietHours(quietHours, jst('2024-01-02T12:00'))).toBe(false);
+  });
+
+  test('指定なしは常に実行し、不正な指定はエラーにする', () => {
+    expect(parseQuietHours('')).toBeNull();
+    expect(isInQuietHours(null, jst('2024-01-01T03:00'))).toBe(false);
+    expect(() => parseQuietHours('3')).toThrow('開始時-終了時');
+    expect(() => parseQuietHours('5-5')).toThrow('開始時-終了時');
+    expect(() => parseQuietHours('24-3')).toThrow('開始時-終了時');
+  });
+});
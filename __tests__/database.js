@@ -0,0 +1,163 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlogDatabase = require('../database');
+
+/**
+ * データベース層のテスト（一時ディレクトリの新しいデータベースを使用）
+ */
+
+let tempDir;
+let db;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-archive-db-'));
+  db = new BlogDatabase(path.join(tempDir, 'blog.db'));
+});
+
+afterEach(async () => {
+  await db.ready;
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  console.log.mockRestore();
+});
+
+const keyakiPost = {
+  memberId: '03',
+  memberName: 'テストメンバー',
+  url: 'https://www.keyakizaka46.com/s/k46o/diary/detail/30002?ima=0000&cd=member',
+  title: 'ありがとう',
+  date: '2020/09/30',
+  time: '20:15',
+  content: '<p>これまで応援してくださって本当にありがとうございました。</p>',
+  site: 'keyakizaka46',
+  images: ['https://www.keyakizaka46.com/files/14/diary/k46/member/moblog/202009/mob30002_1.jpg'],
+};
+
+describe('saveBlogPosts', () => {
+  test('新規・更新・変更なしを数える', async () => {
+    const first = await db.saveBlogPosts([keyakiPost]);
+    expect(first).toMatchObject({ inserted: 1, updated: 0, unchanged: 0 });
+
+    const second = await db.saveBlogPosts([keyakiPost, { ...keyakiPost, url: `${keyakiPost.url}&x=1` }]);
+    expect(second).toMatchObject({ inserted: 1, updated: 0, unchanged: 1 });
+
+    const third = await db.saveBlogPosts([{ ...keyakiPost, title: 'ありがとうございました' }]);
+    expect(third).toMatchObject({ inserted: 0, updated: 1, unchanged: 0 });
+    expect(await db.getPostRevisions(third.results[0].id)).toHaveLength(1);
+  });
+
+  test('ゼロ埋めのメンバーID（欅坂46）の投稿を同じ内容で保存し直しても変更なしになり、履歴も増えない', async () => {
+    const first = await db.saveBlogPosts([keyakiPost]);
+    const second = await db.saveBlogPosts([keyakiPost]);
+
+    expect(second).toMatchObject({ inserted: 0, updated: 0, unchanged: 1 });
+    expect(await db.getPostRevisions(first.results[0].id)).toEqual([]);
+  });
+});
+
+describe('findSiteMemberById', () => {
+  test('blog_posts の数値のID（3）からゼロ埋めのメンバーID（"03"）を引く', async () => {
+    await db.recordMemberDiscovery('keyakizaka46', [{ id: '03', name: 'テストメンバー' }]);
+
+    expect(await db.findSiteMemberById('keyakizaka46', 3)).toMatchObject({ id: '03', status: 'active' });
+    expect(await db.findSiteMemberById('keyakizaka46', '03')).toMatchObject({ id: '03' });
+    expect(await db.findSiteMemberById('keyakizaka46', 4)).toBeNull();
+    expect(await db.findSiteMemberById('sakurazaka46', 3)).toBeNull();
+  });
+});
+
+describe('queryBlogPosts', () => {
+  test('archived は投稿日時ではなく保存した新しい順に並べる（フィード用）', async () => {
+    await db.saveBlogPosts([keyakiPost]);
+    // 後から過去の投稿を取得した場合
+    await db.saveBlogPosts([{ ...keyakiPost, url: `${keyakiPost.url}&old=1`, title: '昔の投稿', date: '2017/01/01', time: '' }]);
+
+    const byPublished = await db.queryBlogPosts({ sortOrder: 'desc' });
+    const byArchived = await db.queryBlogPosts({ sortOrder: 'archived' });
+
+    expect(byPublished.posts.map(post => post.title)).toEqual(['ありがとう', '昔の投稿']);
+    expect(byArchived.posts.map(post => post.title)).toEqual(['昔の投稿', 'ありがとう']);
+  });
+});
+
+describe('runInTransaction', () => {
+  test('トランザクション中に別の処理から書き込んでも、トランザクションの取り消しに巻き込まれない', async () => {
+    let signalStarted;
+    const started = new Promise(resolve => {
+      signalStarted = resolve;
+    });
+    let fail;
+    const failing = new Promise((resolve, reject) => {
+      fail = reject;
+    });
+
+    const transaction = db.runInTransaction(async () => {
+      await db.writeBlogPost(keyakiPost);
+      signalStarted();
+      await failing;
+    });
+    await started;
+
+    // Web からのスクレイピング・定期更新などトランザクションとは別の処理からの書き込み
+    const jobIdPromise = db.createScrapeJob({ site: 'keyakizaka46', memberId: '03', memberName: 'テストメンバー' });
+    fail(new Error('保存に失敗しました'));
+
+    await expect(transaction).rejects.toThrow('保存に失敗しました');
+    const jobId = await jobIdPromise;
+    expect(await db.getScrapeJob(jobId)).toMatchObject({ id: jobId, member_name: 'テストメンバー' });
+    expect(await db.dbGet('SELECT id FROM blog_posts WHERE url = ?', [keyakiPost.url])).toBeUndefined();
+  });
+
+  test('別の接続（CLI と Web サーバーなど）のトランザクション中の書き込みは、エラーにせず終わるのを待つ', async () => {
+    await db.ready;
+    const other = new BlogDatabase(path.join(tempDir, 'blog.db'));
+    await other.ready;
+
+    try {
+      const transaction = db.runInTransaction(async () => {
+        await db.writeBlogPost(keyakiPost);
+        await new Promise(resolve => setTimeout(resolve, 1500));
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const jobId = await other.createScrapeJob({ site: 'keyakizaka46', memberId: '03', memberName: 'テストメンバー' });
+      await transaction;
+
+      expect(await db.getScrapeJob(jobId)).toMatchObject({ id: jobId });
+    } finally {
+      await new Promise(resolve => other.db.close(resolve));
+    }
+  });
+});
+
+describe('failInterruptedScheduledRuns', () => {
+  test('記録したプロセスが終了した実行だけを失敗にし、動いているプロセスの実行は残す', async () => {
+    // このプロセス（Web サーバーと同時に動いている schedule run など）の実行
+    const liveRunId = await db.createScheduledRun({ schedule: '0 */6 * * *', trigger: 'schedule' });
+
+    const finishedPid = spawnSync(process.execPath, ['-e', '']).pid;
+    const insertRun = (ownerHost, ownerPid) =>
+      db.runStatement(
+        "INSERT INTO scheduled_runs (trigger, status, owner_host, owner_pid) VALUES ('manual', 'running', ?, ?)",
+        [ownerHost, ownerPid]
+      );
+    const deadRun = await insertRun(os.hostname(), finishedPid);
+    const legacyRun = await insertRun(null, null);
+    const otherHostRun = await insertRun('other-host', finishedPid);
+
+    expect(await db.failInterruptedScheduledRuns()).toBe(2);
+
+    const statuses = Object.fromEntries(
+      (await db.getScheduledRuns()).map(run => [run.id, run.status])
+    );
+    expect(statuses).toEqual({
+      [liveRunId]: 'running',
+      [deadRun.lastID]: 'failed',
+      [legacyRun.lastID]: 'failed',
+      [otherHostRun.lastID]: 'running',
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { JSDOM } = require('jsdom');
+const { readFixture } = require('../../utils/fixtures');
+
+/**
+ * フィクスチャを再生する Playwright ページの代わり
+ * goto() で記録済みのレスポンスを読み込み、evaluate() でサイト定義の抽出処理をそのDOMに対して実行する
+ * （ブラウザを起動せずに scraperEngine の処理を確認するためのもの）
+ * @returns {object} {goto, evaluate, waitForTimeout, visited}
+ */
+function createReplayPage() {
+  let dom = null;
+  const visited = [];
+
+  return {
+    visited,
+
+    async goto(url) {
+      const fixture = readFixture(url);
+      if (!fixture) {
+        throw new Error(`net::ERR_INTERNET_DISCONNECTED at ${url}`);
+      }
+      visited.push(url);
+      dom = new JSDOM(fixture.body.toString('utf8'), { url, contentType: 'text/html' });
+      return { status: () => fixture.status };
+    },
+
+    async evaluate(fn, arg) {
+      // 抽出処理はブラウザ内と同じくグローバルの document を参照する
+      global.document = dom.window.document;
+      try {
+        return fn(arg);
+      } finally {
+        delete global.document;
+      }
+    },
+
+    async waitForTimeout() {},
+  };
+}
+
+module.exports = { createReplayPage };
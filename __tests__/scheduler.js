@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlogDatabase = require('../database');
+const { createScheduler, getTrackedMembers } = require('../scheduler');
+
+/**
+ * スケジューラーのテスト（タイマーは偽物に置き換え、更新を実行しない「スキップ」の回だけを確認する）
+ * 対象メンバーの取得は一時ディレクトリの新しいデータベースで確認する
+ */
+
+const jst = (text) => new Date(`${text}+09:00`);
+
+describe('createScheduler', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: jst('2024-01-01T05:00') });
+    // ランダムな遅れは最大10分の半分（5分）
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = {
+      failInterruptedScheduledRuns: jest.fn().mockResolvedValue(0),
+      createScheduledRun: jest.fn().mockResolvedValue(1),
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const createTestScheduler = (options) =>
+    createScheduler(db, {
+      schedules: ['0 */6 * * *'],
+      jitterMinutes: 10,
+      quietHours: null,
+      sites: [],
+      downloadImages: false,
+      ...options,
+    });
+
+  test('スケジュールの時刻にランダムな遅れを足して実行し、予定時刻にはスケジュール上の時刻を記録する', async () => {
+    const scheduler = createTestScheduler({ quietHours: '0-24' });
+    await scheduler.start();
+
+    expect(scheduler.getNextRun()).toEqual({
+      schedule: '0 */6 * * *',
+      scheduledAt: jst('2024-01-01T06:00'),
+      runAt: jst('2024-01-01T06:05'),
+    });
+
+    await jest.advanceTimersByTimeAsync(64 * 60 * 1000);
+    expect(db.createScheduledRun).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(db.createScheduledRun).toHaveBeenCalledWith({
+      schedule: '0 */6 * * *',
+      trigger: 'schedule',
+      scheduledAt: jst('2024-01-01T06:00'),
+      status: 'skipped',
+      error: '実行しない時間帯です（0-24時）',
+    });
+    expect(scheduler.getNextRun().scheduledAt).toEqual(jst('2024-01-01T12:00'));
+
+    scheduler.stop();
+    expect(scheduler.getNextRun()).toBeNull();
+  });
+
+  test('他のスクレイピングが実行中の回はスキップとして記録する', async () => {
+    const scheduler = createTestScheduler({ isBusy: () => true });
+    await scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(65 * 60 * 1000);
+    expect(db.createScheduledRun).toHaveBeenCalledWith(
+      expect.objectContaining({
+        scheduledAt: jst('2024-01-01T06:00'),
+        status: 'skipped',
+        error: '他のスクレイピングが実行中です',
+      })
+    );
+
+    scheduler.stop();
+  });
+
+  test('不正なスケジュール・時間帯・サイトはエラーにする', () => {
+    expect(() => createTestScheduler({ schedules: ['0 25 * * *'] })).toThrow('時の範囲が不正です');
+    expect(() => createTestScheduler({ quietHours: 'night' })).toThrow('開始時-終了時');
+    expect(() => createTestScheduler({ sites: ['unknown46'] })).toThrow('定期更新の対象サイトが不正です');
+  });
+});
+
+describe('getTrackedMembers', () => {
+  let tempDir;
+  let db;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-archive-scheduler-'));
+    db = new BlogDatabase(path.join(tempDir, 'blog.db'));
+  });
+
+  afterEach(async () => {
+    await db.ready;
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const keyakiPost = (memberId, memberName, postId) => ({
+    memberId,
+    memberName,
+    url: `https://www.keyakizaka46.com/s/k46o/diary/detail/${postId}?ima=0000&cd=member`,
+    title: 'テスト',
+    date: '2020/09/30',
+    time: '20:15',
+    content: '<p>テスト</p>',
+    site: 'keyakizaka46',
+    images: [],
+  });
+
+  test('ゼロ埋めのメンバーID（欅坂46）でも卒業したメンバーを除き、サイト上の表記のIDで返す', async () => {
+    await db.saveBlogPosts([keyakiPost('03', '卒業メンバー', 30001), keyakiPost('07', '在籍メンバー', 30002)]);
+    await db.recordMemberDiscovery('keyakizaka46', [
+      { id: '03', name: '卒業メンバー' },
+      { id: '07', name: '在籍メンバー' },
+    ]);
+    // 一覧から外れたメンバーは卒業扱いになる
+    await db.recordMemberDiscovery('keyakizaka46', [{ id: '07', name: '在籍メンバー' }]);
+
+    expect(await getTrackedMembers(db, ['keyakizaka46'])).toEqual([
+      { site: 'keyakizaka46', memberId: '07', memberName: '在籍メンバー' },
+    ]);
+    expect(await getTrackedMembers(db, ['sakurazaka46'])).toEqual([]);
+  });
+});
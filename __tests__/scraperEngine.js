@@ -0,0 +1,197 @@
+const path = require('path');
+const { configureFixtures } = require('../utils/fixtures');
+const { collectAllPostUrls, scrapePostDetail, buildPostFields, getExtractionIssues } = require('../scraperEngine');
+const { getSite } = require('../sites');
+const { createReplayPage } = require('./helpers/replayPage');
+
+/**
+ * 記録済みのリスト・詳細ページ（fixtures/）に対する抽出処理のテスト
+ * サイト定義のセレクターや抽出処理を変更して結果が変わった場合に検出する
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+beforeAll(() => {
+  configureFixtures({ mode: 'replay', dir: FIXTURES_DIR });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  configureFixtures({ mode: null });
+  console.log.mockRestore();
+});
+
+/**
+ * リストページから収集した投稿と、各投稿の詳細ページから組み立てた保存データを取得
+ * @param {string} siteId - サイト識別子
+ * @param {string} memberId - サイト上のメンバーID
+ * @returns {Promise<{listed: Array, posts: Array}>} 収集結果と保存データ
+ */
+async function scrapeFromFixtures(siteId, memberId) {
+  const site = getSite(siteId);
+  const page = createReplayPage();
+  const listed = await collectAllPostUrls(page, site, memberId);
+  const posts = [];
+  for (const post of listed) {
+    const details = await scrapePostDetail(page, site, post.url);
+    expect(getExtractionIssues(site, post, details).missing).toEqual([]);
+    posts.push({ url: post.url, ...buildPostFields(site, post, details) });
+  }
+  return { listed, posts };
+}
+
+describe('櫻坂46', () => {
+  const BASE = 'https://sakurazaka46.com/s/s46/diary/detail';
+
+  test('ページャーをたどって全ページの投稿を収集する', async () => {
+    const page = createReplayPage();
+    const listed = await collectAllPostUrls(page, getSite('sakurazaka46'), '47');
+
+    expect(listed).toEqual([
+      { url: `${BASE}/60002?ima=0000&cd=blog`, date: '2024/3/2', title: '春ですね' },
+      { url: `${BASE}/60001?ima=0000&cd=blog`, date: '2024/2/14', title: 'バレンタイン' },
+      { url: `${BASE}/59001?ima=0000&cd=blog`, date: '2023/12/31', title: '大晦日' },
+    ]);
+    expect(page.visited).toHaveLength(2);
+  });
+
+  test('件数に達したら次のページを読まない', async () => {
+    const page = createReplayPage();
+    const listed = await collectAllPostUrls(page, getSite('sakurazaka46'), '47', 1);
+
+    expect(listed).toHaveLength(2);
+    expect(page.visited).toHaveLength(1);
+  });
+
+  test('開始日より古い記事に達したら収集を終える', async () => {
+    const page = createReplayPage();
+    const listed = await collectAllPostUrls(page, getSite('sakurazaka46'), '47', null, '2024-01-01');
+
+    expect(listed.map(post => post.title)).toEqual(['春ですね', 'バレンタイン']);
+  });
+
+  test('詳細ページからタイトル・日付・時刻・本文・画像を抽出する', async () => {
+    const { posts } = await scrapeFromFixtures('sakurazaka46', '47');
+
+    expect(posts.map(({ content, ...fields }) => fields)).toEqual([
+      {
+        url: `${BASE}/60002?ima=0000&cd=blog`,
+        title: '春ですね',
+        date: '2024/03/02',
+        time: '18:30',
+        images: [
+          'https://sakurazaka46.com/files/14/diary/s46/blog/phone_image/60002_1.jpg',
+          'https://sakurazaka46.com/files/14/diary/s46/blog/phone_image/60002_2.jpg',
+        ],
+      },
+      {
+        url: `${BASE}/60001?ima=0000&cd=blog`,
+        title: 'バレンタイン',
+        date: '2024/02/14',
+        time: '21:05',
+        images: ['https://sakurazaka46.com/files/14/diary/s46/blog/phone_image/60001_1.jpg'],
+      },
+      {
+        url: `${BASE}/59001?ima=0000&cd=blog`,
+        title: '大晦日',
+        date: '2023/12/31',
+        time: '23:59',
+        images: [],
+      },
+    ]);
+    expect(posts[0].content).toContain('春が来たなと感じました');
+    expect(posts[0].content).not.toContain('NEW ENTRY');
+  });
+});
+
+describe('欅坂46', () => {
+  const BASE = 'https://www.keyakizaka46.com/s/k46o/diary/detail';
+
+  test('サイドバーの記事を除いて収集し、日付はリストページの値を使う', async () => {
+    const { listed, posts } = await scrapeFromFixtures('keyakizaka46', '07');
+
+    expect(listed).toEqual([
+      { url: `${BASE}/30002?ima=0000&cd=member`, date: '2020/09/30', title: '' },
+      { url: `${BASE}/30001?ima=0000&cd=member`, date: '2020/08/21', title: '' },
+    ]);
+    expect(posts.map(({ content, ...fields }) => fields)).toEqual([
+      {
+        url: `${BASE}/30002?ima=0000&cd=member`,
+        title: 'ありがとう',
+        date: '2020/09/30',
+        time: '20:15',
+        images: ['https://www.keyakizaka46.com/files/14/diary/k46/member/moblog/202009/mob30002_1.jpg'],
+      },
+      {
+        url: `${BASE}/30001?ima=0000&cd=member`,
+        title: 'ライブ',
+        date: '2020/08/21',
+        time: '20:15',
+        images: [],
+      },
+    ]);
+  });
+});
+
+describe('日向坂46', () => {
+  const BASE = 'https://www.hinatazaka46.com/s/official/diary/detail';
+
+  test('リスト・詳細ページから投稿を抽出する', async () => {
+    const { listed, posts } = await scrapeFromFixtures('hinatazaka46', '12');
+
+    expect(listed).toEqual([
+      { url: `${BASE}/50002?ima=0000&cd=member`, date: '2024/01/05', title: '新年' },
+      { url: `${BASE}/50001?ima=0000&cd=member`, date: '2023/12/24', title: 'クリスマス' },
+    ]);
+    expect(posts.map(({ content, ...fields }) => fields)).toEqual([
+      {
+        url: `${BASE}/50002?ima=0000&cd=member`,
+        title: '新年',
+        date: '2024/01/05',
+        time: '18:30',
+        images: ['https://cdn.hinatazaka46.com/files/14/diary/official/member/moblog/202401/mob50002_1.jpg'],
+      },
+      {
+        url: `${BASE}/50001?ima=0000&cd=member`,
+        title: 'クリスマス',
+        date: '2023/12/24',
+        time: '09:05',
+        images: [],
+      },
+    ]);
+  });
+});
+
+describe('乃木坂46', () => {
+  const BASE = 'https://www.nogizaka46.com/s/n46/diary/detail';
+
+  test('カード自体がリンクの場合とカード内にリンクがある場合の両方を収集する', async () => {
+    const { listed, posts } = await scrapeFromFixtures('nogizaka46', '55401');
+
+    expect(listed).toEqual([
+      { url: `${BASE}/70002?ima=0000&cd=MEMBER`, date: '2024/02/10', title: '撮影でした' },
+      { url: `${BASE}/70001?ima=0000&cd=MEMBER`, date: '2024/01/08', title: 'はじめまして' },
+    ]);
+    expect(posts.map(({ content, ...fields }) => fields)).toEqual([
+      {
+        url: `${BASE}/70002?ima=0000&cd=MEMBER`,
+        title: '撮影でした',
+        date: '2024/02/10',
+        time: '12:00',
+        images: ['https://www.nogizaka46.com/images/46/abc/202402/70002_1.jpeg'],
+      },
+      {
+        url: `${BASE}/70001?ima=0000&cd=MEMBER`,
+        title: 'はじめまして',
+        date: '2024/01/08',
+        time: '22:45',
+        images: [],
+      },
+    ]);
+  });
+});
+
+test('記録されていないページは読み込まない', async () => {
+  const page = createReplayPage();
+  await expect(collectAllPostUrls(page, getSite('sakurazaka46'), '999')).rejects.toThrow('ERR_INTERNET_DISCONNECTED');
+});
@@ -0,0 +1,111 @@
+const {
+  parseSearchQuery,
+  toFtsQuery,
+  toLikeCondition,
+  getPositiveTerms
+} = require('../utils/searchQuery');
+
+/**
+ * 検索キーワードの解析と、FTS5 の検索式・LIKE の条件への変換のテスト
+ */
+
+const term = (text, negated = false) => ({ term: text, negated });
+
+describe('parseSearchQuery', () => {
+  test('空白区切りの語はすべて含む（AND）', () => {
+    expect(parseSearchQuery('ライブ 写真')).toEqual([[term('ライブ'), term('写真')]]);
+    expect(parseSearchQuery('ライブ AND 写真')).toEqual([[term('ライブ'), term('写真')]]);
+  });
+
+  test('"..." で囲んだ部分は空白を含めて1つのフレーズにする', () => {
+    expect(parseSearchQuery('"新しい 季節" ライブ')).toEqual([[term('新しい 季節'), term('ライブ')]]);
+    // 閉じていない引用符は最後までをフレーズにする
+    expect(parseSearchQuery('"新しい 季節')).toEqual([[term('新しい 季節')]]);
+    // 空のフレーズは無視する
+    expect(parseSearchQuery('"" ライブ')).toEqual([[term('ライブ')]]);
+    // フレーズ内の OR は演算子にしない
+    expect(parseSearchQuery('"A OR B"')).toEqual([[term('A OR B')]]);
+  });
+
+  test('OR より AND が強く結合する', () => {
+    expect(parseSearchQuery('ライブ 写真 OR 握手会')).toEqual([
+      [term('ライブ'), term('写真')],
+      [term('握手会')],
+    ]);
+    expect(parseSearchQuery('ライブ OR 握手会 写真')).toEqual([
+      [term('ライブ')],
+      [term('握手会'), term('写真')],
+    ]);
+  });
+
+  test('NOT は直後の語だけに付く', () => {
+    expect(parseSearchQuery('ライブ NOT 配信 写真')).toEqual([
+      [term('ライブ'), term('配信', true), term('写真')],
+    ]);
+    expect(parseSearchQuery('ライブ NOT "生 配信" OR 握手会')).toEqual([
+      [term('ライブ'), term('生 配信', true)],
+      [term('握手会')],
+    ]);
+  });
+
+  test('演算子は大文字のみ、先頭・末尾・連続した OR は無視する', () => {
+    expect(parseSearchQuery('ライブ or 写真')).toEqual([[term('ライブ'), term('or'), term('写真')]]);
+    expect(parseSearchQuery('OR ライブ OR OR 写真 OR')).toEqual([[term('ライブ')], [term('写真')]]);
+  });
+
+  test('NOT の語だけのグループは除く（含まない語だけでは検索しない）', () => {
+    expect(parseSearchQuery('NOT 配信')).toEqual([]);
+    expect(parseSearchQuery('ライブ OR NOT 配信')).toEqual([[term('ライブ')]]);
+    expect(parseSearchQuery('')).toEqual([]);
+    expect(parseSearchQuery(undefined)).toEqual([]);
+  });
+});
+
+describe('toFtsQuery', () => {
+  test('語を引用符で囲み、グループ内を AND、グループ間を OR でつなぐ', () => {
+    expect(toFtsQuery(parseSearchQuery('ライブ 写真集 OR 握手会'))).toBe(
+      '("ライブ" AND "写真集") OR ("握手会")'
+    );
+  });
+
+  test('NOT の語はグループの末尾に付け、語の中の引用符はエスケープする', () => {
+    expect(toFtsQuery(parseSearchQuery('ライブ NOT 配信中'))).toBe('("ライブ" NOT "配信中")');
+    expect(toFtsQuery(parseSearchQuery('say"hello"'))).toBe('("say""hello""")');
+  });
+
+  test('3文字未満の語を含む場合は FTS5 で検索せず null を返す', () => {
+    expect(toFtsQuery(parseSearchQuery('春'))).toBeNull();
+    expect(toFtsQuery(parseSearchQuery('ライブ OR 春'))).toBeNull();
+    expect(toFtsQuery(parseSearchQuery('ライブ NOT 春'))).toBeNull();
+    // 文字数はコードポイントで数える
+    expect(toFtsQuery(parseSearchQuery('🌸🌸🌸'))).toBe('("🌸🌸🌸")');
+  });
+
+  test('検索する語がない場合は null を返す', () => {
+    expect(toFtsQuery(parseSearchQuery('NOT ライブ'))).toBeNull();
+  });
+});
+
+describe('toLikeCondition', () => {
+  test('語ごとに各列の LIKE を OR でつなぎ、グループの構造は FTS5 と同じにする', () => {
+    const { sql, params } = toLikeCondition(parseSearchQuery('春 NOT 夏 OR 秋'), ['title', 'content']);
+
+    expect(sql).toBe(
+      "((title LIKE ? ESCAPE '\\' OR content LIKE ? ESCAPE '\\') AND NOT (title LIKE ? ESCAPE '\\' OR content LIKE ? ESCAPE '\\'))" +
+        " OR ((title LIKE ? ESCAPE '\\' OR content LIKE ? ESCAPE '\\'))"
+    );
+    expect(params).toEqual(['%春%', '%春%', '%夏%', '%夏%', '%秋%', '%秋%']);
+  });
+
+  test('% と _ は文字として検索する', () => {
+    expect(toLikeCondition(parseSearchQuery('100%_'), ['title']).params).toEqual(['%100\\%\\_%']);
+  });
+
+  test('検索する語がない場合は何も一致しない条件にする', () => {
+    expect(toLikeCondition(parseSearchQuery('NOT 春'), ['title'])).toEqual({ sql: '0', params: [] });
+  });
+});
+
+test('getPositiveTerms は NOT 以外の語を重複なく返す', () => {
+  expect(getPositiveTerms(parseSearchQuery('春 NOT 夏 OR 春 秋'))).toEqual(['春', '秋']);
+});
@@ -0,0 +1,103 @@
+const path = require('path');
+const { configureFixtures } = require('../utils/fixtures');
+const { verifyMemberPosts } = require('../upstreamVerifier');
+const { getSite } = require('../sites');
+const { createReplayPage } = require('./helpers/replayPage');
+
+/**
+ * 公式サイトとの照合のテスト
+ * リストの最後まで読めなかった場合に、読めたページより古い投稿を削除扱いにしないことを確認する
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const BASE = 'https://sakurazaka46.com/s/s46/diary/detail';
+
+beforeAll(() => {
+  configureFixtures({ mode: 'replay', dir: FIXTURES_DIR });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  configureFixtures({ mode: null });
+  console.log.mockRestore();
+});
+
+/**
+ * 照合に必要なメソッドだけを持つデータベース
+ * @param {Array} posts - 保存済みの投稿 {id, url, date, upstream_status}
+ * @param {Array} siteMembers - 記録済みのメンバー {id, name, status}
+ * @returns {object} データベースと、updateUpstreamStatus() で記録した状態 {statuses}
+ */
+function createVerificationDb(posts, siteMembers = []) {
+  const statuses = {};
+  return {
+    statuses,
+    findSiteMemberById: async (site, memberId) =>
+      siteMembers.find(member => Number(member.id) === Number(memberId)) || null,
+    getMemberPostsForVerification: async () => posts,
+    updateUpstreamStatus: async (ids, status) => {
+      ids.forEach(id => {
+        statuses[id] = status;
+      });
+    },
+  };
+}
+
+test('リストの最後まで読めた場合は、載っていない投稿を削除済みにする', async () => {
+  const db = createVerificationDb([
+    { id: 1, url: `${BASE}/60002?ima=0000&cd=blog`, date: '2024/03/02', upstream_status: 'present' },
+    { id: 2, url: `${BASE}/59001?ima=0000&cd=blog`, date: '2023/12/31', upstream_status: 'deleted' },
+    { id: 3, url: `${BASE}/50000?ima=0000&cd=blog`, date: '2022/01/01', upstream_status: 'present' },
+  ]);
+
+  const result = await verifyMemberPosts(db, createReplayPage(), getSite('sakurazaka46'), {
+    memberId: '47',
+    memberName: 'テストメンバー',
+  });
+
+  expect(result.checked).toBe(3);
+  expect(result.deleted.map(post => post.id)).toEqual([3]);
+  expect(result.restored.map(post => post.id)).toEqual([2]);
+  expect(db.statuses).toEqual({ 1: 'present', 2: 'present', 3: 'deleted' });
+});
+
+test('途中のページが空（エラーページ）で止まった場合は、読めたページより古い投稿を判定しない', async () => {
+  const db = createVerificationDb([
+    { id: 1, url: `${BASE}/61003?ima=0000&cd=blog`, date: '2024/04/01', upstream_status: 'present' },
+    { id: 2, url: `${BASE}/61004?ima=0000&cd=blog`, date: '2024/03/25', upstream_status: 'present' },
+    { id: 3, url: `${BASE}/61001?ima=0000&cd=blog`, date: '2024/03/01', upstream_status: 'present' },
+    { id: 4, url: `${BASE}/60000?ima=0000&cd=blog`, date: '2023/01/01', upstream_status: 'present' },
+  ]);
+
+  const result = await verifyMemberPosts(db, createReplayPage(), getSite('sakurazaka46'), {
+    memberId: '48',
+    memberName: 'テストメンバー',
+  });
+
+  expect(result.listed).toBe(2);
+  expect(result.checked).toBe(2);
+  expect(result.deleted.map(post => post.id)).toEqual([2]);
+  expect(db.statuses).toEqual({ 1: 'present', 2: 'deleted' });
+});
+
+test('欅坂46のゼロ埋めのメンバーIDは、記録済みのメンバーの表記でリストページを開く', async () => {
+  const KEYAKI_BASE = 'https://www.keyakizaka46.com/s/k46o/diary/detail';
+  const db = createVerificationDb(
+    [
+      { id: 1, url: `${KEYAKI_BASE}/30002?ima=0000&cd=member`, date: '2020/09/30', upstream_status: 'present' },
+      { id: 2, url: `${KEYAKI_BASE}/29000?ima=0000&cd=member`, date: '2020/07/01', upstream_status: 'present' },
+    ],
+    [{ id: '07', name: 'テストメンバー', status: 'active' }]
+  );
+  const page = createReplayPage();
+
+  // blog_posts.member_id（INTEGER）から渡される値
+  const result = await verifyMemberPosts(db, page, getSite('keyakizaka46'), {
+    memberId: 7,
+    memberName: 'テストメンバー',
+  });
+
+  expect(page.visited[0]).toContain('ct=07');
+  expect(result.listed).toBe(2);
+  expect(result.deleted.map(post => post.id)).toEqual([2]);
+});
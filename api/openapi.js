@@ -0,0 +1,384 @@
+const { version } = require("../package.json");
+const { getSiteIds } = require("../sites");
+
+/**
+ * REST API（/api/v1）の OpenAPI ドキュメント
+ * エンドポイントやレスポンスの項目を変更した場合は、api/v1.js と合わせてここも更新する
+ */
+
+/**
+ * 一覧系のエンドポイントで共通の絞り込みパラメータ
+ * @param {object} limits - {defaultLimit, maxLimit}
+ * @returns {Array<object>} パラメータの配列
+ */
+function listParameters({ defaultLimit, maxLimit }) {
+  return [
+    { $ref: "#/components/parameters/site" },
+    { $ref: "#/components/parameters/title" },
+    { $ref: "#/components/parameters/upstream" },
+    { $ref: "#/components/parameters/dateFrom" },
+    { $ref: "#/components/parameters/dateTo" },
+    {
+      name: "limit",
+      in: "query",
+      description: "1ページの件数",
+      schema: { type: "integer", minimum: 1, maximum: maxLimit, default: defaultLimit },
+    },
+    { $ref: "#/components/parameters/cursor" },
+  ];
+}
+
+/**
+ * 成功時のレスポンス定義
+ * @param {string} description - 説明
+ * @param {object} dataSchema - data のスキーマ
+ * @param {boolean} paginated - pagination を含むか
+ * @returns {object} レスポンス定義
+ */
+function successResponse(description, dataSchema, paginated = false) {
+  const properties = {
+    success: { type: "boolean", enum: [true] },
+    data: dataSchema,
+  };
+  if (paginated) {
+    properties.pagination = { $ref: "#/components/schemas/Pagination" };
+  }
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: { type: "object", required: Object.keys(properties), properties },
+      },
+    },
+  };
+}
+
+const errorResponses = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: { $ref: "#/components/responses/Unauthorized" },
+  501: { $ref: "#/components/responses/NotImplemented" },
+};
+
+/**
+ * OpenAPI ドキュメントを作成
+ * @param {object} limits - ページ分割の件数 {defaultLimit, maxLimit}
+ * @returns {object} OpenAPI 3.0 ドキュメント
+ */
+function buildOpenApiDocument(limits) {
+  const postList = {
+    type: "array",
+    items: { $ref: "#/components/schemas/PostSummary" },
+  };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "坂道ブログアーカイブ REST API",
+      version,
+      description:
+        "アーカイブ済みのブログ投稿・メンバー・画像を取得する読み取り専用の API です。\n" +
+        "ログインが必要な設定の場合は、API トークンを Authorization: Bearer ヘッダーで送るか、" +
+        "Web ビューアーにログインしたセッションの Cookie を付けてリクエストします。\n" +
+        "一覧は pagination.next_cursor を次のリクエストの cursor に指定してページをたどります（null なら最後のページ）。",
+    },
+    servers: [{ url: "/api/v1" }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    paths: {
+      "/posts": {
+        get: {
+          summary: "投稿の一覧",
+          description: "投稿日時の新しい順（sort=asc で古い順）。本文は含まない",
+          parameters: [
+            {
+              name: "member",
+              in: "query",
+              description: "メンバーID（/members の id）。カンマ区切りまたは複数指定でいずれかのメンバー",
+              schema: { type: "string" },
+            },
+            {
+              name: "q",
+              in: "query",
+              description: "全文検索キーワード（\"...\" でフレーズ、AND / OR / NOT）",
+              schema: { type: "string" },
+            },
+            {
+              name: "sort",
+              in: "query",
+              schema: { type: "string", enum: ["desc", "asc"], default: "desc" },
+            },
+            ...listParameters(limits),
+          ],
+          responses: {
+            200: successResponse("投稿の一覧", postList, true),
+            ...errorResponses,
+          },
+        },
+      },
+      "/posts/{id}": {
+        get: {
+          summary: "投稿の詳細（本文を含む）",
+          parameters: [{ $ref: "#/components/parameters/id" }],
+          responses: {
+            200: successResponse("投稿", { $ref: "#/components/schemas/Post" }),
+            404: { $ref: "#/components/responses/NotFound" },
+            ...errorResponses,
+          },
+        },
+      },
+      "/members": {
+        get: {
+          summary: "メンバーの一覧",
+          description: "投稿のあるメンバー（サイトをまたいで同一人物は1件にまとめる）",
+          responses: {
+            200: successResponse("メンバーの一覧", {
+              type: "array",
+              items: { $ref: "#/components/schemas/MemberSummary" },
+            }),
+            ...errorResponses,
+          },
+        },
+      },
+      "/members/{id}": {
+        get: {
+          summary: "メンバーの詳細",
+          parameters: [{ $ref: "#/components/parameters/id" }],
+          responses: {
+            200: successResponse("メンバー", { $ref: "#/components/schemas/Member" }),
+            404: { $ref: "#/components/responses/NotFound" },
+            ...errorResponses,
+          },
+        },
+      },
+      "/members/{id}/posts": {
+        get: {
+          summary: "メンバーの投稿の一覧（全サイト）",
+          parameters: [
+            { $ref: "#/components/parameters/id" },
+            {
+              name: "sort",
+              in: "query",
+              schema: { type: "string", enum: ["desc", "asc"], default: "desc" },
+            },
+            ...listParameters(limits),
+          ],
+          responses: {
+            200: successResponse("投稿の一覧", postList, true),
+            404: { $ref: "#/components/responses/NotFound" },
+            ...errorResponses,
+          },
+        },
+      },
+      "/search": {
+        get: {
+          summary: "全文検索",
+          description: "タイトル・本文を検索し、一致箇所の抜粋（snippet / snippet_html）を含めて返す",
+          parameters: [
+            {
+              name: "q",
+              in: "query",
+              required: true,
+              description: "検索キーワード（\"...\" でフレーズ、AND / OR / NOT）",
+              schema: { type: "string" },
+            },
+            {
+              name: "member",
+              in: "query",
+              description: "メンバーID（カンマ区切りまたは複数指定）",
+              schema: { type: "string" },
+            },
+            {
+              name: "sort",
+              in: "query",
+              description: "relevance は関連度順（3文字未満の語を含む場合は新しい順）",
+              schema: { type: "string", enum: ["relevance", "desc", "asc"], default: "relevance" },
+            },
+            ...listParameters(limits),
+          ],
+          responses: {
+            200: successResponse("検索結果", postList, true),
+            ...errorResponses,
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "API トークン（/tokens または node index.js tokens create で作成）",
+        },
+        sessionCookie: { type: "apiKey", in: "cookie", name: "blog_archive.sid" },
+      },
+      parameters: {
+        id: { name: "id", in: "path", required: true, schema: { type: "integer" } },
+        site: {
+          name: "site",
+          in: "query",
+          schema: { type: "string", enum: getSiteIds() },
+        },
+        title: {
+          name: "title",
+          in: "query",
+          description: "タイトルに含む文字列",
+          schema: { type: "string" },
+        },
+        upstream: {
+          name: "upstream",
+          in: "query",
+          description: "deleted: 公式サイトで削除済みのみ / present: 公開中のみ",
+          schema: { type: "string", enum: ["deleted", "present"] },
+        },
+        dateFrom: {
+          name: "date_from",
+          in: "query",
+          description: "投稿日の開始（この日を含む）",
+          schema: { type: "string", format: "date" },
+        },
+        dateTo: {
+          name: "date_to",
+          in: "query",
+          description: "投稿日の終了（この日を含む）",
+          schema: { type: "string", format: "date" },
+        },
+        cursor: {
+          name: "cursor",
+          in: "query",
+          description: "前のページの pagination.next_cursor（並び順を変える場合は指定しない）",
+          schema: { type: "string" },
+        },
+      },
+      schemas: {
+        Image: {
+          type: "object",
+          properties: {
+            url: { type: "string", description: "公式サイトの画像URL" },
+            local_url: {
+              type: "string",
+              nullable: true,
+              description: "保存済み画像の公開URL（未ダウンロードの場合はnull）",
+            },
+          },
+        },
+        PostSummary: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            site: { type: "string" },
+            url: { type: "string", description: "公式サイトの投稿URL" },
+            title: { type: "string" },
+            member_id: { type: "integer", description: "メンバーID（/members の id）" },
+            site_member_id: { type: "integer", description: "サイト上のメンバーID" },
+            member_name: { type: "string" },
+            date: { type: "string", description: "公式サイトに表示されていた日付" },
+            published_at: {
+              type: "string",
+              nullable: true,
+              description: "正規化した投稿日時（YYYY-MM-DD HH:MM:SS、不明な場合はnull）",
+            },
+            upstream_status: { type: "string", enum: ["present", "deleted"] },
+            images: { type: "array", items: { $ref: "#/components/schemas/Image" } },
+            snippet: { type: "string", description: "一致箇所の抜粋（キーワード指定時のみ）" },
+            snippet_html: {
+              type: "string",
+              description: "一致箇所を <mark> で囲んだ抜粋（HTMLエスケープ済み、キーワード指定時のみ）",
+            },
+          },
+        },
+        Post: {
+          allOf: [
+            { $ref: "#/components/schemas/PostSummary" },
+            {
+              type: "object",
+              properties: { content: { type: "string", description: "本文（HTML）" } },
+            },
+          ],
+        },
+        Profile: {
+          type: "object",
+          nullable: true,
+          properties: {
+            furigana: { type: "string", nullable: true },
+            birthday: { type: "string", nullable: true },
+            birthplace: { type: "string", nullable: true },
+            blood_type: { type: "string", nullable: true },
+            generation: { type: "string", nullable: true },
+            height: { type: "string", nullable: true },
+            status: { type: "string", nullable: true, enum: ["active", "graduated", null] },
+            profile_url: { type: "string", nullable: true },
+            photo_url: { type: "string", nullable: true },
+          },
+        },
+        MemberSummary: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            name: { type: "string" },
+            sites: { type: "array", items: { type: "string" } },
+            post_count: { type: "integer" },
+            profile: { $ref: "#/components/schemas/Profile" },
+          },
+        },
+        Member: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            name: { type: "string" },
+            sites: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  site: { type: "string" },
+                  site_member_id: { type: "integer" },
+                  post_count: { type: "integer" },
+                },
+              },
+            },
+            post_count: { type: "integer" },
+            profile: { $ref: "#/components/schemas/Profile" },
+          },
+        },
+        Pagination: {
+          type: "object",
+          properties: {
+            limit: { type: "integer" },
+            total: { type: "integer", description: "条件に一致した総件数" },
+            next_cursor: {
+              type: "string",
+              nullable: true,
+              description: "次のページのカーソル（最後のページはnull）",
+            },
+          },
+        },
+        Error: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            message: { type: "string" },
+          },
+        },
+      },
+      responses: {
+        BadRequest: {
+          description: "パラメータが不正",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        Unauthorized: {
+          description: "ログインが必要、または API トークンが無効",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        NotFound: {
+          description: "見つからない",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+        NotImplemented: {
+          description: "SQLite モード以外では利用できない",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,371 @@
+const express = require("express");
+const { hasSite, getSiteIds } = require("../sites");
+const { snippetToHtml, highlightSnippet } = require("../utils/searchQuery");
+const { buildOpenApiDocument } = require("./openapi");
+
+/**
+ * 読み取り専用の JSON REST API（/api/v1）
+ * BlogDatabase の検索・取得メソッドをそのまま使い、画像は公開URL（toImageUrl）に変換して返す
+ *
+ * レスポンス:
+ *   成功 - {success: true, data, pagination?}
+ *   失敗 - {success: false, message}（400 引数エラー / 404 見つからない / 501 未対応のデータソース）
+ *
+ * 一覧はカーソル方式のページ分割で、pagination.next_cursor を次のリクエストの cursor に渡す
+ * エンドポイントの仕様は api/openapi.js（GET /api/v1/openapi.json）を参照
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * 引数エラー（400で返す）
+ */
+class ApiRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApiRequestError";
+  }
+}
+
+/**
+ * カーソルを作成
+ * 新しい順・古い順は最後の投稿の日時とIDから次のページを探し（途中で投稿が増減してもずれない）、
+ * 関連度順は読み飛ばす件数を持つ
+ * @param {string} sortOrder - 並び順
+ * @param {object} lastPost - ページの最後の投稿
+ * @param {number} offset - 次のページの開始位置（関連度順のみ使用）
+ * @returns {string} base64url 形式のカーソル
+ */
+function encodeCursor(sortOrder, lastPost, offset) {
+  const payload =
+    sortOrder === "relevance"
+      ? { s: sortOrder, o: offset }
+      : { s: sortOrder, p: lastPost.published_at || null, id: lastPost.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * カーソルを検証して、queryBlogPosts のページ指定に変換
+ * @param {string|undefined} cursor - カーソル
+ * @param {string} sortOrder - 並び順（カーソル作成時と同じでなければエラー）
+ * @returns {object} {offset, after}
+ */
+function decodeCursor(cursor, sortOrder) {
+  if (!cursor) return { offset: 0, after: null };
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ApiRequestError("cursor が不正です");
+  }
+  if (!payload || payload.s !== sortOrder) {
+    throw new ApiRequestError("cursor が不正です（並び順を変える場合は cursor を指定せずに取得し直してください）");
+  }
+
+  if (sortOrder === "relevance") {
+    if (!Number.isInteger(payload.o) || payload.o < 0) {
+      throw new ApiRequestError("cursor が不正です");
+    }
+    return { offset: payload.o, after: null };
+  }
+  if (!Number.isInteger(payload.id) || (payload.p !== null && typeof payload.p !== "string")) {
+    throw new ApiRequestError("cursor が不正です");
+  }
+  return { offset: 0, after: { publishedAt: payload.p, id: payload.id } };
+}
+
+/**
+ * limit パラメータを検証
+ * @param {string|undefined} value - 件数
+ * @returns {number} 1〜MAX_LIMIT の件数
+ */
+function parseLimit(value) {
+  if (value === undefined || value === "") return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiRequestError(`limit は1〜${MAX_LIMIT}の整数で指定してください`);
+  }
+  return limit;
+}
+
+/**
+ * 日付パラメータを検証
+ * @param {string|undefined} value - "YYYY-MM-DD"
+ * @param {string} name - パラメータ名
+ * @returns {string} 検証済みの日付（省略時は空文字）
+ */
+function parseDate(value, name) {
+  if (!value) return "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw new ApiRequestError(`${name} はYYYY-MM-DD形式で指定してください`);
+  }
+  return value;
+}
+
+/**
+ * 複数指定できるパラメータを配列にする（?member=1&member=2 または ?member=1,2）
+ * @param {string|Array<string>|undefined} value - パラメータ
+ * @returns {Array<string>} 値の配列
+ */
+function toList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 一覧のクエリパラメータを queryBlogPosts の検索条件に変換
+ * @param {object} query - req.query
+ * @param {object} options - {sortOrders: 指定できる並び順, defaultSort: 省略時の並び順}
+ * @returns {object} 検索条件
+ */
+function parsePostFilters(query, { sortOrders = ["desc", "asc"], defaultSort = "desc" } = {}) {
+  const site = query.site || "";
+  if (site && !hasSite(site)) {
+    throw new ApiRequestError(`未対応のサイトです: ${site}（${getSiteIds().join(", ")}）`);
+  }
+  const upstream = query.upstream || "";
+  if (upstream && !["deleted", "present"].includes(upstream)) {
+    throw new ApiRequestError("upstream は deleted / present のいずれかで指定してください");
+  }
+  const sortOrder = query.sort || defaultSort;
+  if (!sortOrders.includes(sortOrder)) {
+    throw new ApiRequestError(`sort は ${sortOrders.join(" / ")} のいずれかで指定してください`);
+  }
+  const personIds = toList(query.member);
+  if (personIds.some((id) => !/^\d+$/.test(id))) {
+    throw new ApiRequestError("member はメンバーID（数字）で指定してください");
+  }
+
+  return {
+    keyword: query.q ? String(query.q) : "",
+    titleSearch: query.title ? String(query.title) : "",
+    personIds,
+    site,
+    upstream,
+    dateFrom: parseDate(query.date_from, "date_from"),
+    dateTo: parseDate(query.date_to, "date_to"),
+    sortOrder,
+  };
+}
+
+/**
+ * REST API のルーターを作成
+ * @param {BlogDatabase} dataService - データサービス
+ * @param {object} options - {toImageUrl: 保存済み画像のパスを公開URLに変換する関数}
+ * @returns {express.Router} ルーター
+ */
+function createApiV1Router(dataService, { toImageUrl }) {
+  const router = express.Router();
+
+  /**
+   * 投稿の画像を {url: 公式サイトのURL, local_url: 保存済み画像の公開URL} の配列にする
+   */
+  const serializeImages = (post) => {
+    const localImages = post.local_images || [];
+    return (post.images || []).map((url, index) => ({
+      url,
+      local_url: localImages[index] ? toImageUrl(localImages[index]) : null,
+    }));
+  };
+
+  /**
+   * 投稿をレスポンス用に変換（一覧では本文を含めない）
+   */
+  const serializePost = (post, { withContent = false } = {}) => ({
+    id: post.id,
+    site: post.site,
+    url: post.url,
+    title: post.title,
+    member_id: post.person_id ?? post.member_id,
+    site_member_id: post.member_id,
+    member_name: post.member_name,
+    date: post.date,
+    published_at: post.published_at || null,
+    upstream_status: post.upstream_status || "present",
+    images: serializeImages(post),
+    ...(withContent ? { content: post.content } : {}),
+    ...(post.snippet
+      ? {
+          snippet: highlightSnippet(post.snippet, (found) => found),
+          snippet_html: snippetToHtml(post.snippet),
+        }
+      : {}),
+  });
+
+  /**
+   * プロフィールをレスポンス用に変換
+   */
+  const serializeProfile = (profile) =>
+    profile
+      ? {
+          furigana: profile.furigana,
+          birthday: profile.birthday,
+          birthplace: profile.birthplace,
+          blood_type: profile.blood_type,
+          generation: profile.generation,
+          height: profile.height,
+          status: profile.status || null,
+          profile_url: profile.profile_url,
+          photo_url: profile.photo_path ? toImageUrl(profile.photo_path) : profile.photo_url,
+        }
+      : null;
+
+  const getProfile = async (personId) =>
+    (await dataService.getMemberProfiles()).find(
+      (profile) => String(profile.person_id) === String(personId)
+    ) || null;
+
+  /**
+   * 投稿の一覧を1ページ分返す
+   */
+  const sendPostPage = async (req, res, filters) => {
+    const limit = parseLimit(req.query.limit);
+    const { offset, after } = decodeCursor(req.query.cursor, filters.sortOrder);
+    const { posts, total } = await dataService.queryBlogPosts(filters, { limit, offset, after });
+
+    // 取得件数が limit に達した場合のみ次のページがある
+    const nextCursor =
+      posts.length === limit
+        ? encodeCursor(filters.sortOrder, posts[posts.length - 1], offset + posts.length)
+        : null;
+
+    res.json({
+      success: true,
+      data: posts.map((post) => serializePost(post)),
+      pagination: { limit, total, next_cursor: nextCursor },
+    });
+  };
+
+  /**
+   * ルートの処理をラップし、引数エラーを400、それ以外を500で返す
+   */
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof ApiRequestError) {
+        res.status(400).json({ success: false, message: error.message });
+        return;
+      }
+      console.error("REST APIエラー:", error);
+      res.status(500).json({ success: false, message: "エラーが発生しました" });
+    }
+  };
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(buildOpenApiDocument({ defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT }));
+  });
+
+  // 検索・ページ分割を SQL で行うため SQLite モードのみ対応
+  router.use((req, res, next) => {
+    if (typeof dataService.queryBlogPosts !== "function") {
+      res.status(501).json({ success: false, message: "REST API は SQLite モードでのみ利用できます" });
+      return;
+    }
+    next();
+  });
+
+  router.get(
+    "/posts",
+    handle(async (req, res) => {
+      await sendPostPage(req, res, parsePostFilters(req.query));
+    })
+  );
+
+  router.get(
+    "/posts/:id",
+    handle(async (req, res) => {
+      const post = /^\d+$/.test(req.params.id) ? await dataService.getBlogPost(req.params.id) : null;
+      if (!post) {
+        res.status(404).json({ success: false, message: "投稿が見つかりません" });
+        return;
+      }
+      res.json({ success: true, data: serializePost(post, { withContent: true }) });
+    })
+  );
+
+  router.get(
+    "/members",
+    handle(async (req, res) => {
+      const profiles = await dataService.getMemberProfiles();
+      const profileByPerson = new Map(profiles.map((profile) => [String(profile.person_id), profile]));
+      const members = await dataService.getAllMembersFromPosts();
+
+      res.json({
+        success: true,
+        data: members.map((member) => ({
+          id: member.id,
+          name: member.name,
+          sites: member.sites ? member.sites.split(",") : [],
+          post_count: member.post_count,
+          profile: serializeProfile(profileByPerson.get(String(member.id))),
+        })),
+      });
+    })
+  );
+
+  router.get(
+    "/members/:id",
+    handle(async (req, res) => {
+      const person = /^\d+$/.test(req.params.id) ? await dataService.getPerson(req.params.id) : null;
+      if (!person) {
+        res.status(404).json({ success: false, message: "メンバーが見つかりません" });
+        return;
+      }
+      res.json({
+        success: true,
+        data: {
+          id: person.id,
+          name: person.name,
+          sites: person.sites.map((site) => ({
+            site: site.site,
+            site_member_id: site.member_id,
+            post_count: site.post_count,
+          })),
+          post_count: person.sites.reduce((sum, site) => sum + site.post_count, 0),
+          profile: serializeProfile(await getProfile(person.id)),
+        },
+      });
+    })
+  );
+
+  router.get(
+    "/members/:id/posts",
+    handle(async (req, res) => {
+      const person = /^\d+$/.test(req.params.id) ? await dataService.getPerson(req.params.id) : null;
+      if (!person) {
+        res.status(404).json({ success: false, message: "メンバーが見つかりません" });
+        return;
+      }
+      const filters = parsePostFilters({ ...req.query, member: undefined });
+      await sendPostPage(req, res, { ...filters, personIds: [String(person.id)] });
+    })
+  );
+
+  router.get(
+    "/search",
+    handle(async (req, res) => {
+      if (!req.query.q || !String(req.query.q).trim()) {
+        throw new ApiRequestError("q を指定してください");
+      }
+      const filters = parsePostFilters(req.query, {
+        sortOrders: ["relevance", "desc", "asc"],
+        defaultSort: "relevance",
+      });
+      await sendPostPage(req, res, filters);
+    })
+  );
+
+  router.use((req, res) => {
+    res.status(404).json({ success: false, message: "APIが見つかりません" });
+  });
+
+  return router;
+}
+
+module.exports = { createApiV1Router };
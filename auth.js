@@ -0,0 +1,557 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const session = require("express-session");
+const config = require("./config");
+
+/**
+ * Webビューアーの認証と権限
+ * ユーザーは users テーブルに保存し（パスワードは bcrypt のハッシュ）、ログイン状態はセッションで保持する
+ *
+ * 権限:
+ *   admin  - 閲覧に加えて、投稿の削除・ゴミ箱の操作ができる
+ *   viewer - 閲覧のみ
+ *
+ * ユーザーが1人も登録されていない間は、ログインなしで閲覧のみ可能（削除などはできない）
+ * ユーザーを登録すると、閲覧にもログインが必要になる（config.auth.allowAnonymous で閲覧のみ許可できる）
+ *
+ * スクリプトなどからは、ユーザーごとの API トークンを Authorization: Bearer ヘッダーで送ると
+ * ログインなしで JSON のルート（/api/...）を呼び出せる（フィードは ?token= でも可、閲覧のみ）
+ *   read  - 閲覧のみ（ユーザーの権限にかかわらず）
+ *   write - ユーザーの権限どおり（管理者なら削除・ゴミ箱の操作もできる）
+ */
+
+const ROLES = ["admin", "viewer"];
+
+const ROLE_LABELS = {
+  admin: "管理者",
+  viewer: "閲覧のみ",
+};
+
+const API_TOKEN_SCOPES = ["read", "write"];
+
+const API_TOKEN_SCOPE_LABELS = {
+  read: "閲覧のみ",
+  write: "閲覧・操作",
+};
+
+// トークンの先頭に付ける目印（ログなどに紛れ込んだときに見分けやすくする）
+const API_TOKEN_PREFIX = "sba_";
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+// 存在しないユーザー名でも照合と同じ時間がかかるようにするためのハッシュ（初回のログイン時に作成）
+let dummyPasswordHash = null;
+
+// ログイン失敗の回数制限（IPアドレスごと）
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+const loginFailures = new Map();
+
+/**
+ * ユーザー名を検証
+ * @param {string} username - ユーザー名
+ * @returns {string|null} エラーメッセージ（問題なければnull）
+ */
+function validateUsername(username) {
+  if (!username || !USERNAME_PATTERN.test(username)) {
+    return "ユーザー名は32文字以内の半角英数字と _ . - で指定してください";
+  }
+  return null;
+}
+
+/**
+ * パスワードを検証
+ * @param {string} password - パスワード
+ * @returns {string|null} エラーメッセージ（問題なければnull）
+ */
+function validatePassword(password) {
+  if (!password || password.length < PASSWORD_MIN_LENGTH) {
+    return `パスワードは${PASSWORD_MIN_LENGTH}文字以上で指定してください`;
+  }
+  return null;
+}
+
+/**
+ * パスワードをハッシュ化
+ * @param {string} password - パスワード
+ * @returns {Promise<string>} bcrypt のハッシュ
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * ユーザー名とパスワードを照合
+ * @param {BlogDatabase} dataService - データサービス
+ * @param {string} username - ユーザー名
+ * @param {string} password - パスワード
+ * @returns {Promise<object|null>} 一致したユーザー {id, username, role}、一致しなければnull
+ */
+async function authenticate(dataService, username, password) {
+  const user = username ? await dataService.getUserByUsername(username) : null;
+  if (!user && !dummyPasswordHash) {
+    dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  const matched = await bcrypt.compare(
+    password || "",
+    user ? user.password_hash : dummyPasswordHash
+  );
+  if (!user || !matched) return null;
+
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+/**
+ * APIトークンのハッシュを計算（トークンは十分長いランダム値のため、検索できるよう SHA-256 を使う）
+ * @param {string} token - トークン
+ * @returns {string} 16進数のハッシュ
+ */
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * 新しいAPIトークンを生成
+ * トークン自体は作成時に一度だけ表示し、データベースにはハッシュと見分け用の先頭部分だけを保存する
+ * @returns {{token: string, tokenHash: string, tokenPrefix: string}}
+ */
+function generateApiToken() {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+  };
+}
+
+/**
+ * APIトークンを作成
+ * write 権限のトークンは管理者のみ作成できる
+ * @param {BlogDatabase} dataService - データサービス
+ * @param {object} user - トークンを使うユーザー {id, role}
+ * @param {object} options - {name: 用途などの名前, scope: 'read' / 'write'}
+ * @returns {Promise<{id: number, token: string}>} 作成したトークンのIDとトークン（再表示できない）
+ */
+async function createApiToken(dataService, user, { name, scope }) {
+  const trimmedName = String(name || "").trim();
+  if (!trimmedName || trimmedName.length > 64) {
+    throw new Error("トークンの名前は64文字以内で指定してください");
+  }
+  if (!API_TOKEN_SCOPES.includes(scope)) {
+    throw new Error(`権限は ${API_TOKEN_SCOPES.join(" / ")} のいずれかで指定してください`);
+  }
+  if (scope === "write" && user.role !== "admin") {
+    throw new Error("write 権限のトークンは管理者のみ作成できます");
+  }
+
+  const { token, tokenHash, tokenPrefix } = generateApiToken();
+  const id = await dataService.createApiToken({
+    userId: user.id,
+    name: trimmedName,
+    scope,
+    tokenHash,
+    tokenPrefix,
+  });
+  return { id, token };
+}
+
+/**
+ * Authorization ヘッダーから Bearer トークンを取り出す
+ * @param {object} req - リクエスト
+ * @returns {string|null} トークン（ヘッダーがなければnull）
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+// フィード（feeds.js）のURL。フィードリーダーはヘッダーを付けられないことが多いため ?token= でも受け付ける
+const FEED_PATH_PATTERN = /\/(feed|rss)\.xml$/;
+
+/**
+ * リクエストに付いている API トークンを取り出す
+ * @param {object} req - リクエスト
+ * @returns {{token: string, readOnly: boolean}|null} トークン（?token= の場合は閲覧のみ）、なければnull
+ */
+function getRequestToken(req) {
+  if (req.path.startsWith("/api/")) {
+    const token = getBearerToken(req);
+    return token ? { token, readOnly: false } : null;
+  }
+  if (FEED_PATH_PATTERN.test(req.path) && typeof req.query.token === "string" && req.query.token) {
+    return { token: req.query.token, readOnly: true };
+  }
+  return null;
+}
+
+/**
+ * ユーザー管理に対応したデータサービスか（Google Sheets モードは未対応）
+ * @param {object} dataService - データサービス
+ * @returns {boolean}
+ */
+function supportsUsers(dataService) {
+  return typeof dataService.countUsers === "function";
+}
+
+/**
+ * セッションのミドルウェアを作成
+ * 秘密鍵（config.auth.sessionSecret）が未設定の場合は起動ごとに生成するため、再起動するとログアウトされる
+ * @returns {function} Express ミドルウェア
+ */
+function createSessionMiddleware() {
+  return session({
+    name: "blog_archive.sid",
+    secret: config.auth.sessionSecret || crypto.randomBytes(32).toString("hex"),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      maxAge: config.auth.sessionMaxAgeDays * 24 * 60 * 60 * 1000,
+    },
+  });
+}
+
+/**
+ * ログイン中のユーザーと権限をリクエストに設定するミドルウェアを作成
+ * - req.user / res.locals.currentUser: ログイン中のユーザー（未ログインはnull）
+ * - req.role: 有効な権限（'admin' / 'viewer'、閲覧もできない場合はnull）
+ * - res.locals.isAdmin / res.locals.authEnabled: テンプレートでの表示切り替え用
+ * 削除・権限変更されたユーザーのセッションは、次のリクエストで無効になる
+ * API トークンが付いている場合はセッションの代わりにトークンで認証する（req.apiToken）
+ * @param {object} dataService - データサービス
+ * @returns {function} Express ミドルウェア
+ */
+function createAuthMiddleware(dataService) {
+  return async (req, res, next) => {
+    try {
+      const userCount = supportsUsers(dataService) ? await dataService.countUsers() : 0;
+      req.apiToken = null;
+
+      const requestToken = getRequestToken(req);
+      if (requestToken) {
+        const apiToken = userCount > 0
+          ? await dataService.getActiveApiToken(hashApiToken(requestToken.token))
+          : null;
+        if (!apiToken) {
+          if (req.path.startsWith("/api/")) {
+            res.status(401).json({ success: false, message: "APIトークンが無効です" });
+          } else {
+            res.status(401).send("APIトークンが無効です");
+          }
+          return;
+        }
+        // クエリ文字列のトークンを記録しないよう、パスだけを残す
+        await dataService.recordApiTokenUse(apiToken.id, {
+          ip: req.ip,
+          request: `${req.method} ${req.path}`.slice(0, 200),
+        });
+
+        req.apiToken = apiToken;
+        req.user = apiToken.user;
+        req.role =
+          apiToken.scope === "write" && !requestToken.readOnly ? apiToken.user.role : "viewer";
+        req.userCount = userCount;
+        next();
+        return;
+      }
+
+      let user = null;
+      if (req.session.userId && userCount > 0) {
+        user = await dataService.getUserById(req.session.userId);
+      }
+      if (req.session.userId && !user) {
+        delete req.session.userId;
+      }
+
+      const anonymousRole = userCount === 0 || config.auth.allowAnonymous ? "viewer" : null;
+      req.user = user;
+      req.role = user ? user.role : anonymousRole;
+      req.userCount = userCount;
+
+      res.locals.currentUser = user;
+      res.locals.roleLabels = ROLE_LABELS;
+      res.locals.isAdmin = req.role === "admin";
+      res.locals.authEnabled = userCount > 0;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * 認証が必要なリクエストを拒否する（APIは401、ページはログイン画面へ）
+ * @param {object} req - リクエスト
+ * @param {object} res - レスポンス
+ */
+function rejectUnauthenticated(req, res) {
+  if (req.path.startsWith("/api/")) {
+    res.status(401).json({ success: false, message: "ログインが必要です" });
+  } else {
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+}
+
+/**
+ * 閲覧にログインが必要な場合、未ログインのリクエストを拒否するミドルウェア
+ */
+function requireLogin(req, res, next) {
+  if (req.role) {
+    next();
+    return;
+  }
+  rejectUnauthenticated(req, res);
+}
+
+/**
+ * 管理者のみ許可するミドルウェア（投稿の削除・ゴミ箱の操作など）
+ */
+function requireAdmin(req, res, next) {
+  if (req.role === "admin") {
+    next();
+    return;
+  }
+  if (!req.user && req.userCount > 0) {
+    rejectUnauthenticated(req, res);
+    return;
+  }
+
+  let message = "この操作には管理者権限が必要です";
+  if (req.userCount === 0) {
+    message = "管理者ユーザーが登録されていません。node index.js users add <ユーザー名> --role admin で作成してください";
+  } else if (req.apiToken && req.apiToken.scope !== "write") {
+    message = "この操作には write 権限のAPIトークンが必要です";
+  }
+  if (req.path.startsWith("/api/")) {
+    res.status(403).json({ success: false, message });
+  } else {
+    res.status(403).send(message);
+  }
+}
+
+/**
+ * ログイン後の移動先を検証（サイト内のパスのみ許可する）
+ * @param {string} next - 移動先
+ * @returns {string} 移動先のパス
+ */
+function safeRedirectPath(next) {
+  return typeof next === "string" && /^\/(?![\/\\])/.test(next) ? next : "/";
+}
+
+/**
+ * ログイン失敗の回数制限を確認
+ * @param {string} key - IPアドレス
+ * @returns {boolean} ロック中ならtrue
+ */
+function isLoginLocked(key) {
+  const entry = loginFailures.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.firstFailedAt > LOGIN_LOCK_MS) {
+    loginFailures.delete(key);
+    return false;
+  }
+  return entry.count >= LOGIN_MAX_FAILURES;
+}
+
+/**
+ * ログイン失敗を記録
+ * @param {string} key - IPアドレス
+ */
+function recordLoginFailure(key) {
+  const entry = loginFailures.get(key);
+  if (entry && Date.now() - entry.firstFailedAt <= LOGIN_LOCK_MS) {
+    entry.count++;
+  } else {
+    loginFailures.set(key, { count: 1, firstFailedAt: Date.now() });
+  }
+}
+
+/**
+ * ログイン・ログアウトのルートを登録
+ * @param {object} app - Express アプリケーション
+ * @param {object} dataService - データサービス
+ */
+function registerAuthRoutes(app, dataService) {
+  const renderLogin = (res, { next, username = "", error = null, status = 200 }) => {
+    res.status(status).render("login", {
+      title: "ログイン",
+      next: safeRedirectPath(next),
+      username,
+      error,
+    });
+  };
+
+  app.get("/login", (req, res) => {
+    if (req.user) {
+      res.redirect(safeRedirectPath(req.query.next));
+      return;
+    }
+    renderLogin(res, { next: req.query.next });
+  });
+
+  app.post("/login", async (req, res, next) => {
+    const { username = "", password = "" } = req.body || {};
+    const redirectTo = safeRedirectPath(req.body && req.body.next);
+
+    try {
+      if (!supportsUsers(dataService) || req.userCount === 0) {
+        renderLogin(res, {
+          next: redirectTo,
+          error: "ユーザーが登録されていません。node index.js users add でユーザーを作成してください",
+          status: 400,
+        });
+        return;
+      }
+      if (isLoginLocked(req.ip)) {
+        renderLogin(res, {
+          next: redirectTo,
+          username,
+          error: "ログインの失敗が続いたため、しばらく時間をおいてから再度お試しください",
+          status: 429,
+        });
+        return;
+      }
+
+      const user = await authenticate(dataService, username.trim(), password);
+      if (!user) {
+        recordLoginFailure(req.ip);
+        renderLogin(res, {
+          next: redirectTo,
+          username,
+          error: "ユーザー名またはパスワードが正しくありません",
+          status: 401,
+        });
+        return;
+      }
+
+      loginFailures.delete(req.ip);
+      await dataService.recordUserLogin(user.id);
+
+      // セッション固定攻撃を防ぐため、ログイン時にセッションIDを作り直す
+      req.session.regenerate((err) => {
+        if (err) {
+          next(err);
+          return;
+        }
+        req.session.userId = user.id;
+        console.log(`🔑 ログイン: ${user.username}（${ROLE_LABELS[user.role] || user.role}）`);
+        res.redirect(redirectTo);
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/logout", (req, res, next) => {
+    req.session.destroy((err) => {
+      if (err) {
+        next(err);
+        return;
+      }
+      res.clearCookie("blog_archive.sid");
+      res.redirect("/login");
+    });
+  });
+}
+
+/**
+ * APIトークンの管理画面のルートを登録（ログイン中のユーザーが自分のトークンを管理する。管理者は全ユーザー分）
+ * @param {object} app - Express アプリケーション
+ * @param {object} dataService - データサービス
+ */
+function registerApiTokenRoutes(app, dataService) {
+  // ブラウザでログインしたユーザーのみ（トークンでトークンを作成・失効させることはできない）
+  const requireSessionUser = (req, res, next) => {
+    if (req.user && !req.apiToken) {
+      next();
+      return;
+    }
+    if (req.userCount === 0) {
+      res.status(403).send("APIトークンを使うには、node index.js users add でユーザーを作成してログインしてください");
+      return;
+    }
+    rejectUnauthenticated(req, res);
+  };
+
+  const renderTokens = async (req, res, { createdToken = null, error = null, status = 200 } = {}) => {
+    const isAdmin = req.user.role === "admin";
+    const tokens = await dataService.getApiTokens(isAdmin ? null : req.user.id);
+    res.status(status).render("tokens", {
+      title: "APIトークン",
+      tokens,
+      showOwner: isAdmin,
+      scopes: isAdmin ? API_TOKEN_SCOPES : ["read"],
+      scopeLabels: API_TOKEN_SCOPE_LABELS,
+      createdToken,
+      error,
+    });
+  };
+
+  app.get("/tokens", requireSessionUser, async (req, res, next) => {
+    try {
+      await renderTokens(req, res);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/tokens", requireSessionUser, async (req, res, next) => {
+    const { name = "", scope = "read" } = req.body || {};
+    let created;
+    try {
+      created = await createApiToken(dataService, req.user, { name, scope });
+    } catch (error) {
+      try {
+        await renderTokens(req, res, { error: error.message, status: 400 });
+      } catch (renderError) {
+        next(renderError);
+      }
+      return;
+    }
+
+    try {
+      console.log(`🔑 APIトークンを作成: ${req.user.username}「${String(name).trim()}」（${scope}）`);
+      await renderTokens(req, res, { createdToken: created.token });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/tokens/:id/revoke", requireSessionUser, async (req, res, next) => {
+    try {
+      const tokenId = parseInt(req.params.id, 10);
+      const changes = Number.isInteger(tokenId)
+        ? await dataService.revokeApiToken(tokenId, req.user.role === "admin" ? null : req.user.id)
+        : 0;
+      if (changes === 0) {
+        await renderTokens(req, res, { error: "トークンが見つからないか、既に失効しています", status: 404 });
+        return;
+      }
+      console.log(`🔒 APIトークンを失効: ID = ${tokenId}（${req.user.username}）`);
+      res.redirect("/tokens");
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  API_TOKEN_SCOPES,
+  API_TOKEN_SCOPE_LABELS,
+  validateUsername,
+  validatePassword,
+  hashPassword,
+  authenticate,
+  createApiToken,
+  createSessionMiddleware,
+  createAuthMiddleware,
+  requireLogin,
+  requireAdmin,
+  registerAuthRoutes,
+  registerApiTokenRoutes,
+};
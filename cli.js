@@ -0,0 +1,1198 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const chalk = require("chalk");
+const config = require("./config");
+const { DEFAULT_SITE_ID, getSite, getSiteIds, hasSite } = require("./sites");
+const { cleanTextPreview } = require("./utils/formatting");
+const { highlightSnippet } = require("./utils/searchQuery");
+const {
+  ROLES,
+  ROLE_LABELS,
+  API_TOKEN_SCOPE_LABELS,
+  validateUsername,
+  validatePassword,
+  hashPassword,
+  createApiToken,
+} = require("./auth");
+const {
+  scrapeMember,
+  resumeScrapeJob,
+  getBatchTargets,
+  scrapeMembersBatch,
+  logBatchSummary,
+} = require("./scrapeService");
+
+/**
+ * 非対話CLI
+ * cronやシェルスクリプトから使うためのサブコマンド群
+ *
+ * 終了コード:
+ *   0 - 成功
+ *   1 - 実行時エラー
+ *   2 - 引数エラー
+ */
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `使い方: node index.js <command> [options]
+
+引数なしで起動すると対話メニューを表示します。
+
+Commands:
+  scrape --site <site> --member <id|name>[,<id|name>...] [options]
+  scrape [--site <site>] --all [options]
+      --all               全メンバーを一括取得（--site省略時は全サイト）
+      --limit <n|all>     取得件数（デフォルト: all、一括時はメンバーごと）
+      --since <YYYY-MM-DD> 開始日
+      --until <YYYY-MM-DD> 終了日
+      --incremental       新着のみ取得（アーカイブ済みの記事で停止）
+      --images            画像もダウンロード
+      --json              結果をJSONで出力
+  jobs [--unfinished] [--json]
+  resume [<jobId>]         中断したジョブを再開（ID省略時は未完了ジョブをすべて）
+  search <keyword> [--limit <n>] [--sort relevance|desc|asc] [--json]
+      "..." でフレーズ検索、AND / OR / NOT で条件を組み合わせ（デフォルトは関連度順）
+  members list [--site <site>] [--refresh] [--json]
+      --refresh           公式サイトのメンバー一覧を再取得（新メンバー・卒業を記録）
+  members add --site <site> --id <memberId> --name <name>
+      一覧ページに載っていないメンバー（卒業メンバーなど）を手動で登録
+  members profiles [--site <site>] [--member <id|name>] [--skip-photos] [--json]
+      プロフィール（ふりがな・生年月日・出身地・血液型・期・身長）と写真を取得
+      （--site省略時は全サイト、卒業メンバーは --member 指定時のみ）
+  serve [--port <port>]
+  export [--format json|csv] [--output <file>] [--site <site>] [--member <id>]
+  verify [--site <site>] [--member <id>] [--json]
+      保存済みの投稿を公式サイトのリストページと照合し、削除された投稿を記録
+  check-selectors [--site <site>] [--member <id|name>] [--samples <n>] [--skip-db] [--json]
+      サンプルページでセレクターを検証し、フォールバックの使用と空の項目を報告
+      （--site省略時は全サイト、問題があれば終了コード1）
+  db migrate [--status] [--json]
+      未適用のスキーママイグレーションを適用（起動時にも自動で適用され、適用前に backups/ へバックアップを作成）
+      --status            バージョンごとの適用状況を表示
+  users list [--json]
+  users add <username> [--role admin|viewer] [--password-stdin]
+  users reset-password <username> [--password-stdin]
+  users set-role <username> --role admin|viewer
+  users remove <username>
+      Webビューアーのログインユーザーを管理（デフォルトの権限は viewer）
+      パスワードは対話入力、または --password-stdin で標準入力から1行読み込む
+  tokens list [--user <username>] [--json]
+  tokens create <username> --name <name> [--scope read|write] [--json]
+  tokens revoke <tokenId>
+      API トークン（Authorization: Bearer）を管理（write は管理者のみ。トークンは作成時に一度だけ表示）
+  schedule start
+      環境変数 SCHEDULE（cron 形式、日本時間）に従って定期更新を常駐実行
+      （アーカイブ済みのメンバー全員の新着と画像を取得。SCHEDULE_JITTER_MINUTES / SCHEDULE_QUIET_HOURS で時刻をずらす）
+  schedule run [--json]    定期更新を今すぐ1回実行
+  schedule list [--json]   設定・次回の予定・実行履歴を表示
+  help
+
+Sites: ${getSiteIds().join(", ")}`;
+
+/**
+ * 引数エラー（終了コード2で終了する）
+ */
+class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliUsageError";
+  }
+}
+
+/**
+ * 日付オプションを検証
+ * @param {string|undefined} value - "YYYY-MM-DD"
+ * @param {string} optionName - エラーメッセージ用のオプション名
+ * @returns {string|null} 検証済みの日付
+ */
+function parseDateOption(value, optionName) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw new CliUsageError(`--${optionName} はYYYY-MM-DD形式で指定してください: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * 件数オプションを検証
+ * @param {string|undefined} value - 数値または"all"
+ * @param {number|string} defaultValue - 省略時の値
+ * @returns {number|string} 件数または'all'
+ */
+function parseLimitOption(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (value === "all") return "all";
+  const num = parseInt(value);
+  if (isNaN(num) || num < 1) {
+    throw new CliUsageError(`--limit は1以上の数値または"all"で指定してください: ${value}`);
+  }
+  return num;
+}
+
+/**
+ * サイト識別子を検証
+ * @param {string|undefined} site - サイト識別子
+ * @param {boolean} required - 必須かどうか
+ * @returns {string|null} 検証済みのサイト識別子
+ */
+function parseSiteOption(site, required) {
+  if (!site) {
+    if (required) throw new CliUsageError("--site を指定してください");
+    return null;
+  }
+  if (!hasSite(site)) {
+    throw new CliUsageError(
+      `未対応のサイトです: ${site}（${getSiteIds().join(", ")}）`
+    );
+  }
+  return site;
+}
+
+/**
+ * 名前比較用に空白を除去
+ * @param {string} name - メンバー名
+ * @returns {string} 正規化された名前
+ */
+function normalizeName(name) {
+  return String(name).replace(/\s+/g, "");
+}
+
+/**
+ * --member の値（IDまたは名前）からメンバーを特定
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {string} site - サイト識別子
+ * @param {string} query - メンバーIDまたは名前
+ * @returns {Promise<{id: string, name: string}>} メンバー
+ */
+async function resolveMember(db, site, query) {
+  if (!query) throw new CliUsageError("--member を指定してください");
+  const target = normalizeName(query);
+
+  const members = await getSite(site).listMembers(db);
+  const member = members.find(
+    (m) =>
+      String(m.id) === query ||
+      [m.name, ...(m.name_variants || [])].some(
+        (name) => normalizeName(name) === target
+      )
+  );
+  if (!member) {
+    throw new CliUsageError(
+      `${getSite(site).name}のメンバーが見つかりません: ${query}`
+    );
+  }
+  return { id: String(member.id), name: member.name };
+}
+
+/**
+ * JSONを標準出力に書き出す
+ * @param {*} data - 出力するデータ
+ */
+function writeJson(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * scrape サブコマンド
+ * --all または複数の --member 指定時は一括スクレイピング
+ */
+async function commandScrape(db, { values }) {
+  const limit = parseLimitOption(values.limit, "all");
+  const scrapeOptions = {
+    limit,
+    dateFrom: parseDateOption(values.since, "since"),
+    dateTo: parseDateOption(values.until, "until"),
+    incremental: !!values.incremental,
+    downloadImages: !!values.images,
+  };
+
+  const memberQueries = values.member
+    ? values.member.split(",").map((q) => q.trim()).filter(Boolean)
+    : [];
+
+  if (values.all || memberQueries.length > 1) {
+    return commandScrapeBatch(db, values, memberQueries, scrapeOptions);
+  }
+
+  const site = parseSiteOption(values.site, true);
+  const member = await resolveMember(db, site, memberQueries[0]);
+
+  const result = await scrapeMember(db, {
+    ...scrapeOptions,
+    site,
+    memberId: member.id,
+    memberName: member.name,
+  });
+
+  if (values.json) {
+    writeJson({
+      jobId: result.jobId,
+      completed: result.completed,
+      site,
+      member,
+      postCount: result.posts.length,
+      imagesDownloaded: result.imagesDownloaded,
+      imagesTotal: result.imagesTotal,
+      posts: result.posts.map((post) => ({
+        url: post.url,
+        title: post.title,
+        date: post.date,
+        images: post.images.length,
+      })),
+    });
+  } else {
+    console.log(
+      chalk.green(`✓ ${member.name} (${site}): ${result.posts.length}件保存`)
+    );
+    if (values.images) {
+      console.log(
+        chalk.green(`✓ 画像: ${result.imagesDownloaded}/${result.imagesTotal}枚`)
+      );
+    }
+    if (!result.completed) {
+      console.log(
+        chalk.yellow(`⚠️ ジョブ #${result.jobId} は途中で停止しました（resume ${result.jobId} で再開）`)
+      );
+    }
+  }
+
+  return result.completed ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * 複数メンバーの一括スクレイピング
+ * 1名でも失敗した場合は終了コード1を返す
+ */
+async function commandScrapeBatch(db, values, memberQueries, scrapeOptions) {
+  let targets = [];
+
+  if (values.all) {
+    const sites = values.site
+      ? [parseSiteOption(values.site, true)]
+      : getSiteIds();
+    for (const site of sites) {
+      targets.push(...(await getBatchTargets(db, site)));
+    }
+  } else {
+    const site = parseSiteOption(values.site, true);
+    for (const query of memberQueries) {
+      const member = await resolveMember(db, site, query);
+      targets.push({ site, memberId: member.id, memberName: member.name });
+    }
+  }
+
+  if (targets.length === 0) {
+    throw new CliUsageError("スクレイピング対象のメンバーがいません");
+  }
+
+  const results = await scrapeMembersBatch(db, targets, scrapeOptions);
+  const hasFailure = results.some((result) => result.error);
+
+  if (values.json) {
+    writeJson(results);
+  } else {
+    logBatchSummary(results);
+  }
+
+  return hasFailure ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * jobs サブコマンド
+ */
+async function commandJobs(db, { values }) {
+  const jobs = await db.getScrapeJobs({
+    unfinishedOnly: !!values.unfinished,
+    limit: 50,
+  });
+
+  if (values.json) {
+    writeJson(jobs);
+    return EXIT_OK;
+  }
+
+  if (jobs.length === 0) {
+    console.log("ジョブはありません");
+    return EXIT_OK;
+  }
+
+  jobs.forEach((job) => {
+    console.log(
+      `#${job.id}\t${job.status}\t${job.site}\t${job.member_name}\t完了 ${job.done_count}/${job.url_count}\t${job.updated_at}`
+    );
+  });
+  return EXIT_OK;
+}
+
+/**
+ * resume サブコマンド
+ */
+async function commandResume(db, { positionals }) {
+  let jobIds;
+
+  if (positionals.length > 0) {
+    jobIds = positionals.map((value) => {
+      const id = parseInt(value);
+      if (isNaN(id)) throw new CliUsageError(`ジョブIDが不正です: ${value}`);
+      return id;
+    });
+  } else {
+    const jobs = await db.getScrapeJobs({ unfinishedOnly: true, limit: 1000 });
+    jobIds = jobs.map((job) => job.id).reverse();
+  }
+
+  if (jobIds.length === 0) {
+    console.log("再開が必要なジョブはありません");
+    return EXIT_OK;
+  }
+
+  let exitCode = EXIT_OK;
+  for (const jobId of jobIds) {
+    try {
+      const result = await resumeScrapeJob(db, jobId);
+      console.log(
+        chalk.green(`✓ ジョブ #${jobId}: ${result.posts.length}件保存${result.completed ? "（完了）" : "（未完了）"}`)
+      );
+      if (!result.completed) exitCode = EXIT_FAILURE;
+    } catch (error) {
+      console.error(chalk.red(`✗ ジョブ #${jobId}: ${error.message}`));
+      exitCode = EXIT_FAILURE;
+    }
+  }
+  return exitCode;
+}
+
+/**
+ * search サブコマンド
+ */
+async function commandSearch(db, { values, positionals }) {
+  const keyword = positionals.join(" ").trim();
+  if (!keyword) throw new CliUsageError("検索キーワードを指定してください");
+  const limit = parseLimitOption(values.limit, "all");
+  const sortOrder = values.sort || "relevance";
+  if (!["relevance", "desc", "asc"].includes(sortOrder)) {
+    throw new CliUsageError(`--sort は relevance / desc / asc のいずれかを指定してください: ${sortOrder}`);
+  }
+
+  let posts = await db.searchBlogPosts(keyword, { sortOrder });
+  if (limit !== "all") posts = posts.slice(0, limit);
+
+  if (values.json) {
+    writeJson(
+      posts.map((post) => ({
+        id: post.id,
+        site: post.site,
+        member_id: post.member_id,
+        member_name: post.member_name,
+        title: post.title,
+        date: post.date,
+        published_at: post.published_at,
+        url: post.url,
+        snippet: highlightSnippet(post.snippet, (found) => found),
+        preview: cleanTextPreview(post.content, 150),
+      }))
+    );
+    return EXIT_OK;
+  }
+
+  if (posts.length === 0) {
+    console.log(chalk.red("No posts found"));
+    return EXIT_OK;
+  }
+
+  console.log(chalk.green(`Found ${posts.length} posts:\n`));
+  posts.forEach((post, index) => {
+    console.log(chalk.cyan(`--- ${index + 1}. ${post.member_name} ---`));
+    console.log(`Title: ${post.title}`);
+    console.log(`Date: ${post.date}`);
+    console.log(`URL: ${post.url}`);
+    console.log(`Content: ${highlightSnippet(post.snippet, (found) => chalk.bgYellow.black(found))}`);
+    console.log();
+  });
+  return EXIT_OK;
+}
+
+/**
+ * 在籍状態の表示名
+ */
+const MEMBER_STATUS_LABELS = {
+  active: "在籍",
+  graduated: "卒業",
+};
+
+/**
+ * members サブコマンド
+ */
+async function commandMembers(db, { values, positionals }) {
+  const action = positionals[0] || "list";
+  if (action === "add") {
+    return commandMembersAdd(db, values);
+  }
+  if (action === "profiles") {
+    return commandMembersProfiles(db, values);
+  }
+  if (action !== "list") {
+    throw new CliUsageError(`未対応のmembersコマンドです: ${action}`);
+  }
+
+  const site = parseSiteOption(values.site, false) || DEFAULT_SITE_ID;
+  const siteDefinition = getSite(site);
+  const members = await siteDefinition.listMembers(db, {
+    refresh: !!values.refresh,
+  });
+
+  if (values.json) {
+    writeJson(
+      members.map((m) => ({
+        site,
+        id: m.id,
+        name: m.name,
+        blog_url: m.blog_url || siteDefinition.listUrl(m.id, 0),
+        status: m.status,
+        first_seen_at: m.first_seen_at,
+        last_seen_at: m.last_seen_at,
+        name_variants: m.name_variants,
+      }))
+    );
+  } else {
+    members.forEach((member) => {
+      const variants = member.name_variants.filter((name) => name !== member.name);
+      console.log(
+        [
+          member.id,
+          member.name,
+          MEMBER_STATUS_LABELS[member.status] || "未確認",
+          `${member.first_seen_at || "-"} 〜 ${member.last_seen_at || "-"}`,
+          variants.length > 0 ? `別表記: ${variants.join(", ")}` : "",
+        ].join("\t").trimEnd()
+      );
+    });
+  }
+  return members.length > 0 ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * members add サブコマンド
+ */
+async function commandMembersAdd(db, values) {
+  const site = parseSiteOption(values.site, true);
+  if (!values.id || !/^\d+$/.test(values.id)) {
+    throw new CliUsageError("--id にサイト上のメンバーID（数字）を指定してください");
+  }
+  if (!values.name || !values.name.trim()) {
+    throw new CliUsageError("--name を指定してください");
+  }
+
+  const siteDefinition = getSite(site);
+  await db.addSiteMember(site, {
+    id: values.id,
+    name: values.name.trim(),
+    blogUrl: siteDefinition.listUrl(values.id, 0),
+  });
+  console.log(
+    chalk.green(`✓ ${siteDefinition.name}のメンバーを登録しました: ${values.id}\t${values.name.trim()}`)
+  );
+  return EXIT_OK;
+}
+
+/**
+ * members profiles サブコマンド
+ */
+async function commandMembersProfiles(db, values) {
+  const { fetchMemberProfiles } = require("./fetchMembers");
+
+  const site = parseSiteOption(values.site, !!values.member);
+  const siteIds = (site ? [site] : getSiteIds()).filter(
+    (siteId) => getSite(siteId).profileUrl
+  );
+  if (site && siteIds.length === 0) {
+    throw new CliUsageError(`${getSite(site).name}はプロフィールの取得に対応していません`);
+  }
+
+  const results = [];
+  for (const siteId of siteIds) {
+    const siteDefinition = getSite(siteId);
+    const members = values.member
+      ? [await resolveMember(db, siteId, values.member)]
+      : (await siteDefinition.listMembers(db)).filter(
+          (member) => member.status !== "graduated"
+        );
+
+    console.log(`\n${siteDefinition.emoji} ${siteDefinition.name}: ${members.length}名のプロフィールを取得中...`);
+    results.push(
+      ...(await fetchMemberProfiles(db, siteDefinition, members, {
+        downloadPhotos: !values["skip-photos"],
+      }))
+    );
+  }
+
+  if (values.json) {
+    writeJson(results);
+  } else if (results.length > 0) {
+    console.table(
+      results.map((result) => ({
+        サイト: result.site,
+        メンバー: result.memberName,
+        ふりがな: result.profile ? result.profile.furigana || "" : "",
+        生年月日: result.profile ? result.profile.birthday || "" : "",
+        期: result.profile ? result.profile.generation || "" : "",
+        状態: result.error ? `✗ ${result.error}` : "✓",
+      }))
+    );
+  }
+  return results.some((result) => result.error) ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * serve サブコマンド（常駐するため終了コードはnull）
+ */
+async function commandServe(db, { values }) {
+  let port;
+  if (values.port !== undefined) {
+    port = parseInt(values.port);
+    if (isNaN(port) || port < 1 || port > 65535) {
+      throw new CliUsageError(`--port が不正です: ${values.port}`);
+    }
+  }
+
+  const { startServer } = require("./webServer");
+  startServer(port);
+  return null;
+}
+
+/**
+ * CSVの1フィールドをエスケープ
+ * @param {*} value - フィールド値
+ * @returns {string} エスケープ済みの値
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * export サブコマンド
+ */
+async function commandExport(db, { values }) {
+  const format = values.format || "json";
+  if (!["json", "csv"].includes(format)) {
+    throw new CliUsageError(`--format は json または csv を指定してください: ${format}`);
+  }
+  const site = parseSiteOption(values.site, false);
+
+  let posts = await db.getAllBlogPosts();
+  if (site) posts = posts.filter((post) => post.site === site);
+  if (values.member) {
+    posts = posts.filter((post) => String(post.member_id) === values.member);
+  }
+
+  let output;
+  if (format === "csv") {
+    const columns = ["id", "site", "member_id", "member_name", "date", "published_at", "title", "url", "images", "content"];
+    const rows = posts.map((post) =>
+      columns
+        .map((column) =>
+          toCsvField(column === "images" ? post.images.join(" ") : post[column])
+        )
+        .join(",")
+    );
+    output = [columns.join(","), ...rows].join("\n") + "\n";
+  } else {
+    output = JSON.stringify(posts, null, 2) + "\n";
+  }
+
+  if (values.output) {
+    fs.writeFileSync(values.output, output);
+    console.error(`✓ ${posts.length}件を ${values.output} に出力しました`);
+  } else {
+    process.stdout.write(output);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * verify サブコマンド
+ * 公式サイトから削除された投稿を検出して記録する
+ */
+async function commandVerify(db, { values }) {
+  const { verifyUpstreamPosts, logVerificationSummary } = require("./upstreamVerifier");
+
+  const site = parseSiteOption(values.site, false);
+  const results = await verifyUpstreamPosts(db, {
+    site,
+    memberId: values.member || null,
+  });
+
+  if (results.length === 0) {
+    console.log("照合対象の投稿がありません");
+  }
+
+  if (values.json) {
+    const toSummary = ({ id, url, title, date }) => ({ id, url, title, date });
+    writeJson(
+      results.map((result) => ({
+        ...result,
+        deleted: result.deleted.map(toSummary),
+        restored: result.restored.map(toSummary),
+      }))
+    );
+  } else if (results.length > 0) {
+    logVerificationSummary(results);
+  }
+  return results.some((result) => result.error) ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * check-selectors サブコマンド
+ * サンプルページでの検証結果と、保存済みの不完全な投稿をまとめて報告する
+ */
+async function commandCheckSelectors(db, { values }) {
+  const {
+    DEFAULT_SAMPLE_COUNT,
+    checkSiteSelectors,
+    hasSelectorProblems,
+    logSelectorReport,
+    logIncompletePosts,
+  } = require("./selectorCheck");
+
+  const site = parseSiteOption(values.site, !!values.member);
+  const samples = values.samples === undefined ? DEFAULT_SAMPLE_COUNT : parseInt(values.samples);
+  if (isNaN(samples) || samples < 1) {
+    throw new CliUsageError(`--samples は1以上の数値で指定してください: ${values.samples}`);
+  }
+  const member = values.member ? await resolveMember(db, site, values.member) : null;
+
+  const reports = [];
+  for (const siteId of site ? [site] : getSiteIds()) {
+    const report = await checkSiteSelectors(db, siteId, { member, samples });
+    if (!values.json) logSelectorReport(report);
+    reports.push(report);
+  }
+
+  const incompletePosts = values["skip-db"] ? [] : await db.getIncompletePosts(site);
+  const ok = !reports.some(hasSelectorProblems) && incompletePosts.length === 0;
+
+  if (values.json) {
+    writeJson({ ok, sites: reports, incompletePosts });
+  } else if (!values["skip-db"]) {
+    logIncompletePosts(incompletePosts);
+  }
+  return ok ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * db サブコマンド
+ * マイグレーションはデータベースを開いた時点で適用されるため、migrate はその結果を報告する
+ */
+async function commandDb(db, { values, positionals }) {
+  const action = positionals[0];
+  if (action !== "migrate") {
+    throw new CliUsageError(`未対応のdbコマンドです: ${action || "(なし)"}`);
+  }
+
+  if (values.status) {
+    const status = await db.getMigrationStatus();
+    if (values.json) {
+      writeJson(status);
+    } else {
+      console.log(`スキーマバージョン: v${status.currentVersion}（最新: v${status.latestVersion}）`);
+      console.table(
+        status.migrations.map((migration) => ({
+          バージョン: migration.version,
+          名前: migration.name,
+          状態: migration.applied ? "✓ 適用済み" : "未適用",
+          適用日時: migration.appliedAt || "",
+          内容: migration.description,
+        }))
+      );
+    }
+    return status.currentVersion === status.latestVersion ? EXIT_OK : EXIT_FAILURE;
+  }
+
+  const result = await db.ready;
+  if (values.json) {
+    writeJson(result);
+  } else if (result.applied.length === 0) {
+    console.log(chalk.green(`✓ スキーマは最新です（v${result.toVersion}）`));
+  } else {
+    console.log(
+      chalk.green(
+        `✓ v${result.fromVersion} → v${result.toVersion}: ${result.applied
+          .map((migration) => `${migration.version}_${migration.name}`)
+          .join(", ")} を適用しました`
+      )
+    );
+    if (result.backupPath) {
+      console.log(`バックアップ: ${result.backupPath}`);
+    }
+  }
+  return EXIT_OK;
+}
+
+/**
+ * 標準入力を最後まで読み込む
+ * @returns {Promise<string>} 入力内容
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => (data += chunk));
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+/**
+ * 新しいパスワードを取得（--password-stdin 指定時は標準入力の1行目、それ以外は対話入力）
+ * @param {object} values - オプション
+ * @returns {Promise<string>} 検証済みのパスワード
+ */
+async function readNewPassword(values) {
+  let password;
+  if (values["password-stdin"]) {
+    password = (await readStdin()).split(/\r?\n/)[0];
+  } else {
+    if (!process.stdin.isTTY) {
+      throw new CliUsageError("端末以外から実行する場合は --password-stdin でパスワードを渡してください");
+    }
+    const inquirer = require("inquirer").default;
+    const answers = await inquirer.prompt([
+      { type: "password", name: "password", message: "パスワード:", mask: "*" },
+      { type: "password", name: "confirm", message: "パスワード（確認）:", mask: "*" },
+    ]);
+    if (answers.password !== answers.confirm) {
+      throw new CliUsageError("パスワードが一致しません");
+    }
+    password = answers.password;
+  }
+
+  const error = validatePassword(password);
+  if (error) throw new CliUsageError(error);
+  return password;
+}
+
+/**
+ * --role の値を検証
+ * @param {string|undefined} role - 権限
+ * @param {string|null} defaultValue - 省略時の値（nullなら必須）
+ * @returns {string} 検証済みの権限
+ */
+function parseRoleOption(role, defaultValue) {
+  if (!role) {
+    if (!defaultValue) throw new CliUsageError("--role を指定してください");
+    return defaultValue;
+  }
+  if (!ROLES.includes(role)) {
+    throw new CliUsageError(`--role は ${ROLES.join(" / ")} のいずれかで指定してください: ${role}`);
+  }
+  return role;
+}
+
+/**
+ * users サブコマンド
+ * Webビューアーのログインユーザーを管理する
+ */
+async function commandUsers(db, { values, positionals }) {
+  const [action = "list", username] = positionals;
+
+  if (action === "list") {
+    const users = await db.getUsers();
+    if (values.json) {
+      writeJson(users);
+    } else if (users.length === 0) {
+      console.log("ユーザーは登録されていません（ログインなしで閲覧のみ可能です）");
+    } else {
+      users.forEach((user) => {
+        console.log(
+          [
+            user.username,
+            ROLE_LABELS[user.role] || user.role,
+            `最終ログイン: ${user.last_login_at || "-"}`,
+          ].join("\t")
+        );
+      });
+    }
+    return EXIT_OK;
+  }
+
+  if (!["add", "reset-password", "set-role", "remove"].includes(action)) {
+    throw new CliUsageError(`未対応のusersコマンドです: ${action}`);
+  }
+  if (!username) {
+    throw new CliUsageError("ユーザー名を指定してください");
+  }
+
+  if (action === "add") {
+    const usernameError = validateUsername(username);
+    if (usernameError) throw new CliUsageError(usernameError);
+    const role = parseRoleOption(values.role, "viewer");
+    if (await db.getUserByUsername(username)) {
+      console.error(chalk.red(`ユーザーは既に存在します: ${username}`));
+      return EXIT_FAILURE;
+    }
+
+    const password = await readNewPassword(values);
+    await db.createUser({ username, passwordHash: await hashPassword(password), role });
+    console.log(chalk.green(`✓ ユーザーを作成しました: ${username}（${ROLE_LABELS[role]}）`));
+    return EXIT_OK;
+  }
+
+  if (!(await db.getUserByUsername(username))) {
+    console.error(chalk.red(`ユーザーが見つかりません: ${username}`));
+    return EXIT_FAILURE;
+  }
+
+  if (action === "reset-password") {
+    const password = await readNewPassword(values);
+    await db.updateUserPassword(username, await hashPassword(password));
+    console.log(chalk.green(`✓ パスワードを変更しました: ${username}`));
+  } else if (action === "set-role") {
+    const role = parseRoleOption(values.role, null);
+    await db.updateUserRole(username, role);
+    console.log(chalk.green(`✓ 権限を変更しました: ${username}（${ROLE_LABELS[role]}）`));
+  } else {
+    await db.deleteUser(username);
+    console.log(chalk.green(`✓ ユーザーを削除しました: ${username}`));
+  }
+  return EXIT_OK;
+}
+
+/**
+ * tokens サブコマンド
+ * スクリプトなどから JSON のルートを呼び出すための API トークンを管理する
+ */
+async function commandTokens(db, { values, positionals }) {
+  const [action = "list", target] = positionals;
+
+  if (action === "list") {
+    let userId = null;
+    if (values.user) {
+      const user = await db.getUserByUsername(values.user);
+      if (!user) {
+        console.error(chalk.red(`ユーザーが見つかりません: ${values.user}`));
+        return EXIT_FAILURE;
+      }
+      userId = user.id;
+    }
+
+    const tokens = await db.getApiTokens(userId);
+    if (values.json) {
+      writeJson(tokens);
+    } else if (tokens.length === 0) {
+      console.log("APIトークンはありません");
+    } else {
+      tokens.forEach((token) => {
+        console.log(
+          [
+            token.id,
+            token.username,
+            token.name,
+            `${token.token_prefix}…`,
+            API_TOKEN_SCOPE_LABELS[token.scope] || token.scope,
+            token.revoked_at
+              ? `失効: ${token.revoked_at}`
+              : `最終使用: ${token.last_used_at ? `${token.last_used_at} ${token.last_used_request}` : "-"}`,
+          ].join("\t")
+        );
+      });
+    }
+    return EXIT_OK;
+  }
+
+  if (action === "create") {
+    if (!target) throw new CliUsageError("ユーザー名を指定してください");
+    if (!values.name) throw new CliUsageError("--name を指定してください");
+    const user = await db.getUserByUsername(target);
+    if (!user) {
+      console.error(chalk.red(`ユーザーが見つかりません: ${target}`));
+      return EXIT_FAILURE;
+    }
+
+    let created;
+    try {
+      created = await createApiToken(db, user, { name: values.name, scope: values.scope || "read" });
+    } catch (error) {
+      throw new CliUsageError(error.message);
+    }
+    if (values.json) {
+      writeJson(created);
+    } else {
+      console.log(chalk.green(`✓ APIトークンを作成しました（ID: ${created.id}）。このトークンは再表示できません:`));
+      console.log(created.token);
+    }
+    return EXIT_OK;
+  }
+
+  if (action === "revoke") {
+    if (!target || !/^\d+$/.test(target)) {
+      throw new CliUsageError("失効させるトークンのIDを指定してください");
+    }
+    const changes = await db.revokeApiToken(Number(target));
+    if (changes === 0) {
+      console.error(chalk.red(`トークンが見つからないか、既に失効しています: ${target}`));
+      return EXIT_FAILURE;
+    }
+    console.log(chalk.green(`✓ APIトークンを失効させました: ${target}`));
+    return EXIT_OK;
+  }
+
+  throw new CliUsageError(`未対応のtokensコマンドです: ${action}`);
+}
+
+/**
+ * schedule サブコマンド
+ * アーカイブ済みのメンバーの新着を定期的に取得する（scheduler.js）
+ */
+async function commandSchedule(db, { values, positionals }) {
+  const { runScheduledUpdate, createScheduler } = require("./scheduler");
+  const { parseCronExpression, getNextCronTime } = require("./utils/cron");
+  const [action = "list"] = positionals;
+  const settings = config.scheduler;
+
+  if (action === "start") {
+    if (settings.schedules.length === 0) {
+      throw new CliUsageError('環境変数 SCHEDULE にスケジュールを設定してください（例: SCHEDULE="0 */6 * * *"）');
+    }
+    let scheduler;
+    try {
+      scheduler = createScheduler(db);
+    } catch (error) {
+      throw new CliUsageError(error.message);
+    }
+    await scheduler.start();
+
+    process.on("SIGINT", () => {
+      console.log("\n🛑 定期更新を停止します...");
+      scheduler.stop();
+      db.close();
+      process.exit(0);
+    });
+    return null;
+  }
+
+  if (action === "run") {
+    const run = await runScheduledUpdate(db, { trigger: "manual" });
+    if (values.json) {
+      writeJson(run);
+    }
+    return run.status === "failed" ? EXIT_FAILURE : EXIT_OK;
+  }
+
+  if (action === "list") {
+    let nextRuns;
+    try {
+      nextRuns = settings.schedules.map((expression) => ({
+        schedule: expression,
+        next: getNextCronTime(parseCronExpression(expression), new Date()),
+      }));
+    } catch (error) {
+      throw new CliUsageError(error.message);
+    }
+    const runs = await db.getScheduledRuns({ limit: 20 });
+
+    if (values.json) {
+      writeJson({ settings, nextRuns, runs });
+      return EXIT_OK;
+    }
+
+    const toJst = (date) => date.toLocaleString("ja-JP", { timeZone: "Asia/Tokyo" });
+    if (nextRuns.length === 0) {
+      console.log("スケジュールは設定されていません（環境変数 SCHEDULE）");
+    } else {
+      nextRuns.forEach(({ schedule, next }) => {
+        console.log(`${schedule}\t次回: ${toJst(next)}（最大${settings.jitterMinutes}分遅れ）`);
+      });
+      console.log(
+        `対象: ${settings.sites.length > 0 ? settings.sites.join(", ") : "全サイト"} / 画像: ${settings.downloadImages ? "取得する" : "取得しない"}` +
+          (settings.quietHours ? ` / 実行しない時間帯: ${settings.quietHours}時` : "")
+      );
+    }
+
+    console.log("\n実行履歴:");
+    if (runs.length === 0) {
+      console.log("  なし");
+    }
+    runs.forEach((run) => {
+      console.log(
+        [
+          `#${run.id}`,
+          run.started_at,
+          run.trigger === "manual" ? "手動" : `${run.schedule}（${run.scheduled_at} の回）`,
+          run.status,
+          `メンバー ${run.member_count}名（失敗 ${run.failed_count}名）`,
+          `記事 ${run.post_count}件`,
+          `画像 ${run.images_downloaded}枚`,
+          run.error || "",
+        ].join("\t")
+      );
+    });
+    return EXIT_OK;
+  }
+
+  throw new CliUsageError(`未対応のscheduleコマンドです: ${action}`);
+}
+
+const COMMANDS = {
+  scrape: {
+    handler: commandScrape,
+    options: {
+      site: { type: "string" },
+      member: { type: "string" },
+      all: { type: "boolean" },
+      limit: { type: "string" },
+      since: { type: "string" },
+      until: { type: "string" },
+      incremental: { type: "boolean" },
+      images: { type: "boolean" },
+      json: { type: "boolean" },
+    },
+  },
+  jobs: {
+    handler: commandJobs,
+    options: {
+      unfinished: { type: "boolean" },
+      json: { type: "boolean" },
+    },
+  },
+  resume: {
+    handler: commandResume,
+    options: {},
+  },
+  search: {
+    handler: commandSearch,
+    options: {
+      limit: { type: "string" },
+      sort: { type: "string" },
+      json: { type: "boolean" },
+    },
+  },
+  members: {
+    handler: commandMembers,
+    options: {
+      site: { type: "string" },
+      refresh: { type: "boolean" },
+      id: { type: "string" },
+      name: { type: "string" },
+      member: { type: "string" },
+      "skip-photos": { type: "boolean" },
+      json: { type: "boolean" },
+    },
+  },
+  serve: {
+    handler: commandServe,
+    options: {
+      port: { type: "string" },
+    },
+  },
+  export: {
+    handler: commandExport,
+    options: {
+      format: { type: "string" },
+      output: { type: "string" },
+      site: { type: "string" },
+      member: { type: "string" },
+    },
+  },
+  verify: {
+    handler: commandVerify,
+    options: {
+      site: { type: "string" },
+      member: { type: "string" },
+      json: { type: "boolean" },
+    },
+  },
+  "check-selectors": {
+    handler: commandCheckSelectors,
+    options: {
+      site: { type: "string" },
+      member: { type: "string" },
+      samples: { type: "string" },
+      "skip-db": { type: "boolean" },
+      json: { type: "boolean" },
+    },
+  },
+  db: {
+    handler: commandDb,
+    options: {
+      status: { type: "boolean" },
+      json: { type: "boolean" },
+    },
+  },
+  users: {
+    handler: commandUsers,
+    options: {
+      role: { type: "string" },
+      "password-stdin": { type: "boolean" },
+      json: { type: "boolean" },
+    },
+  },
+  tokens: {
+    handler: commandTokens,
+    options: {
+      user: { type: "string" },
+      name: { type: "string" },
+      scope: { type: "string" },
+      json: { type: "boolean" },
+    },
+  },
+  schedule: {
+    handler: commandSchedule,
+    options: {
+      json: { type: "boolean" },
+    },
+  },
+};
+
+/**
+ * CLIを実行
+ * @param {Array<string>} argv - コマンドライン引数（process.argv.slice(2)）
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @returns {Promise<number|null>} 終了コード（常駐するコマンドはnull）
+ */
+async function runCli(argv, db) {
+  const [commandName, ...rest] = argv;
+
+  if (["help", "--help", "-h"].includes(commandName)) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(chalk.red(`不明なコマンドです: ${commandName}\n`));
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  try {
+    const parsed = parseArgs({
+      args: rest,
+      options: command.options,
+      allowPositionals: true,
+      strict: true,
+    });
+
+    // JSON出力時は進捗ログを標準エラーへ逃がし、標準出力をJSON専用にする
+    if (parsed.values.json) {
+      console.log = (...args) => console.error(...args);
+    }
+
+    return await command.handler(db, parsed);
+  } catch (error) {
+    const isUsageError =
+      error instanceof CliUsageError ||
+      (error.code && error.code.startsWith("ERR_PARSE_ARGS_"));
+    if (isUsageError) {
+      console.error(chalk.red(`エラー: ${error.message}`));
+      console.error(`\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    console.error(chalk.red("Error:"), error);
+    return EXIT_FAILURE;
+  }
+}
+
+module.exports = { runCli };
@@ -28,10 +28,51 @@ const config = {
     path: path.join(__dirname, 'sakurazaka_blog.db')
   },
 
+  // ゴミ箱設定（削除した投稿の画像は dir に移し、retentionDays 日を過ぎると完全に削除する。0 で自動削除しない）
+  trash: {
+    dir: process.env.TRASH_DIR || path.join(__dirname, 'trash'),
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30)
+  },
+
+  // スクレイピング用フィクスチャ設定（utils/fixtures.js 参照）
+  fixtures: {
+    // 'record'（実サイトから記録）/ 'replay'（記録済みデータのみで実行）/ 未設定で無効
+    mode: process.env.SCRAPER_FIXTURES || null,
+    dir: process.env.SCRAPER_FIXTURES_DIR || path.join(__dirname, 'fixtures')
+  },
+
   // Webサーバー設定
   server: {
     port: process.env.PORT || 3000,
-    host: process.env.HOST || '0.0.0.0'
+    host: process.env.HOST || '0.0.0.0',
+    // 外部から見たURL（フィードのリンクに使う。未設定の場合はリクエストのホスト）
+    publicUrl: process.env.PUBLIC_URL || null
+  },
+
+  // Webビューアーの認証設定（auth.js 参照）
+  auth: {
+    // セッションの署名鍵（未設定の場合は起動ごとに生成し、再起動でログアウトされる）
+    sessionSecret: process.env.SESSION_SECRET || null,
+    // ログイン状態を保持する日数
+    sessionMaxAgeDays: Number(process.env.SESSION_MAX_AGE_DAYS || 7),
+    // ユーザー登録後もログインなしの閲覧（閲覧のみ）を許可するか
+    allowAnonymous: process.env.AUTH_ALLOW_ANONYMOUS === 'true'
+  },
+
+  // 定期更新の設定（scheduler.js 参照。時刻はすべて日本時間）
+  scheduler: {
+    // cron 形式のスケジュール（"分 時 日 月 曜日"、セミコロン区切りで複数）。未設定の場合は無効
+    schedules: (process.env.SCHEDULE || '').split(';').map(s => s.trim()).filter(Boolean),
+    // 実行時刻を 0〜N 分のランダムな時間だけ遅らせる（公式サイトに毎回同じ時刻にアクセスしないため）
+    jitterMinutes: Number(process.env.SCHEDULE_JITTER_MINUTES || 15),
+    // 実行しない時間帯 "開始時-終了時"（例: "1-7" で 1:00〜6:59。この時間帯に当たった回は実行しない）
+    quietHours: process.env.SCHEDULE_QUIET_HOURS || null,
+    // 対象サイト（カンマ区切り、未設定の場合は全サイト）
+    sites: (process.env.SCHEDULE_SITES || '').split(',').map(s => s.trim()).filter(Boolean),
+    // 画像もダウンロードするか
+    downloadImages: process.env.SCHEDULE_IMAGES !== 'false',
+    // Webサーバー（serve）の起動時にもスケジュールを実行するか
+    runInWebServer: process.env.SCHEDULE_IN_WEB_SERVER === 'true'
   }
 };
 
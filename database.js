@@ -1,130 +1,575 @@
 const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
 const { promisify } = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("./config");
+const { runMigrations, getMigrationStatus } = require("./migrations");
+const { normalizePublishedAt, toPublishedAtRange } = require("./utils/dateUtils");
+const {
+  SNIPPET_MARK_START,
+  SNIPPET_MARK_END,
+  toSearchText,
+  parseSearchQuery,
+  toFtsQuery,
+  toLikeCondition,
+  getPositiveTerms,
+  buildSnippet,
+} = require("./utils/searchQuery");
+
+/**
+ * DBに保存された画像パス（プロジェクトルートからの相対パスまたは絶対パス）を絶対パスに変換
+ * @param {string} storedPath - 保存されたパス
+ * @returns {string} 絶対パス
+ */
+function resolveStoredPath(storedPath) {
+  return path.isAbsolute(storedPath) ? storedPath : path.join(__dirname, storedPath);
+}
+
+/**
+ * 同じホストのプロセスが動いているかを確認
+ * @param {number} pid - プロセスID
+ * @returns {boolean} 動いていれば true（権限がなく確認できない場合も動いているとみなす）
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * 画像のゴミ箱内での保存先を求める（images/ 以下の構造をゴミ箱のフォルダ内に再現する）
+ * @param {string} localPath - blog_images.local_path
+ * @returns {string} ゴミ箱内のパス（プロジェクト内なら相対パス）
+ */
+function toTrashPath(localPath) {
+  const absolutePath = resolveStoredPath(localPath);
+  const relativePath = path.relative(__dirname, absolutePath);
+  const insideProject = !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+  const trashPath = path.join(
+    config.trash.dir,
+    insideProject ? relativePath : path.join("external", path.basename(absolutePath))
+  );
+
+  const trashRelative = path.relative(__dirname, trashPath);
+  return trashRelative.startsWith("..") ? trashPath : trashRelative;
+}
+
+/**
+ * ファイルを移動（移動先のフォルダがなければ作成し、別のドライブへの移動はコピーして元を削除）
+ * @param {string} from - 移動元の絶対パス
+ * @param {string} to - 移動先の絶対パス
+ */
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+// 別の接続（CLI と Web サーバーなど）が書き込み中の場合に、SQLITE_BUSY にせず待つ時間（sqlite3 の既定は1秒）
+const BUSY_TIMEOUT_MS = 10000;
+
+/**
+ * 保存済みの投稿と比較するための値に変換
+ * member_id は INTEGER 列のため、欅坂46の "03" のようなゼロ埋めのIDは 3 として保存される
+ * @param {string} field - blog_posts の列名
+ * @param {*} value - 値
+ * @returns {string} 比較用の文字列
+ */
+function toComparableValue(field, value) {
+  const text = String(value ?? "");
+  if (field === "member_id" && /^\d+$/.test(text)) {
+    return String(Number(text));
+  }
+  return text;
+}
 
 /**
  * ブログデータベース管理クラス
  * SQLite3を使用してブログ投稿、メンバー、画像情報を管理
  */
 class BlogDatabase {
-  constructor() {
-    const dbPath = path.join(__dirname, "sakurazaka_blog.db");
+  /**
+   * @param {string} dbPath - データベースファイルのパス（省略時はプロジェクト直下の sakurazaka_blog.db）
+   */
+  constructor(dbPath = path.join(__dirname, "sakurazaka_blog.db")) {
     this.db = new sqlite3.Database(dbPath);
+    // PRAGMA busy_timeout と同じ（マイグレーションより前に設定する）
+    this.db.configure("busyTimeout", BUSY_TIMEOUT_MS);
+
+    // 書き込みの順番待ち（runExclusive 参照）
+    this.writeQueue = Promise.resolve();
+    // runExclusive の処理中かどうか（その中からの書き込みは順番待ちしない）
+    this.writeScope = new AsyncLocalStorage();
 
     // Promisifyでメソッドをasync/await対応に
-    this.dbRun = promisify(this.db.run.bind(this.db));
-    this.dbGet = promisify(this.db.get.bind(this.db));
-    this.dbAll = promisify(this.db.all.bind(this.db));
-
-    this.initDatabase();
-  }
-
-  /**
-   * データベーステーブルを初期化
-   */
-  initDatabase() {
-    this.db.serialize(() => {
-      // メンバーテーブル
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS members (
-          id INTEGER PRIMARY KEY,
-          name TEXT NOT NULL,
-          blog_url TEXT
-        )
-      `);
-
-      // ブログ投稿テーブル
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS blog_posts (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          member_id INTEGER,
-          member_name TEXT,
-          url TEXT UNIQUE,
-          title TEXT,
-          date TEXT,
-          content TEXT,
-          site TEXT DEFAULT 'sakurazaka46',
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (member_id) REFERENCES members (id)
-        )
-      `);
-
-      // ブログ画像テーブル
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS blog_images (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          post_id INTEGER,
-          image_url TEXT,
-          local_path TEXT,
-          FOREIGN KEY (post_id) REFERENCES blog_posts (id)
-        )
-      `);
-
-      // 同一post_id内での画像URL重複を防止するユニークインデックス
-      this.db.run(`
-        CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_images_post_image
-        ON blog_images(post_id, image_url)
-      `);
+    const dbRun = promisify(this.db.run.bind(this.db));
+    const dbGet = promisify(this.db.get.bind(this.db));
+    const dbAll = promisify(this.db.all.bind(this.db));
+
+    // 起動時に未適用のスキーママイグレーションを適用（適用前に backups/ へバックアップを作成）
+    // クエリはすべて適用完了を待ってから実行する
+    this.ready = runMigrations(this.db, {
+      dbPath,
+      backupDir: path.join(__dirname, "backups"),
     });
+    // 失敗はクエリ実行時（または await db.ready）に伝わるため、未処理の拒否として扱わない
+    this.ready.catch(() => {});
+
+    this.dbRun = async (...args) => {
+      await this.ready;
+      return this.runExclusive(() => dbRun(...args));
+    };
+    this.dbGet = async (...args) => {
+      await this.ready;
+      return dbGet(...args);
+    };
+    this.dbAll = async (...args) => {
+      await this.ready;
+      return dbAll(...args);
+    };
   }
 
   /**
-   * メンバー情報を保存
-   * @param {object} member - メンバーオブジェクト {id, name, blogUrl}
+   * 書き込みを他の書き込み・トランザクションと重ならないよう順番に実行
+   * 接続は Web サーバー・Web からのスクレイピング・定期更新で共有しているため、
+   * トランザクションの途中に別の処理の書き込みが入ると、そのトランザクションに含まれて一緒に取り消されてしまう
+   * 処理の中（トランザクション内）からの書き込みはそのまま実行する
+   * @param {function(): Promise<*>} work - 実行する処理
+   * @returns {Promise<*>} work の戻り値
    */
-  async saveMember(member) {
-    const stmt = this.db.prepare(
-      "INSERT OR REPLACE INTO members (id, name, blog_url) VALUES (?, ?, ?)"
-    );
+  async runExclusive(work) {
+    if (this.writeScope.getStore()) {
+      return work();
+    }
 
-    return new Promise((resolve, reject) => {
-      stmt.run(member.id, member.name, member.blogUrl, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-      stmt.finalize();
+    const previous = this.writeQueue;
+    let release;
+    this.writeQueue = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    try {
+      await previous;
+      return await this.writeScope.run(true, work);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * 処理を1つのトランザクションで実行（例外が発生した場合はすべて取り消す）
+   * 実行中は他の書き込みを待たせる（読み込みは待たせない）
+   * @param {function(): Promise<*>} work - トランザクション内で実行する処理
+   * @returns {Promise<*>} work の戻り値
+   */
+  async runInTransaction(work) {
+    await this.ready;
+    return this.runExclusive(async () => {
+      await this.dbRun("BEGIN IMMEDIATE");
+      try {
+        const result = await work();
+        await this.dbRun("COMMIT");
+        return result;
+      } catch (error) {
+        await this.dbRun("ROLLBACK").catch(() => {});
+        throw error;
+      }
     });
   }
 
   /**
-   * 複数のメンバー情報を保存
-   * @param {Array<object>} members - メンバーオブジェクトの配列
+   * 更新系のSQLを実行（他の書き込みと順番に実行する）
+   * @param {string} sql - SQL
+   * @param {Array} params - パラメータ
+   * @returns {Promise<{lastID: number, changes: number}>} 追加した行のIDと変更された行数
+   */
+  async runStatement(sql, params = []) {
+    await this.ready;
+    return this.runExclusive(
+      () =>
+        new Promise((resolve, reject) => {
+          this.db.run(sql, params, function (err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+          });
+        })
+    );
+  }
+
+  /**
+   * スキーママイグレーションの適用状況を取得
+   * @returns {Promise<object>} {currentVersion, latestVersion, migrations: [{version, name, description, applied, appliedAt, backupPath}]}
+   */
+  async getMigrationStatus() {
+    await this.ready.catch(() => {});
+    return getMigrationStatus(this.db);
+  }
+
+  /**
+   * 投稿を全文検索の索引に登録（登録済みなら置き換える）
+   * @param {number} postId - 投稿ID
+   * @param {string} title - タイトル
+   * @param {string} content - HTML本文
+   */
+  async indexBlogPost(postId, title, content) {
+    await this.dbRun(
+      "INSERT OR REPLACE INTO blog_posts_fts (rowid, title, body) VALUES (?, ?, ?)",
+      [postId, title || "", toSearchText(content)]
+    );
+  }
+
+  /**
+   * サイト上のメンバーIDに対応する人物IDを取得（未登録なら作成）
+   * 同じ名前の人物が既にいれば、その人物に紐付ける
+   * @param {string} site - サイト識別子
+   * @param {string} memberId - サイト上のメンバーID
+   * @param {string} memberName - メンバー名
+   * @returns {Promise<number|null>} 人物ID
+   */
+  async resolvePersonId(site, memberId, memberName) {
+    if (memberId === undefined || memberId === null || memberId === "") {
+      return null;
+    }
+
+    const link = await this.dbGet(
+      "SELECT person_id FROM person_member_ids WHERE site = ? AND member_id = ?",
+      [site, memberId]
+    );
+    if (link) return link.person_id;
+    if (!memberName) return null;
+
+    // 並行して保存された場合も重複しないよう、UNIQUE制約に任せて作成する
+    const nameKey = memberName.replace(/\s+/g, "");
+    await this.dbRun(
+      "INSERT OR IGNORE INTO persons (name, name_key) VALUES (?, ?)",
+      [memberName, nameKey]
+    );
+    const person = await this.dbGet(
+      "SELECT id FROM persons WHERE name_key = ?",
+      [nameKey]
+    );
+
+    await this.dbRun(
+      "INSERT OR IGNORE INTO person_member_ids (site, member_id, person_id) VALUES (?, ?, ?)",
+      [site, memberId, person.id]
+    );
+    const saved = await this.dbGet(
+      "SELECT person_id FROM person_member_ids WHERE site = ? AND member_id = ?",
+      [site, memberId]
+    );
+    return saved.person_id;
+  }
+
+  /**
+   * 人物情報を取得（サイトごとのメンバーIDと投稿数を含む）
+   * @param {number} personId - 人物ID
+   * @returns {Promise<object|null>} {id, name, sites: [{site, member_id, post_count}]}
+   */
+  async getPerson(personId) {
+    const person = await this.dbGet("SELECT * FROM persons WHERE id = ?", [
+      personId,
+    ]);
+    if (!person) return null;
+
+    const sites = await this.dbAll(
+      `SELECT pmi.site, pmi.member_id, COUNT(bp.id) as post_count
+       FROM person_member_ids pmi
+       LEFT JOIN blog_posts bp
+         ON bp.site = pmi.site AND bp.member_id = pmi.member_id AND bp.deleted_at IS NULL
+       WHERE pmi.person_id = ?
+       GROUP BY pmi.site, pmi.member_id
+       ORDER BY MIN(bp.published_at)`,
+      [personId]
+    );
+
+    return { ...person, sites };
+  }
+
+  /**
+   * メンバー一覧ページで発見したメンバーを記録
+   * - 掲載されていたメンバーは最終確認日時を更新し、状態を 'active' にする
+   * - 以前の一覧にいて今回いなかったメンバーは 'graduated'（卒業）にする
+   * - 名前が変わっていれば新しい名前を表記ゆれとして追加する
+   * 取得に失敗した場合（空の一覧）は何も変更しない
+   * @param {string} site - サイト識別子
+   * @param {Array<object>} members - メンバーオブジェクトの配列 {id, name, blogUrl}
+   * @returns {Promise<object>} {added: 新規メンバー数, graduated: 卒業扱いにしたメンバー数}
+   */
+  async recordMemberDiscovery(site, members) {
+    const result = { added: 0, graduated: 0 };
+    if (members.length === 0) return result;
+
+    // CURRENT_TIMESTAMP と同じ形式（UTC）で、今回の確認日時を全メンバーにそろえる
+    const seenAt = new Date().toISOString().replace("T", " ").slice(0, 19);
+
+    for (const member of members) {
+      const memberId = String(member.id);
+      const existing = await this.dbGet(
+        `SELECT member_id FROM site_members
+         WHERE site = ? AND (member_id = ? OR CAST(member_id AS INTEGER) = CAST(? AS INTEGER))`,
+        [site, memberId, memberId]
+      );
+
+      if (!existing) {
+        result.added++;
+        await this.dbRun(
+          `INSERT INTO site_members (site, member_id, name, blog_url, first_seen_at, last_seen_at, status)
+           VALUES (?, ?, ?, ?, ?, ?, 'active')`,
+          [site, memberId, member.name, member.blogUrl || null, seenAt, seenAt]
+        );
+      } else {
+        // 投稿から補完したメンバーは、サイト上のIDの表記（"03" など）に合わせる
+        if (existing.member_id !== memberId) {
+          await this.dbRun(
+            "UPDATE site_members SET member_id = ? WHERE site = ? AND member_id = ?",
+            [memberId, site, existing.member_id]
+          );
+          await this.dbRun(
+            "UPDATE OR IGNORE site_member_names SET member_id = ? WHERE site = ? AND member_id = ?",
+            [memberId, site, existing.member_id]
+          );
+        }
+
+        await this.dbRun(
+          `UPDATE site_members SET
+             name = ?,
+             blog_url = COALESCE(?, blog_url),
+             first_seen_at = COALESCE(first_seen_at, ?),
+             last_seen_at = ?,
+             status = 'active',
+             updated_at = CURRENT_TIMESTAMP
+           WHERE site = ? AND member_id = ?`,
+          [member.name, member.blogUrl || null, seenAt, seenAt, site, memberId]
+        );
+      }
+
+      await this.dbRun(
+        "INSERT OR IGNORE INTO site_member_names (site, member_id, name, first_seen_at) VALUES (?, ?, ?, ?)",
+        [site, memberId, member.name, seenAt]
+      );
+    }
+
+    const seenIds = members.map((member) => String(member.id));
+    const missingCondition = `site = ? AND (status IS NULL OR status = 'active')
+         AND member_id NOT IN (${seenIds.map(() => "?").join(", ")})`;
+    const missing = await this.dbGet(
+      `SELECT COUNT(*) AS count FROM site_members WHERE ${missingCondition}`,
+      [site, ...seenIds]
+    );
+    await this.dbRun(
+      `UPDATE site_members SET status = 'graduated', updated_at = CURRENT_TIMESTAMP
+       WHERE ${missingCondition}`,
+      [site, ...seenIds]
+    );
+    result.graduated = missing.count;
+
+    return result;
+  }
+
+  /**
+   * メンバーを手動で登録（一覧ページに載っていないメンバーをアーカイブする場合）
+   * 既に登録済みの場合は名前を表記ゆれとして追加する
+   * @param {string} site - サイト識別子
+   * @param {object} member - {id, name, blogUrl}
    */
-  async saveMembers(members) {
-    return Promise.all(members.map((member) => this.saveMember(member)));
+  async addSiteMember(site, member) {
+    const memberId = String(member.id);
+    await this.dbRun(
+      `INSERT OR IGNORE INTO site_members (site, member_id, name, blog_url, first_seen_at, last_seen_at, status)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, NULL, NULL)`,
+      [site, memberId, member.name, member.blogUrl || null]
+    );
+    await this.dbRun(
+      "INSERT OR IGNORE INTO site_member_names (site, member_id, name) VALUES (?, ?, ?)",
+      [site, memberId, member.name]
+    );
   }
 
   /**
-   * 全メンバー情報を取得
+   * サイト別のメンバー情報を取得
+   * @param {string} site - サイト識別子
    * @returns {Promise<Array>} メンバーの配列
+   *   {id, name, blog_url, status, first_seen_at, last_seen_at, name_variants: 名前の配列}
+   */
+  async getSiteMembers(site) {
+    const rows = await this.dbAll(
+      `SELECT sm.member_id AS id, sm.name, sm.blog_url, sm.status,
+              sm.first_seen_at, sm.last_seen_at,
+              (SELECT json_group_array(n.name) FROM site_member_names n
+               WHERE n.site = sm.site AND n.member_id = sm.member_id) AS name_variants
+       FROM site_members sm
+       WHERE sm.site = ?
+       ORDER BY CAST(sm.member_id AS INTEGER)`,
+      [site]
+    );
+
+    return rows.map((row) => ({
+      ...row,
+      name_variants: JSON.parse(row.name_variants || "[]"),
+    }));
+  }
+
+  /**
+   * メンバーのプロフィールを保存
+   * 写真のURLが変わっていれば履歴に追加し、同じ写真なら最終確認日時だけ更新する
+   * @param {string} site - サイト識別子
+   * @param {string} memberId - サイト上のメンバーID
+   * @param {object} profile - {furigana, birthday, birthplace, bloodType, generation, height, graduation, profileUrl, photoUrl, photoPath}
+   */
+  async saveMemberProfile(site, memberId, profile) {
+    await this.dbRun(
+      `INSERT INTO member_profiles
+         (site, member_id, furigana, birthday, birthplace, blood_type, generation, height, graduation, profile_url, photo_url)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(site, member_id) DO UPDATE SET
+         furigana = excluded.furigana,
+         birthday = excluded.birthday,
+         birthplace = excluded.birthplace,
+         blood_type = excluded.blood_type,
+         generation = excluded.generation,
+         height = excluded.height,
+         graduation = excluded.graduation,
+         profile_url = excluded.profile_url,
+         photo_url = COALESCE(excluded.photo_url, member_profiles.photo_url),
+         fetched_at = CURRENT_TIMESTAMP`,
+      [
+        site,
+        String(memberId),
+        profile.furigana || null,
+        profile.birthday || null,
+        profile.birthplace || null,
+        profile.bloodType || null,
+        profile.generation || null,
+        profile.height || null,
+        profile.graduation || null,
+        profile.profileUrl || null,
+        profile.photoUrl || null,
+      ]
+    );
+
+    if (profile.photoUrl) {
+      await this.dbRun(
+        `INSERT INTO member_profile_photos (site, member_id, image_url, local_path)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(site, member_id, image_url) DO UPDATE SET
+           local_path = COALESCE(excluded.local_path, member_profile_photos.local_path),
+           last_seen_at = CURRENT_TIMESTAMP`,
+        [site, String(memberId), profile.photoUrl, profile.photoPath || null]
+      );
+    }
+  }
+
+  /**
+   * 保存済みのプロフィールを人物単位で取得
+   * 同じ人物に複数サイトのプロフィールがある場合は、最後に取得したものを使う
+   * @returns {Promise<Array>} プロフィールの配列 {person_id, site, member_id, furigana, birthday, ..., photo_path, status}
+   */
+  async getMemberProfiles() {
+    return this.dbAll(
+      `SELECT pmi.person_id, mp.*, sm.status,
+              (SELECT local_path FROM member_profile_photos ph
+               WHERE ph.site = mp.site AND ph.member_id = mp.member_id AND ph.image_url = mp.photo_url) AS photo_path
+       FROM member_profiles mp
+       JOIN person_member_ids pmi
+         ON pmi.site = mp.site AND pmi.member_id = CAST(mp.member_id AS INTEGER)
+       LEFT JOIN site_members sm
+         ON sm.site = mp.site AND sm.member_id = mp.member_id
+       WHERE mp.fetched_at = (
+         SELECT MAX(other.fetched_at)
+         FROM member_profiles other
+         JOIN person_member_ids opmi
+           ON opmi.site = other.site AND opmi.member_id = CAST(other.member_id AS INTEGER)
+         WHERE opmi.person_id = pmi.person_id
+       )
+       GROUP BY pmi.person_id`
+    );
+  }
+
+  /**
+   * 人物のプロフィール写真の履歴を取得（全サイト、新しい順）
+   * @param {number} personId - 人物ID
+   * @returns {Promise<Array>} 写真の配列 {site, member_id, image_url, local_path, first_seen_at, last_seen_at}
+   */
+  async getPersonProfilePhotos(personId) {
+    return this.dbAll(
+      `SELECT ph.site, ph.member_id, ph.image_url, ph.local_path, ph.first_seen_at, ph.last_seen_at
+       FROM member_profile_photos ph
+       JOIN person_member_ids pmi
+         ON pmi.site = ph.site AND pmi.member_id = CAST(ph.member_id AS INTEGER)
+       WHERE pmi.person_id = ?
+       ORDER BY ph.first_seen_at DESC, ph.id DESC`,
+      [personId]
+    );
+  }
+
+  /**
+   * 名前（表記ゆれを含む、空白は無視）からサイト上のメンバーを探す
+   * @param {string} site - サイト識別子
+   * @param {string} name - メンバー名
+   * @returns {Promise<object|null>} {id, name} または null
+   */
+  async findSiteMemberByName(site, name) {
+    if (!name) return null;
+
+    const row = await this.dbGet(
+      `SELECT sm.member_id AS id, sm.name
+       FROM site_member_names n
+       JOIN site_members sm ON sm.site = n.site AND sm.member_id = n.member_id
+       WHERE n.site = ? AND REPLACE(REPLACE(n.name, ' ', ''), '　', '') = ?
+       ORDER BY sm.last_seen_at DESC
+       LIMIT 1`,
+      [site, name.replace(/\s+/g, "")]
+    );
+    return row || null;
+  }
+
+  /**
+   * メンバーIDからサイト上のメンバーを探す
+   * blog_posts.member_id は INTEGER のため "03" が 3 になっている場合があり、数値としても比較する
+   * @param {string} site - サイト識別子
+   * @param {string|number} memberId - メンバーID
+   * @returns {Promise<object|null>} {id: サイト上の表記のメンバーID, name, status} または null
    */
-  async getMembers() {
-    return this.dbAll("SELECT * FROM members ORDER BY name");
+  async findSiteMemberById(site, memberId) {
+    if (memberId === null || memberId === undefined || memberId === "") return null;
+
+    const row = await this.dbGet(
+      `SELECT member_id AS id, name, status
+       FROM site_members
+       WHERE site = ? AND (member_id = ? OR CAST(member_id AS INTEGER) = CAST(? AS INTEGER))
+       ORDER BY member_id = ? DESC
+       LIMIT 1`,
+      [site, String(memberId), String(memberId), String(memberId)]
+    );
+    return row || null;
   }
 
   /**
-   * ブログ投稿から全メンバーを取得（櫻坂46と欅坂46両方）
+   * ブログ投稿から全メンバーを取得（全サイト）
+   * サイトごとのメンバーIDではなく人物単位でまとめる（idは人物ID）
    * @returns {Promise<Array>} メンバーの配列（投稿数とサイト情報を含む）
    */
   async getAllMembersFromPosts() {
     const rows = await this.dbAll(`
       SELECT
-        member_id as id,
-        member_name as name,
-        GROUP_CONCAT(DISTINCT site) as sites,
-        SUM(post_count) as post_count
-      FROM (
-        SELECT
-          member_id,
-          member_name,
-          site,
-          COUNT(*) as post_count
-        FROM blog_posts
-        GROUP BY member_id, member_name, site
-      )
-      GROUP BY member_id, member_name
-      ORDER BY name
+        p.id as id,
+        p.name as name,
+        GROUP_CONCAT(DISTINCT bp.site) as sites,
+        COUNT(bp.id) as post_count
+      FROM persons p
+      JOIN blog_posts bp ON bp.person_id = p.id AND bp.deleted_at IS NULL
+      GROUP BY p.id, p.name
+      ORDER BY p.name
     `);
 
     // sitesにkeyakizaka46が含まれているかチェック
@@ -136,131 +581,262 @@ class BlogDatabase {
 
   /**
    * ブログ投稿を保存（画像情報も含む）
-   * @param {object} post - 投稿オブジェクト {memberId, memberName, url, title, date, content, site, images}
+   * 投稿・画像・全文検索の索引は1つのトランザクションで保存する
+   * @param {object} post - 投稿オブジェクト {memberId, memberName, url, title, date, time, content, site, images}
    * @returns {Promise<number>} 保存された投稿のID
    */
   async saveBlogPost(post) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT INTO blog_posts (member_id, member_name, url, title, date, content, site)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT(url) DO UPDATE SET
-          member_id=excluded.member_id,
-          member_name=excluded.member_name,
-          title=excluded.title,
-          date=excluded.date,
-          content=excluded.content,
-          site=excluded.site
-      `);
-
-      const self = this;
-      stmt.run(
+    const result = await this.runInTransaction(() => this.writeBlogPost(post));
+    return result.id;
+  }
+
+  /**
+   * 投稿を1件書き込む（トランザクション内から呼ぶ）
+   * 保存済みの投稿のタイトル・日付・本文が変わった場合は変更前の版を履歴に残す
+   * published_at は date と time（詳細ページから取得できた場合の時刻 "HH:MM"）から求める
+   * 保存済みの内容と同じで新しい画像もなければ何も書き込まない
+   * @param {object} post - 投稿オブジェクト {memberId, memberName, url, title, date, time, content, site, images}
+   * @returns {Promise<object>} {id, url, status: 'inserted' | 'updated' | 'unchanged'}
+   */
+  async writeBlogPost(post) {
+    const site = post.site || "sakurazaka46";
+    const publishedAt = normalizePublishedAt(post.date, post.time);
+
+    const existing = await this.dbGet(
+      `SELECT id, member_id, member_name, title, date, published_at, content, site
+       FROM blog_posts WHERE url = ?`,
+      [post.url]
+    );
+    const savedImages = existing
+      ? await this.dbAll("SELECT image_url FROM blog_images WHERE post_id = ?", [existing.id])
+      : [];
+    const savedImageUrls = new Set(savedImages.map((row) => row.image_url));
+    const newImages = [...new Set(post.images || [])].filter(
+      (imageUrl) => !savedImageUrls.has(imageUrl)
+    );
+
+    if (existing && newImages.length === 0) {
+      const incoming = {
+        member_id: post.memberId,
+        member_name: post.memberName,
+        title: post.title,
+        date: post.date,
+        published_at: publishedAt,
+        content: post.content,
+        site,
+      };
+      const changed = Object.keys(incoming).some(
+        (field) =>
+          toComparableValue(field, existing[field]) !== toComparableValue(field, incoming[field])
+      );
+      if (!changed) {
+        return { id: existing.id, url: post.url, status: "unchanged" };
+      }
+    }
+
+    await this.recordPostRevision(post);
+    const personId = await this.resolvePersonId(
+      site,
+      post.memberId,
+      post.memberName
+    );
+
+    await this.dbRun(
+      `INSERT INTO blog_posts (member_id, member_name, url, title, date, published_at, content, site, person_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(url) DO UPDATE SET
+         member_id=excluded.member_id,
+         member_name=excluded.member_name,
+         title=excluded.title,
+         date=excluded.date,
+         published_at=excluded.published_at,
+         content=excluded.content,
+         site=excluded.site,
+         person_id=excluded.person_id`,
+      [
         post.memberId,
         post.memberName,
         post.url,
         post.title,
         post.date,
+        publishedAt,
         post.content,
-        post.site || "sakurazaka46",
-        function (err) {
-          if (err) {
-            reject(err);
-          } else {
-            // コンフリクト（更新）時は lastID が信頼できないため、URLでIDを取得
-            self.db.get(
-              "SELECT id FROM blog_posts WHERE url = ?",
-              [post.url],
-              (idErr, row) => {
-                if (idErr || !row) {
-                  reject(idErr || new Error("Failed to retrieve post id"));
-                  return;
-                }
-                const postId = row.id;
-
-                // 画像情報を保存
-                if (post.images && post.images.length > 0) {
-                  const imageStmt = self.db.prepare(
-                    "INSERT OR IGNORE INTO blog_images (post_id, image_url) VALUES (?, ?)"
-                  );
-
-                  post.images.forEach((imageUrl) => {
-                    imageStmt.run(postId, imageUrl);
-                  });
-
-                  imageStmt.finalize();
-                }
-
-                resolve(postId);
-              }
-            );
-          }
-        }
+        site,
+        personId,
+      ]
+    );
+
+    // コンフリクト（更新）時は lastID が信頼できないため、URLでIDを取得
+    const row = existing || (await this.dbGet("SELECT id FROM blog_posts WHERE url = ?", [post.url]));
+    if (!row) {
+      throw new Error("Failed to retrieve post id");
+    }
+
+    for (const imageUrl of newImages) {
+      await this.dbRun(
+        "INSERT OR IGNORE INTO blog_images (post_id, image_url) VALUES (?, ?)",
+        [row.id, imageUrl]
       );
+    }
 
-      stmt.finalize();
-    });
+    await this.indexBlogPost(row.id, post.title, post.content);
+
+    return { id: row.id, url: post.url, status: existing ? "updated" : "inserted" };
+  }
+
+  /**
+   * 保存済みの投稿と内容が異なる場合、変更前の版を blog_post_revisions に記録
+   * @param {object} post - これから保存する投稿オブジェクト {url, title, date, content}
+   * @returns {Promise<boolean>} 履歴を記録した場合true
+   */
+  async recordPostRevision(post) {
+    const existing = await this.dbGet(
+      "SELECT id, title, date, content FROM blog_posts WHERE url = ?",
+      [post.url]
+    );
+    if (!existing) return false;
+
+    const changed = ["title", "date", "content"].some(
+      (field) => (existing[field] || "") !== (post[field] || "")
+    );
+    if (!changed) return false;
+
+    await this.dbRun(
+      "INSERT INTO blog_post_revisions (post_id, title, date, content) VALUES (?, ?, ?, ?)",
+      [existing.id, existing.title, existing.date, existing.content]
+    );
+    return true;
+  }
+
+  /**
+   * 投稿の変更履歴を取得（古い順）
+   * @param {number} postId - 投稿ID
+   * @returns {Promise<Array>} 変更前の版の配列 {id, post_id, title, date, content, revised_at}
+   */
+  async getPostRevisions(postId) {
+    return this.dbAll(
+      "SELECT * FROM blog_post_revisions WHERE post_id = ? ORDER BY id",
+      [postId]
+    );
   }
 
   /**
    * 複数のブログ投稿を保存
+   * すべての投稿を1つのトランザクションで順番に保存し、途中で失敗した場合は1件も保存しない
+   * 同じURLの投稿が複数ある場合は後のものが優先される
    * @param {Array<object>} posts - 投稿オブジェクトの配列
-   * @returns {Promise<Array>} 保存された投稿IDの配列
+   * @returns {Promise<object>} {inserted, updated, unchanged: 件数, results: [{id, url, status}]}
    */
   async saveBlogPosts(posts) {
-    return Promise.all(posts.map((post) => this.saveBlogPost(post)));
+    const results = await this.runInTransaction(async () => {
+      const saved = [];
+      for (const post of posts) {
+        saved.push(await this.writeBlogPost(post));
+      }
+      return saved;
+    });
+
+    const countByStatus = (status) =>
+      results.filter((result) => result.status === status).length;
+    return {
+      inserted: countByStatus("inserted"),
+      updated: countByStatus("updated"),
+      unchanged: countByStatus("unchanged"),
+      results,
+    };
   }
 
   /**
-   * ブログ投稿を取得（画像情報も含む）
-   * @param {number|null} memberId - メンバーID（nullの場合は全メンバー）
-   * @param {number} limit - 取得件数制限（使用されていない - webServerで制御）
-   * @returns {Promise<Array>} 投稿の配列
+   * 指定URLのうちアーカイブ済みのものを取得
+   * @param {Array<string>} urls - チェックする投稿URLの配列
+   * @returns {Promise<Set<string>>} blog_postsに存在するURLの集合
    */
-  async getBlogPosts(memberId = null, limit = 10) {
-    let query = `
-      SELECT bp.*,
-             GROUP_CONCAT(bi.image_url ORDER BY bi.id) as images,
-             GROUP_CONCAT(COALESCE(bi.local_path, '') ORDER BY bi.id) as local_images
-      FROM blog_posts bp
-      LEFT JOIN blog_images bi ON bp.id = bi.post_id
-    `;
+  async getExistingPostUrls(urls) {
+    if (!urls || urls.length === 0) return new Set();
 
+    const placeholders = urls.map(() => "?").join(", ");
+    const rows = await this.dbAll(
+      `SELECT url FROM blog_posts WHERE url IN (${placeholders})`,
+      urls
+    );
+    return new Set(rows.map((row) => row.url));
+  }
+
+  /**
+   * 投稿日時（published_at）による絞り込み条件と並び順を組み立てる
+   * 日付範囲を指定した場合、published_at を持たない投稿は含めない
+   * @param {object} options - {dateFrom: "YYYY-MM-DD", dateTo: "YYYY-MM-DD", sortOrder: "asc" | "desc"}
+   * @returns {{conditions: Array<string>, params: Array<string>, orderBy: string}}
+   */
+  buildPublishedAtFilter({ dateFrom = null, dateTo = null, sortOrder = "desc" } = {}) {
+    const range = toPublishedAtRange(dateFrom, dateTo);
+    const conditions = [];
     const params = [];
 
-    if (memberId) {
-      query += " WHERE bp.member_id = ?";
-      params.push(memberId);
+    if (range.from) {
+      conditions.push("bp.published_at >= ?");
+      params.push(range.from);
+    }
+    if (range.to) {
+      conditions.push("bp.published_at <= ?");
+      params.push(range.to);
     }
 
-    query += " GROUP BY bp.id";
+    // 日時が不明な投稿はどちらの並び順でも最後にする
+    const direction = sortOrder === "asc" ? "ASC" : "DESC";
+    const orderBy = `bp.published_at IS NULL, bp.published_at ${direction}, bp.id ${direction}`;
 
-    const rows = await this.dbAll(query, params);
+    return { conditions, params, orderBy };
+  }
 
-    return rows.map((row) => ({
-      ...row,
-      images: row.images ? row.images.split(",") : [],
-      local_images: row.local_images ? row.local_images.split(",") : [],
-    }));
+  /**
+   * キーセット方式のページ分割の条件を組み立てる（buildPublishedAtFilter の並び順で、指定した投稿より後ろ）
+   * @param {object} after - 前のページの最後の投稿 {publishedAt: string|null, id: number}
+   * @param {string} sortOrder - "asc" | "desc"
+   * @returns {{sql: string, params: Array}}
+   */
+  buildAfterCondition(after, sortOrder = "desc") {
+    const op = sortOrder === "asc" ? ">" : "<";
+
+    // 日時が不明な投稿は最後に並ぶため、その中では投稿IDだけで比較する
+    if (after.publishedAt === null) {
+      return { sql: `(bp.published_at IS NULL AND bp.id ${op} ?)`, params: [after.id] };
+    }
+    return {
+      sql: `(bp.published_at IS NULL OR bp.published_at ${op} ? OR (bp.published_at = ? AND bp.id ${op} ?))`,
+      params: [after.publishedAt, after.publishedAt, after.id],
+    };
   }
 
   /**
-   * ブログ投稿をキーワードで検索
-   * @param {string} keyword - 検索キーワード
-   * @returns {Promise<Array>} 検索結果の投稿配列
+   * ブログ投稿を取得（画像情報も含む）
+   * @param {number|null} memberId - メンバーID（nullの場合は全メンバー）
+   * @param {number} limit - 取得件数制限（使用されていない - webServerで制御）
+   * @param {object} options - 投稿日時による絞り込みと並び順 {dateFrom, dateTo, sortOrder}
+   * @returns {Promise<Array>} 投稿の配列（published_at 順）
    */
-  async searchBlogPosts(keyword) {
+  async getBlogPosts(memberId = null, limit = 10, options = {}) {
+    const publishedAt = this.buildPublishedAtFilter(options);
+    const conditions = ["bp.deleted_at IS NULL", ...publishedAt.conditions];
+    const params = [...publishedAt.params];
+
+    if (memberId) {
+      conditions.unshift("bp.member_id = ?");
+      params.unshift(memberId);
+    }
+
     const query = `
       SELECT bp.*,
              GROUP_CONCAT(bi.image_url ORDER BY bi.id) as images,
              GROUP_CONCAT(COALESCE(bi.local_path, '') ORDER BY bi.id) as local_images
       FROM blog_posts bp
       LEFT JOIN blog_images bi ON bp.id = bi.post_id
-      WHERE bp.title LIKE ? OR bp.content LIKE ?
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
       GROUP BY bp.id
+      ORDER BY ${publishedAt.orderBy}
     `;
 
-    const searchTerm = `%${keyword}%`;
-    const rows = await this.dbAll(query, [searchTerm, searchTerm]);
+    const rows = await this.dbAll(query, params);
 
     return rows.map((row) => ({
       ...row,
@@ -270,21 +846,24 @@ class BlogDatabase {
   }
 
   /**
-   * 全ブログ投稿を取得（日付降順）
-   * @returns {Promise<Array>} 全投稿の配列
+   * 人物の全投稿を取得（全サイト・画像情報も含む）
+   * @param {number} personId - 人物ID
+   * @returns {Promise<Array>} 投稿の配列（日付降順）
    */
-  async getAllBlogPosts() {
-    const query = `
+  async getPersonPosts(personId) {
+    const rows = await this.dbAll(
+      `
       SELECT bp.*,
              GROUP_CONCAT(bi.image_url ORDER BY bi.id) as images,
              GROUP_CONCAT(COALESCE(bi.local_path, '') ORDER BY bi.id) as local_images
       FROM blog_posts bp
       LEFT JOIN blog_images bi ON bp.id = bi.post_id
+      WHERE bp.person_id = ? AND bp.deleted_at IS NULL
       GROUP BY bp.id
-      ORDER BY bp.date DESC
-    `;
-
-    const rows = await this.dbAll(query);
+      ORDER BY ${this.buildPublishedAtFilter().orderBy}
+    `,
+      [personId]
+    );
 
     return rows.map((row) => ({
       ...row,
@@ -294,38 +873,275 @@ class BlogDatabase {
   }
 
   /**
-   * 特定投稿の画像情報を取得
-   * @param {number} postId - 投稿ID
-   * @returns {Promise<Array>} 画像情報の配列
+   * ブログ投稿の検索条件を SQL に組み立てる（queryBlogPosts / getBlogPostStats で共通）
+   * キーワードは全文検索の索引（blog_posts_fts）を使い、その結果を m として結合する
+   * 3文字未満の語を含む場合は trigram の索引を使えないため、索引のテキストを LIKE で検索する
+   * @param {object} filters - 検索条件（queryBlogPosts を参照）
+   * @returns {{with: string, join: string, where: string, params: Array, orderBy: string, ftsQuery: string|null, terms: Array<string>}}
    */
-  async getBlogImages(postId) {
-    return this.dbAll("SELECT * FROM blog_images WHERE post_id = ?", [postId]);
-  }
+  buildPostQuery(filters = {}) {
+    const {
+      keyword = "",
+      titleSearch = "",
+      personIds = [],
+      site = "",
+      upstream = "",
+      sortOrder = "desc",
+    } = filters;
+    const groups = parseSearchQuery(keyword);
+    const ftsQuery = toFtsQuery(groups);
+    const publishedAt = this.buildPublishedAtFilter(filters);
+    const withParams = [];
+    // ゴミ箱の投稿は一覧・検索・集計に含めない
+    const conditions = ["bp.deleted_at IS NULL"];
+    const params = [];
+    let withClause = "";
+    let join = "";
 
-  /**
-   * ブログ投稿の画像ローカルパスを更新
-   * @param {string} postUrl - 投稿URL
-   * @param {Array<string>} localImagePaths - ローカル画像パスの配列
-   */
-  async updateBlogPostImages(postUrl, imagesOrLocalPaths, maybeLocalPaths) {
-    // 投稿IDを取得
-    const row = await this.dbGet("SELECT id FROM blog_posts WHERE url = ?", [
-      postUrl,
-    ]);
-    if (!row) {
-      throw new Error("Post not found");
+    if (keyword.trim()) {
+      let matches;
+      if (ftsQuery) {
+        matches = `
+          SELECT rowid AS post_id,
+                 snippet(blog_posts_fts, 1, ?, ?, '…', 24) AS snippet,
+                 bm25(blog_posts_fts, 10.0, 1.0) AS score
+          FROM blog_posts_fts
+          WHERE blog_posts_fts MATCH ?
+        `;
+        withParams.push(SNIPPET_MARK_START, SNIPPET_MARK_END, ftsQuery);
+      } else {
+        const like = toLikeCondition(groups, ["title", "body"]);
+        matches = `
+          SELECT rowid AS post_id, body AS snippet, NULL AS score
+          FROM blog_posts_fts
+          WHERE ${like.sql}
+        `;
+        withParams.push(...like.params);
+      }
+      withClause = `WITH m AS MATERIALIZED (${matches})`;
+      join = "JOIN m ON m.post_id = bp.id";
     }
-    const postId = row.id;
 
-    // オーバーロード判定:
-    // - 新シグネチャ: (postUrl, images: string[], localImagePaths: string[])
-    // - 旧シグネチャ: (postUrl, localImagePaths: string[])
-    const isNewSignature =
-      Array.isArray(imagesOrLocalPaths) && Array.isArray(maybeLocalPaths);
+    if (titleSearch) {
+      conditions.push("bp.title LIKE ? ESCAPE '\\'");
+      params.push(`%${titleSearch.replace(/[\\%_]/g, "\\$&")}%`);
+    }
 
-    if (isNewSignature) {
-      const images = imagesOrLocalPaths;
-      const localImagePaths = maybeLocalPaths;
+    // メンバー一覧のIDは人物ID（人物IDを持たない投稿はメンバーIDで代用）
+    if (personIds.length > 0) {
+      conditions.push(
+        `COALESCE(bp.person_id, bp.member_id) IN (${personIds.map(() => "?").join(", ")})`
+      );
+      // クエリ文字列のIDは文字列のため、数値として比較する
+      params.push(...personIds.map((id) => (/^\d+$/.test(String(id)) ? Number(id) : id)));
+    }
+
+    if (site) {
+      conditions.push("COALESCE(bp.site, 'sakurazaka46') = ?");
+      params.push(site);
+    }
+
+    // 公式サイトでの削除状態
+    if (upstream === "deleted") {
+      conditions.push("bp.upstream_status = 'deleted'");
+    } else if (upstream === "present") {
+      conditions.push("COALESCE(bp.upstream_status, 'present') != 'deleted'");
+    }
+
+    conditions.push(...publishedAt.conditions);
+    params.push(...publishedAt.params);
+
+    let orderBy = publishedAt.orderBy;
+    if (sortOrder === "relevance" && ftsQuery) {
+      orderBy = `m.score, ${this.buildPublishedAtFilter().orderBy}`;
+    } else if (sortOrder === "archived") {
+      // 保存した新しい順（後から過去の投稿を取得した場合も、その時点の新着として並ぶ）
+      orderBy = "bp.created_at DESC, bp.id DESC";
+    }
+
+    return {
+      with: withClause,
+      join,
+      where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+      params: [...withParams, ...params],
+      orderBy,
+      ftsQuery,
+      terms: getPositiveTerms(groups),
+    };
+  }
+
+  /**
+   * 条件に一致するブログ投稿を1ページ分取得（画像情報も含む）
+   * 絞り込み・並べ替え・ページ分割はすべて SQL で行い、画像は取得したページの投稿分だけ結合する
+   * @param {object} filters - 検索条件
+   *   - keyword: 全文検索キーワード（"..." でフレーズ、AND / OR / NOT を使える。書式は utils/searchQuery.js を参照）
+   *   - titleSearch: タイトルに含む文字列
+   *   - personIds: 人物IDの配列（いずれかの人物の投稿）
+   *   - site: サイト識別子
+   *   - upstream: "deleted" 削除済みのみ / "present" 公開中のみ
+   *   - dateFrom / dateTo: 投稿日の範囲 "YYYY-MM-DD"
+   *   - sortOrder: "desc" 新しい順 / "asc" 古い順 / "relevance" 関連度順（キーワードを索引で検索した場合のみ）
+   *     / "archived" 保存した新しい順（フィード用。after は使えない）
+   * @param {object} page - {limit: 取得件数（nullの場合は全件）, offset: 読み飛ばす件数,
+   *   after: 前のページの最後の投稿 {publishedAt, id}（新しい順・古い順のみ。指定した場合はその次の投稿から取得）}
+   * @returns {Promise<{posts: Array, total: number}>} 投稿の配列（キーワード指定時は snippet に一致箇所を目印で囲んだ抜粋を含む）と一致した総件数
+   */
+  async queryBlogPosts(filters = {}, { limit = null, offset = 0, after = null } = {}) {
+    const query = this.buildPostQuery(filters);
+    const matchColumns = query.join ? "m.snippet, m.score" : "NULL AS snippet, NULL AS score";
+    const afterCondition = after ? this.buildAfterCondition(after, filters.sortOrder) : null;
+
+    const countRow = await this.dbGet(
+      `${query.with}
+       SELECT COUNT(*) as count
+       FROM blog_posts bp
+       ${query.join}
+       ${query.where}`,
+      query.params
+    );
+
+    const rows = await this.dbAll(
+      `${query.with}${query.with ? "," : "WITH"} page AS (
+         SELECT bp.id, ${matchColumns},
+                ROW_NUMBER() OVER (ORDER BY ${query.orderBy}) AS position
+         FROM blog_posts bp
+         ${query.join}
+         ${query.where}${afterCondition ? ` AND ${afterCondition.sql}` : ""}
+         ORDER BY ${query.orderBy}
+         LIMIT ? OFFSET ?
+       )
+       SELECT bp.*, page.snippet, page.score,
+              GROUP_CONCAT(bi.image_url ORDER BY bi.id) as images,
+              GROUP_CONCAT(COALESCE(bi.local_path, '') ORDER BY bi.id) as local_images
+       FROM page
+       JOIN blog_posts bp ON bp.id = page.id
+       LEFT JOIN blog_images bi ON bp.id = bi.post_id
+       GROUP BY bp.id
+       ORDER BY page.position`,
+      [
+        ...query.params,
+        ...(afterCondition ? afterCondition.params : []),
+        limit === null ? -1 : limit,
+        offset,
+      ]
+    );
+
+    const posts = rows.map((row) => ({
+      ...row,
+      snippet:
+        query.join && !query.ftsQuery
+          ? buildSnippet(row.snippet, query.terms)
+          : row.snippet,
+      images: row.images ? row.images.split(",") : [],
+      local_images: row.local_images ? row.local_images.split(",") : [],
+    }));
+
+    return { posts, total: countRow.count };
+  }
+
+  /**
+   * 条件に一致するブログ投稿の集計（投稿数・投稿者数・画像数と、保存済み画像のパス）
+   * @param {object} filters - 検索条件（queryBlogPosts を参照）
+   * @returns {Promise<{totalPosts: number, uniqueAuthors: number, totalImages: number, localPaths: Array<string>}>}
+   */
+  async getBlogPostStats(filters = {}) {
+    const query = this.buildPostQuery(filters);
+    const matched = `${query.with}${query.with ? "," : "WITH"} matched AS (
+         SELECT bp.id, COALESCE(bp.person_id, bp.member_id) AS person_id
+         FROM blog_posts bp
+         ${query.join}
+         ${query.where}
+       )`;
+
+    const counts = await this.dbGet(
+      `${matched}
+       SELECT
+         (SELECT COUNT(*) FROM matched) AS totalPosts,
+         (SELECT COUNT(DISTINCT person_id) FROM matched) AS uniqueAuthors,
+         (SELECT COUNT(*) FROM blog_images WHERE post_id IN (SELECT id FROM matched)) AS totalImages`,
+      query.params
+    );
+    const images = await this.dbAll(
+      `${matched}
+       SELECT local_path FROM blog_images
+       WHERE post_id IN (SELECT id FROM matched)
+         AND local_path IS NOT NULL AND local_path != ''`,
+      query.params
+    );
+
+    return { ...counts, localPaths: images.map((row) => row.local_path) };
+  }
+
+  /**
+   * ブログ投稿をキーワードで全文検索（全件）
+   * @param {string} keyword - 検索キーワード（書式は queryBlogPosts を参照）
+   * @param {object} options - 投稿日時による絞り込みと並び順 {dateFrom, dateTo, sortOrder}
+   * @returns {Promise<Array>} 検索結果の投稿配列（snippet に一致箇所を目印で囲んだ本文の抜粋を含む）
+   */
+  async searchBlogPosts(keyword, options = {}) {
+    if (parseSearchQuery(keyword).length === 0) return [];
+    const { posts } = await this.queryBlogPosts({ ...options, keyword });
+    return posts;
+  }
+
+  /**
+   * 全ブログ投稿を取得（日付降順）
+   * @returns {Promise<Array>} 全投稿の配列
+   */
+  async getAllBlogPosts() {
+    const query = `
+      SELECT bp.*,
+             GROUP_CONCAT(bi.image_url ORDER BY bi.id) as images,
+             GROUP_CONCAT(COALESCE(bi.local_path, '') ORDER BY bi.id) as local_images
+      FROM blog_posts bp
+      LEFT JOIN blog_images bi ON bp.id = bi.post_id
+      WHERE bp.deleted_at IS NULL
+      GROUP BY bp.id
+      ORDER BY ${this.buildPublishedAtFilter().orderBy}
+    `;
+
+    const rows = await this.dbAll(query);
+
+    return rows.map((row) => ({
+      ...row,
+      images: row.images ? row.images.split(",") : [],
+      local_images: row.local_images ? row.local_images.split(",") : [],
+    }));
+  }
+
+  /**
+   * 特定投稿の画像情報を取得
+   * @param {number} postId - 投稿ID
+   * @returns {Promise<Array>} 画像情報の配列
+   */
+  async getBlogImages(postId) {
+    return this.dbAll("SELECT * FROM blog_images WHERE post_id = ?", [postId]);
+  }
+
+  /**
+   * ブログ投稿の画像ローカルパスを更新
+   * @param {string} postUrl - 投稿URL
+   * @param {Array<string>} localImagePaths - ローカル画像パスの配列
+   */
+  async updateBlogPostImages(postUrl, imagesOrLocalPaths, maybeLocalPaths) {
+    // 投稿IDを取得
+    const row = await this.dbGet("SELECT id FROM blog_posts WHERE url = ?", [
+      postUrl,
+    ]);
+    if (!row) {
+      throw new Error("Post not found");
+    }
+    const postId = row.id;
+
+    // オーバーロード判定:
+    // - 新シグネチャ: (postUrl, images: string[], localImagePaths: string[])
+    // - 旧シグネチャ: (postUrl, localImagePaths: string[])
+    const isNewSignature =
+      Array.isArray(imagesOrLocalPaths) && Array.isArray(maybeLocalPaths);
+
+    if (isNewSignature) {
+      const images = imagesOrLocalPaths;
+      const localImagePaths = maybeLocalPaths;
       if (!images || !localImagePaths) return;
       // 各 image_url に対して local_path をマップ（存在しなければ行を作成）
       for (let i = 0; i < images.length; i++) {
@@ -400,7 +1216,7 @@ class BlogDatabase {
              GROUP_CONCAT(COALESCE(bi.local_path, '') ORDER BY bi.id) as local_images
       FROM blog_posts bp
       LEFT JOIN blog_images bi ON bp.id = bi.post_id
-      WHERE bp.id = ?
+      WHERE bp.id = ? AND bp.deleted_at IS NULL
       GROUP BY bp.id
     `;
 
@@ -418,114 +1234,797 @@ class BlogDatabase {
   }
 
   /**
-   * ブログ投稿を削除（画像ファイルとレコードも削除）
+   * 同じ人物（人物IDがなければ同じサイトのメンバー）の前後の投稿を取得
+   * 並び順は投稿一覧と同じ published_at 降順（日時が同じ場合は投稿ID順、日時不明の投稿は最後）
+   * @param {object} post - 基準の投稿 {id, person_id, site, member_id, published_at}
+   * @returns {Promise<{newer: object|null, older: object|null}>} 1つ新しい投稿と1つ古い投稿
+   */
+  async getAdjacentPosts(post) {
+    const scope = post.person_id
+      ? { condition: "person_id = ? AND deleted_at IS NULL", params: [post.person_id] }
+      : {
+          condition: "COALESCE(site, 'sakurazaka46') = ? AND member_id = ? AND deleted_at IS NULL",
+          params: [post.site || "sakurazaka46", post.member_id],
+        };
+    const key = "COALESCE(published_at, '')";
+    const current = post.published_at || "";
+
+    const newer = await this.dbGet(
+      `SELECT * FROM blog_posts
+       WHERE ${scope.condition} AND (${key} > ? OR (${key} = ? AND id > ?))
+       ORDER BY ${key} ASC, id ASC
+       LIMIT 1`,
+      [...scope.params, current, current, post.id]
+    );
+    const older = await this.dbGet(
+      `SELECT * FROM blog_posts
+       WHERE ${scope.condition} AND (${key} < ? OR (${key} = ? AND id < ?))
+       ORDER BY ${key} DESC, id DESC
+       LIMIT 1`,
+      [...scope.params, current, current, post.id]
+    );
+
+    return { newer: newer || null, older: older || null };
+  }
+
+  /**
+   * タイトル・日付・本文のいずれかが空のまま保存された投稿を取得
+   * （抽出処理がサイトのマークアップ変更に追従できていない兆候）
+   * @param {string|null} site - サイト識別子（nullの場合は全サイト）
+   * @returns {Promise<Array>} 投稿の配列（missing に空だった項目名を含む）
+   */
+  async getIncompletePosts(site = null) {
+    let query = `
+      SELECT id, site, member_id, member_name, url, title, date,
+             LENGTH(TRIM(COALESCE(content, ''))) as content_length
+      FROM blog_posts
+      WHERE deleted_at IS NULL
+        AND (TRIM(COALESCE(title, '')) = ''
+         OR TRIM(COALESCE(date, '')) = ''
+         OR TRIM(COALESCE(content, '')) = '')
+    `;
+    const params = [];
+
+    if (site) {
+      query += " AND site = ?";
+      params.push(site);
+    }
+
+    query += " ORDER BY site, id";
+
+    const rows = await this.dbAll(query, params);
+
+    return rows.map((row) => ({
+      ...row,
+      missing: [
+        !String(row.title || "").trim() && "title",
+        !String(row.date || "").trim() && "date",
+        row.content_length === 0 && "content",
+      ].filter(Boolean),
+    }));
+  }
+
+  /**
+   * メンバーの保存済み投稿を取得（公式サイトとの突き合わせ用）
+   * @param {string} site - サイト識別子
+   * @param {string} memberId - サイト上のメンバーID
+   * @returns {Promise<Array>} 投稿の配列 {id, url, title, date, upstream_status}
+   */
+  async getMemberPostsForVerification(site, memberId) {
+    return this.dbAll(
+      `SELECT id, url, title, date, upstream_status
+       FROM blog_posts
+       WHERE site = ? AND member_id = ?`,
+      [site, memberId]
+    );
+  }
+
+  /**
+   * 保存済み投稿のメンバー一覧をサイトごとに取得（公式サイトとの突き合わせ対象）
+   * @param {string|null} site - サイト識別子（nullの場合は全サイト）
+   * @returns {Promise<Array>} {site, member_id, member_name, post_count}
+   */
+  async getArchivedMembersBySite(site = null) {
+    const params = [];
+    let query = `
+      SELECT site, member_id, MAX(member_name) as member_name, COUNT(*) as post_count
+      FROM blog_posts
+    `;
+    if (site) {
+      query += " WHERE site = ?";
+      params.push(site);
+    }
+    query += " GROUP BY site, member_id ORDER BY site, member_id";
+    return this.dbAll(query, params);
+  }
+
+  /**
+   * 投稿の公式サイト上の存在状態を更新
+   * 削除を検出した日時は最初に検出した時点のまま保持する
+   * @param {Array<number>} postIds - 投稿IDの配列
+   * @param {string} status - 'present'（公開中） / 'deleted'（公式サイトから削除済み）
+   */
+  async updateUpstreamStatus(postIds, status) {
+    if (!postIds || postIds.length === 0) return;
+
+    const deletedAt =
+      status === "deleted"
+        ? "COALESCE(upstream_deleted_at, CURRENT_TIMESTAMP)"
+        : "NULL";
+
+    // SQLiteのプレースホルダ数の上限を超えないよう分割して更新
+    const chunkSize = 500;
+    for (let i = 0; i < postIds.length; i += chunkSize) {
+      const chunk = postIds.slice(i, i + chunkSize);
+      const placeholders = chunk.map(() => "?").join(", ");
+      await this.dbRun(
+        `UPDATE blog_posts
+         SET upstream_status = ?,
+             upstream_checked_at = CURRENT_TIMESTAMP,
+             upstream_deleted_at = ${deletedAt}
+         WHERE id IN (${placeholders})`,
+        [status, ...chunk]
+      );
+    }
+  }
+
+  /**
+   * トランザクション内でファイルを移動しながら処理を実行
+   * 処理が失敗してレコードの変更が取り消された場合は、移動したファイルも元の場所に戻す
+   * @param {function(function(string, string): void): Promise<*>} work - (move) => 処理。move(from, to) でファイルを移動する
+   * @returns {Promise<*>} work の戻り値
+   */
+  async runInTransactionWithFileMoves(work) {
+    const moved = [];
+    const move = (from, to) => {
+      moveFile(from, to);
+      moved.push({ from, to });
+    };
+
+    try {
+      return await this.runInTransaction(() => work(move));
+    } catch (error) {
+      moved.reverse().forEach(({ from, to }) => {
+        try {
+          moveFile(to, from);
+        } catch (moveError) {
+          console.error(`  ✗ 画像ファイルを元に戻せませんでした: ${to}`, moveError.message);
+        }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * ブログ投稿をゴミ箱に移動（画像ファイルはゴミ箱のフォルダへ移す）
+   * ゴミ箱の投稿は一覧・検索・統計に表示されず、restoreBlogPost() で元に戻せる
    * @param {number} postId - 削除する投稿ID
-   * @returns {Promise<number>} 削除された行数
+   * @returns {Promise<number>} ゴミ箱に移動した投稿数（見つからない・移動済みの場合は0）
    */
   async deleteBlogPost(postId) {
-    console.log(`\n=== ブログ削除開始: Post ID = ${postId} ===`);
-
-    return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        // 先に画像情報を取得して、ローカルファイルを削除
-        this.db.all(
-          "SELECT local_path FROM blog_images WHERE post_id = ?",
-          [postId],
-          (err, imageRows) => {
-            if (err) {
-              console.error("画像情報取得エラー:", err);
-              reject(err);
-              return;
-            }
-
-            console.log(`画像レコード数: ${imageRows ? imageRows.length : 0}`);
-
-            // ローカル画像ファイルを削除
-            if (imageRows && imageRows.length > 0) {
-              imageRows.forEach((row, index) => {
-                console.log(`\n[画像 ${index + 1}/${imageRows.length}]`);
-                console.log(`  local_path: ${row.local_path}`);
-
-                if (row.local_path) {
-                  try {
-                    // 相対パスを絶対パスに変換
-                    const absolutePath = row.local_path.startsWith("/")
-                      ? row.local_path
-                      : path.join(__dirname, row.local_path);
-
-                    console.log(`  絶対パス: ${absolutePath}`);
-                    console.log(
-                      `  ファイル存在: ${fs.existsSync(absolutePath)}`
-                    );
-
-                    if (fs.existsSync(absolutePath)) {
-                      fs.unlinkSync(absolutePath);
-                      console.log(
-                        `  ✓ 画像ファイル削除成功: ${row.local_path}`
-                      );
-                    } else {
-                      console.log(
-                        `  ✗ ファイルが見つかりません: ${absolutePath}`
-                      );
-                    }
-                  } catch (fileErr) {
-                    console.error(
-                      `  ✗ 画像ファイル削除エラー: ${row.local_path}`,
-                      fileErr.message
-                    );
-                    // ファイル削除エラーは続行（データベースレコードは削除する）
-                  }
-                } else {
-                  console.log(`  ✗ local_pathが空です`);
-                }
-              });
-            } else {
-              console.log("削除する画像ファイルはありません");
-            }
-
-            // データベースから画像レコードを削除
-            this.db.run(
-              "DELETE FROM blog_images WHERE post_id = ?",
-              [postId],
-              (err) => {
-                if (err) {
-                  console.error("画像レコード削除エラー:", err);
-                  reject(err);
-                  return;
-                }
-
-                console.log("✓ データベースから画像レコードを削除");
-
-                // ブログ投稿を削除
-                this.db.run(
-                  "DELETE FROM blog_posts WHERE id = ?",
-                  [postId],
-                  function (err) {
-                    if (err) {
-                      console.error("ブログ投稿削除エラー:", err);
-                      reject(err);
-                    } else {
-                      console.log(
-                        `✓ ブログ投稿を削除 (変更行数: ${this.changes})`
-                      );
-                      console.log("=== ブログ削除完了 ===\n");
-                      resolve(this.changes);
-                    }
-                  }
-                );
-              }
-            );
-          }
-        );
-      });
+    const changes = await this.runInTransactionWithFileMoves(async (move) => {
+      const post = await this.dbGet(
+        "SELECT id FROM blog_posts WHERE id = ? AND deleted_at IS NULL",
+        [postId]
+      );
+      if (!post) return 0;
+
+      const images = await this.dbAll(
+        "SELECT id, local_path FROM blog_images WHERE post_id = ? AND local_path IS NOT NULL AND local_path != ''",
+        [postId]
+      );
+      for (const image of images) {
+        const localPath = resolveStoredPath(image.local_path);
+        if (!fs.existsSync(localPath)) continue;
+
+        const trashPath = toTrashPath(image.local_path);
+        move(localPath, resolveStoredPath(trashPath));
+        await this.dbRun("UPDATE blog_images SET trash_path = ? WHERE id = ?", [
+          trashPath,
+          image.id,
+        ]);
+      }
+
+      await this.dbRun(
+        "UPDATE blog_posts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [postId]
+      );
+      return 1;
+    });
+
+    if (changes > 0) {
+      console.log(`🗑️ ゴミ箱に移動しました: Post ID = ${postId}`);
+    }
+    return changes;
+  }
+
+  /**
+   * ゴミ箱の投稿を元に戻す（画像ファイルも元の場所へ戻す）
+   * @param {number} postId - 投稿ID
+   * @returns {Promise<number>} 復元した投稿数（ゴミ箱にない場合は0）
+   */
+  async restoreBlogPost(postId) {
+    const changes = await this.runInTransactionWithFileMoves(async (move) => {
+      const post = await this.dbGet(
+        "SELECT id FROM blog_posts WHERE id = ? AND deleted_at IS NOT NULL",
+        [postId]
+      );
+      if (!post) return 0;
+
+      const images = await this.dbAll(
+        "SELECT id, local_path, trash_path FROM blog_images WHERE post_id = ? AND trash_path IS NOT NULL",
+        [postId]
+      );
+      for (const image of images) {
+        const trashPath = resolveStoredPath(image.trash_path);
+        if (fs.existsSync(trashPath)) {
+          move(trashPath, resolveStoredPath(image.local_path));
+        }
+        await this.dbRun("UPDATE blog_images SET trash_path = NULL WHERE id = ?", [
+          image.id,
+        ]);
+      }
+
+      await this.dbRun("UPDATE blog_posts SET deleted_at = NULL WHERE id = ?", [
+        postId,
+      ]);
+      return 1;
+    });
+
+    if (changes > 0) {
+      console.log(`♻️ ゴミ箱から復元しました: Post ID = ${postId}`);
+    }
+    return changes;
+  }
+
+  /**
+   * ゴミ箱の投稿を完全に削除（画像ファイル・画像レコード・変更履歴・全文検索の索引も削除）
+   * レコードの削除を確定してから画像ファイルを削除する
+   * @param {number} postId - 投稿ID
+   * @returns {Promise<number>} 削除した投稿数（ゴミ箱にない場合は0）
+   */
+  async purgeBlogPost(postId) {
+    const files = await this.runInTransaction(async () => {
+      const post = await this.dbGet(
+        "SELECT id FROM blog_posts WHERE id = ? AND deleted_at IS NOT NULL",
+        [postId]
+      );
+      if (!post) return null;
+
+      const images = await this.dbAll(
+        "SELECT local_path, trash_path FROM blog_images WHERE post_id = ?",
+        [postId]
+      );
+
+      await this.dbRun("DELETE FROM blog_images WHERE post_id = ?", [postId]);
+      await this.dbRun("DELETE FROM blog_post_revisions WHERE post_id = ?", [postId]);
+      await this.dbRun("DELETE FROM blog_posts_fts WHERE rowid = ?", [postId]);
+      await this.dbRun("DELETE FROM blog_posts WHERE id = ?", [postId]);
+
+      return images
+        .map((image) => image.trash_path || image.local_path)
+        .filter(Boolean);
+    });
+    if (!files) return 0;
+
+    files.forEach((file) => {
+      const absolutePath = resolveStoredPath(file);
+      try {
+        if (fs.existsSync(absolutePath)) {
+          fs.unlinkSync(absolutePath);
+        }
+      } catch (fileErr) {
+        // ファイル削除エラーは続行（レコードは削除済み）
+        console.error(`  ✗ 画像ファイル削除エラー: ${file}`, fileErr.message);
+      }
+    });
+
+    console.log(`✓ ブログ投稿を完全に削除しました: Post ID = ${postId}（画像 ${files.length}件）`);
+    return 1;
+  }
+
+  /**
+   * ゴミ箱の投稿一覧を取得（ゴミ箱に移動した日時の新しい順）
+   * @param {number|null} retentionDays - 保存期間（日）。指定すると自動削除の予定日時 purge_at を含める
+   * @returns {Promise<Array>} 投稿の配列 {id, site, member_name, title, date, published_at, url, upstream_status, deleted_at, image_count, purge_at}
+   */
+  async getTrashedPosts(retentionDays = null) {
+    return this.dbAll(
+      `SELECT bp.id, bp.site, bp.member_name, bp.title, bp.date, bp.published_at, bp.url,
+              bp.upstream_status, bp.deleted_at, COUNT(bi.id) as image_count,
+              CASE WHEN ? > 0 THEN datetime(bp.deleted_at, '+' || ? || ' days') END as purge_at
+       FROM blog_posts bp
+       LEFT JOIN blog_images bi ON bp.id = bi.post_id
+       WHERE bp.deleted_at IS NOT NULL
+       GROUP BY bp.id
+       ORDER BY bp.deleted_at DESC, bp.id DESC`,
+      [retentionDays || 0, retentionDays || 0]
+    );
+  }
+
+  /**
+   * 保存期間を過ぎたゴミ箱の投稿を完全に削除
+   * @param {number} retentionDays - 保存期間（日）。0以下の場合は何もしない
+   * @returns {Promise<number>} 削除した投稿数
+   */
+  async purgeExpiredTrash(retentionDays) {
+    if (!(retentionDays > 0)) return 0;
+
+    const rows = await this.dbAll(
+      `SELECT id FROM blog_posts
+       WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+      [`-${retentionDays} days`]
+    );
+
+    let purged = 0;
+    for (const row of rows) {
+      purged += await this.purgeBlogPost(row.id);
+    }
+    return purged;
+  }
+
+  /**
+   * 更新系のSQLを実行し、変更された行数を返す
+   * @param {string} sql - SQL
+   * @param {Array} params - パラメータ
+   * @returns {Promise<number>} 変更された行数
+   */
+  async runWithChanges(sql, params = []) {
+    const result = await this.runStatement(sql, params);
+    return result.changes;
+  }
+
+  /**
+   * 登録済みのユーザー数を取得
+   * @returns {Promise<number>} ユーザー数
+   */
+  async countUsers() {
+    const row = await this.dbGet("SELECT COUNT(*) as count FROM users");
+    return row.count;
+  }
+
+  /**
+   * ユーザー一覧を取得（パスワードハッシュは含めない）
+   * @returns {Promise<Array>} {id, username, role, created_at, updated_at, last_login_at}
+   */
+  async getUsers() {
+    return this.dbAll(
+      "SELECT id, username, role, created_at, updated_at, last_login_at FROM users ORDER BY username"
+    );
+  }
+
+  /**
+   * ユーザーをIDで取得（パスワードハッシュは含めない。セッションのユーザーの確認用）
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<object|null>} {id, username, role}
+   */
+  async getUserById(userId) {
+    const user = await this.dbGet(
+      "SELECT id, username, role FROM users WHERE id = ?",
+      [userId]
+    );
+    return user || null;
+  }
+
+  /**
+   * ユーザーをユーザー名で取得（ログイン時のパスワード照合用にハッシュを含む。大文字・小文字は区別しない）
+   * @param {string} username - ユーザー名
+   * @returns {Promise<object|null>} {id, username, role, password_hash}
+   */
+  async getUserByUsername(username) {
+    const user = await this.dbGet(
+      "SELECT id, username, role, password_hash FROM users WHERE username = ?",
+      [username]
+    );
+    return user || null;
+  }
+
+  /**
+   * ユーザーを作成
+   * @param {object} user - {username, passwordHash, role}
+   * @returns {Promise<number>} 作成されたユーザーID
+   */
+  async createUser({ username, passwordHash, role }) {
+    await this.dbRun(
+      "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
+      [username, passwordHash, role]
+    );
+    const user = await this.getUserByUsername(username);
+    return user.id;
+  }
+
+  /**
+   * ユーザーのパスワードを変更
+   * @param {string} username - ユーザー名
+   * @param {string} passwordHash - 新しいパスワードのハッシュ
+   * @returns {Promise<number>} 変更したユーザー数（見つからない場合は0）
+   */
+  async updateUserPassword(username, passwordHash) {
+    return this.runWithChanges(
+      "UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE username = ?",
+      [passwordHash, username]
+    );
+  }
+
+  /**
+   * ユーザーの権限を変更
+   * @param {string} username - ユーザー名
+   * @param {string} role - 'admin' / 'viewer'
+   * @returns {Promise<number>} 変更したユーザー数（見つからない場合は0）
+   */
+  async updateUserRole(username, role) {
+    return this.runWithChanges(
+      "UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE username = ?",
+      [role, username]
+    );
+  }
+
+  /**
+   * ユーザーを削除
+   * @param {string} username - ユーザー名
+   * @returns {Promise<number>} 削除したユーザー数（見つからない場合は0）
+   */
+  async deleteUser(username) {
+    return this.runInTransaction(async () => {
+      await this.dbRun(
+        "DELETE FROM api_tokens WHERE user_id IN (SELECT id FROM users WHERE username = ?)",
+        [username]
+      );
+      return this.runWithChanges("DELETE FROM users WHERE username = ?", [username]);
     });
   }
 
+  /**
+   * ログイン日時を記録
+   * @param {number} userId - ユーザーID
+   */
+  async recordUserLogin(userId) {
+    await this.dbRun(
+      "UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [userId]
+    );
+  }
+
+  /**
+   * APIトークンを作成
+   * @param {object} token - {userId, name, scope, tokenHash, tokenPrefix}
+   * @returns {Promise<number>} 作成されたトークンID
+   */
+  async createApiToken({ userId, name, scope, tokenHash, tokenPrefix }) {
+    const result = await this.runStatement(
+      "INSERT INTO api_tokens (user_id, name, scope, token_hash, token_prefix) VALUES (?, ?, ?, ?, ?)",
+      [userId, name, scope, tokenHash, tokenPrefix]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * APIトークンの一覧を取得（ハッシュは含めない。失効したものも含む）
+   * @param {number|null} userId - ユーザーID（nullの場合は全ユーザー）
+   * @returns {Promise<Array>} {id, user_id, username, name, token_prefix, scope, created_at, last_used_at, last_used_ip, last_used_request, revoked_at}
+   */
+  async getApiTokens(userId = null) {
+    return this.dbAll(
+      `SELECT t.id, t.user_id, u.username, t.name, t.token_prefix, t.scope,
+              t.created_at, t.last_used_at, t.last_used_ip, t.last_used_request, t.revoked_at
+       FROM api_tokens t
+       JOIN users u ON u.id = t.user_id
+       ${userId === null ? "" : "WHERE t.user_id = ?"}
+       ORDER BY t.revoked_at IS NOT NULL, t.created_at DESC, t.id DESC`,
+      userId === null ? [] : [userId]
+    );
+  }
+
+  /**
+   * 有効なAPIトークンをハッシュで取得（リクエストの認証用）
+   * @param {string} tokenHash - トークンのハッシュ
+   * @returns {Promise<object|null>} {id, name, scope, user: {id, username, role}}
+   */
+  async getActiveApiToken(tokenHash) {
+    const row = await this.dbGet(
+      `SELECT t.id, t.name, t.scope, u.id AS user_id, u.username, u.role
+       FROM api_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ? AND t.revoked_at IS NULL`,
+      [tokenHash]
+    );
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      name: row.name,
+      scope: row.scope,
+      user: { id: row.user_id, username: row.username, role: row.role },
+    };
+  }
+
+  /**
+   * APIトークンの使用を記録（監査用に最後の使用日時・IPアドレス・リクエストを残す）
+   * @param {number} tokenId - トークンID
+   * @param {object} usage - {ip, request: "METHOD /path"}
+   */
+  async recordApiTokenUse(tokenId, { ip, request }) {
+    await this.dbRun(
+      `UPDATE api_tokens
+       SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?, last_used_request = ?
+       WHERE id = ?`,
+      [ip, request, tokenId]
+    );
+  }
+
+  /**
+   * APIトークンを失効させる
+   * @param {number} tokenId - トークンID
+   * @param {number|null} userId - 指定した場合はそのユーザーのトークンのみ
+   * @returns {Promise<number>} 失効させたトークン数（見つからない・失効済みの場合は0）
+   */
+  async revokeApiToken(tokenId, userId = null) {
+    return this.runWithChanges(
+      `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND revoked_at IS NULL${userId === null ? "" : " AND user_id = ?"}`,
+      userId === null ? [tokenId] : [tokenId, userId]
+    );
+  }
+
+  /**
+   * スクレイピングジョブを作成
+   * @param {object} job - ジョブ情報 {site, memberId, memberName, options, startedBy: Web ビューアーから開始したユーザー名}
+   * @returns {Promise<number>} 作成されたジョブID
+   */
+  async createScrapeJob(job) {
+    const result = await this.runStatement(
+      "INSERT INTO scrape_jobs (site, member_id, member_name, options, started_by) VALUES (?, ?, ?, ?, ?)",
+      [
+        job.site,
+        job.memberId,
+        job.memberName,
+        JSON.stringify(job.options || {}),
+        job.startedBy || null,
+      ]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * ジョブ一覧取得用のSELECT句（URL処理状況の集計付き）
+   * @returns {string} SQL
+   */
+  scrapeJobSelectQuery() {
+    return `
+      SELECT sj.*,
+             COUNT(sju.id) as url_count,
+             COALESCE(SUM(sju.status = 'done'), 0) as done_count,
+             COALESCE(SUM(sju.status = 'pending'), 0) as pending_count,
+             COALESCE(SUM(sju.status = 'failed'), 0) as failed_count,
+             COALESCE(SUM(sju.status = 'skipped'), 0) as skipped_count
+      FROM scrape_jobs sj
+      LEFT JOIN scrape_job_urls sju ON sj.id = sju.job_id
+    `;
+  }
+
+  /**
+   * スクレイピングジョブを取得
+   * @param {number} jobId - ジョブID
+   * @returns {Promise<object|null>} ジョブ（URL処理状況の集計付き）
+   */
+  async getScrapeJob(jobId) {
+    const row = await this.dbGet(
+      `${this.scrapeJobSelectQuery()} WHERE sj.id = ? GROUP BY sj.id`,
+      [jobId]
+    );
+    return row || null;
+  }
+
+  /**
+   * スクレイピングジョブ一覧を取得（新しい順）
+   * @param {object} options - {unfinishedOnly: 未完了のみ, limit: 取得件数}
+   * @returns {Promise<Array>} ジョブの配列
+   */
+  async getScrapeJobs({ unfinishedOnly = false, limit = 20 } = {}) {
+    const where = unfinishedOnly ? "WHERE sj.status != 'completed'" : "";
+    return this.dbAll(
+      `${this.scrapeJobSelectQuery()} ${where} GROUP BY sj.id ORDER BY sj.id DESC LIMIT ?`,
+      [limit]
+    );
+  }
+
+  /**
+   * ジョブのステータスを更新
+   * @param {number} jobId - ジョブID
+   * @param {string} status - 'collecting' | 'running' | 'completed' | 'failed'
+   * @param {string|null} error - エラーメッセージ
+   */
+  async updateScrapeJobStatus(jobId, status, error = null) {
+    await this.dbRun(
+      "UPDATE scrape_jobs SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [status, error, jobId]
+    );
+  }
+
+  /**
+   * ジョブでダウンロードした画像の枚数を加算
+   * @param {number} jobId - ジョブID
+   * @param {number} downloaded - ダウンロードした枚数
+   * @param {number} total - 対象の枚数
+   */
+  async addScrapeJobImages(jobId, downloaded, total) {
+    await this.dbRun(
+      `UPDATE scrape_jobs
+       SET images_downloaded = images_downloaded + ?, images_total = images_total + ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [downloaded, total, jobId]
+    );
+  }
+
+  /**
+   * リストページ1ページ分の発見URLを記録
+   * @param {number} jobId - ジョブID
+   * @param {number} pageNumber - リストページ番号
+   * @param {Array<object>} posts - 投稿情報 {url, date, title}
+   */
+  async recordScrapeJobPage(jobId, pageNumber, posts) {
+    for (const post of posts) {
+      await this.dbRun(
+        "INSERT OR IGNORE INTO scrape_job_urls (job_id, url, list_date, list_title) VALUES (?, ?, ?, ?)",
+        [jobId, post.url, post.date || null, post.title || null]
+      );
+    }
+    await this.dbRun(
+      "UPDATE scrape_jobs SET last_list_page = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [pageNumber, jobId]
+    );
+  }
+
+  /**
+   * URL収集の完了を記録し、処理対象外になった未処理URLを取り除く
+   * @param {number} jobId - ジョブID
+   * @param {Array<string>} urls - 詳細ページを取得する投稿URL
+   */
+  async completeScrapeJobCollection(jobId, urls) {
+    const keep = new Set(urls);
+    const pendingRows = await this.dbAll(
+      "SELECT url FROM scrape_job_urls WHERE job_id = ? AND status = 'pending'",
+      [jobId]
+    );
+    for (const row of pendingRows) {
+      if (!keep.has(row.url)) {
+        await this.dbRun(
+          "DELETE FROM scrape_job_urls WHERE job_id = ? AND url = ?",
+          [jobId, row.url]
+        );
+      }
+    }
+    await this.dbRun(
+      "UPDATE scrape_jobs SET collection_done = 1, status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [jobId]
+    );
+  }
+
+  /**
+   * ジョブ内の投稿URLの処理状態を更新
+   * @param {number} jobId - ジョブID
+   * @param {string} url - 投稿URL
+   * @param {string} status - 'pending' | 'done' | 'failed' | 'skipped'
+   * @param {string|null} error - エラーメッセージ
+   */
+  async updateScrapeJobUrlStatus(jobId, url, status, error = null) {
+    await this.dbRun(
+      "UPDATE scrape_job_urls SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE job_id = ? AND url = ?",
+      [status, error, jobId, url]
+    );
+  }
+
+  /**
+   * ジョブ内の投稿URLを取得（発見順）
+   * @param {number} jobId - ジョブID
+   * @param {Array<string>|null} statuses - 絞り込むステータス（nullで全件）
+   * @returns {Promise<Array>} URL行の配列
+   */
+  async getScrapeJobUrls(jobId, statuses = null) {
+    let query = "SELECT * FROM scrape_job_urls WHERE job_id = ?";
+    const params = [jobId];
+    if (statuses && statuses.length > 0) {
+      query += ` AND status IN (${statuses.map(() => "?").join(", ")})`;
+      params.push(...statuses);
+    }
+    query += " ORDER BY id";
+    return this.dbAll(query, params);
+  }
+
+  /**
+   * 定期更新の実行を記録
+   * 実行しているプロセス（ホスト名・プロセスID）も記録する（failInterruptedScheduledRuns() 参照）
+   * @param {object} run - {schedule, trigger: 'schedule' | 'manual', scheduledAt: スケジュール上の時刻 Date, status, error}
+   *   （ランダムな遅れを足した実際の開始時刻は started_at）
+   * @returns {Promise<number>} 実行ID
+   */
+  async createScheduledRun(run) {
+    const finished = run.status && run.status !== "running";
+    const result = await this.runStatement(
+      `INSERT INTO scheduled_runs (schedule, trigger, scheduled_at, status, error, finished_at, owner_host, owner_pid)
+       VALUES (?, ?, ?, ?, ?, ${finished ? "CURRENT_TIMESTAMP" : "NULL"}, ?, ?)`,
+      [
+        run.schedule || null,
+        run.trigger,
+        // CURRENT_TIMESTAMP と同じ UTC の "YYYY-MM-DD HH:MM:SS"
+        run.scheduledAt ? run.scheduledAt.toISOString().replace("T", " ").slice(0, 19) : null,
+        run.status || "running",
+        run.error || null,
+        os.hostname(),
+        process.pid,
+      ]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * 定期更新の結果を記録
+   * @param {number} runId - 実行ID
+   * @param {object} outcome - {status, results: scrapeMembersBatch() の結果, error}
+   */
+  async finishScheduledRun(runId, { status, results = [], error = null }) {
+    await this.dbRun(
+      `UPDATE scheduled_runs
+       SET status = ?, finished_at = CURRENT_TIMESTAMP, member_count = ?, failed_count = ?,
+           post_count = ?, images_downloaded = ?, results = ?, error = ?
+       WHERE id = ?`,
+      [
+        status,
+        results.length,
+        results.filter((result) => result.error).length,
+        results.reduce((sum, result) => sum + result.postCount, 0),
+        results.reduce((sum, result) => sum + result.imagesDownloaded, 0),
+        JSON.stringify(results),
+        error,
+        runId,
+      ]
+    );
+  }
+
+  /**
+   * 終了を記録できなかった（プロセスが止まった）定期更新を失敗にする
+   * 同じホストで記録したプロセスがまだ動いている実行（Web サーバーと schedule run の同時実行など）と、
+   * 別のホストで記録した実行（動いているか確認できない）はそのままにする
+   * @returns {Promise<number>} 更新した件数
+   */
+  async failInterruptedScheduledRuns() {
+    const running = await this.dbAll(
+      "SELECT id, owner_host, owner_pid FROM scheduled_runs WHERE status = 'running'"
+    );
+    const hostname = os.hostname();
+    const interruptedIds = running
+      .filter((run) => !run.owner_pid || (run.owner_host === hostname && !isProcessRunning(run.owner_pid)))
+      .map((run) => run.id);
+    if (interruptedIds.length === 0) return 0;
+
+    return this.runWithChanges(
+      `UPDATE scheduled_runs
+       SET status = 'failed', finished_at = CURRENT_TIMESTAMP, error = '実行中にプロセスが終了しました'
+       WHERE status = 'running' AND id IN (${interruptedIds.map(() => "?").join(", ")})`,
+      interruptedIds
+    );
+  }
+
+  /**
+   * 定期更新の実行履歴を取得（新しい順）
+   * @param {object} options - {limit: 取得件数}
+   * @returns {Promise<Array>} 実行の配列（results は配列に変換済み）
+   */
+  async getScheduledRuns({ limit = 20 } = {}) {
+    const rows = await this.dbAll(
+      "SELECT * FROM scheduled_runs ORDER BY id DESC LIMIT ?",
+      [limit]
+    );
+    return rows.map((row) => ({ ...row, results: JSON.parse(row.results || "[]") }));
+  }
+
   /**
    * データベース接続をクローズ
    */
   close() {
-    this.db.close();
+    // マイグレーションの途中で閉じないよう、適用完了を待つ
+    this.ready.catch(() => {}).then(() => this.db.close());
   }
 }
 
@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+const config = require("./config");
+const { DEFAULT_SITE_ID, hasSite, getSite } = require("./sites");
+
+/**
+ * 新しくアーカイブした投稿を購読するための Atom / RSS フィード
+ *
+ *   /feed.xml, /rss.xml                         - アーカイブ全体
+ *   /site/:site/feed.xml, /site/:site/rss.xml   - サイトごと
+ *   /member/:id/feed.xml, /member/:id/rss.xml   - メンバーごと（全サイト、id は人物ID）
+ *
+ * 本文は全文を含め、保存済みの画像は toImageUrl でアーカイブの画像URLに置き換える
+ * ETag / Last-Modified による条件付きGET（304 Not Modified）に対応する
+ */
+
+// フィードに含める投稿数（保存した新しい順）
+const FEED_ENTRY_LIMIT = 50;
+
+const FEED_FORMATS = {
+  atom: { contentType: "application/atom+xml; charset=utf-8" },
+  rss: { contentType: "application/rss+xml; charset=utf-8" },
+};
+
+/**
+ * XML用に文字列をエスケープ
+ * @param {*} value - 値
+ * @returns {string} エスケープした文字列
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * 投稿日時（日本時間の "YYYY-MM-DD[ HH:MM]"）を Date に変換
+ * 投稿日時が不明な場合は保存日時（UTC の "YYYY-MM-DD HH:MM:SS"）を使う
+ * @param {object} post - 投稿
+ * @returns {Date} 投稿日時
+ */
+function getPostDate(post) {
+  if (post.published_at) {
+    const [date, time = "00:00"] = post.published_at.split(" ");
+    return new Date(`${date}T${time}:00+09:00`);
+  }
+  return getArchivedDate(post);
+}
+
+/**
+ * 投稿を保存した日時を Date に変換
+ * @param {object} post - 投稿
+ * @returns {Date} 保存日時
+ */
+function getArchivedDate(post) {
+  return post.created_at ? new Date(`${post.created_at.replace(" ", "T")}Z`) : new Date(0);
+}
+
+/**
+ * 本文の画像URLをアーカイブの画像URLに、相対URLを絶対URLに置き換える
+ * （遅延読み込みの data-src は src にする。views/post.ejs の表示と同じ置き換え）
+ * @param {object} post - 投稿 {url, content, images, local_images}
+ * @param {function(string): string} toAbsoluteImageUrl - 保存済み画像のパスを絶対URLにする関数
+ * @returns {string} HTML
+ */
+function rewriteContent(post, toAbsoluteImageUrl) {
+  const content = post.content || "";
+  if (!content.includes("<")) {
+    return escapeXml(content).replace(/\n/g, "<br />");
+  }
+
+  const urlToLocal = new Map();
+  (post.images || []).forEach((imageUrl, index) => {
+    const localPath = (post.local_images || [])[index];
+    if (imageUrl && localPath) urlToLocal.set(imageUrl, toAbsoluteImageUrl(localPath));
+  });
+
+  const resolve = (url) => {
+    if (urlToLocal.has(url)) return urlToLocal.get(url);
+    try {
+      return new URL(url, post.url).href;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  return content
+    .replace(/<img\b([^>]*)\bdata-src="([^"]+)"([^>]*)>/gi, (match, before, dataSrc, after) => {
+      const rest = `${before}${after}`.replace(/\bsrc="[^"]*"/i, "");
+      return `<img${rest} src="${resolve(dataSrc)}">`;
+    })
+    .replace(/\b(src|href)="([^"]+)"/gi, (match, attr, url) => `${attr}="${resolve(url)}"`)
+    .replace(/\b(data-srcset|srcset)="([^"]+)"/gi, (match, attr, value) => {
+      const rebuilt = value.split(",").map((part) => {
+        const [url, descriptor] = part.trim().split(/\s+/);
+        return descriptor ? `${resolve(url)} ${descriptor}` : resolve(url);
+      });
+      return `${attr}="${rebuilt.join(", ")}"`;
+    });
+}
+
+/**
+ * Atom フィードを作成
+ * @param {object} feed - {title, selfUrl, htmlUrl, updated: Date, entries}
+ * @returns {string} XML
+ */
+function renderAtom(feed) {
+  const entries = feed.entries.map(
+    (entry) => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>
+    <link rel="related" type="text/html" href="${escapeXml(entry.originalUrl)}"/>
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.published.toISOString()}</updated>
+    <author><name>${escapeXml(entry.author)}</name></author>
+    <category term="${escapeXml(entry.site)}" label="${escapeXml(entry.siteName)}"/>
+    <content type="html">${escapeXml(entry.content)}</content>
+  </entry>`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.htmlUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <generator>sakurazaka-blog-archive</generator>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+/**
+ * RSS 2.0 フィードを作成
+ * @param {object} feed - {title, selfUrl, htmlUrl, updated: Date, entries}
+ * @returns {string} XML
+ */
+function renderRss(feed) {
+  const items = feed.entries.map(
+    (entry) => `    <item>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <pubDate>${entry.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(entry.author)}</dc:creator>
+      <category>${escapeXml(entry.siteName)}</category>
+      <description>${escapeXml(entry.content)}</description>
+    </item>`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.htmlUrl)}</link>
+    <description>${escapeXml(feed.title)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <generator>sakurazaka-blog-archive</generator>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * フィードのルートを登録
+ * @param {object} app - Express アプリケーション
+ * @param {object} dataService - データサービス
+ * @param {object} options - {toImageUrl: 保存済み画像のパスを公開URLに変換する関数}
+ */
+function registerFeedRoutes(app, dataService, { toImageUrl }) {
+  /**
+   * フィード内のリンクの基準URL（config.server.publicUrl、未設定の場合はリクエストのホスト）
+   */
+  const getBaseUrl = (req) =>
+    (config.server.publicUrl || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+  /**
+   * 投稿を取得してフィードを返す（前回から変わっていなければ 304）
+   * @param {object} req - リクエスト
+   * @param {object} res - レスポンス
+   * @param {object} options - {format: 'atom' / 'rss', title, htmlPath, filters: queryBlogPosts の検索条件}
+   */
+  const sendFeed = async (req, res, { format, title, htmlPath, filters }) => {
+    const baseUrl = getBaseUrl(req);
+    const toAbsoluteImageUrl = (localPath) => new URL(toImageUrl(localPath), `${baseUrl}/`).href;
+    // 新しくアーカイブした投稿を追えるよう、投稿日時ではなく保存した順に並べる
+    const { posts } = await dataService.queryBlogPosts(
+      { ...filters, sortOrder: "archived" },
+      { limit: FEED_ENTRY_LIMIT }
+    );
+
+    const entries = posts.map((post) => {
+      const site = post.site || DEFAULT_SITE_ID;
+      return {
+        id: post.url,
+        title: post.title || "タイトルなし",
+        link: `${baseUrl}/post/${post.id}`,
+        originalUrl: post.url,
+        published: getPostDate(post),
+        author: post.member_name,
+        site,
+        siteName: hasSite(site) ? getSite(site).name : site,
+        content: rewriteContent(post, toAbsoluteImageUrl),
+      };
+    });
+
+    // 最後に投稿を保存した日時（投稿がなければ 1970年）
+    const lastModified = new Date(
+      Math.max(0, ...posts.map((post) => getArchivedDate(post).getTime()))
+    );
+    const feed = {
+      title,
+      selfUrl: `${baseUrl}${req.path}`,
+      htmlUrl: `${baseUrl}${htmlPath}`,
+      updated: lastModified,
+      entries,
+    };
+    const body = format === "rss" ? renderRss(feed) : renderAtom(feed);
+
+    res.set({
+      "Content-Type": FEED_FORMATS[format].contentType,
+      "Last-Modified": lastModified.toUTCString(),
+      ETag: `"${crypto.createHash("sha1").update(body).digest("hex")}"`,
+      "Cache-Control": "no-cache",
+    });
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+    res.send(body);
+  };
+
+  /**
+   * Atom（feed.xml）と RSS（rss.xml）の両方のルートを登録
+   * @param {string} basePath - フィードのURLの前半（"/site/:site" など、全体は ""）
+   * @param {function(object): Promise<object|null>} resolveFeed - リクエストから {title, htmlPath, filters} を返す（見つからなければnull）
+   */
+  const route = (basePath, resolveFeed) => {
+    Object.entries({ atom: "feed.xml", rss: "rss.xml" }).forEach(([format, fileName]) => {
+      app.get(`${basePath}/${fileName}`, async (req, res) => {
+        try {
+          // 検索・並べ替えを SQL で行うため SQLite モードのみ対応
+          if (typeof dataService.queryBlogPosts !== "function") {
+            res.status(501).send("フィードは SQLite モードでのみ利用できます");
+            return;
+          }
+          const feed = await resolveFeed(req);
+          if (!feed) {
+            res.status(404).send("フィードが見つかりません");
+            return;
+          }
+          await sendFeed(req, res, { format, ...feed });
+        } catch (error) {
+          console.error("フィード作成エラー:", error);
+          res.status(500).send("エラーが発生しました");
+        }
+      });
+    });
+  };
+
+  route("", async () => ({
+    title: "櫻坂46 ブログアーカイブ",
+    htmlPath: "/",
+    filters: {},
+  }));
+
+  route("/site/:site", async (req) => {
+    if (!hasSite(req.params.site)) return null;
+    const site = getSite(req.params.site);
+    return {
+      title: `${site.name} - 櫻坂46 ブログアーカイブ`,
+      htmlPath: `/?site=${encodeURIComponent(site.id)}`,
+      filters: { site: site.id },
+    };
+  });
+
+  route("/member/:id", async (req) => {
+    const person = /^\d+$/.test(req.params.id) ? await dataService.getPerson(req.params.id) : null;
+    if (!person) return null;
+    return {
+      title: `${person.name} - 櫻坂46 ブログアーカイブ`,
+      htmlPath: `/member/${person.id}`,
+      filters: { personIds: [String(person.id)] },
+    };
+  });
+}
+
+module.exports = { registerFeedRoutes };
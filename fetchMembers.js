@@ -1,8 +1,12 @@
 const { chromium } = require('playwright');
+const { attachFixtures, isReplayMode } = require('./utils/fixtures');
+const { smartDelay, resetRateLimitState, incrementRequestCount } = require('./utils/scraperUtils');
+const { TIMEOUTS } = require('./utils/constants');
 
 async function fetchMembers() {
   const browser = await chromium.launch({ headless: true });
   const page = await browser.newPage();
+  await attachFixtures(page);
 
   try {
     console.log('メンバー一覧を取得中...');
@@ -14,7 +18,9 @@ async function fetchMembers() {
     });
 
     // ページが読み込まれるまで待機
-    await page.waitForTimeout(2000);
+    if (!isReplayMode()) {
+      await page.waitForTimeout(2000);
+    }
 
     const members = await page.evaluate(() => {
       const memberList = [];
@@ -65,51 +71,277 @@ async function fetchMembers() {
     console.error('メンバー取得エラー:', error);
     await browser.close();
 
-    // エラー時は現在の既知のメンバーリストを返す
-    const knownMembers = [
-      { id: '43', name: '井上 梨名' },
-      { id: '45', name: '武元 唯衣' },
-      { id: '46', name: '田村 保乃' },
-      { id: '47', name: '藤吉 夏鈴' },
-      { id: '48', name: '松田 里奈' },
-      { id: '50', name: '森田 ひかる' },
-      { id: '51', name: '山﨑 天' },
-      { id: '53', name: '遠藤 光莉' },
-      { id: '54', name: '大園 玲' },
-      { id: '55', name: '大沼 晶保' },
-      { id: '56', name: '幸阪 茉里乃' },
-      { id: '57', name: '増本 綺良' },
-      { id: '58', name: '守屋 麗奈' },
-      { id: '59', name: '石森 璃花' },
-      { id: '60', name: '遠藤 理子' },
-      { id: '61', name: '小田倉 麗奈' },
-      { id: '62', name: '小島 凪紗' },
-      { id: '63', name: '谷口 愛季' },
-      { id: '64', name: '中嶋 優月' },
-      { id: '65', name: '的野 美青' },
-      { id: '66', name: '向井 純葉' },
-      { id: '67', name: '村井 優' },
-      { id: '68', name: '村山 美羽' },
-      { id: '69', name: '山下 瞳月' },
-      { id: '70', name: '浅井 恋乃未' },
-      { id: '71', name: '稲熊 ひな' },
-      { id: '72', name: '勝又 春' },
-      { id: '73', name: '佐藤 愛桜' },
-      { id: '74', name: '中川 智尋' },
-      { id: '75', name: '松本 和子' },
-      { id: '76', name: '目黒 陽色' },
-      { id: '77', name: '山川 宇衣' },
-      { id: '78', name: '山田 桃実' }
-    ];
-
-    return knownMembers.map(member => ({
-      ...member,
-      blogUrl: `https://sakurazaka46.com/s/s46/diary/blog/list?ima=0000&ct=${member.id}`
-    }));
+    // 取得できなかった場合はDBに記録済みのメンバーを使う（listSiteMembers 参照）
+    return [];
   }
 }
 
-module.exports = { fetchMembers };
+/**
+ * サイト定義のメンバー一覧ページからメンバーを取得
+ * 日向坂46・乃木坂46など、サイト定義に membersUrl / extractMembers を持つサイトで使用
+ * @param {SiteDefinition} site - サイト定義（sites/ 参照）
+ * @returns {Promise<Array<{id: string, name: string, blogUrl: string}>>} メンバーの配列（ID順）
+ */
+async function fetchSiteMembers(site) {
+  const browser = await chromium.launch({ headless: true });
+  const page = await browser.newPage();
+  await attachFixtures(page);
+
+  try {
+    console.log(`${site.name}のメンバー一覧を取得中...`);
+
+    await page.goto(site.membersUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+
+    // メンバー一覧はJavaScriptで描画されることがあるため待機
+    if (!isReplayMode()) {
+      await page.waitForTimeout(2000);
+    }
+
+    const members = await page.evaluate(site.extractMembers, {
+      selectors: site.selectors,
+      baseUrl: site.baseUrl
+    });
+
+    await browser.close();
+
+    members.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+    console.log(`  ✓ ${members.length}名のメンバーを取得しました`);
+    return members;
+  } catch (error) {
+    console.error(`${site.name}のメンバー取得エラー:`, error);
+    await browser.close();
+    return [];
+  }
+}
+
+/**
+ * サイトのメンバー一覧を取得（DBが空、または refresh 指定時はサイトから取得して記録）
+ * 取得したメンバーは発見日時・卒業状態・名前の表記ゆれとともに site_members に記録される
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {string} siteId - サイト識別子
+ * @param {function(): Promise<Array>} fetcher - サイトからメンバーを取得する関数
+ * @param {object} options - {refresh: 強制的にサイトから再取得するか}
+ * @returns {Promise<Array>} メンバーの配列（db.getSiteMembers() の形式）
+ */
+async function listSiteMembers(db, siteId, fetcher, { refresh = false } = {}) {
+  let members = refresh ? [] : await db.getSiteMembers(siteId);
+
+  if (members.length === 0) {
+    const fetched = await fetcher();
+    if (fetched.length > 0) {
+      const { added, graduated } = await db.recordMemberDiscovery(siteId, fetched);
+      if (added > 0 || graduated > 0) {
+        console.log(`  ✓ 新しいメンバー: ${added}名 / 一覧から外れたメンバー: ${graduated}名`);
+      }
+    }
+    members = await db.getSiteMembers(siteId);
+  }
+
+  return members;
+}
+
+/**
+ * 記録済みのメンバー（site_members）からサイト上のメンバーIDを特定
+ * blog_posts.member_id は INTEGER のため、欅坂46の "03" などは 3 として渡される。
+ * IDが分かっていれば数値として一致するメンバーの表記（"03"）を、分からなければ名前（表記ゆれを含む）から引く
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {string} siteId - サイト識別子
+ * @param {string|number|null} memberId - メンバーID
+ * @param {string} memberName - メンバー名
+ * @returns {Promise<string|null>} サイト上のメンバーID（記録がなければ渡されたID）
+ */
+async function resolveSiteMemberId(db, siteId, memberId, memberName) {
+  if (memberId) {
+    const member = await db.findSiteMemberById(siteId, memberId);
+    return member ? member.id : String(memberId);
+  }
+  const member = await db.findSiteMemberByName(siteId, memberName);
+  return member ? member.id : null;
+}
+
+/**
+ * プロフィールページから項目を抽出（ブラウザ内で実行）
+ * サイト定義の extractProfile がない場合に使う汎用の抽出関数
+ * dt/dd・th/td・サイト定義の PROFILE_ROW（1つ目の子要素が項目名、2つ目が値）から「項目名: 値」を集める
+ * @returns {{furigana: string, photoUrl: string|null, fields: Array<{label: string, value: string}>}}
+ */
+function extractProfile({ selectors, baseUrl }) {
+  const clean = (text) => (text || '').trim().replace(/\s+/g, ' ');
+  const first = (candidates) => {
+    for (const selector of candidates || []) {
+      const element = document.querySelector(selector);
+      if (element && clean(element.textContent)) return element;
+    }
+    return null;
+  };
+
+  const furiganaElement = first(selectors.PROFILE_FURIGANA);
+
+  let photoUrl = null;
+  for (const selector of selectors.PROFILE_PHOTO || []) {
+    const img = document.querySelector(selector);
+    const src = img && (img.getAttribute('src') || img.getAttribute('data-src'));
+    if (src) {
+      photoUrl = src.startsWith('http') ? src : new URL(src, baseUrl).href;
+      break;
+    }
+  }
+
+  const fields = [];
+  document.querySelectorAll('dt').forEach(dt => {
+    const dd = dt.nextElementSibling;
+    if (dd && dd.tagName === 'DD') fields.push({ label: clean(dt.textContent), value: clean(dd.textContent) });
+  });
+  document.querySelectorAll('th').forEach(th => {
+    const td = th.nextElementSibling;
+    if (td && td.tagName === 'TD') fields.push({ label: clean(th.textContent), value: clean(td.textContent) });
+  });
+  if (selectors.PROFILE_ROW) {
+    document.querySelectorAll(selectors.PROFILE_ROW).forEach(row => {
+      if (row.children.length >= 2) {
+        fields.push({ label: clean(row.children[0].textContent), value: clean(row.children[1].textContent) });
+      }
+    });
+  }
+
+  const generationElement = first(selectors.PROFILE_GENERATION);
+  if (generationElement) {
+    fields.push({ label: '期', value: clean(generationElement.textContent) });
+  }
+
+  return {
+    furigana: furiganaElement ? clean(furiganaElement.textContent) : '',
+    photoUrl,
+    fields: fields.filter(field => field.label && field.value),
+  };
+}
+
+/**
+ * プロフィールの項目名と保存先のキーの対応（項目名に含まれる語で判定）
+ */
+const PROFILE_FIELD_PATTERNS = [
+  { key: 'birthday', pattern: /生年月日|誕生日/ },
+  { key: 'birthplace', pattern: /出身/ },
+  { key: 'bloodType', pattern: /血液型/ },
+  { key: 'height', pattern: /身長/ },
+  { key: 'graduation', pattern: /卒業/ },
+  { key: 'generation', pattern: /期/ },
+];
+
+/**
+ * 生年月日の表記を YYYY-MM-DD に変換
+ * @param {string} text - "2001年7月27日" / "2001/07/27" / "2001.7.27" など
+ * @returns {string|null} "YYYY-MM-DD"、解析できなければnull
+ */
+function normalizeBirthday(text) {
+  const match = (text || '').match(/(\d{4})\s*[年\/\.\-]\s*(\d{1,2})\s*[月\/\.\-]\s*(\d{1,2})/);
+  if (!match) return null;
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+}
+
+/**
+ * 抽出した「項目名: 値」をプロフィールの各項目に振り分ける
+ * @param {object} extracted - extractProfile() の結果
+ * @returns {object} {furigana, birthday, birthplace, bloodType, height, graduation, generation, photoUrl}
+ */
+function parseProfile(extracted) {
+  const profile = { furigana: extracted.furigana || null, photoUrl: extracted.photoUrl || null };
+
+  for (const { label, value } of extracted.fields) {
+    const field = PROFILE_FIELD_PATTERNS.find(({ pattern }) => pattern.test(label));
+    if (field && !profile[field.key]) {
+      profile[field.key] = value;
+    }
+  }
+
+  if (profile.birthday) {
+    profile.birthday = normalizeBirthday(profile.birthday);
+  }
+  return profile;
+}
+
+/**
+ * メンバーのプロフィールを公式サイトから取得して保存
+ * プロフィールページを持つサイト（サイト定義に profileUrl があるもの）のみ対象
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {SiteDefinition} site - サイト定義
+ * @param {Array<{id: string, name: string}>} members - 対象メンバー
+ * @param {object} options - {downloadPhotos: プロフィール写真をダウンロードするか}
+ * @returns {Promise<Array>} メンバーごとの結果 {site, memberId, memberName, profile, error}
+ */
+async function fetchMemberProfiles(db, site, members, options = {}) {
+  const { downloadPhotos = true } = options;
+  // 画像ディレクトリを作成するため、実際に使う時だけ読み込む
+  const { downloadImageOptimized } = require('./imageDownloader');
+
+  const results = [];
+  if (!site.profileUrl || members.length === 0) return results;
+
+  const browser = await chromium.launch({ headless: true });
+  const page = await browser.newPage();
+
+  try {
+    await attachFixtures(page);
+    resetRateLimitState();
+
+    for (let index = 0; index < members.length; index++) {
+      const member = members[index];
+      const result = { site: site.id, memberId: String(member.id), memberName: member.name, profile: null, error: null };
+
+      try {
+        if (index > 0) await smartDelay(index);
+        incrementRequestCount();
+
+        const profileUrl = site.profileUrl(member.id);
+        await page.goto(profileUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUTS.PAGE_LOAD });
+        if (site.waits.detail && !isReplayMode()) {
+          await page.waitForTimeout(site.waits.detail);
+        }
+
+        const extracted = await page.evaluate(site.extractProfile || extractProfile, {
+          selectors: site.selectors,
+          baseUrl: site.baseUrl,
+        });
+        const profile = { ...parseProfile(extracted), profileUrl };
+
+        if (profile.photoUrl && downloadPhotos) {
+          try {
+            profile.photoPath = await downloadImageOptimized(profile.photoUrl, member.id, 'profile', member.name, site.id);
+          } catch (error) {
+            console.log(`  ⚠️ プロフィール写真のダウンロードに失敗: ${error.message}`);
+          }
+        }
+
+        await db.saveMemberProfile(site.id, member.id, profile);
+        result.profile = profile;
+        console.log(`  ✓ ${member.name}: ${profile.birthday || '生年月日不明'} / ${profile.generation || '期不明'}`);
+      } catch (error) {
+        result.error = error.message;
+        console.error(`  ✗ ${member.name}: ${error.message}`);
+      }
+
+      results.push(result);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return results;
+}
+
+module.exports = {
+  fetchMembers,
+  fetchSiteMembers,
+  listSiteMembers,
+  resolveSiteMemberId,
+  fetchMemberProfiles,
+  extractProfile,
+  parseProfile,
+  normalizeBirthday,
+};
 
 if (require.main === module) {
   fetchMembers().then(members => {
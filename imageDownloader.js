@@ -5,6 +5,7 @@ const http = require('http');
 const crypto = require('crypto');
 const { StorageAdapterFactory } = require('./storageAdapter');
 const config = require('./config');
+const { getFixtureMode, readFixture, writeFixture } = require('./utils/fixtures');
 
 // Storage Adapterの初期化
 const storageConfig = {
@@ -145,6 +146,19 @@ async function downloadImageOptimized(imageUrl, memberId, postId, memberName = n
           return;
         }
 
+        // フィクスチャ再生時はネットワークに接続せず記録済みの画像を使う
+        if (getFixtureMode() === 'replay') {
+          const fixture = readFixture(imageUrl);
+          if (!fixture) {
+            reject(new Error(`フィクスチャがありません: ${imageUrl}`));
+            return;
+          }
+          fs.writeFileSync(filepath, fixture.body);
+          imageCache.set(imageUrl, relativePath, { size: fixture.body.length }, memberId, postId);
+          resolve(relativePath);
+          return;
+        }
+
         const file = fs.createWriteStream(filepath);
         const protocol = imageUrl.startsWith('https') ? https : http;
 
@@ -183,6 +197,12 @@ async function downloadImageOptimized(imageUrl, memberId, postId, memberName = n
 
           file.on('finish', () => {
             file.close();
+            if (getFixtureMode() === 'record') {
+              writeFixture(imageUrl, {
+                status: response.statusCode,
+                contentType: response.headers['content-type']
+              }, fs.readFileSync(filepath));
+            }
             const stats = fs.statSync(filepath);
             imageCache.set(imageUrl, relativePath, {
               size: stats.size
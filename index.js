@@ -1,15 +1,18 @@
 const inquirer = require("inquirer").default;
 const chalk = require("chalk");
 const { chromium } = require("playwright");
-const { fetchMembers } = require("./fetchMembers");
-const { scrapeBlogPosts } = require("./blogScraper");
-const {
-  scrapeKeyakiBlogPosts,
-  KEYAKI_MEMBER_MAP,
-} = require("./keyakiBlogScraper");
+const { listSites, getSite } = require("./sites");
 const BlogDatabase = require("./database");
-const { downloadImagesOptimized } = require("./imageDownloader");
-const { startServer } = require("./webServer");
+const {
+  scrapeMember,
+  resumeScrapeJob,
+  getBatchTargets,
+  scrapeMembersBatch,
+  logBatchSummary,
+} = require("./scrapeService");
+const { verifyUpstreamPosts, logVerificationSummary } = require("./upstreamVerifier");
+const { highlightSnippet } = require("./utils/searchQuery");
+const { runCli } = require("./cli");
 
 const db = new BlogDatabase();
 
@@ -24,11 +27,14 @@ async function displayMenu() {
       message: "What would you like to do?",
       choices: [
         { name: "👼 Open member blog in browser", value: "open" },
-        { name: "🌸 Scrape and save sakurazaka46 blog posts", value: "scrape" },
-        {
-          name: "🌳 Scrape and save Keyakizaka46 blog posts",
-          value: "scrape-keyaki",
-        },
+        // sites/ に登録済みのサイトごとに表示（サイトを追加すると項目も増える）
+        ...listSites().map((site) => ({
+          name: `${site.emoji} Scrape and save ${site.name} blog posts`,
+          value: `scrape:${site.id}`,
+        })),
+        { name: "📦 複数メンバーを一括スクレイピング", value: "scrape-batch" },
+        { name: "⏯️  中断したスクレイピングを再開", value: "resume" },
+        { name: "🔎 公式サイトから削除された投稿を確認", value: "verify" },
         { name: "🔍 Search saved blog posts", value: "search" },
         { name: "🌐 Webページビューアーを起動", value: "web" },
         { name: "❌ Exit", value: "exit" },
@@ -39,22 +45,22 @@ async function displayMenu() {
   return action;
 }
 
+/**
+ * メンバーの在籍状態をメニュー表示用の文字列にする
+ * @param {object} member - db.getSiteMembers() のメンバー
+ * @returns {string} 卒業・未確認の場合は括弧付きの表記、在籍中は空文字
+ */
+function formatMemberStatus(member) {
+  if (member.status === "graduated") return " (卒業)";
+  if (member.status === null) return " (未確認)";
+  return "";
+}
+
 async function listMembers() {
   console.log(chalk.yellow("\nFetching member list from database..."));
 
-  let members = await db.getMembers();
-
-  if (members.length === 0) {
-    console.log(
-      chalk.yellow("No members in database. Fetching from website...")
-    );
-    members = await fetchMembers();
-
-    if (members.length > 0) {
-      await db.saveMembers(members);
-      console.log(chalk.green(`✓ Saved ${members.length} members to database`));
-    }
-  }
+  // DBが空ならサイトから取得して記録される
+  const members = await getSite("sakurazaka46").listMembers(db);
 
   if (members.length === 0) {
     console.log(chalk.red("Could not fetch members"));
@@ -63,7 +69,7 @@ async function listMembers() {
 
   console.log(chalk.green(`\nFound ${members.length} members:\n`));
   members.forEach((member, index) => {
-    console.log(`${index + 1}. ${member.name} (ID: ${member.id})`);
+    console.log(`${index + 1}. ${member.name} (ID: ${member.id})${formatMemberStatus(member)}`);
   });
 
   return members;
@@ -97,7 +103,7 @@ async function selectMember(members = null) {
     console.log(chalk.cyan("\n=== メンバー一覧 ==="));
     members.forEach((member, index) => {
       console.log(
-        chalk.gray(`${index + 1}. ${member.name} (ID: ${member.id})`)
+        chalk.gray(`${index + 1}. ${member.name} (ID: ${member.id})${formatMemberStatus(member)}`)
       );
     });
     console.log(chalk.gray(`0. ← Back\n`));
@@ -183,7 +189,7 @@ async function selectMember(members = null) {
   } else {
     // 一覧選択方式（従来通り）
     const choices = members.map((member) => ({
-      name: `${member.name} (ID: ${member.id})`,
+      name: `${member.name} (ID: ${member.id})${formatMemberStatus(member)}`,
       value: member,
     }));
 
@@ -251,162 +257,70 @@ async function openMemberBlog() {
   return false;
 }
 
-async function scrapeKeyakiMemberBlog() {
-  const availableMembers = Object.keys(KEYAKI_MEMBER_MAP);
+function logJobResult(result) {
+  if (!result.completed) {
+    console.log(
+      chalk.yellow(
+        `⚠️ ジョブ #${result.jobId} は途中で停止しました。メニューの「中断したスクレイピングを再開」から続行できます`
+      )
+    );
+  }
+}
 
-  // 選択方法を聞く
-  const { method } = await inquirer.prompt([
+async function promptScrapeMode() {
+  const { mode } = await inquirer.prompt([
     {
       type: "list",
-      name: "method",
-      message: "\nメンバー選択方法:",
+      name: "mode",
+      message: "取得モードを選択:",
       choices: [
-        { name: "📝 番号を入力して選択（高速）", value: "number" },
-        { name: "🔍 名前で検索して選択", value: "search" },
-        { name: "📋 一覧から選択", value: "list" },
-        { name: "← Back", value: "back" },
+        { name: "🆕 新着のみ（アーカイブ済みの記事に到達したら停止）", value: "incremental" },
+        { name: "📚 件数を指定して取得", value: "full" },
       ],
     },
   ]);
 
-  if (method === "back") return false;
+  return mode === "incremental";
+}
 
-  let selectedMemberName = null;
+async function scrapeMemberBlog(site) {
+  const siteDefinition = getSite(site);
 
-  if (method === "number") {
-    // 番号入力方式
-    console.log(chalk.cyan("\n=== 欅坂46メンバー一覧 ==="));
-    availableMembers.forEach((name, index) => {
-      console.log(chalk.gray(`${index + 1}. ${name}`));
-    });
-    console.log(chalk.gray(`0. ← Back\n`));
+  // メンバー一覧はサイト定義から取得（DBが空ならサイトから取得）
+  console.log(chalk.yellow(`\n${siteDefinition.name}のメンバー一覧を取得中...`));
+  const members = await siteDefinition.listMembers(db);
+  if (members.length === 0) {
+    console.log(chalk.red("メンバーが見つかりませんでした"));
+    return true;
+  }
 
-    const { memberNumber } = await inquirer.prompt([
+  const member = await selectMember(members);
+  if (!member) return false; // 戻るが選択された
+
+  const incremental = await promptScrapeMode();
+
+  let limit = "all";
+  if (!incremental) {
+    const { postCount } = await inquirer.prompt([
       {
         type: "input",
-        name: "memberNumber",
-        message: "番号を入力してください:",
+        name: "postCount",
+        message: 'スクレイピングする記事数を入力（"all"で全件）:',
+        default: "5",
         validate: (value) => {
+          if (value === "all") return true;
           const num = parseInt(value);
-          if (value === "0") return true;
-          if (isNaN(num) || num < 1 || num > availableMembers.length) {
-            return `1-${availableMembers.length}の数値、または0（戻る）を入力してください`;
-          }
-          return true;
-        },
-      },
-    ]);
-
-    const num = parseInt(memberNumber);
-    if (num === 0) return false;
-    selectedMemberName = availableMembers[num - 1];
-  } else if (method === "search") {
-    // 検索方式
-    const { searchTerm } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "searchTerm",
-        message: "メンバー名を入力してください（部分一致）:",
-        validate: (value) =>
-          value.trim().length > 0 || "1文字以上入力してください",
-      },
-    ]);
-
-    const filtered = availableMembers.filter((name) =>
-      name.toLowerCase().includes(searchTerm.toLowerCase())
-    );
-
-    if (filtered.length === 0) {
-      console.log(chalk.red("該当するメンバーが見つかりませんでした"));
-      return await scrapeKeyakiMemberBlog(); // 再度選択
-    }
-
-    console.log(chalk.green(`\n${filtered.length}件見つかりました:\n`));
-    filtered.forEach((name, index) => {
-      console.log(`${index + 1}. ${name}`);
-    });
-    console.log(chalk.gray(`0. ← やり直す\n`));
-
-    if (filtered.length === 1) {
-      const { confirm } = await inquirer.prompt([
-        {
-          type: "confirm",
-          name: "confirm",
-          message: `${filtered[0]}を選択しますか？`,
-          default: true,
-        },
-      ]);
-
-      if (confirm) {
-        selectedMemberName = filtered[0];
-      } else {
-        return await scrapeKeyakiMemberBlog();
-      }
-    } else {
-      // 複数見つかった場合は番号入力方式
-      const { memberNumber } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "memberNumber",
-          message: "番号を入力してください:",
-          validate: (value) => {
-            const num = parseInt(value);
-            if (value === "0") return true;
-            if (isNaN(num) || num < 1 || num > filtered.length) {
-              return `1-${filtered.length}の数値、または0（やり直す）を入力してください`;
-            }
-            return true;
-          },
+          return (
+            (num > 0 && num <= 100) ||
+            '1-100の数値、または"all"を入力してください'
+          );
         },
-      ]);
-
-      const num = parseInt(memberNumber);
-      if (num === 0) return await scrapeKeyakiMemberBlog();
-      selectedMemberName = filtered[num - 1];
-    }
-  } else {
-    // 一覧選択方式（従来通り）
-    const choices = availableMembers.map((name) => ({
-      name: `${name} (欅坂46時代)`,
-      value: name,
-    }));
-
-    const { selected } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "selected",
-        message: "\n欅坂46のブログをスクレイピングするメンバーを選択:",
-        choices: [...choices, { name: "← Back", value: null }],
-        pageSize: 15,
-        loop: false,
       },
     ]);
 
-    if (!selected) return false;
-    selectedMemberName = selected;
+    limit = postCount === "all" ? "all" : parseInt(postCount);
   }
 
-  if (!selectedMemberName) return false; // 戻るが選択された
-
-  const { postCount } = await inquirer.prompt([
-    {
-      type: "input",
-      name: "postCount",
-      message: 'スクレイピングする記事数を入力（"all"で全件）:',
-      default: "5",
-      validate: (value) => {
-        if (value === "all") return true;
-        const num = parseInt(value);
-        return (
-          (num > 0 && num <= 100) ||
-          '1-100の数値、または"all"を入力してください'
-        );
-      },
-    },
-  ]);
-
-  const limit = postCount === "all" ? "all" : parseInt(postCount);
-
   // 日付範囲フィルタリングの確認
   const { useDateFilter } = await inquirer.prompt([
     {
@@ -428,10 +342,10 @@ async function scrapeKeyakiMemberBlog() {
         message: "開始日 (YYYY-MM-DD, 空白で指定なし):",
         default: "",
         validate: (value) => {
-          if (!value.trim()) return true;
+          if (!value.trim()) return true; // 空白はOK
           const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
           if (!dateRegex.test(value)) {
-            return "YYYY-MM-DD形式で入力してください（例: 2018-01-01）";
+            return "YYYY-MM-DD形式で入力してください（例: 2024-01-01）";
           }
           const date = new Date(value);
           if (isNaN(date.getTime())) {
@@ -446,10 +360,10 @@ async function scrapeKeyakiMemberBlog() {
         message: "終了日 (YYYY-MM-DD, 空白で指定なし):",
         default: "",
         validate: (value) => {
-          if (!value.trim()) return true;
+          if (!value.trim()) return true; // 空白はOK
           const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
           if (!dateRegex.test(value)) {
-            return "YYYY-MM-DD形式で入力してください（例: 2020-12-31）";
+            return "YYYY-MM-DD形式で入力してください（例: 2024-12-31）";
           }
           const date = new Date(value);
           if (isNaN(date.getTime())) {
@@ -473,70 +387,42 @@ async function scrapeKeyakiMemberBlog() {
     },
   ]);
 
-  const displayCount = limit === "all" ? "全件" : `${limit}件`;
+  const displayCount = incremental
+    ? "新着のみ"
+    : limit === "all"
+    ? "全件"
+    : `${limit}件`;
   const dateRangeMsg =
     dateFrom || dateTo
       ? ` (${dateFrom || "指定なし"} 〜 ${dateTo || "指定なし"})`
       : "";
   console.log(
     chalk.yellow(
-      `\n${selectedMemberName}さんの欅坂46ブログ記事を${displayCount}スクレイピング中...${dateRangeMsg}`
+      `\n${member.name}さんの${siteDefinition.name}ブログ記事を${displayCount}スクレイピング中...${dateRangeMsg}`
     )
   );
 
-  const posts = await scrapeKeyakiBlogPosts(selectedMemberName, limit, {
+  // 投稿は取得した時点でデータベースに保存される（画像も投稿ごとにDL）
+  const result = await scrapeMember(db, {
+    site,
+    memberId: String(member.id),
+    memberName: member.name,
+    limit,
     dateFrom,
     dateTo,
+    incremental,
+    downloadImages,
   });
+  const posts = result.posts;
+  logJobResult(result);
 
   if (posts.length > 0) {
-    console.log(chalk.green(`✓ Scraped ${posts.length} Keyaki posts`));
-    console.log(chalk.yellow("Saving to database..."));
-
-    await db.saveBlogPosts(posts);
+    console.log(chalk.green(`✓ Scraped ${posts.length} posts`));
     console.log(chalk.green("✓ データベースに保存しました"));
-
-    // 画像のダウンロード
     if (downloadImages) {
-      console.log(chalk.yellow("\n画像をダウンロード中..."));
-      const keyakiMemberId = KEYAKI_MEMBER_MAP[selectedMemberName];
-
-      for (const post of posts) {
-        if (post.images && post.images.length > 0) {
-          console.log(`\n${post.title}の画像:`);
-          const postId = post.url.split("/").pop().split("?")[0];
-          const downloaded = await downloadImagesOptimized(
-            post.images,
-            keyakiMemberId,
-            postId,
-            selectedMemberName,
-            "keyakizaka46"
-          );
-
-          // ローカル画像パスをpostsに追加
-          const localImagePaths = downloaded
-            .filter((d) => d.success)
-            .map((d) => d.localPath);
-          post.localImages = localImagePaths;
-
-          // URL→ローカルパスのマップでDB更新（インデックスずれ防止）
-          const urlToLocal = {};
-          downloaded.forEach((d) => {
-            if (d.success && d.url && d.localPath) {
-              urlToLocal[d.url] = d.localPath;
-            }
-          });
-          await db.updateBlogPostImagesByMap(post.url, urlToLocal);
-
-          console.log(
-            `  ${downloaded.filter((d) => d.success).length}/${
-              post.images.length
-            }枚ダウンロード完了`
-          );
-        }
-      }
-
-      // 画像は各投稿処理内で URLマップにより即時保存済み
+      console.log(
+        chalk.green(`✓ 画像: ${result.imagesDownloaded}/${result.imagesTotal}枚`)
+      );
     }
 
     const { showPosts } = await inquirer.prompt([
@@ -550,16 +436,17 @@ async function scrapeKeyakiMemberBlog() {
 
     if (showPosts) {
       posts.forEach((post, index) => {
-        console.log(chalk.cyan(`\n--- Keyaki Post ${index + 1} ---`));
+        console.log(chalk.cyan(`\n--- Post ${index + 1} ---`));
         console.log(`Title: ${post.title}`);
         console.log(`Date: ${post.date}`);
-        console.log(`Site: ${post.site}`);
         console.log(`Content: ${post.content.substring(0, 200)}...`);
         console.log(`Images: ${post.images.length} image(s)`);
       });
     }
+  } else if (incremental) {
+    console.log(chalk.green("✓ 新着記事はありません（アーカイブは最新です）"));
   } else {
-    console.log(chalk.red("No Keyaki posts were scraped"));
+    console.log(chalk.red("No posts were scraped"));
   }
 
   // メインメニューに戻る確認
@@ -580,84 +467,90 @@ async function scrapeKeyakiMemberBlog() {
   return false;
 }
 
-async function scrapeMemberBlog() {
-  const member = await selectMember();
-  if (!member) return false; // 戻るが選択された
-
-  const { postCount } = await inquirer.prompt([
+async function scrapeMultipleMembers() {
+  const { sites } = await inquirer.prompt([
     {
-      type: "input",
-      name: "postCount",
-      message: 'スクレイピングする記事数を入力（"all"で全件）:',
-      default: "5",
-      validate: (value) => {
-        if (value === "all") return true;
-        const num = parseInt(value);
-        return (
-          (num > 0 && num <= 100) ||
-          '1-100の数値、または"all"を入力してください'
-        );
-      },
+      type: "list",
+      name: "sites",
+      message: "対象サイトを選択:",
+      choices: [
+        ...listSites().map((site) => ({
+          name: `${site.emoji} ${site.name}`,
+          value: [site.id],
+        })),
+        {
+          name: `${listSites().map((site) => site.emoji).join("")} すべて`,
+          value: listSites().map((site) => site.id),
+        },
+        { name: "← Back", value: null },
+      ],
     },
   ]);
 
-  const limit = postCount === "all" ? "all" : parseInt(postCount);
+  if (!sites) return false;
 
-  // 日付範囲フィルタリングの確認
-  const { useDateFilter } = await inquirer.prompt([
+  // メンバー一覧はサイト定義から取得（櫻坂46はDBが空ならサイトから取得）
+  let targets = [];
+  for (const site of sites) {
+    targets.push(...(await getBatchTargets(db, site)));
+  }
+
+  const { scope } = await inquirer.prompt([
     {
-      type: "confirm",
-      name: "useDateFilter",
-      message: "日付で絞り込みますか？",
-      default: false,
+      type: "list",
+      name: "scope",
+      message: "対象メンバー:",
+      choices: [
+        { name: `👥 全メンバー (${targets.length}名)`, value: "all" },
+        { name: "☑️  メンバーを選択", value: "select" },
+      ],
     },
   ]);
 
-  let dateFrom = null;
-  let dateTo = null;
-
-  if (useDateFilter) {
-    const dateAnswers = await inquirer.prompt([
+  if (scope === "select") {
+    const { selected } = await inquirer.prompt([
       {
-        type: "input",
-        name: "dateFrom",
-        message: "開始日 (YYYY-MM-DD, 空白で指定なし):",
-        default: "",
-        validate: (value) => {
-          if (!value.trim()) return true; // 空白はOK
-          const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-          if (!dateRegex.test(value)) {
-            return "YYYY-MM-DD形式で入力してください（例: 2024-01-01）";
-          }
-          const date = new Date(value);
-          if (isNaN(date.getTime())) {
-            return "有効な日付を入力してください";
-          }
-          return true;
-        },
+        type: "checkbox",
+        name: "selected",
+        message: "スクレイピングするメンバーを選択（スペースで選択）:",
+        choices: targets.map((target) => ({
+          name: `${target.memberName} (${target.site})`,
+          value: target,
+        })),
+        pageSize: 15,
+        loop: false,
       },
+    ]);
+    targets = selected;
+  }
+
+  if (targets.length === 0) {
+    console.log(chalk.red("メンバーが選択されていません"));
+    return true;
+  }
+
+  const incremental = await promptScrapeMode();
+
+  let limit = "all";
+  if (!incremental) {
+    const { postCount } = await inquirer.prompt([
       {
         type: "input",
-        name: "dateTo",
-        message: "終了日 (YYYY-MM-DD, 空白で指定なし):",
-        default: "",
+        name: "postCount",
+        message: 'メンバーごとのスクレイピング記事数を入力（"all"で全件）:',
+        default: "5",
         validate: (value) => {
-          if (!value.trim()) return true; // 空白はOK
-          const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-          if (!dateRegex.test(value)) {
-            return "YYYY-MM-DD形式で入力してください（例: 2024-12-31）";
-          }
-          const date = new Date(value);
-          if (isNaN(date.getTime())) {
-            return "有効な日付を入力してください";
-          }
-          return true;
+          if (value === "all") return true;
+          const num = parseInt(value);
+          return (
+            (num > 0 && num <= 100) ||
+            '1-100の数値、または"all"を入力してください'
+          );
         },
       },
     ]);
 
-    dateFrom = dateAnswers.dateFrom.trim() || null;
-    dateTo = dateAnswers.dateTo.trim() || null;
+    limit = postCount === "all" ? "all" : parseInt(postCount);
   }
 
   const { downloadImages } = await inquirer.prompt([
@@ -669,91 +562,17 @@ async function scrapeMemberBlog() {
     },
   ]);
 
-  const displayCount = limit === "all" ? "全件" : `${limit}件`;
-  const dateRangeMsg =
-    dateFrom || dateTo
-      ? ` (${dateFrom || "指定なし"} 〜 ${dateTo || "指定なし"})`
-      : "";
   console.log(
-    chalk.yellow(
-      `\n${member.name}さんのブログ記事を${displayCount}スクレイピング中...${dateRangeMsg}`
-    )
+    chalk.yellow(`\n${targets.length}名のブログを一括スクレイピング中...`)
   );
 
-  const posts = await scrapeBlogPosts(member.id, member.name, limit, {
-    dateFrom,
-    dateTo,
+  const results = await scrapeMembersBatch(db, targets, {
+    limit,
+    incremental,
+    downloadImages,
   });
 
-  if (posts.length > 0) {
-    console.log(chalk.green(`✓ Scraped ${posts.length} posts`));
-    console.log(chalk.yellow("Saving to database..."));
-
-    await db.saveBlogPosts(posts);
-    console.log(chalk.green("✓ データベースに保存しました"));
-
-    // 画像のダウンロード
-    if (downloadImages) {
-      console.log(chalk.yellow("\n画像をダウンロード中..."));
-      for (const post of posts) {
-        if (post.images && post.images.length > 0) {
-          console.log(`\n${post.title}の画像:`);
-          const postId = post.url.split("/").pop();
-          const downloaded = await downloadImagesOptimized(
-            post.images,
-            member.id,
-            postId,
-            member.name,
-            "sakurazaka46"
-          );
-
-          // ローカル画像パスをpostsに追加
-          const localImagePaths = downloaded
-            .filter((d) => d.success)
-            .map((d) => d.localPath);
-          post.localImages = localImagePaths;
-
-          // URL→ローカルパスのマップでDB更新（インデックスずれ防止）
-          const urlToLocal = {};
-          downloaded.forEach((d) => {
-            if (d.success && d.url && d.localPath) {
-              urlToLocal[d.url] = d.localPath;
-            }
-          });
-          await db.updateBlogPostImagesByMap(post.url, urlToLocal);
-
-          console.log(
-            `  ${downloaded.filter((d) => d.success).length}/${
-              post.images.length
-            }枚ダウンロード完了`
-          );
-        }
-      }
-
-      // 画像は各投稿処理内で URLマップにより即時保存済み
-    }
-
-    const { showPosts } = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "showPosts",
-        message: "Display scraped posts?",
-        default: false,
-      },
-    ]);
-
-    if (showPosts) {
-      posts.forEach((post, index) => {
-        console.log(chalk.cyan(`\n--- Post ${index + 1} ---`));
-        console.log(`Title: ${post.title}`);
-        console.log(`Date: ${post.date}`);
-        console.log(`Content: ${post.content.substring(0, 200)}...`);
-        console.log(`Images: ${post.images.length} image(s)`);
-      });
-    }
-  } else {
-    console.log(chalk.red("No posts were scraped"));
-  }
+  logBatchSummary(results);
 
   // メインメニューに戻る確認
   console.log(
@@ -773,19 +592,92 @@ async function scrapeMemberBlog() {
   return false;
 }
 
+async function resumeInterruptedJob() {
+  const jobs = await db.getScrapeJobs({ unfinishedOnly: true });
+
+  if (jobs.length === 0) {
+    console.log(chalk.green("\n再開が必要なスクレイピングジョブはありません"));
+    return true;
+  }
+
+  const { jobId } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "jobId",
+      message: "再開するジョブを選択:",
+      choices: [
+        ...jobs.map((job) => ({
+          name: `#${job.id} ${job.member_name} (${job.site}) - ${job.status} / 完了 ${job.done_count}件・未処理 ${job.pending_count + job.failed_count}件 [${job.updated_at}]`,
+          value: job.id,
+        })),
+        { name: "← Back", value: null },
+      ],
+      pageSize: 15,
+      loop: false,
+    },
+  ]);
+
+  if (!jobId) return false;
+
+  const result = await resumeScrapeJob(db, jobId);
+  logJobResult(result);
+  console.log(
+    chalk.green(`✓ ${result.posts.length}件の投稿を保存しました`)
+  );
+
+  return true;
+}
+
+async function verifyDeletedPosts() {
+  const { site } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "site",
+      message: "照合するサイトを選択:",
+      choices: [
+        { name: "すべて", value: "all" },
+        ...listSites().map((site) => ({
+          name: `${site.emoji} ${site.name}`,
+          value: site.id,
+        })),
+        { name: "← Back", value: null },
+      ],
+    },
+  ]);
+
+  if (!site) return false;
+
+  const results = await verifyUpstreamPosts(db, {
+    site: site === "all" ? null : site,
+  });
+
+  if (results.length === 0) {
+    console.log(chalk.yellow("\n照合対象の投稿がありません"));
+    return true;
+  }
+
+  logVerificationSummary(results);
+  const deletedCount = results.reduce((sum, r) => sum + r.deleted.length, 0);
+  console.log(
+    chalk.green(`\n✓ 照合完了 - 新たに削除を検出: ${deletedCount}件`)
+  );
+
+  return true;
+}
+
 async function searchBlogPosts() {
   const { keyword } = await inquirer.prompt([
     {
       type: "input",
       name: "keyword",
-      message: "Enter search keyword:",
+      message: "Enter search keyword (\"phrase\", AND / OR / NOT):",
       validate: (value) => value.trim().length > 0,
     },
   ]);
 
   console.log(chalk.yellow(`\nSearching for "${keyword}"...`));
 
-  const posts = await db.searchBlogPosts(keyword);
+  const posts = await db.searchBlogPosts(keyword, { sortOrder: "relevance" });
 
   if (posts.length > 0) {
     console.log(chalk.green(`\nFound ${posts.length} posts:\n`));
@@ -794,7 +686,9 @@ async function searchBlogPosts() {
       console.log(chalk.cyan(`--- ${index + 1}. ${post.member_name} ---`));
       console.log(`Title: ${post.title}`);
       console.log(`Date: ${post.date}`);
-      console.log(`Content: ${post.content.substring(0, 150)}...`);
+      console.log(
+        `Content: ${highlightSnippet(post.snippet, (found) => chalk.bgYellow.black(found))}`
+      );
       console.log();
     });
   } else {
@@ -819,6 +713,8 @@ async function searchBlogPosts() {
 
 async function startWebViewer() {
   console.log(chalk.yellow("\nWebページビューアーを起動中..."));
+  // webServerは読み込み時にDB接続を開くため、起動時にのみ読み込む
+  const { startServer } = require("./webServer");
   startServer();
 
   // サーバーの起動メッセージが完全に表示されるまで待機
@@ -849,7 +745,8 @@ async function main() {
 
   while (true) {
     try {
-      const action = await displayMenu();
+      // スクレイピングの項目は "scrape:サイト識別子"
+      const [action, site] = (await displayMenu()).split(":");
       let shouldWait = true; // デフォルトでは待機する
 
       switch (action) {
@@ -857,13 +754,19 @@ async function main() {
           shouldWait = await openMemberBlog();
           break;
         case "scrape":
-          shouldWait = await scrapeMemberBlog();
+          shouldWait = await scrapeMemberBlog(site);
           break;
         case "search":
           shouldWait = await searchBlogPosts();
           break;
-        case "scrape-keyaki":
-          shouldWait = await scrapeKeyakiMemberBlog();
+        case "scrape-batch":
+          shouldWait = await scrapeMultipleMembers();
+          break;
+        case "resume":
+          shouldWait = await resumeInterruptedJob();
+          break;
+        case "verify":
+          shouldWait = await verifyDeletedPosts();
           break;
         case "web":
           shouldWait = await startWebViewer();
@@ -893,8 +796,20 @@ async function main() {
   }
 }
 
-main().catch((error) => {
-  console.error(chalk.red("Fatal error:"), error);
-  db.close();
-  process.exit(1);
-});
+// 引数があればサブコマンドとして非対話実行、なければ対話メニュー
+const cliArgs = process.argv.slice(2);
+
+if (cliArgs.length > 0) {
+  runCli(cliArgs, db).then((exitCode) => {
+    if (exitCode !== null) {
+      db.close();
+      process.exitCode = exitCode;
+    }
+  });
+} else {
+  main().catch((error) => {
+    console.error(chalk.red("Fatal error:"), error);
+    db.close();
+    process.exit(1);
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * 001: 初期スキーマ（メンバー・ブログ記事・記事画像）
+ * マイグレーション導入前のデータベースにも適用されるため、既存のテーブルはそのまま残す
+ */
+module.exports = {
+  version: 1,
+  name: "initial_schema",
+  description: "members / blog_posts / blog_images テーブルを作成",
+
+  async up(db) {
+    // 旧メンバーテーブル（櫻坂46のみ。site_members へ移行済みで、移行元としてのみ参照）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS members (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        blog_url TEXT
+      )
+    `);
+
+    // ブログ投稿テーブル
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS blog_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id INTEGER,
+        member_name TEXT,
+        url TEXT UNIQUE,
+        title TEXT,
+        date TEXT,
+        content TEXT,
+        site TEXT DEFAULT 'sakurazaka46',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (member_id) REFERENCES members (id)
+      )
+    `);
+    await db.addColumnIfMissing("blog_posts", "site", "TEXT DEFAULT 'sakurazaka46'");
+
+    // ブログ画像テーブル
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS blog_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER,
+        image_url TEXT,
+        local_path TEXT,
+        FOREIGN KEY (post_id) REFERENCES blog_posts (id)
+      )
+    `);
+
+    // 同一post_id内での画像URL重複を防止するユニークインデックス
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_images_post_image
+      ON blog_images(post_id, image_url)
+    `);
+  },
+};
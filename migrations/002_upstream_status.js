@@ -0,0 +1,14 @@
+/**
+ * 002: 公式サイト上の存在確認用の列
+ */
+module.exports = {
+  version: 2,
+  name: "upstream_status",
+  description: "blog_posts に公式サイトでの削除状態（upstream_*）の列を追加",
+
+  async up(db) {
+    await db.addColumnIfMissing("blog_posts", "upstream_status", "TEXT DEFAULT 'present'");
+    await db.addColumnIfMissing("blog_posts", "upstream_checked_at", "DATETIME");
+    await db.addColumnIfMissing("blog_posts", "upstream_deleted_at", "DATETIME");
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * 003: スクレイピングジョブ（中断からの再開用）
+ */
+module.exports = {
+  version: 3,
+  name: "scrape_jobs",
+  description: "scrape_jobs / scrape_job_urls テーブルを作成",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site TEXT NOT NULL,
+        member_id TEXT,
+        member_name TEXT,
+        options TEXT,
+        status TEXT DEFAULT 'collecting',
+        last_list_page INTEGER DEFAULT -1,
+        collection_done INTEGER DEFAULT 0,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // ジョブで発見した投稿URLと処理状態
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS scrape_job_urls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        list_date TEXT,
+        list_title TEXT,
+        status TEXT DEFAULT 'pending',
+        error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(job_id, url),
+        FOREIGN KEY (job_id) REFERENCES scrape_jobs (id)
+      )
+    `);
+  },
+};
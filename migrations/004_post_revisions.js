@@ -0,0 +1,27 @@
+/**
+ * 004: 投稿の変更履歴（再スクレイピングで内容が変わった時の変更前の版）
+ */
+module.exports = {
+  version: 4,
+  name: "post_revisions",
+  description: "blog_post_revisions テーブルを作成",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS blog_post_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL,
+        title TEXT,
+        date TEXT,
+        content TEXT,
+        revised_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES blog_posts (id)
+      )
+    `);
+
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_blog_post_revisions_post
+      ON blog_post_revisions(post_id)
+    `);
+  },
+};
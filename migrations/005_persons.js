@@ -0,0 +1,67 @@
+/**
+ * 005: サイトをまたいだ人物（欅坂46時代と櫻坂46時代など）
+ * 既存の投稿は、同じ名前（空白を除いて比較）のメンバーを同一人物として割り当てる
+ */
+module.exports = {
+  version: 5,
+  name: "persons",
+  description: "persons / person_member_ids テーブルと blog_posts.person_id を追加し、既存の投稿に人物を割り当て",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS persons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        name_key TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // サイトごとのメンバーIDと人物の対応（メンバーIDはサイト内でのみ一意）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS person_member_ids (
+        site TEXT NOT NULL,
+        member_id INTEGER NOT NULL,
+        person_id INTEGER NOT NULL,
+        PRIMARY KEY (site, member_id),
+        FOREIGN KEY (person_id) REFERENCES persons (id)
+      )
+    `);
+
+    await db.addColumnIfMissing("blog_posts", "person_id", "INTEGER REFERENCES persons (id)");
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_person
+      ON blog_posts(person_id)
+    `);
+
+    const nameKey = (column) => `REPLACE(REPLACE(${column}, ' ', ''), '　', '')`;
+
+    await db.run(`
+      INSERT OR IGNORE INTO persons (name, name_key)
+      SELECT MIN(member_name), ${nameKey("member_name")}
+      FROM blog_posts
+      WHERE person_id IS NULL AND member_name IS NOT NULL AND member_name != ''
+      GROUP BY ${nameKey("member_name")}
+    `);
+
+    await db.run(`
+      INSERT OR IGNORE INTO person_member_ids (site, member_id, person_id)
+      SELECT COALESCE(bp.site, 'sakurazaka46'), bp.member_id, MIN(p.id)
+      FROM blog_posts bp
+      JOIN persons p ON p.name_key = ${nameKey("bp.member_name")}
+      WHERE bp.person_id IS NULL AND bp.member_id IS NOT NULL
+      GROUP BY COALESCE(bp.site, 'sakurazaka46'), bp.member_id
+    `);
+
+    await db.run(`
+      UPDATE blog_posts
+      SET person_id = (
+        SELECT pmi.person_id
+        FROM person_member_ids pmi
+        WHERE pmi.site = COALESCE(blog_posts.site, 'sakurazaka46')
+          AND pmi.member_id = blog_posts.member_id
+      )
+      WHERE person_id IS NULL
+    `);
+  },
+};
@@ -0,0 +1,86 @@
+/**
+ * 006: サイト別のメンバー情報と名前の表記ゆれ
+ * 旧 members テーブルの櫻坂46メンバーと、投稿だけが残っているメンバー（卒業などで一覧から消えたメンバー）を登録する
+ */
+module.exports = {
+  version: 6,
+  name: "site_members",
+  description: "site_members / site_member_names テーブルを作成し、members と既存の投稿からメンバーを登録",
+
+  async up(db) {
+    // status: 'active' 最新のメンバー一覧に掲載 / 'graduated' 一覧から消えた / NULL 一覧で未確認
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS site_members (
+        site TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        blog_url TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        first_seen_at DATETIME,
+        last_seen_at DATETIME,
+        status TEXT DEFAULT 'active',
+        PRIMARY KEY (site, member_id)
+      )
+    `);
+
+    await db.addColumnIfMissing("site_members", "first_seen_at", "DATETIME");
+    await db.addColumnIfMissing("site_members", "last_seen_at", "DATETIME");
+    await db.addColumnIfMissing("site_members", "status", "TEXT DEFAULT 'active'");
+
+    // メンバー名の表記ゆれ（改名・旧字体など、これまでに確認したすべての名前）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS site_member_names (
+        site TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (site, member_id, name)
+      )
+    `);
+
+    await db.run(`
+      INSERT OR IGNORE INTO site_members (site, member_id, name, blog_url, first_seen_at, last_seen_at, status)
+      SELECT 'sakurazaka46', CAST(id AS TEXT), name, blog_url, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 'active'
+      FROM members
+    `);
+
+    await db.run(`
+      UPDATE site_members
+      SET first_seen_at = COALESCE(first_seen_at, updated_at),
+          last_seen_at = COALESCE(last_seen_at, updated_at)
+      WHERE status IS NOT NULL AND (first_seen_at IS NULL OR last_seen_at IS NULL)
+    `);
+
+    // blog_posts.member_id は数値のため、"03" と 3 のような表記違いは同じメンバーとみなす
+    await db.run(`
+      INSERT OR IGNORE INTO site_members (site, member_id, name, first_seen_at, last_seen_at, status)
+      SELECT COALESCE(bp.site, 'sakurazaka46'), CAST(bp.member_id AS TEXT), MAX(bp.member_name),
+             MIN(bp.created_at), MAX(bp.created_at), NULL
+      FROM blog_posts bp
+      WHERE bp.member_id IS NOT NULL AND bp.member_name IS NOT NULL AND bp.member_name != ''
+        AND NOT EXISTS (
+          SELECT 1 FROM site_members sm
+          WHERE sm.site = COALESCE(bp.site, 'sakurazaka46')
+            AND CAST(sm.member_id AS INTEGER) = bp.member_id
+        )
+      GROUP BY COALESCE(bp.site, 'sakurazaka46'), bp.member_id
+    `);
+
+    await db.run(`
+      INSERT OR IGNORE INTO site_member_names (site, member_id, name, first_seen_at)
+      SELECT site, member_id, name, COALESCE(first_seen_at, CURRENT_TIMESTAMP)
+      FROM site_members
+    `);
+
+    await db.run(`
+      INSERT OR IGNORE INTO site_member_names (site, member_id, name, first_seen_at)
+      SELECT sm.site, sm.member_id, bp.member_name, MIN(bp.created_at)
+      FROM blog_posts bp
+      JOIN site_members sm
+        ON sm.site = COALESCE(bp.site, 'sakurazaka46')
+       AND CAST(sm.member_id AS INTEGER) = bp.member_id
+      WHERE bp.member_name IS NOT NULL AND bp.member_name != ''
+      GROUP BY sm.site, sm.member_id, bp.member_name
+    `);
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * 007: メンバーのプロフィールとプロフィール写真の履歴
+ */
+module.exports = {
+  version: 7,
+  name: "member_profiles",
+  description: "member_profiles / member_profile_photos テーブルを作成",
+
+  async up(db) {
+    // 公式サイトのプロフィールページから取得
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS member_profiles (
+        site TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        furigana TEXT,
+        birthday TEXT,
+        birthplace TEXT,
+        blood_type TEXT,
+        generation TEXT,
+        height TEXT,
+        graduation TEXT,
+        profile_url TEXT,
+        photo_url TEXT,
+        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (site, member_id)
+      )
+    `);
+
+    // 写真が差し替わるたびに1行追加
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS member_profile_photos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        image_url TEXT NOT NULL,
+        local_path TEXT,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(site, member_id, image_url)
+      )
+    `);
+  },
+};
@@ -0,0 +1,44 @@
+const { normalizePublishedAt } = require("../utils/dateUtils");
+
+/**
+ * 008: 正規化した投稿日時（日本時間の "YYYY-MM-DD" または "YYYY-MM-DD HH:MM"）
+ * 並べ替え・日付範囲の絞り込みはこの列で行う（date はサイトの表記のまま残す）
+ */
+module.exports = {
+  version: 8,
+  name: "published_at",
+  description: "blog_posts.published_at を追加し、既存の投稿の date から補完",
+
+  async up(db) {
+    await db.addColumnIfMissing("blog_posts", "published_at", "TEXT");
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_published_at
+      ON blog_posts(published_at)
+    `);
+
+    // "2024/12/25", "2024.12.25", "2024-12-25"（後ろに " HH:MM" が続く場合を含む）はSQLで変換する
+    const normalized = "REPLACE(REPLACE(TRIM(date), '/', '-'), '.', '-')";
+    await db.run(`
+      UPDATE blog_posts
+      SET published_at = substr(${normalized}, 1, 10) ||
+        CASE
+          WHEN substr(${normalized}, 11) GLOB ' [0-2][0-9]:[0-5][0-9]*'
+          THEN substr(${normalized}, 11, 6)
+          ELSE ''
+        END
+      WHERE published_at IS NULL
+        AND ${normalized} GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]*'
+    `);
+
+    // ゼロ埋めのない日付などそれ以外の表記は normalizePublishedAt() で変換する
+    const rows = await db.all(
+      "SELECT id, date FROM blog_posts WHERE published_at IS NULL AND date IS NOT NULL AND date != ''"
+    );
+    for (const row of rows) {
+      const publishedAt = normalizePublishedAt(row.date);
+      if (publishedAt) {
+        await db.run("UPDATE blog_posts SET published_at = ? WHERE id = ?", [publishedAt, row.id]);
+      }
+    }
+  },
+};
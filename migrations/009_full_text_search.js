@@ -0,0 +1,33 @@
+const { toSearchText } = require("../utils/searchQuery");
+
+/**
+ * 009: 全文検索用の索引（タイトルとタグを除いた本文。rowid は blog_posts.id）
+ * 日本語は単語の区切りがないため、3文字ずつに区切る trigram トークナイザーを使う
+ */
+module.exports = {
+  version: 9,
+  name: "full_text_search",
+  description: "blog_posts_fts（FTS5）を作成し、既存の投稿を索引に登録",
+
+  async up(db) {
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS blog_posts_fts USING fts5(
+        title,
+        body,
+        tokenize = 'trigram'
+      )
+    `);
+
+    // タグの除去はSQLでできないため、投稿を読み込んでから登録する
+    const rows = await db.all(
+      `SELECT id, title, content FROM blog_posts
+       WHERE id NOT IN (SELECT rowid FROM blog_posts_fts)`
+    );
+    for (const row of rows) {
+      await db.run(
+        "INSERT OR REPLACE INTO blog_posts_fts (rowid, title, body) VALUES (?, ?, ?)",
+        [row.id, row.title || "", toSearchText(row.content)]
+      );
+    }
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * 010: ゴミ箱（削除した投稿を一定期間残し、復元・完全削除できるようにする）
+ */
+module.exports = {
+  version: 10,
+  name: "trash",
+  description: "blog_posts.deleted_at と blog_images.trash_path を追加",
+
+  async up(db) {
+    // ゴミ箱に移動した日時（NULL は通常の投稿）
+    await db.addColumnIfMissing("blog_posts", "deleted_at", "DATETIME");
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_deleted_at
+      ON blog_posts(deleted_at)
+    `);
+
+    // ゴミ箱に移した画像ファイルのパス（local_path は復元先として残す）
+    await db.addColumnIfMissing("blog_images", "trash_path", "TEXT");
+  },
+};
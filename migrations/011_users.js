@@ -0,0 +1,23 @@
+/**
+ * 011: Webビューアーのユーザー（ログインと権限）
+ */
+module.exports = {
+  version: 11,
+  name: "users",
+  description: "users テーブルを作成",
+
+  async up(db) {
+    // role: 'admin' 削除・ゴミ箱の操作ができる / 'viewer' 閲覧のみ
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME
+      )
+    `);
+  },
+};
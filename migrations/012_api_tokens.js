@@ -0,0 +1,31 @@
+/**
+ * 012: プログラムからのアクセス用の API トークン
+ */
+module.exports = {
+  version: 12,
+  name: "api_tokens",
+  description: "api_tokens テーブルを作成",
+
+  async up(db) {
+    // トークン自体は保存せず SHA-256 のハッシュだけを持つ（token_prefix は一覧での見分け用）
+    // scope: 'read' 閲覧のみ / 'write' 削除などの操作も可能（ユーザーが管理者の場合）
+    // 失効したトークンは監査のため revoked_at を記録して残す
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scope TEXT NOT NULL DEFAULT 'read',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        last_used_request TEXT,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await db.run("CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)");
+  },
+};
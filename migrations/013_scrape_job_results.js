@@ -0,0 +1,17 @@
+/**
+ * 013: スクレイピングジョブの実行者と画像の取得結果
+ */
+module.exports = {
+  version: 13,
+  name: "scrape_job_results",
+  description: "scrape_jobs.started_by / images_downloaded / images_total を追加",
+
+  async up(db) {
+    // Web ビューアーから開始したユーザー名（メニュー・CLI から開始したジョブは NULL）
+    await db.addColumnIfMissing("scrape_jobs", "started_by", "TEXT");
+
+    // ダウンロードした画像の枚数 / 対象の画像の枚数（再開した場合は合算）
+    await db.addColumnIfMissing("scrape_jobs", "images_downloaded", "INTEGER DEFAULT 0");
+    await db.addColumnIfMissing("scrape_jobs", "images_total", "INTEGER DEFAULT 0");
+  },
+};
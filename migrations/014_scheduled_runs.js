@@ -0,0 +1,32 @@
+/**
+ * 014: 定期更新（scheduler.js）の実行履歴
+ */
+module.exports = {
+  version: 14,
+  name: "scheduled_runs",
+  description: "scheduled_runs テーブルを作成",
+
+  async up(db) {
+    // trigger: 'schedule'（スケジュールによる実行）/ 'manual'（schedule run で手動実行）
+    // status: 'running' | 'completed' | 'failed' | 'skipped'（実行しない時間帯・実行中のジョブがあった場合）
+    // scheduled_at はスケジュール上の時刻（ランダムな遅れを含まない）、started_at は実際に開始（スキップ）した時刻
+    // results はメンバーごとの結果（JSON: site, memberId, memberName, jobId, postCount, imagesDownloaded, imagesTotal, error）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS scheduled_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule TEXT,
+        trigger TEXT NOT NULL DEFAULT 'schedule',
+        scheduled_at DATETIME,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        status TEXT NOT NULL DEFAULT 'running',
+        member_count INTEGER DEFAULT 0,
+        failed_count INTEGER DEFAULT 0,
+        post_count INTEGER DEFAULT 0,
+        images_downloaded INTEGER DEFAULT 0,
+        results TEXT,
+        error TEXT
+      )
+    `);
+  },
+};
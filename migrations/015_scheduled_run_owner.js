@@ -0,0 +1,15 @@
+/**
+ * 015: 定期更新を実行しているプロセス
+ */
+module.exports = {
+  version: 15,
+  name: "scheduled_run_owner",
+  description: "scheduled_runs.owner_host / owner_pid を追加",
+
+  async up(db) {
+    // 実行を記録したプロセスのホスト名とプロセスID
+    // （起動時に「実行中」のまま残った記録を失敗にする際、まだ動いているプロセスの実行を除くため）
+    await db.addColumnIfMissing("scheduled_runs", "owner_host", "TEXT");
+    await db.addColumnIfMissing("scheduled_runs", "owner_pid", "INTEGER");
+  },
+};
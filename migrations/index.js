@@ -0,0 +1,219 @@
+/**
+ * スキーマのマイグレーション
+ * migrations/ 配下の "NNN_名前.js" が1バージョン分の変更をエクスポートし、
+ * BlogDatabase の起動時に未適用のものを番号順に適用する
+ *
+ * 適用済みのバージョンは PRAGMA user_version に記録し、適用履歴は schema_migrations テーブルに残す
+ * スキーマを変更する場合は、既存のファイルを書き換えずに次の番号のファイルを1つ追加する
+ * （docs/DATABASE_STRUCTURE.md も更新する）
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - バージョン番号（ファイル名の番号と同じ。1から連番）
+ * @property {string} name - 名前（ファイル名の番号以降と同じ）
+ * @property {string} description - 変更内容の説明（db migrate --status で表示）
+ * @property {function(MigrationContext): Promise<void>} up - 変更を適用する関数
+ *   マイグレーション導入前のデータベース（user_version が 0）にも適用されるため、
+ *   既に存在するテーブル・列があっても失敗しないように書く（IF NOT EXISTS / addColumnIfMissing）
+ */
+
+/**
+ * @typedef {object} MigrationContext
+ * @property {function(string, Array=): Promise<void>} run - 更新系のSQLを実行
+ * @property {function(string, Array=): Promise<object>} get - 1行取得
+ * @property {function(string, Array=): Promise<Array<object>>} all - 全行取得
+ * @property {function(string, string, string): Promise<boolean>} addColumnIfMissing
+ *   (table, column, definition) => 列がなければ追加（追加した場合true）
+ */
+
+const MIGRATION_FILE_PATTERN = /^(\d{3})_(\w+)\.js$/;
+
+/**
+ * マイグレーション一覧を読み込む（バージョン順）
+ * @returns {Array<Migration>} マイグレーションの配列
+ */
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(__dirname)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const [, number, name] = file.match(MIGRATION_FILE_PATTERN);
+      const migration = require(path.join(__dirname, file));
+      if (migration.version !== parseInt(number, 10) || migration.name !== name) {
+        throw new Error(`マイグレーションのバージョン・名前がファイル名と一致しません: ${file}`);
+      }
+      return migration;
+    });
+
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`マイグレーションの番号が連番になっていません: ${migration.version}_${migration.name}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * sqlite3 の接続から、マイグレーションに渡すヘルパーを作成
+ * @param {sqlite3.Database} sqliteDb - データベース接続
+ * @returns {MigrationContext} ヘルパー
+ */
+function createContext(sqliteDb) {
+  const run = promisify(sqliteDb.run.bind(sqliteDb));
+  const get = promisify(sqliteDb.get.bind(sqliteDb));
+  const all = promisify(sqliteDb.all.bind(sqliteDb));
+
+  const addColumnIfMissing = async (table, column, definition) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (columns.some((info) => info.name === column)) return false;
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  };
+
+  return { run, get, all, addColumnIfMissing };
+}
+
+/**
+ * 適用履歴テーブルを作成（マイグレーション自体の管理用のため、番号付きのマイグレーションには含めない）
+ * @param {MigrationContext} db - ヘルパー
+ */
+async function ensureHistoryTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      backup_path TEXT
+    )
+  `);
+}
+
+/**
+ * マイグレーション適用前のバックアップを作成
+ * VACUUM INTO で書き込み中のページを含まない整合したコピーを作る
+ * @param {MigrationContext} db - ヘルパー
+ * @param {string} dbPath - データベースファイルのパス
+ * @param {string} backupDir - バックアップの保存先
+ * @param {number} currentVersion - 適用前のバージョン
+ * @returns {Promise<string>} バックアップファイルのパス
+ */
+async function backupDatabase(db, dbPath, backupDir, currentVersion) {
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..*$/, "").replace("T", "_");
+  const baseName = path.basename(dbPath, path.extname(dbPath));
+  const backupPath = path.join(backupDir, `${baseName}_v${currentVersion}_${timestamp}.db`);
+
+  await db.run("VACUUM INTO ?", [backupPath]);
+  return backupPath;
+}
+
+/**
+ * 未適用のマイグレーションを番号順に適用
+ * 既存のテーブルがあるデータベースでは、適用前に backupDir へバックアップを作成する
+ * 各マイグレーションは1つのトランザクションで適用し、失敗した場合はそのマイグレーションの変更を取り消して例外を投げる
+ * （それより前に適用したマイグレーションは残る）
+ * @param {sqlite3.Database} sqliteDb - データベース接続
+ * @param {object} options - オプション {dbPath, backupDir}
+ * @returns {Promise<object>} {fromVersion, toVersion, applied: [{version, name}], backupPath}
+ */
+async function runMigrations(sqliteDb, { dbPath, backupDir }) {
+  const db = createContext(sqliteDb);
+  const migrations = loadMigrations();
+
+  const { user_version: fromVersion } = await db.get("PRAGMA user_version");
+  const pending = migrations.filter((migration) => migration.version > fromVersion);
+  const result = { fromVersion, toVersion: fromVersion, applied: [], backupPath: null };
+
+  if (fromVersion > migrations.length) {
+    throw new Error(
+      `データベースのスキーマ（v${fromVersion}）がこのプログラム（v${migrations.length}）より新しいため開けません。プログラムを更新してください`
+    );
+  }
+  if (pending.length === 0) return result;
+
+  // 新規作成したばかりの空のデータベースはバックアップしない
+  const { count: tableCount } = await db.get(
+    "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+  );
+  if (tableCount > 0) {
+    result.backupPath = await backupDatabase(db, dbPath, backupDir, fromVersion);
+    console.log(`💾 マイグレーション前のバックアップを作成しました: ${result.backupPath}`);
+  }
+
+  await ensureHistoryTable(db);
+
+  for (const migration of pending) {
+    await db.run("BEGIN IMMEDIATE");
+    try {
+      await migration.up(db);
+      await db.run(
+        "INSERT OR REPLACE INTO schema_migrations (version, name, backup_path) VALUES (?, ?, ?)",
+        [migration.version, migration.name, result.backupPath]
+      );
+      // PRAGMA はパラメータを使えないため、検証済みの整数を埋め込む
+      await db.run(`PRAGMA user_version = ${Number(migration.version)}`);
+      await db.run("COMMIT");
+    } catch (error) {
+      await db.run("ROLLBACK").catch(() => {});
+      error.message = `マイグレーション ${migration.version}_${migration.name} の適用に失敗しました: ${error.message}`;
+      throw error;
+    }
+
+    result.toVersion = migration.version;
+    result.applied.push({ version: migration.version, name: migration.name });
+    if (tableCount > 0) {
+      console.log(`🔧 マイグレーションを適用しました: ${migration.version}_${migration.name}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * マイグレーションの適用状況を取得
+ * @param {sqlite3.Database} sqliteDb - データベース接続
+ * @returns {Promise<object>} {currentVersion, latestVersion, migrations: [{version, name, description, applied, appliedAt, backupPath}]}
+ */
+async function getMigrationStatus(sqliteDb) {
+  const db = createContext(sqliteDb);
+  const migrations = loadMigrations();
+
+  const { user_version: currentVersion } = await db.get("PRAGMA user_version");
+  const historyTable = await db.get(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  );
+  const history = historyTable
+    ? await db.all("SELECT version, applied_at, backup_path FROM schema_migrations")
+    : [];
+  const historyByVersion = new Map(history.map((row) => [row.version, row]));
+
+  return {
+    currentVersion,
+    latestVersion: migrations.length,
+    migrations: migrations.map((migration) => {
+      const row = historyByVersion.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        applied: migration.version <= currentVersion,
+        appliedAt: row ? row.applied_at : null,
+        backupPath: row ? row.backup_path : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+  getMigrationStatus,
+};
@@ -0,0 +1,248 @@
+const config = require("./config");
+const { hasSite, getSiteIds } = require("./sites");
+const { scrapeMembersBatch, logBatchSummary } = require("./scrapeService");
+const { resolveSiteMemberId } = require("./fetchMembers");
+const {
+  parseCronExpression,
+  getNextCronTime,
+  parseQuietHours,
+  isInQuietHours,
+} = require("./utils/cron");
+
+/**
+ * 定期更新
+ * cron 形式のスケジュールで、アーカイブ済みのメンバー全員の新着投稿を取得する（画像も取得）
+ * 実行ごとの結果は scheduled_runs に記録する
+ *
+ * node index.js schedule start で単独で動かすか、SCHEDULE_IN_WEB_SERVER=true で Web サーバーと一緒に動かす
+ * （両方で動かすと同じ回を2回実行するため、どちらか一方だけで動かす）
+ */
+
+// setTimeout の上限（約24.8日）を超えないよう、待ち時間が長い場合は途中で次の実行時刻を計算し直す
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * 定期更新の対象メンバーを取得
+ * 投稿をアーカイブ済みのメンバーのうち、卒業していないメンバー
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {Array<string>} sites - 対象サイト（空の場合は全サイト）
+ * @returns {Promise<Array<{site: string, memberId: string, memberName: string}>>} 対象メンバー
+ */
+async function getTrackedMembers(db, sites = []) {
+  const targetSites = sites.length > 0 ? sites : getSiteIds();
+  const targets = [];
+
+  for (const member of await db.getArchivedMembersBySite()) {
+    if (!hasSite(member.site) || !targetSites.includes(member.site)) continue;
+
+    // blog_posts.member_id は INTEGER のため（欅坂46の "03" が 3 になる）、
+    // 卒業の判定もリストページのURLに使うIDも、数値として一致する site_members のメンバーに合わせる
+    const siteMember = await db.findSiteMemberById(member.site, member.member_id);
+    if (siteMember && siteMember.status === "graduated") continue;
+
+    targets.push({
+      site: member.site,
+      memberId: await resolveSiteMemberId(db, member.site, member.member_id, member.member_name),
+      memberName: member.member_name,
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * 定期更新を1回実行して結果を記録
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {object} options - {schedule: cron 形式の文字列, trigger: 'schedule' | 'manual',
+ *   scheduledAt: スケジュール上の時刻（ランダムな遅れを含まない。実際の開始時刻は started_at に記録される）,
+ *   sites: 対象サイト, downloadImages: 画像もダウンロードするか}
+ * @returns {Promise<object>} {runId, status, results: scrapeMembersBatch() の結果}
+ */
+async function runScheduledUpdate(db, options = {}) {
+  const {
+    schedule = null,
+    trigger = "manual",
+    scheduledAt = null,
+    sites = config.scheduler.sites,
+    downloadImages = config.scheduler.downloadImages,
+  } = options;
+
+  const targets = await getTrackedMembers(db, sites);
+  if (targets.length === 0) {
+    const error = "対象のメンバーがいません（先に scrape で投稿をアーカイブしてください）";
+    const runId = await db.createScheduledRun({ schedule, trigger, scheduledAt, status: "skipped", error });
+    console.log(`⏭️  定期更新 #${runId}: ${error}`);
+    return { runId, status: "skipped", results: [] };
+  }
+
+  const runId = await db.createScheduledRun({ schedule, trigger, scheduledAt });
+  console.log(`\n⏰ 定期更新 #${runId}: ${targets.length}名の新着を確認します`);
+
+  try {
+    const results = await scrapeMembersBatch(db, targets, {
+      limit: "all",
+      incremental: true,
+      downloadImages,
+    });
+    logBatchSummary(results);
+
+    const failed = results.filter((result) => result.error).length;
+    const status = failed > 0 ? "failed" : "completed";
+    await db.finishScheduledRun(runId, {
+      status,
+      results,
+      error: failed > 0 ? `${failed}名の取得に失敗しました` : null,
+    });
+    return { runId, status, results };
+  } catch (error) {
+    console.error(`❌ 定期更新 #${runId}:`, error);
+    await db.finishScheduledRun(runId, { status: "failed", error: error.message });
+    return { runId, status: "failed", results: [] };
+  }
+}
+
+/**
+ * スケジューラーを作成
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {object} options - config.scheduler と同じ項目（省略した項目は config の値）と
+ *   isBusy: 他のスクレイピングが実行中かを返す関数（実行中ならその回は実行しない）
+ * @returns {object} {start, stop, isRunning, getNextRun}
+ * @throws {Error} スケジュール・実行しない時間帯の指定が不正な場合
+ */
+function createScheduler(db, options = {}) {
+  const settings = { ...config.scheduler, ...options };
+  const isBusy = options.isBusy || (() => false);
+
+  const schedules = settings.schedules.map((expression) => parseCronExpression(expression));
+  const quietHours = parseQuietHours(settings.quietHours);
+  const unknownSite = settings.sites.find((site) => !hasSite(site));
+  if (unknownSite) {
+    throw new Error(`定期更新の対象サイトが不正です: ${unknownSite}（${getSiteIds().join(", ")}）`);
+  }
+
+  let timer = null;
+  let nextRun = null;
+  let running = false;
+
+  /**
+   * 次の実行（スケジュールの時刻にランダムな遅れを足したもの）を決める
+   * @param {Date} after - 基準の時刻
+   * @returns {{schedule: string, scheduledAt: Date, runAt: Date}|null} 次の実行（スケジュールがなければnull）
+   */
+  const planNextRun = (after) => {
+    const candidates = schedules.map((schedule) => ({
+      schedule: schedule.expression,
+      scheduledAt: getNextCronTime(schedule, after),
+    }));
+    if (candidates.length === 0) return null;
+
+    const next = candidates.reduce((a, b) => (b.scheduledAt < a.scheduledAt ? b : a));
+    const jitterMs = Math.floor(Math.random() * settings.jitterMinutes * 60 * 1000);
+    return { ...next, runAt: new Date(next.scheduledAt.getTime() + jitterMs) };
+  };
+
+  /**
+   * 予定した実行を行う（実行しない時間帯・他のスクレイピングの実行中はスキップして記録する）
+   * @param {object} plan - planNextRun() の結果
+   */
+  const runPlanned = async (plan) => {
+    // どの回の実行・スキップかが分かるよう、予定時刻にはランダムな遅れを足す前の時刻を記録する
+    const base = { schedule: plan.schedule, trigger: "schedule", scheduledAt: plan.scheduledAt };
+    let skipReason = null;
+    if (isInQuietHours(quietHours, plan.runAt)) {
+      skipReason = `実行しない時間帯です（${settings.quietHours}時）`;
+    } else if (running || isBusy()) {
+      skipReason = "他のスクレイピングが実行中です";
+    }
+
+    if (skipReason) {
+      const runId = await db.createScheduledRun({ ...base, status: "skipped", error: skipReason });
+      console.log(`⏭️  定期更新 #${runId} をスキップしました: ${skipReason}`);
+      return;
+    }
+
+    running = true;
+    try {
+      await runScheduledUpdate(db, { ...base, sites: settings.sites, downloadImages: settings.downloadImages });
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * 次の実行までタイマーを設定する
+   * @param {Date} after - 基準の時刻
+   */
+  const scheduleNext = (after) => {
+    nextRun = planNextRun(after);
+    if (!nextRun) return;
+
+    const wait = () => {
+      const remaining = nextRun.runAt.getTime() - Date.now();
+      if (remaining > MAX_TIMER_MS) {
+        timer = setTimeout(wait, MAX_TIMER_MS);
+        return;
+      }
+      timer = setTimeout(async () => {
+        const plan = nextRun;
+        // 実行中に次の時刻が来ても重ならないよう、先に次の予定を立ててから実行する
+        scheduleNext(plan.scheduledAt);
+        try {
+          await runPlanned(plan);
+        } catch (error) {
+          console.error("定期更新エラー:", error);
+        }
+      }, Math.max(0, remaining));
+    };
+    wait();
+  };
+
+  return {
+    /**
+     * スケジュールを開始（プロセスが止まって「実行中」のまま残った記録は失敗にする）
+     */
+    async start() {
+      const interrupted = await db.failInterruptedScheduledRuns();
+      if (interrupted > 0) {
+        console.log(`⚠️  中断された定期更新 ${interrupted}件を失敗として記録しました`);
+      }
+      scheduleNext(new Date());
+      if (nextRun) {
+        console.log(
+          `⏰ 定期更新を開始しました: ${settings.schedules.join(" / ")}（次回 ${nextRun.runAt.toLocaleString("ja-JP", { timeZone: "Asia/Tokyo" })}）`
+        );
+      }
+    },
+
+    /**
+     * スケジュールを停止（実行中の更新は最後まで続ける）
+     */
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextRun = null;
+    },
+
+    /**
+     * 定期更新を実行中か
+     * @returns {boolean} 実行中ならtrue
+     */
+    isRunning() {
+      return running;
+    },
+
+    /**
+     * 次の実行予定
+     * @returns {{schedule: string, scheduledAt: Date, runAt: Date}|null} 次の実行（停止中はnull）
+     */
+    getNextRun() {
+      return nextRun;
+    },
+  };
+}
+
+module.exports = {
+  getTrackedMembers,
+  runScheduledUpdate,
+  createScheduler,
+};
@@ -0,0 +1,366 @@
+const { hasSite, getSite, getSiteIds } = require("./sites");
+const { requireAdmin } = require("./auth");
+const { scrapeMember } = require("./scrapeService");
+
+/**
+ * Web ビューアーからのスクレイピング（管理者のみ）
+ *
+ *   GET  /scrape                 - 開始フォーム・実行中のジョブの進捗・過去のジョブ一覧・定期更新の実行履歴
+ *   GET  /scrape/jobs/:id        - ジョブの詳細（投稿URLごとの処理状態とエラー）
+ *   POST /api/scrape/jobs        - ジョブを開始（JSON: {site, memberId, limit, dateFrom, dateTo, incremental, downloadImages}）
+ *   GET  /api/scrape/events      - 実行中のジョブの進捗（Server-Sent Events）
+ *
+ * ジョブはサーバーのプロセス内で scrapeMember() を使って実行し、メニュー・CLI と同じく scrape_jobs に記録する
+ * レート制限の状態はプロセス内で共有されるため、同時に実行できるのは1件だけ
+ * 途中でサーバーを止めた場合は node index.js resume <jobId> で再開できる
+ */
+
+// 接続した時点までの進捗を再送するため、実行中のジョブごとに残すイベント数
+const EVENT_HISTORY_LIMIT = 200;
+
+// プロキシに接続を切られないよう、SSE でコメントを送る間隔
+const SSE_HEARTBEAT_MS = 25000;
+
+// 過去のジョブ一覧・定期更新の実行履歴の表示件数
+const JOB_LIST_LIMIT = 30;
+const SCHEDULED_RUN_LIST_LIMIT = 10;
+
+const JOB_STATUS_LABELS = {
+  collecting: "URL収集中",
+  running: "取得中",
+  completed: "完了",
+  failed: "失敗・中断",
+  skipped: "スキップ",
+};
+
+const URL_STATUS_LABELS = {
+  pending: "未処理",
+  done: "取得済み",
+  failed: "失敗",
+  skipped: "スキップ",
+};
+
+/**
+ * リクエストの値が不正（400）
+ */
+class ScrapeRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScrapeRequestError";
+  }
+}
+
+/**
+ * 日付の値を検証
+ * @param {*} value - "YYYY-MM-DD"（空なら指定なし）
+ * @param {string} label - エラーメッセージ用の項目名
+ * @returns {string|null} 検証済みの日付
+ */
+function parseDate(value, label) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw new ScrapeRequestError(`${label}はYYYY-MM-DD形式で指定してください`);
+  }
+  return value;
+}
+
+/**
+ * 件数の値を検証
+ * @param {*} value - 数値または"all"
+ * @returns {number|string} 件数または'all'
+ */
+function parseLimit(value) {
+  if (value === undefined || value === null || value === "" || value === "all") return "all";
+  const num = parseInt(value);
+  if (isNaN(num) || num < 1) {
+    throw new ScrapeRequestError('件数は1以上の数値または"all"で指定してください');
+  }
+  return num;
+}
+
+/**
+ * 進捗イベントを画面のログに表示する1行にする
+ * @param {object} event - scrapeService の ScrapeProgressEvent、または 'end' / 'error'
+ * @returns {string} メッセージ
+ */
+function formatProgressMessage(event) {
+  switch (event.type) {
+    case "start":
+      return `ジョブ #${event.jobId} を開始しました`;
+    case "page":
+      return `リスト${event.page}ページ目: ${event.found}件`;
+    case "collected":
+      return `URLの収集が完了しました（${event.total}件を取得します）`;
+    case "post":
+      if (event.status === "done") {
+        const images = event.images
+          ? `（画像 ${event.images.downloaded}/${event.images.total}枚）`
+          : "";
+        return `✓ ${event.title || "タイトルなし"}${images}`;
+      }
+      if (event.status === "failed") return `✗ ${event.url}: ${event.error}`;
+      return `- スキップ: ${event.url}`;
+    case "end":
+      return event.result.completed
+        ? `完了: 記事 ${event.result.postCount}件 / 画像 ${event.result.imagesDownloaded}/${event.result.imagesTotal}枚`
+        : `未完了で終了しました（node index.js resume ${event.result.jobId} で再開できます）`;
+    case "error":
+      return `エラー: ${event.message}`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * スクレイピングのルートを登録
+ * @param {object} app - Express アプリケーション
+ * @param {object} dataService - データサービス（SQLite モードの BlogDatabase のみ対応）
+ * @param {object} options - {isBusy: 他のスクレイピング（定期更新）が実行中かを返す関数,
+ *   getNextScheduledRun: 定期更新の次の実行予定を返す関数（scheduler.getNextRun()）}
+ * @returns {{isRunning: function(): boolean}} Web から開始したジョブが実行中かを返す関数
+ */
+function registerScrapeJobRoutes(
+  app,
+  dataService,
+  { isBusy = () => false, getNextScheduledRun = () => null } = {}
+) {
+  // 実行中のジョブ {jobId, site, memberName, startedBy, counts, events}（なければnull）
+  let current = null;
+  // 進捗を購読している SSE のレスポンス（ジョブをまたいで購読を続ける）
+  const clients = new Set();
+
+  const isAvailable = () => typeof dataService.createScrapeJob === "function";
+
+  /**
+   * SSE の1イベントを送る
+   * @param {object} res - レスポンス
+   * @param {string} eventName - イベント名
+   * @param {object} data - データ
+   */
+  const writeEvent = (res, eventName, data) => {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  /**
+   * 実行中のジョブの状態（接続時・イベントごとに送る）
+   * @returns {object|null} 状態
+   */
+  const getSnapshot = () =>
+    current && {
+      jobId: current.jobId,
+      site: current.site,
+      siteName: getSite(current.site).name,
+      memberName: current.memberName,
+      startedBy: current.startedBy,
+      counts: current.counts,
+    };
+
+  /**
+   * 進捗イベントを記録して接続中のクライアントに送る
+   * @param {object} event - 進捗イベント
+   */
+  const publish = (event) => {
+    if (event.jobId) current.jobId = event.jobId;
+    if (event.type === "collected") current.counts.total = event.total;
+    if (event.type === "post") current.counts[event.status]++;
+
+    const data = { ...event, message: formatProgressMessage(event), job: getSnapshot() };
+    current.events.push(data);
+    if (current.events.length > EVENT_HISTORY_LIMIT) current.events.shift();
+    clients.forEach((res) => writeEvent(res, "progress", data));
+  };
+
+  /**
+   * ジョブを実行して、終わったら接続中のクライアントに結果を送る
+   * @param {object} options - scrapeMember() のスクレイピング条件
+   */
+  const runJob = async (options) => {
+    try {
+      const result = await scrapeMember(dataService, { ...options, onProgress: publish });
+      publish({
+        type: "end",
+        result: {
+          jobId: result.jobId,
+          completed: result.completed,
+          postCount: result.posts.length,
+          imagesDownloaded: result.imagesDownloaded,
+          imagesTotal: result.imagesTotal,
+        },
+      });
+    } catch (error) {
+      console.error("Webスクレイピングエラー:", error);
+      publish({ type: "error", message: error.message });
+    } finally {
+      current = null;
+      clients.forEach((res) => writeEvent(res, "idle", {}));
+    }
+  };
+
+  app.get("/scrape", requireAdmin, async (req, res) => {
+    if (!isAvailable()) {
+      res.status(404).send("Webからのスクレイピングはこのデータソースでは利用できません");
+      return;
+    }
+
+    try {
+      const sites = [];
+      for (const siteId of getSiteIds()) {
+        const members = (await dataService.getSiteMembers(siteId))
+          .filter((member) => member.status !== "graduated")
+          .map((member) => ({ id: String(member.id), name: member.name }));
+        sites.push({ id: siteId, name: getSite(siteId).name, members });
+      }
+      const jobs = (await dataService.getScrapeJobs({ limit: JOB_LIST_LIMIT })).map((job) => ({
+        ...job,
+        options: JSON.parse(job.options || "{}"),
+      }));
+
+      const scheduledRuns =
+        typeof dataService.getScheduledRuns === "function"
+          ? await dataService.getScheduledRuns({ limit: SCHEDULED_RUN_LIST_LIMIT })
+          : [];
+
+      res.render("scrape", {
+        sites,
+        jobs,
+        scheduledRuns,
+        nextScheduledRun: getNextScheduledRun(),
+        statusLabels: JOB_STATUS_LABELS,
+        title: "スクレイピング",
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).send("エラーが発生しました");
+    }
+  });
+
+  app.get("/scrape/jobs/:id", requireAdmin, async (req, res) => {
+    if (!isAvailable()) {
+      res.status(404).send("Webからのスクレイピングはこのデータソースでは利用できません");
+      return;
+    }
+
+    try {
+      const job = /^\d+$/.test(req.params.id) ? await dataService.getScrapeJob(req.params.id) : null;
+      if (!job) {
+        res.status(404).send("ジョブが見つかりません");
+        return;
+      }
+
+      res.render("scrape-job", {
+        job: { ...job, options: JSON.parse(job.options || "{}") },
+        urls: await dataService.getScrapeJobUrls(job.id),
+        statusLabels: JOB_STATUS_LABELS,
+        urlStatusLabels: URL_STATUS_LABELS,
+        title: `スクレイピングジョブ #${job.id}`,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).send("エラーが発生しました");
+    }
+  });
+
+  app.post("/api/scrape/jobs", requireAdmin, async (req, res) => {
+    if (!isAvailable()) {
+      res.status(501).json({ success: false, message: "SQLite モードでのみ利用できます" });
+      return;
+    }
+    if (current) {
+      res.status(409).json({
+        success: false,
+        message: `実行中のジョブがあります${current.memberName ? `（${current.memberName}）` : ""}。終わってから開始してください`,
+      });
+      return;
+    }
+    if (isBusy()) {
+      res.status(409).json({
+        success: false,
+        message: "定期更新を実行中です。終わってから開始してください",
+      });
+      return;
+    }
+
+    // メンバーの確認を待つ間に届いた次のリクエスト（二重送信など）が並行して開始しないよう、先に実行中にする
+    current = {
+      jobId: null,
+      site: null,
+      memberName: null,
+      startedBy: req.user ? req.user.username : null,
+      counts: { total: null, done: 0, failed: 0, skipped: 0 },
+      events: [],
+    };
+
+    let options;
+    try {
+      const body = req.body || {};
+      if (!hasSite(body.site)) {
+        throw new ScrapeRequestError("サイトを指定してください");
+      }
+      const member = (await dataService.getSiteMembers(body.site)).find(
+        (m) => String(m.id) === String(body.memberId)
+      );
+      if (!member) {
+        throw new ScrapeRequestError("メンバーが見つかりません");
+      }
+      const incremental = body.incremental === true;
+      options = {
+        site: body.site,
+        memberId: String(member.id),
+        memberName: member.name,
+        limit: incremental ? "all" : parseLimit(body.limit),
+        dateFrom: parseDate(body.dateFrom, "開始日"),
+        dateTo: parseDate(body.dateTo, "終了日"),
+        incremental,
+        downloadImages: body.downloadImages === true,
+        startedBy: current.startedBy,
+      };
+    } catch (error) {
+      current = null;
+      if (error instanceof ScrapeRequestError) {
+        res.status(400).json({ success: false, message: error.message });
+        return;
+      }
+      console.error("Webスクレイピング開始エラー:", error);
+      res.status(500).json({ success: false, message: "エラーが発生しました" });
+      return;
+    }
+
+    current.site = options.site;
+    current.memberName = options.memberName;
+    // 結果は SSE で送るため、完了を待たずに応答する
+    runJob(options);
+
+    res.status(202).json({
+      success: true,
+      message: `${options.memberName}さんのスクレイピングを開始しました`,
+    });
+  });
+
+  app.get("/api/scrape/events", requireAdmin, (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // 実行中のジョブがあれば、これまでの進捗を送ってから購読させる
+    if (current) {
+      current.events.forEach((data) => writeEvent(res, "progress", data));
+    } else {
+      writeEvent(res, "idle", {});
+    }
+    clients.add(res);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  });
+
+  return { isRunning: () => current !== null };
+}
+
+module.exports = { registerScrapeJobRoutes };
@@ -0,0 +1,440 @@
+const { scrapeSitePosts } = require("./scraperEngine");
+const { getSite } = require("./sites");
+const { resolveSiteMemberId } = require("./fetchMembers");
+const { downloadImagesOptimized } = require("./imageDownloader");
+const {
+  smartDelay,
+  resetRateLimitState,
+  getRateLimitState,
+} = require("./utils/scraperUtils");
+
+/**
+ * スクレイピング実行サービス
+ * 対話メニュー・CLI・Web ビューアーから共通で使う「取得 → 保存 → 画像DL」の一連処理
+ */
+
+/**
+ * @typedef {object} ScrapeProgressEvent
+ * scrapeMember() / resumeScrapeJob() の onProgress に渡される途中経過
+ * @property {string} type - 'start' | 'page' | 'collected' | 'post'
+ * @property {number} jobId - ジョブID
+ * @property {number} [page] - 'page': 収集したリストページ番号（1から）
+ * @property {number} [found] - 'page': そのページで見つかった投稿数
+ * @property {number} [total] - 'collected': 詳細ページを取得する投稿数
+ * @property {string} [status] - 'post': 'done' | 'failed' | 'skipped'
+ * @property {string} [url] - 'post': 投稿URL
+ * @property {string} [title] - 'post': タイトル（'done' のみ）
+ * @property {string} [error] - 'post': エラーメッセージ（'failed' のみ）
+ * @property {{downloaded: number, total: number}} [images] - 'post': ジョブ全体の画像の取得数（画像をダウンロードする場合のみ）
+ */
+
+/**
+ * 投稿URLから画像ファイル名用の投稿IDを取り出す
+ * @param {string} url - 投稿URL
+ * @returns {string} 投稿ID（クエリパラメータ除去済み）
+ */
+function getPostIdFromUrl(url) {
+  return url.split("/").pop().split("?")[0];
+}
+
+/**
+ * 投稿の画像をダウンロードしてDBのローカルパスを更新
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {Array<object>} posts - スクレイピング済みの投稿
+ * @param {string} memberId - 画像フォルダ用のメンバーID
+ * @param {string} memberName - メンバー名
+ * @param {string} site - サイト識別子
+ * @returns {Promise<{downloaded: number, total: number}>} ダウンロード結果
+ */
+async function downloadPostImages(db, posts, memberId, memberName, site) {
+  let downloadedCount = 0;
+  let totalCount = 0;
+
+  for (const post of posts) {
+    if (!post.images || post.images.length === 0) continue;
+
+    console.log(`\n${post.title}の画像:`);
+    const downloaded = await downloadImagesOptimized(
+      post.images,
+      memberId,
+      getPostIdFromUrl(post.url),
+      memberName,
+      site
+    );
+
+    // ローカル画像パスをpostsに追加
+    post.localImages = downloaded
+      .filter((d) => d.success)
+      .map((d) => d.localPath);
+
+    // URL→ローカルパスのマップでDB更新（インデックスずれ防止）
+    const urlToLocal = {};
+    downloaded.forEach((d) => {
+      if (d.success && d.url && d.localPath) {
+        urlToLocal[d.url] = d.localPath;
+      }
+    });
+    await db.updateBlogPostImagesByMap(post.url, urlToLocal);
+
+    const successCount = downloaded.filter((d) => d.success).length;
+    downloadedCount += successCount;
+    totalCount += post.images.length;
+    console.log(`  ${successCount}/${post.images.length}枚ダウンロード完了`);
+  }
+
+  return { downloaded: downloadedCount, total: totalCount };
+}
+
+/**
+ * ジョブの途中経過を永続化するチェックポイントを生成
+ * スクレイパーから呼ばれ、発見したURLと投稿ごとの処理状態をDBに記録する
+ * 投稿は取得した時点で保存するため、中断しても取得済みの分は失われない
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {number} jobId - ジョブID
+ * @param {object} state - 再開状態 {startPage, pending, collectionDone}
+ * @param {function} onPostScraped - 投稿保存後の追加処理（画像DLなど）
+ * @param {function(ScrapeProgressEvent): void} onProgress - 途中経過の通知先
+ * @returns {object} スクレイパーに渡すcheckpointオブジェクト
+ */
+function createJobCheckpoint(db, jobId, state, onPostScraped, onProgress) {
+  return {
+    ...state,
+    onPageCollected: async (pageNumber, posts) => {
+      await db.recordScrapeJobPage(jobId, pageNumber, posts);
+      onProgress({ type: "page", jobId, page: pageNumber + 1, found: posts.length });
+    },
+    onCollectionDone: async (posts) => {
+      await db.completeScrapeJobCollection(
+        jobId,
+        posts.map((post) => post.url)
+      );
+      onProgress({ type: "collected", jobId, total: posts.length });
+    },
+    onPostScraped: async (post) => {
+      await db.saveBlogPost(post);
+      const images = await onPostScraped(post);
+      await db.updateScrapeJobUrlStatus(jobId, post.url, "done");
+      onProgress({ type: "post", jobId, status: "done", url: post.url, title: post.title, images });
+    },
+    onPostFailed: async (url, error) => {
+      await db.updateScrapeJobUrlStatus(jobId, url, "failed", error.message);
+      onProgress({ type: "post", jobId, status: "failed", url, error: error.message });
+    },
+    onPostSkipped: async (url) => {
+      await db.updateScrapeJobUrlStatus(jobId, url, "skipped");
+      onProgress({ type: "post", jobId, status: "skipped", url });
+    },
+  };
+}
+
+/**
+ * スクレイピングジョブを実行（新規・再開共通）
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {number} jobId - ジョブID
+ * @param {object} params - スクレイピング条件と再開状態
+ * @returns {Promise<object>} 結果 {jobId, posts, imagesDownloaded, imagesTotal, completed}
+ */
+async function runScrapeJob(db, jobId, params) {
+  const {
+    site,
+    memberName,
+    limit,
+    dateFrom,
+    dateTo,
+    incremental,
+    downloadImages,
+    resetRateLimit,
+    resumeState,
+    onProgress = () => {},
+  } = params;
+
+  const memberId = getSite(site).resolveMemberId(params);
+  const images = { downloaded: 0, total: 0 };
+
+  const checkpoint = createJobCheckpoint(
+    db,
+    jobId,
+    resumeState,
+    async (post) => {
+      if (!downloadImages) return undefined;
+      const result = await downloadPostImages(db, [post], memberId, memberName, site);
+      images.downloaded += result.downloaded;
+      images.total += result.total;
+      await db.addScrapeJobImages(jobId, result.downloaded, result.total);
+      return { ...images };
+    },
+    onProgress
+  );
+
+  const scrapeOptions = {
+    dateFrom,
+    dateTo,
+    incremental,
+    db,
+    resetRateLimit,
+    checkpoint,
+  };
+
+  console.log(`  🗂️  ジョブ #${jobId}`);
+  onProgress({ type: "start", jobId });
+
+  let posts;
+  try {
+    posts = await scrapeSitePosts(
+      site,
+      { memberId, memberName },
+      limit,
+      scrapeOptions
+    );
+  } catch (error) {
+    await db.updateScrapeJobStatus(jobId, "failed", error.message);
+    throw error;
+  }
+
+  // スクレイパーは内部エラーを握りつぶすため、未処理URLの有無で完了を判定
+  const job = await db.getScrapeJob(jobId);
+  const completed =
+    job.collection_done === 1 &&
+    job.pending_count === 0 &&
+    job.failed_count === 0;
+  await db.updateScrapeJobStatus(
+    jobId,
+    completed ? "completed" : "failed",
+    completed ? null : "未処理の投稿が残っています（resumeで再開できます）"
+  );
+
+  return {
+    jobId,
+    posts,
+    imagesDownloaded: images.downloaded,
+    imagesTotal: images.total,
+    completed,
+  };
+}
+
+/**
+ * 1メンバー分のブログをスクレイピングして保存
+ * スクレイピングジョブとして記録され、中断時は resumeScrapeJob() で再開できる
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {object} options - スクレイピング条件
+ * @param {string} options.site - サイト識別子（sites/ に登録済みのもの）
+ * @param {string} options.memberId - サイト上のメンバーID（記録済みのメンバーの表記に合わせる。省略時は名前で引く）
+ * @param {string} options.memberName - メンバー名
+ * @param {number|string} options.limit - 取得件数（'all'で全件）
+ * @param {string|null} options.dateFrom - 開始日 "YYYY-MM-DD"
+ * @param {string|null} options.dateTo - 終了日 "YYYY-MM-DD"
+ * @param {boolean} options.incremental - 新着のみ取得するか
+ * @param {boolean} options.downloadImages - 画像をダウンロードするか
+ * @param {boolean} options.resetRateLimit - レート制限状態をリセットするか
+ * @param {string|null} options.startedBy - Web ビューアーから開始したユーザー名（ジョブに記録）
+ * @param {function(ScrapeProgressEvent): void} [options.onProgress] - 途中経過の通知先
+ * @returns {Promise<object>} 結果 {jobId, posts, imagesDownloaded, imagesTotal, completed}
+ */
+async function scrapeMember(db, options) {
+  const {
+    site,
+    memberId,
+    memberName,
+    limit = "all",
+    dateFrom = null,
+    dateTo = null,
+    incremental = false,
+    downloadImages = false,
+    resetRateLimit = true,
+    startedBy = null,
+    onProgress,
+  } = options;
+
+  const resolvedMemberId = await resolveSiteMemberId(db, site, memberId, memberName);
+  const jobOptions = { limit, dateFrom, dateTo, incremental, downloadImages };
+  const jobId = await db.createScrapeJob({
+    site,
+    memberId: resolvedMemberId,
+    memberName,
+    options: jobOptions,
+    startedBy,
+  });
+
+  return runScrapeJob(db, jobId, {
+    ...jobOptions,
+    site,
+    memberId: resolvedMemberId,
+    memberName,
+    resetRateLimit,
+    onProgress,
+    resumeState: { startPage: 0, pending: [], collectionDone: false },
+  });
+}
+
+/**
+ * 中断したスクレイピングジョブを再開
+ * 未処理・失敗した投稿URLから処理を続け、URL収集が途中なら次のページから収集を続ける
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {number} jobId - ジョブID
+ * @param {object} options - {resetRateLimit, onProgress}
+ * @returns {Promise<object>} scrapeMember() と同じ形式の結果
+ */
+async function resumeScrapeJob(db, jobId, options = {}) {
+  const { resetRateLimit = true, onProgress } = options;
+  const job = await db.getScrapeJob(jobId);
+
+  if (!job) {
+    throw new Error(`ジョブが見つかりません: #${jobId}`);
+  }
+  if (job.status === "completed") {
+    throw new Error(`ジョブ #${jobId} は完了済みです`);
+  }
+
+  const saved = JSON.parse(job.options || "{}");
+  const pendingRows = await db.getScrapeJobUrls(jobId, ["pending", "failed"]);
+  const pending = pendingRows.map((row) => ({
+    url: row.url,
+    date: row.list_date || "",
+    title: row.list_title || "",
+  }));
+
+  // 件数指定のジョブは、取得済み・発見済みの分を差し引いた残りだけ収集する
+  let limit = saved.limit || "all";
+  let collectionDone = job.collection_done === 1;
+  if (limit !== "all" && !collectionDone) {
+    limit = limit - job.done_count - job.skipped_count - pending.length;
+    if (limit <= 0) {
+      collectionDone = true;
+      await db.completeScrapeJobCollection(
+        jobId,
+        pending.map((post) => post.url)
+      );
+    }
+  }
+
+  console.log(
+    `⏯️  ジョブ #${jobId} を再開: ${job.member_name} (${job.site}) - 未処理 ${pending.length}件${collectionDone ? "" : `、リスト${job.last_list_page + 2}ページ目から収集`}`
+  );
+
+  await db.updateScrapeJobStatus(
+    jobId,
+    collectionDone ? "running" : "collecting"
+  );
+
+  return runScrapeJob(db, jobId, {
+    ...saved,
+    limit,
+    site: job.site,
+    memberId: await resolveSiteMemberId(db, job.site, job.member_id, job.member_name),
+    memberName: job.member_name,
+    resetRateLimit,
+    onProgress,
+    resumeState: {
+      startPage: job.last_list_page + 1,
+      pending,
+      collectionDone,
+    },
+  });
+}
+
+/**
+ * 一括スクレイピングの対象メンバーを取得
+ * メンバーの列挙方法はサイト定義の listMembers() に従う
+ * メンバー一覧から外れた（卒業した）メンバーは対象外（個別指定なら取得できる）
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {string} site - サイト識別子
+ * @returns {Promise<Array<{site: string, memberId: string, memberName: string}>>} 対象メンバー
+ */
+async function getBatchTargets(db, site) {
+  const members = await getSite(site).listMembers(db);
+  return members.filter((member) => member.status !== "graduated").map((member) => ({
+    site,
+    memberId: String(member.id),
+    memberName: member.name,
+  }));
+}
+
+/**
+ * 複数メンバーを順番にスクレイピング（共有ジョブキュー）
+ * - レート制限状態はキュー全体で共有し、メンバー間にも待機を入れる
+ * - メンバー単位の失敗は記録して次のメンバーへ進む
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {Array<object>} targets - getBatchTargets() 形式の対象メンバー
+ * @param {object} options - scrapeMember() と同じスクレイピング条件（site/member以外）
+ * @returns {Promise<Array<object>>} メンバーごとの結果
+ *   {site, memberId, memberName, jobId, postCount, imagesDownloaded, imagesTotal, error}
+ */
+async function scrapeMembersBatch(db, targets, options = {}) {
+  const queue = [...targets];
+  const results = [];
+
+  resetRateLimitState();
+
+  for (let index = 0; index < queue.length; index++) {
+    const target = queue[index];
+    console.log(
+      `\n📦 [${index + 1}/${queue.length}] ${target.memberName} (${target.site})`
+    );
+
+    if (index > 0) {
+      await smartDelay(index);
+    }
+
+    try {
+      const result = await scrapeMember(db, {
+        ...options,
+        ...target,
+        resetRateLimit: false,
+      });
+      results.push({
+        ...target,
+        jobId: result.jobId,
+        postCount: result.posts.length,
+        imagesDownloaded: result.imagesDownloaded,
+        imagesTotal: result.imagesTotal,
+        error: result.completed ? null : `未完了（ジョブ #${result.jobId}）`,
+      });
+    } catch (error) {
+      console.error(`  ❌ ${target.memberName}: ${error.message}`);
+      results.push({
+        ...target,
+        jobId: null,
+        postCount: 0,
+        imagesDownloaded: 0,
+        imagesTotal: 0,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 一括スクレイピングの結果を表形式で出力
+ * @param {Array<object>} results - scrapeMembersBatch() の結果
+ */
+function logBatchSummary(results) {
+  console.log("\n📋 一括スクレイピング結果");
+  console.table(
+    results.map((result) => ({
+      メンバー: result.memberName,
+      サイト: result.site,
+      記事: result.postCount,
+      画像: `${result.imagesDownloaded}/${result.imagesTotal}`,
+      状態: result.error ? `✗ ${result.error}` : "✓",
+    }))
+  );
+
+  const totalPosts = results.reduce((sum, r) => sum + r.postCount, 0);
+  const totalImages = results.reduce((sum, r) => sum + r.imagesDownloaded, 0);
+  const failed = results.filter((r) => r.error).length;
+  console.log(
+    `合計: 記事 ${totalPosts}件 / 画像 ${totalImages}枚 / 失敗 ${failed}名 (リクエスト ${getRateLimitState().requestCount}回)`
+  );
+}
+
+module.exports = {
+  getPostIdFromUrl,
+  downloadPostImages,
+  scrapeMember,
+  resumeScrapeJob,
+  getBatchTargets,
+  scrapeMembersBatch,
+  logBatchSummary,
+};
@@ -0,0 +1,330 @@
+const { chromium } = require('playwright');
+const { parseBlogDate, isDateInRange } = require('./utils/dateUtils');
+const { smartDelay, logScrapingStats, resetRateLimitState, incrementRequestCount, createSyncState, filterNewPosts, logSyncStats } = require('./utils/scraperUtils');
+const { TIMEOUTS, PAGINATION } = require('./utils/constants');
+const { getSite } = require('./sites');
+const { attachFixtures, isReplayMode } = require('./utils/fixtures');
+
+/**
+ * スクレイピングエンジン
+ * ページネーション・日付フィルタ・差分同期・レート制限・ジョブのチェックポイントを共通で扱い、
+ * サイトごとの違い（URL・セレクター・抽出処理）は sites/ のサイト定義に委ねる
+ */
+
+/**
+ * ページネーション対応で全投稿URLを収集
+ * @param {object} page - Playwrightページオブジェクト
+ * @param {SiteDefinition} site - サイト定義
+ * @param {string} memberId - サイト上のメンバーID
+ * @param {number|null} limit - 取得件数制限（nullの場合は全件取得）
+ * @param {string|null} dateFrom - 開始日 "YYYY-MM-DD"
+ * @param {string|null} dateTo - 終了日 "YYYY-MM-DD"
+ * @param {object} hooks - 追加オプション
+ *   sync: 差分同期状態（指定時はアーカイブ済みの記事を除外）
+ *   startPage: 収集を開始するページ番号（ジョブ再開用）
+ *   onPageCollected: 1ページ分の収集後に呼ばれるコールバック (pageNumber, posts)
+ *   onCollectionEnd: 収集の終了時に呼ばれるコールバック ({reachedEnd, lastPage})
+ *     reachedEnd は投稿のあるページに次ページへのリンクがなかった（リストの最後まで読んだ）場合のみtrue
+ *     空のページ（エラーページ・マークアップ変更）や件数・日付・ページ数の上限で止まった場合はfalse
+ * @returns {Promise<Array>} 投稿情報の配列 [{url, date, title}]
+ */
+async function collectAllPostUrls(page, site, memberId, limit = null, dateFrom = null, dateTo = null, hooks = {}) {
+  const { sync = null, startPage = 0, onPageCollected = null, onCollectionEnd = null } = hooks;
+  const allPosts = [];
+  let currentPage = startPage;
+  let lastPage = null;
+  let reachedEnd = false;
+  const maxPages = PAGINATION.MAX_PAGES_SCRAPING;
+  const needAll = limit === null;
+
+  console.log(`  📅 日付範囲: ${dateFrom || '指定なし'} 〜 ${dateTo || '指定なし'}`);
+
+  while (currentPage < maxPages) {
+    await smartDelay(currentPage);
+    await page.goto(site.listUrl(memberId, currentPage), { waitUntil: 'domcontentloaded', timeout: TIMEOUTS.PAGE_LOAD });
+    if (site.waits.list && !isReplayMode()) {
+      await page.waitForTimeout(site.waits.list);
+    }
+    incrementRequestCount();
+
+    const pageResult = await page.evaluate(site.extractList, {
+      selectors: site.selectors,
+      baseUrl: site.baseUrl,
+      pageNumber: currentPage,
+      pageSize: PAGINATION.POSTS_PER_PAGE,
+    });
+
+    if (pageResult.posts.length === 0) {
+      break;
+    }
+    lastPage = currentPage;
+
+    // 日付範囲でフィルタリング
+    let filteredPosts = pageResult.posts.filter(post =>
+      isDateInRange(post.date, dateFrom, dateTo)
+    );
+
+    // 差分同期: アーカイブ済みの記事を除外
+    if (sync) {
+      filteredPosts = await filterNewPosts(filteredPosts, sync);
+    }
+
+    allPosts.push(...filteredPosts);
+
+    if (onPageCollected) {
+      await onPageCollected(currentPage, filteredPosts);
+    }
+
+    if (sync && sync.reachedKnown) {
+      console.log(`  ℹ️  アーカイブ済みの記事に到達しました`);
+      break;
+    }
+
+    // 終了条件チェック
+    if (dateFrom) {
+      // 日付範囲の開始日が指定されている場合：
+      // 指定期間より古い記事に達するまで全ページを収集し続ける
+      const oldestPostOnPage = pageResult.posts[pageResult.posts.length - 1];
+      const oldestDate = parseBlogDate(oldestPostOnPage?.date);
+      const fromDate = new Date(dateFrom);
+
+      // ページの最も古い記事が開始日より前なら、これ以降のページは不要
+      if (oldestDate && oldestDate < fromDate) {
+        console.log(`  ℹ️  指定期間より古い記事に到達しました（最古: ${oldestPostOnPage.date}）`);
+        break;
+      }
+      // dateFromが指定されている場合はlimitに関係なく指定範囲の記事をすべて収集
+    } else {
+      // 日付範囲指定なしの場合、limit指定時に必要件数に達したら終了
+      if (!needAll && allPosts.length >= limit) {
+        break;
+      }
+    }
+
+    // 次ページがない場合は終了
+    if (!pageResult.hasNext) {
+      reachedEnd = true;
+      break;
+    }
+
+    currentPage++;
+  }
+
+  console.log(`  ✓ 合計 ${allPosts.length} 件の記事を収集しました`);
+  if (onCollectionEnd) {
+    await onCollectionEnd({ reachedEnd, lastPage });
+  }
+  return allPosts;
+}
+
+/**
+ * 個別ページから投稿内容を取得
+ * @param {object} page - Playwrightページオブジェクト
+ * @param {SiteDefinition} site - サイト定義
+ * @param {string} url - 投稿URL
+ * @returns {Promise<object>} 投稿データ {title, date, time, content, images, extraction}
+ */
+async function scrapePostDetail(page, site, url) {
+  await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout: TIMEOUTS.PAGE_LOAD
+  });
+  if (site.waits.detail && !isReplayMode()) {
+    await page.waitForTimeout(site.waits.detail);
+  }
+
+  return await page.evaluate(site.extractDetail, {
+    selectors: site.selectors,
+    baseUrl: site.baseUrl,
+    excludePatterns: site.imageExcludePatterns,
+  });
+}
+
+/**
+ * リストページと詳細ページの抽出結果から保存する投稿データを組み立てる
+ * @param {SiteDefinition} site - サイト定義
+ * @param {object} post - リストページの投稿情報 {url, date, title}
+ * @param {object} details - 詳細ページの抽出結果 {title, date, time, content, images, extraction}
+ * @returns {object} {title, date, time, content, images}（time は詳細ページから取得できた投稿時刻 "HH:MM"）
+ */
+function buildPostFields(site, post, details) {
+  return {
+    title: details.title || post.title,
+    date: site.preferListDate ? (post.date || details.date) : (details.date || post.date),
+    time: details.time || '',
+    content: details.content,
+    images: details.images,
+  };
+}
+
+/**
+ * 抽出結果の異常（空の項目・フォールバックの使用）を調べる
+ * サイトのマークアップ変更で抽出が崩れたことに気付くための判定
+ * @param {SiteDefinition} site - サイト定義
+ * @param {object} post - リストページの投稿情報 {url, date, title}
+ * @param {object} details - 詳細ページの抽出結果
+ * @returns {{missing: string[], fallbacks: string[]}} 空だった項目名と使用したフォールバック
+ */
+function getExtractionIssues(site, post, details) {
+  const fields = buildPostFields(site, post, details);
+  const missing = ['title', 'date', 'content'].filter(field => !String(fields[field] || '').trim());
+  const fallbacks = [...((details.extraction && details.extraction.fallbacks) || [])];
+
+  if (!details.title && post.title) {
+    fallbacks.push('タイトル: リストページの値を使用');
+  }
+  if (site.preferListDate ? (!post.date && details.date) : (!details.date && post.date)) {
+    fallbacks.push(`日付: ${site.preferListDate ? '詳細' : 'リスト'}ページの値を使用`);
+  }
+
+  return { missing, fallbacks };
+}
+
+/**
+ * 登録済みサイトのブログ投稿をスクレイピング
+ * @param {string} siteId - サイト識別子（sites/ 参照）
+ * @param {object} member - {memberId, memberName}（サイト上のIDはサイト定義が解決する）
+ * @param {number|string} limit - 取得件数制限（'all'の場合は全件取得）
+ * @param {object} options - オプション {dateFrom, dateTo, incremental, db, resetRateLimit, checkpoint}
+ *   incremental: trueの場合は新着のみ取得（dbでアーカイブ済みURLを判定）
+ *   resetRateLimit: falseの場合はレート制限状態をリセットしない（一括処理用）
+ *   checkpoint: ジョブの途中経過を永続化するためのフック（scrapeService参照）
+ * @returns {Promise<Array>} スクレイピングされたブログ投稿の配列
+ */
+async function scrapeSitePosts(siteId, member, limit = 10, options = {}) {
+  const { dateFrom = null, dateTo = null, incremental = false, db = null, resetRateLimit = true, checkpoint = null } = options;
+  const site = getSite(siteId);
+  const { memberName } = member;
+
+  const memberId = site.resolveMemberId(member);
+  if (!memberId) {
+    console.log(`⚠️ ${memberName}さんの${site.name}メンバーIDが見つかりません`);
+    return [];
+  }
+
+  const sync = incremental && db ? createSyncState(db) : null;
+  const browser = await chromium.launch({ headless: true });
+  const page = await browser.newPage();
+  const blogPosts = [];
+
+  try {
+    await attachFixtures(page);
+
+    // 一括スクレイピング中はレート制限状態を引き継ぐ
+    if (resetRateLimit) {
+      resetRateLimitState();
+    }
+    const startTime = Date.now();
+
+    console.log(`${site.emoji} ${memberName}さんの${site.name}ブログをスクレイピング中 (ID: ${memberId})...`);
+    console.log(`  🚀 スクレイピング開始 - 適切な間隔で処理します`);
+
+    // limit = 'all' の場合、全件取得
+    const isAll = limit === 'all';
+    const targetLimit = isAll ? null : limit;
+
+    // 再開時は前回までに発見済みの未処理URLから始める
+    const postsToProcess = checkpoint ? [...checkpoint.pending] : [];
+
+    if (!checkpoint || !checkpoint.collectionDone) {
+      // 全投稿URLを収集（ページネーション対応）
+      const allPosts = await collectAllPostUrls(page, site, memberId, targetLimit, dateFrom, dateTo, {
+        sync,
+        startPage: checkpoint ? checkpoint.startPage : 0,
+        onPageCollected: checkpoint ? checkpoint.onPageCollected : null,
+      });
+
+      // 日付範囲が指定されている場合は収集した全記事を処理
+      // そうでなければlimit件数で制限
+      const hasDateRange = dateFrom || dateTo;
+      postsToProcess.push(...((isAll || hasDateRange) ? allPosts : allPosts.slice(0, limit)));
+
+      if (checkpoint) {
+        await checkpoint.onCollectionDone(postsToProcess);
+      }
+    }
+
+    if (postsToProcess.length === 0) {
+      console.log(sync ? '  ✓ 新着記事はありません' : '  ⚠️ 投稿が見つかりませんでした');
+      if (sync) {
+        logSyncStats(0, sync);
+      }
+      await browser.close();
+      return [];
+    }
+
+    console.log(`  📊 ${postsToProcess.length}件の投稿を処理します`);
+
+    for (let index = 0; index < postsToProcess.length; index++) {
+      const post = postsToProcess[index];
+      console.log(`  📄 [${index + 1}/${postsToProcess.length}] ${post.title || 'Untitled'}`);
+
+      // レート制限の適用
+      await smartDelay(index);
+      incrementRequestCount();
+
+      let details;
+      try {
+        details = await scrapePostDetail(page, site, post.url);
+      } catch (error) {
+        if (checkpoint) {
+          await checkpoint.onPostFailed(post.url, error);
+        }
+        throw error;
+      }
+
+      // タイトルも本文も取れないページ（削除済みなど）は保存しない
+      if (site.skipEmptyPosts && !details.title && !details.content) {
+        console.log(`    ⏭️  内容を取得できないためスキップ: ${post.url}`);
+        if (checkpoint) {
+          await checkpoint.onPostSkipped(post.url);
+        }
+        continue;
+      }
+
+      const blogPost = {
+        memberId: memberId,
+        memberName: memberName,
+        url: post.url,
+        ...buildPostFields(site, post, details),
+        site: site.id,
+      };
+      blogPosts.push(blogPost);
+
+      // 抽出が崩れている兆候があれば保存前に知らせる（詳細は check-selectors で確認）
+      const issues = getExtractionIssues(site, post, details);
+      if (issues.missing.length > 0) {
+        console.log(`    ⚠️ 空の項目があります (${issues.missing.join(', ')}): ${post.url}`);
+      }
+      if (issues.fallbacks.length > 0) {
+        console.log(`    ⚠️ フォールバックで抽出: ${issues.fallbacks.join(' / ')}`);
+      }
+
+      if (checkpoint) {
+        await checkpoint.onPostScraped(blogPost);
+      }
+
+      console.log(`    ✓ ${blogPost.title || 'Untitled'} (${blogPost.date}) - 画像:${blogPost.images.length}枚`);
+    }
+
+    logScrapingStats(blogPosts.length, startTime);
+    if (sync) {
+      logSyncStats(blogPosts.length, sync);
+    }
+
+    await browser.close();
+    return blogPosts;
+  } catch (error) {
+    console.error(`Error scraping ${site.id} blog:`, error);
+    await browser.close();
+    return blogPosts;
+  }
+}
+
+module.exports = {
+  collectAllPostUrls,
+  scrapePostDetail,
+  buildPostFields,
+  getExtractionIssues,
+  scrapeSitePosts,
+};
@@ -0,0 +1,284 @@
+const { chromium } = require('playwright');
+const chalk = require('chalk');
+const { getSite } = require('./sites');
+const { scrapePostDetail, buildPostFields, getExtractionIssues } = require('./scraperEngine');
+const { smartDelay, resetRateLimitState, incrementRequestCount } = require('./utils/scraperUtils');
+const { TIMEOUTS, PAGINATION } = require('./utils/constants');
+const { attachFixtures, isReplayMode } = require('./utils/fixtures');
+
+/**
+ * セレクターのヘルスチェック
+ * サイト定義の全セレクターをサンプルページに当てて一致状況を調べ、
+ * 投稿ごとにどのセレクター・フォールバックで抽出されたかを報告する
+ * （公式サイトのマークアップ変更で抽出が黙って崩れるのを早期に検知するため）
+ */
+
+const DEFAULT_SAMPLE_COUNT = 3;
+
+/**
+ * セレクターのキーから評価対象のページ種別を判定
+ * @param {string} key - セレクターのキー（例: DETAIL_TITLE）
+ * @returns {string} 'list' / 'detail' / 'members' / 'profile'
+ */
+function getSelectorPageType(key) {
+  if (key.startsWith('DETAIL_') || key === 'BLOG_CONTAINER') return 'detail';
+  if (key.startsWith('MEMBER_')) return 'members';
+  if (key.startsWith('PROFILE_')) return 'profile';
+  return 'list';
+}
+
+/**
+ * サイト定義のセレクターをページ種別ごとの一覧に展開
+ * 配列のセレクター（代替候補）は1件ずつ評価する
+ * @param {object} selectors - サイト定義のセレクター
+ * @returns {object} {list: [{key, selector}], detail: [...], members: [...], profile: [...]}
+ */
+function groupSelectors(selectors) {
+  const groups = { list: [], detail: [], members: [], profile: [] };
+  for (const [key, value] of Object.entries(selectors)) {
+    const candidates = Array.isArray(value) ? value : [value];
+    candidates.forEach(selector => groups[getSelectorPageType(key)].push({ key, selector }));
+  }
+  return groups;
+}
+
+/**
+ * 各セレクターに一致する要素数を数える（ブラウザ内で実行）
+ * @param {Array<{key: string, selector: string}>} entries - 評価するセレクター
+ * @returns {Array<{key: string, selector: string, count: number, invalid: boolean}>} 一致数
+ */
+function countSelectorMatches(entries) {
+  return entries.map(({ key, selector }) => {
+    try {
+      return { key, selector, count: document.querySelectorAll(selector).length, invalid: false };
+    } catch (error) {
+      return { key, selector, count: 0, invalid: true };
+    }
+  });
+}
+
+/**
+ * ページ上のセレクター一致数を集計に加える
+ * @param {Map} tally - `${key}\t${selector}` → 集計結果
+ * @param {string} pageType - ページ種別
+ * @param {Array} matches - countSelectorMatches の結果
+ */
+function addSelectorMatches(tally, pageType, matches) {
+  for (const match of matches) {
+    const id = `${match.key}\t${match.selector}`;
+    const entry = tally.get(id) || {
+      key: match.key,
+      selector: match.selector,
+      page: pageType,
+      matchedPages: 0,
+      checkedPages: 0,
+      maxCount: 0,
+      invalid: false,
+    };
+    entry.checkedPages++;
+    if (match.count > 0) entry.matchedPages++;
+    entry.maxCount = Math.max(entry.maxCount, match.count);
+    entry.invalid = entry.invalid || match.invalid;
+    tally.set(id, entry);
+  }
+}
+
+/**
+ * サイトのセレクターをサンプルページで検証
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {string} siteId - サイト識別子
+ * @param {object} options - {member: {id, name}（省略時は先頭のメンバー）, samples: 検証する記事数}
+ * @returns {Promise<object>} 検証結果
+ */
+async function checkSiteSelectors(db, siteId, options = {}) {
+  const site = getSite(siteId);
+  const samples = options.samples || DEFAULT_SAMPLE_COUNT;
+
+  let member = options.member;
+  if (!member) {
+    const members = await site.listMembers(db);
+    member = members[0] ? { id: String(members[0].id), name: members[0].name } : null;
+  }
+
+  const report = {
+    site: site.id,
+    siteName: site.name,
+    member: member ? member.name : null,
+    listUrl: null,
+    listPostCount: 0,
+    selectors: [],
+    posts: [],
+    errors: [],
+  };
+
+  const memberId = member ? site.resolveMemberId({ memberId: member.id, memberName: member.name }) : null;
+  if (!memberId) {
+    report.errors.push('検証に使うメンバーが見つかりません');
+    return report;
+  }
+
+  const groups = groupSelectors(site.selectors);
+  const tally = new Map();
+  const browser = await chromium.launch({ headless: true });
+  const page = await browser.newPage();
+
+  try {
+    await attachFixtures(page);
+    resetRateLimitState();
+
+    console.log(`${site.emoji} ${site.name}: ${member.name}さんのページでセレクターを検証中...`);
+
+    // リストページ
+    report.listUrl = site.listUrl(memberId, 0);
+    await page.goto(report.listUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUTS.PAGE_LOAD });
+    if (site.waits.list && !isReplayMode()) {
+      await page.waitForTimeout(site.waits.list);
+    }
+    incrementRequestCount();
+
+    const listResult = await page.evaluate(site.extractList, {
+      selectors: site.selectors,
+      baseUrl: site.baseUrl,
+      pageNumber: 0,
+      pageSize: PAGINATION.POSTS_PER_PAGE,
+    });
+    addSelectorMatches(tally, 'list', await page.evaluate(countSelectorMatches, groups.list));
+    report.listPostCount = listResult.posts.length;
+    if (listResult.posts.length === 0) {
+      report.errors.push('リストページから投稿を1件も抽出できませんでした');
+    }
+
+    // メンバー一覧ページ（定義がある場合のみ）
+    if (site.membersUrl && groups.members.length > 0) {
+      await smartDelay(1);
+      await page.goto(site.membersUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUTS.PAGE_LOAD });
+      incrementRequestCount();
+      addSelectorMatches(tally, 'members', await page.evaluate(countSelectorMatches, groups.members));
+    }
+
+    // プロフィールページ（定義がある場合のみ）
+    if (site.profileUrl && groups.profile.length > 0) {
+      await smartDelay(1);
+      await page.goto(site.profileUrl(memberId), { waitUntil: 'domcontentloaded', timeout: TIMEOUTS.PAGE_LOAD });
+      incrementRequestCount();
+      addSelectorMatches(tally, 'profile', await page.evaluate(countSelectorMatches, groups.profile));
+    }
+
+    // 詳細ページ（サンプル記事）
+    const samplePosts = listResult.posts.slice(0, samples);
+    for (let index = 0; index < samplePosts.length; index++) {
+      const post = samplePosts[index];
+      await smartDelay(index + 1);
+      incrementRequestCount();
+
+      try {
+        const details = await scrapePostDetail(page, site, post.url);
+        addSelectorMatches(tally, 'detail', await page.evaluate(countSelectorMatches, groups.detail));
+
+        const fields = buildPostFields(site, post, details);
+        report.posts.push({
+          url: post.url,
+          title: fields.title,
+          date: fields.date,
+          contentLength: (fields.content || '').length,
+          imageCount: fields.images.length,
+          extraction: details.extraction,
+          ...getExtractionIssues(site, post, details),
+        });
+      } catch (error) {
+        report.errors.push(`${post.url}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    report.errors.push(error.message);
+  } finally {
+    await browser.close();
+  }
+
+  report.selectors = [...tally.values()];
+  return report;
+}
+
+/**
+ * 検証結果に問題があるか
+ * 空の項目・フォールバックの使用・取得エラーを問題とみなす
+ * （代替セレクターの一部が一致しないのは正常なので含めない）
+ * @param {object} report - checkSiteSelectors の結果
+ * @returns {boolean} 問題があればtrue
+ */
+function hasSelectorProblems(report) {
+  return report.errors.length > 0 ||
+    report.posts.some(post => post.missing.length > 0 || post.fallbacks.length > 0);
+}
+
+/**
+ * 検証結果をコンソールに表示
+ * @param {object} report - checkSiteSelectors の結果
+ */
+function logSelectorReport(report) {
+  console.log(chalk.bold(`\n🔍 ${report.siteName} (${report.site}) - ${report.member || 'メンバー不明'}`));
+  if (report.listUrl) {
+    console.log(`  リストページ: ${report.listUrl}（${report.listPostCount}件）`);
+  }
+
+  if (report.selectors.length > 0) {
+    console.table(report.selectors.map(entry => ({
+      ページ: entry.page,
+      キー: entry.key,
+      セレクター: entry.selector,
+      一致: entry.invalid ? '✗ 不正' : `${entry.matchedPages}/${entry.checkedPages}ページ`,
+      最大件数: entry.maxCount,
+    })));
+
+    // 代替候補のどれにも一致しなかったキー
+    const unmatchedKeys = [...new Set(report.selectors.map(entry => entry.key))]
+      .filter(key => report.selectors.filter(entry => entry.key === key).every(entry => entry.matchedPages === 0));
+    if (unmatchedKeys.length > 0) {
+      console.log(chalk.yellow(`  ⚠️ どのページにも一致しなかったキー: ${unmatchedKeys.join(', ')}`));
+    }
+  }
+
+  report.posts.forEach(post => {
+    const ok = post.missing.length === 0 && post.fallbacks.length === 0;
+    console.log(`  ${ok ? chalk.green('✓') : chalk.red('✗')} ${post.title || '(タイトルなし)'} (${post.date || '日付なし'}) - 本文:${post.contentLength}文字 / 画像:${post.imageCount}枚`);
+    console.log(chalk.gray(`      ${post.url}`));
+    if (post.extraction) {
+      const { title, date, content, images } = post.extraction;
+      console.log(chalk.gray(`      タイトル: ${title || '-'} / 日付: ${date || '-'} / 本文: ${content || '-'} / 画像: ${images || '-'}`));
+    }
+    if (post.missing.length > 0) {
+      console.log(chalk.red(`      空の項目: ${post.missing.join(', ')}`));
+    }
+    post.fallbacks.forEach(fallback => console.log(chalk.yellow(`      フォールバック: ${fallback}`)));
+  });
+
+  report.errors.forEach(error => console.log(chalk.red(`  ✗ ${error}`)));
+}
+
+/**
+ * 保存済みの不完全な投稿（タイトル・日付・本文が空）を表示
+ * @param {Array} posts - db.getIncompletePosts() の結果
+ */
+function logIncompletePosts(posts) {
+  if (posts.length === 0) {
+    console.log(chalk.green('\n✓ タイトル・日付・本文が空の保存済み投稿はありません'));
+    return;
+  }
+
+  console.log(chalk.red(`\n⚠️ タイトル・日付・本文のいずれかが空の保存済み投稿: ${posts.length}件`));
+  console.table(posts.map(post => ({
+    ID: post.id,
+    サイト: post.site,
+    メンバー: post.member_name,
+    空の項目: post.missing.join(', '),
+    URL: post.url,
+  })));
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_COUNT,
+  checkSiteSelectors,
+  hasSelectorProblems,
+  logSelectorReport,
+  logIncompletePosts,
+};
@@ -0,0 +1,186 @@
+const { fetchSiteMembers, listSiteMembers } = require('../fetchMembers');
+const { IMAGE_EXCLUDE_PATTERNS, TIMEOUTS } = require('../utils/constants');
+
+/**
+ * 日向坂46 公式ブログのサイト定義
+ * リストページに本文まで表示されるが、画像の取りこぼしを防ぐため詳細ページから取得する
+ */
+
+const BASE_URL = 'https://www.hinatazaka46.com';
+
+/**
+ * CSS セレクター
+ */
+const SELECTORS = {
+  BLOG_LIST_CONTAINER: '.p-blog-group',
+  POST_ITEM: '.p-blog-article',
+  POST_LINK: 'a.c-button-blog-detail, a[href*="/diary/detail/"]',
+  POST_DATE: '.c-blog-article__date',
+  POST_TITLE: '.c-blog-article__title',
+  PAGINATION: '.c-pager__item a, .c-pager a, [class*="pager"] a',
+
+  // 詳細ページ
+  DETAIL_TITLE: ['.c-blog-article__title', '.p-blog-article__head h1', 'h1'],
+  DETAIL_CONTENT: ['.c-blog-article__text', '.p-blog-article__text'],
+  DETAIL_DATE: ['.c-blog-article__date', '.p-blog-article__info time'],
+  BLOG_CONTAINER: ['.c-blog-article__text', '.p-blog-article__text'],
+
+  // メンバー一覧
+  MEMBER_LINK: 'a[href*="/s/official/artist/"]',
+  MEMBER_NAME: '.c-member__name',
+
+  // プロフィールページ（項目は表の行から取得）
+  PROFILE_FURIGANA: ['.c-member__kana'],
+  PROFILE_PHOTO: ['.c-member__thumb img', '.p-member__thumb img'],
+  PROFILE_ROW: '.c-member__info-tr',
+};
+
+/**
+ * リストページから投稿を抽出（ブラウザ内で実行）
+ */
+function extractList({ selectors, baseUrl, pageNumber }) {
+  const container = document.querySelector(selectors.BLOG_LIST_CONTAINER) || document;
+  const postData = [];
+  const uniqueUrls = new Set();
+
+  container.querySelectorAll(selectors.POST_ITEM).forEach(item => {
+    const link = item.querySelector(selectors.POST_LINK);
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    if (!href || uniqueUrls.has(href)) return;
+    uniqueUrls.add(href);
+
+    // "2024.1.5 18:30" → "2024/01/05"
+    const dateElement = item.querySelector(selectors.POST_DATE);
+    const dateMatch = dateElement ? dateElement.textContent.match(/(\d{4})\.(\d{1,2})\.(\d{1,2})/) : null;
+    const titleElement = item.querySelector(selectors.POST_TITLE);
+
+    postData.push({
+      url: href.startsWith('http') ? href : `${baseUrl}${href}`,
+      date: dateMatch ? `${dateMatch[1]}/${dateMatch[2].padStart(2, '0')}/${dateMatch[3].padStart(2, '0')}` : '',
+      title: titleElement ? titleElement.textContent.trim() : ''
+    });
+  });
+
+  // 次のページが存在するかチェック
+  const hasNext = [...document.querySelectorAll(selectors.PAGINATION)]
+    .some(link => (link.getAttribute('href') || '').includes(`page=${pageNumber + 1}`));
+
+  return { posts: postData, hasNext };
+}
+
+/**
+ * 詳細ページから投稿内容を抽出（ブラウザ内で実行）
+ */
+function extractDetail({ selectors, baseUrl, excludePatterns }) {
+  // どのセレクターで取得したか（check-selectors で使用）
+  const extraction = { title: null, date: null, content: null, images: null, fallbacks: [] };
+  const findElement = (field, selectorList) => {
+    const selector = selectorList.find(candidate => {
+      const element = document.querySelector(candidate);
+      return element && element.textContent.trim();
+    });
+    extraction[field] = selector || null;
+    return selector ? document.querySelector(selector) : null;
+  };
+
+  const titleElement = findElement('title', selectors.DETAIL_TITLE);
+  const title = titleElement ? titleElement.textContent.trim() : '';
+
+  let date = '';
+  const dateElement = findElement('date', selectors.DETAIL_DATE);
+  const dateMatch = dateElement ? dateElement.textContent.match(/(\d{4})\.(\d{1,2})\.(\d{1,2})/) : null;
+  if (dateMatch) {
+    date = `${dateMatch[1]}/${dateMatch[2].padStart(2, '0')}/${dateMatch[3].padStart(2, '0')}`;
+  }
+
+  // 投稿時刻（"2024.01.05 18:30" の "18:30"）
+  const timeMatch = dateElement ? dateElement.textContent.match(/(\d{1,2}):(\d{2})/) : null;
+  const time = timeMatch ? `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}` : '';
+
+  let content = '';
+  const contentElement = findElement('content', selectors.DETAIL_CONTENT);
+  if (contentElement) {
+    content = contentElement.innerHTML
+      .replace(/<script[^>]*>.*?<\/script>/gi, '')
+      .replace(/<style[^>]*>.*?<\/style>/gi, '')
+      .trim();
+  }
+
+  // 画像URLを取得（ブログ本文内のみ）
+  const images = [];
+  const imageSet = new Set();
+  extraction.images = selectors.BLOG_CONTAINER.find(selector => document.querySelector(selector)) || null;
+  if (extraction.images) {
+    document.querySelector(extraction.images).querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src');
+      if (!src || imageSet.has(src)) return;
+      const isExcluded = excludePatterns.some(pattern => src.toLowerCase().includes(pattern));
+      if (!isExcluded) {
+        imageSet.add(src);
+        images.push(src.startsWith('http') ? src : `${baseUrl}${src}`);
+      }
+    });
+  }
+
+  return { title, date, time, content, images, extraction };
+}
+
+/**
+ * メンバー一覧ページからメンバーを抽出（ブラウザ内で実行）
+ */
+function extractMembers({ selectors, baseUrl }) {
+  const members = new Map();
+
+  document.querySelectorAll(selectors.MEMBER_LINK).forEach(link => {
+    const idMatch = (link.getAttribute('href') || '').match(/\/artist\/(\d+)/);
+    if (!idMatch || parseInt(idMatch[1]) === 0) return; // 000 はマスコット
+
+    const nameElement = link.querySelector(selectors.MEMBER_NAME);
+    const name = (nameElement ? nameElement.textContent : link.textContent).trim().replace(/\s+/g, ' ');
+    if (!name || members.has(idMatch[1])) return;
+
+    members.set(idMatch[1], {
+      id: idMatch[1],
+      name,
+      blogUrl: `${baseUrl}/s/official/diary/member/list?ima=0000&ct=${idMatch[1]}`
+    });
+  });
+
+  return [...members.values()];
+}
+
+module.exports = {
+  id: 'hinatazaka46',
+  name: '日向坂46',
+  emoji: '☀️',
+  color: '#5bbee5',
+  order: 3,
+  baseUrl: BASE_URL,
+  selectors: SELECTORS,
+  imageExcludePatterns: IMAGE_EXCLUDE_PATTERNS,
+  waits: { list: TIMEOUTS.PAGE_WAIT, detail: TIMEOUTS.PAGE_WAIT_SHORT },
+  preferListDate: false,
+  skipEmptyPosts: true,
+  membersUrl: `${BASE_URL}/s/official/search/artist?ima=0000`,
+
+  listUrl: (memberId, page) =>
+    `${BASE_URL}/s/official/diary/member/list?ima=0000&page=${page}&ct=${memberId}`,
+
+  profileUrl: (memberId) => `${BASE_URL}/s/official/artist/${memberId}?ima=0000`,
+
+  resolveMemberId: ({ memberId }) => (memberId ? String(memberId) : null),
+
+  /**
+   * メンバー一覧を取得（DBが空ならサイトから取得して記録）
+   * @param {BlogDatabase} db - データベースインスタンス
+   * @param {object} options - {refresh: 強制的にサイトから再取得するか}
+   * @returns {Promise<Array>} メンバーの配列
+   */
+  listMembers: (db, options) => listSiteMembers(db, 'hinatazaka46', () => fetchSiteMembers(module.exports), options),
+
+  extractList,
+  extractDetail,
+  extractMembers,
+};
@@ -0,0 +1,131 @@
+/**
+ * サイト定義レジストリ
+ * sites/ 配下の各ファイルが1サイト分の定義をエクスポートし、
+ * スクレイピングエンジン（scraperEngine.js）・CLI・Webビューアーはここから対応サイトを参照する
+ *
+ * サイトを追加する場合は sites/<サイト識別子>.js を1ファイル追加するだけでよい
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {object} SiteDefinition
+ * @property {string} id - サイト識別子（blog_posts.site と画像フォルダ名 {メンバー名}_{id} に使用）
+ * @property {string} name - 表示名
+ * @property {string} emoji - メニュー・ログ用の絵文字
+ * @property {string} color - Webビューアーのバッジ色
+ * @property {number} order - 一覧での表示順
+ * @property {string} baseUrl - 相対URLを補完するベースURL
+ * @property {object} selectors - CSSセレクター（extractList / extractDetail に渡される）
+ * @property {string[]} imageExcludePatterns - 除外する画像URLのパターン
+ * @property {{list: number, detail: number}} waits - ページ読み込み後の待機時間（ミリ秒）
+ * @property {boolean} preferListDate - リストページの日付を詳細ページの日付より優先するか
+ * @property {boolean} skipEmptyPosts - タイトルも本文もない投稿を保存せずスキップするか
+ * @property {function(string, number): string} listUrl - (memberId, pageNumber) => リストページURL
+ * @property {function({memberId: string, memberName: string}): (string|null)} resolveMemberId - サイト上のメンバーIDを特定
+ * @property {function(BlogDatabase, {refresh: boolean}): Promise<Array<{id: string, name: string, status: (string|null)}>>} listMembers - 対象メンバー一覧（site_members に記録済みのメンバー）
+ * @property {function(object): {posts: Array, hasNext: boolean}} extractList
+ *   リストページ上で実行される抽出関数 ({selectors, baseUrl, pageNumber, pageSize})
+ * @property {function(object): {title: string, date: string, time: string, content: string, images: string[], extraction: object}} extractDetail
+ *   詳細ページ上で実行される抽出関数 ({selectors, baseUrl, excludePatterns})
+ *   time はページに表示されている投稿時刻 "HH:MM"（日本時間。表示がなければ空文字）
+ *   extraction には各項目を取得できたセレクター {title, date, content, images} と、
+ *   使用したフォールバックの説明 fallbacks を入れる（check-selectors の診断に使用）
+ * @property {string} [membersUrl] - メンバー一覧ページURL（fetchSiteMembers() で使用）
+ * @property {function(object): Array<{id: string, name: string, blogUrl: string}>} [extractMembers]
+ *   メンバー一覧ページ上で実行される抽出関数 ({selectors, baseUrl})
+ * @property {function(string): string} [profileUrl] - (memberId) => プロフィールページURL（fetchMemberProfiles() で使用）
+ * @property {function(object): {furigana: string, photoUrl: string|null, fields: Array<{label: string, value: string}>}} [extractProfile]
+ *   プロフィールページ上で実行される抽出関数 ({selectors, baseUrl})。省略時は fetchMembers.js の汎用の抽出関数
+ *   （PROFILE_FURIGANA / PROFILE_PHOTO / PROFILE_GENERATION / PROFILE_ROW セレクターを使用）
+ *
+ * extractList / extractDetail / extractMembers / extractProfile はブラウザ内で実行されるため、外部の変数や関数を参照してはいけない
+ */
+
+const REQUIRED_PROPERTIES = [
+  'id',
+  'name',
+  'baseUrl',
+  'selectors',
+  'listUrl',
+  'resolveMemberId',
+  'listMembers',
+  'extractList',
+  'extractDetail',
+];
+
+const DEFAULT_SITE_ID = 'sakurazaka46';
+
+/**
+ * sites/ 配下の定義ファイルを読み込む
+ * @returns {Map<string, SiteDefinition>} サイト識別子 → 定義
+ */
+function loadSites() {
+  const registry = new Map();
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js');
+
+  for (const file of files) {
+    const site = require(path.join(__dirname, file));
+    const missing = REQUIRED_PROPERTIES.filter(key => site[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`サイト定義が不正です (${file}): ${missing.join(', ')} がありません`);
+    }
+    if (registry.has(site.id)) {
+      throw new Error(`サイト識別子が重複しています: ${site.id}`);
+    }
+    registry.set(site.id, site);
+  }
+
+  return registry;
+}
+
+const registry = loadSites();
+
+/**
+ * 登録済みの全サイトを表示順で取得
+ * @returns {Array<SiteDefinition>} サイト定義の配列
+ */
+function listSites() {
+  return [...registry.values()].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * 登録済みのサイト識別子を表示順で取得
+ * @returns {Array<string>} サイト識別子の配列
+ */
+function getSiteIds() {
+  return listSites().map(site => site.id);
+}
+
+/**
+ * サイトが登録されているか
+ * @param {string} siteId - サイト識別子
+ * @returns {boolean} 登録済みならtrue
+ */
+function hasSite(siteId) {
+  return registry.has(siteId);
+}
+
+/**
+ * サイト定義を取得
+ * @param {string} siteId - サイト識別子
+ * @returns {SiteDefinition} サイト定義
+ * @throws {Error} 未登録のサイトの場合
+ */
+function getSite(siteId) {
+  const site = registry.get(siteId);
+  if (!site) {
+    throw new Error(`未対応のサイトです: ${siteId}（${getSiteIds().join(', ')}）`);
+  }
+  return site;
+}
+
+module.exports = {
+  DEFAULT_SITE_ID,
+  listSites,
+  getSiteIds,
+  hasSite,
+  getSite,
+};
@@ -0,0 +1,268 @@
+const { fetchSiteMembers, listSiteMembers } = require("../fetchMembers");
+const { IMAGE_EXCLUDE_PATTERNS, TIMEOUTS } = require("../utils/constants");
+
+/**
+ * 欅坂46 公式ブログのサイト定義
+ * 櫻坂46メンバーの欅坂時代のブログを対象とする
+ */
+
+const BASE_URL = "https://www.keyakizaka46.com";
+
+/**
+ * CSS セレクター
+ */
+const SELECTORS = {
+  POST_LINK: 'a[href*="/diary/detail/"]',
+  POST_DATE_CONTAINER: ".box-bottom",
+
+  // 詳細ページ
+  DETAIL_TITLE: [".box-ttl", "h1.title", "h1", ".blog-title"],
+  DETAIL_CONTENT: [".box-article", ".box--body", ".blog-body", ".blog-content"],
+  DETAIL_DATE_YEAR: ".year",
+  DETAIL_DATE_MONTH: ".month",
+  DETAIL_DATE_DAY: ".day",
+  DETAIL_DATE_FALLBACK: ".date, time",
+  BLOG_CONTAINER: [".box-article", ".box--body"],
+
+  // メンバー一覧（ブログのメンバー別リストへのリンク）
+  MEMBER_LINK: 'a[href*="/diary/member/list"][href*="ct="]',
+  MEMBER_NAME: ".name",
+
+  // プロフィールページ（項目は dt/dd から取得）
+  PROFILE_FURIGANA: [".box-profile_text .furigana", ".furigana"],
+  PROFILE_PHOTO: [".box-profile_img img", ".box-profile img"],
+};
+
+/**
+ * リストページから投稿を抽出（ブラウザ内で実行）
+ * ページャーがないため、1ページ分の件数に満たなければ最終ページとみなす
+ */
+function extractList({ selectors, baseUrl, pageSize }) {
+  const urls = [];
+  const uniqueUrls = new Set();
+  const allLinks = document.querySelectorAll(selectors.POST_LINK);
+
+  // サイドバーを除外してURLを収集
+  for (const link of allLinks) {
+    let parent = link.parentElement;
+    let isInSidebar = false;
+
+    for (let i = 0; i < 5; i++) {
+      if (!parent) break;
+      const text = parent.textContent || "";
+      if (text.includes("NEW ENTRY") || text.includes("最新記事")) {
+        isInSidebar = true;
+        break;
+      }
+      parent = parent.parentElement;
+    }
+
+    if (!isInSidebar) {
+      const href = link.getAttribute("href");
+      if (href && !uniqueUrls.has(href)) {
+        uniqueUrls.add(href);
+        const fullUrl = href.startsWith("http") ? href : `${baseUrl}${href}`;
+
+        // 日付を.box-bottomから取得
+        let date = "";
+        let postContainer = link;
+        for (let i = 0; i < 5; i++) {
+          postContainer = postContainer.parentElement;
+          if (!postContainer) break;
+
+          const boxBottom = postContainer.querySelector(selectors.POST_DATE_CONTAINER);
+          if (boxBottom) {
+            const dateMatch = boxBottom.textContent.match(/(\d{4})\/(\d{2})\/(\d{2})/);
+            if (dateMatch) {
+              date = `${dateMatch[1]}/${dateMatch[2]}/${dateMatch[3]}`;
+              break;
+            }
+          }
+        }
+
+        urls.push({ url: fullUrl, date: date, title: "" });
+      }
+    }
+  }
+
+  return { posts: urls, hasNext: urls.length >= pageSize };
+}
+
+/**
+ * 詳細ページから投稿内容を抽出（ブラウザ内で実行）
+ */
+function extractDetail({ selectors, baseUrl, excludePatterns }) {
+  // どのセレクター・フォールバックで取得したか（check-selectors で使用）
+  const extraction = { title: null, date: null, content: null, images: null, fallbacks: [] };
+
+  // タイトルを取得
+  let title = "";
+  for (const selector of selectors.DETAIL_TITLE) {
+    const elem = document.querySelector(selector);
+    if (elem && elem.textContent.trim()) {
+      title = elem.textContent.trim();
+      extraction.title = selector;
+      // メンバー名が含まれている場合は最初の行だけ取る
+      const lines = title.split("\n").filter((line) => line.trim());
+      if (lines.length > 0) {
+        title = lines[0].trim();
+      }
+      break;
+    }
+  }
+
+  // 日付を取得
+  let date = "";
+  const yearEl = document.querySelector(selectors.DETAIL_DATE_YEAR);
+  const monthEl = document.querySelector(selectors.DETAIL_DATE_MONTH);
+  const dayEl = document.querySelector(selectors.DETAIL_DATE_DAY);
+
+  if (yearEl && monthEl && dayEl) {
+    const year = yearEl.textContent.trim();
+    const month = monthEl.textContent.trim().replace("月", "");
+    const day = dayEl.textContent.trim().replace("日", "");
+    date = `${year}/${month.padStart(2, "0")}/${day.padStart(2, "0")}`;
+    extraction.date = "year/month/day";
+  } else {
+    const dateElements = document.querySelectorAll(selectors.DETAIL_DATE_FALLBACK);
+    for (const element of dateElements) {
+      const text = element.textContent?.trim();
+      if (text && /\d{4}[\/\.\-]?\d{1,2}[\/\.\-]?\d{1,2}/.test(text)) {
+        date = text;
+        extraction.date = selectors.DETAIL_DATE_FALLBACK;
+        extraction.fallbacks.push("日付: 日付らしき要素から抽出");
+        break;
+      }
+    }
+  }
+
+  // 投稿時刻（日付らしき要素に "18:30" の形式で表示されている）
+  let time = "";
+  for (const element of document.querySelectorAll(selectors.DETAIL_DATE_FALLBACK)) {
+    const timeMatch = (element.textContent || "").match(/(\d{1,2}):(\d{2})/);
+    if (timeMatch) {
+      time = `${timeMatch[1].padStart(2, "0")}:${timeMatch[2]}`;
+      break;
+    }
+  }
+
+  // 本文を取得
+  let content = "";
+  for (const selector of selectors.DETAIL_CONTENT) {
+    const element = document.querySelector(selector);
+    if (element && element.textContent.trim().length > 20) {
+      content = element.innerHTML
+        .replace(/<script[^>]*>.*?<\/script>/gi, "")
+        .replace(/<style[^>]*>.*?<\/style>/gi, "")
+        .trim();
+      if (content) {
+        extraction.content = selector;
+        break;
+      }
+    }
+  }
+
+  // 画像URLを取得（ブログ本文内のみ）
+  const images = [];
+  const imageSet = new Set();
+  const containerSelector = selectors.BLOG_CONTAINER.find((selector) =>
+    document.querySelector(selector)
+  );
+  const blogContainer = containerSelector
+    ? document.querySelector(containerSelector)
+    : document.body;
+  extraction.images = containerSelector || "body";
+  if (!containerSelector) {
+    extraction.fallbacks.push("画像: ページ全体から抽出");
+  }
+  const imgElements = blogContainer.querySelectorAll("img");
+
+  imgElements.forEach((img) => {
+    const src = img.getAttribute("src");
+    if (src && !imageSet.has(src)) {
+      const isExcluded = excludePatterns.some((pattern) =>
+        src.toLowerCase().includes(pattern)
+      );
+
+      if (!isExcluded) {
+        const fullSrc = src.startsWith("http") ? src : `${baseUrl}${src}`;
+        imageSet.add(src);
+        images.push(fullSrc);
+      }
+    }
+  });
+
+  return {
+    title,
+    date,
+    time,
+    content,
+    images,
+    extraction,
+  };
+}
+
+/**
+ * メンバー一覧ページからメンバーを抽出（ブラウザ内で実行）
+ * ブログのメンバー別リストへのリンク（ct=メンバーID）から、卒業メンバーも含めて収集する
+ */
+function extractMembers({ selectors, baseUrl }) {
+  const members = new Map();
+
+  document.querySelectorAll(selectors.MEMBER_LINK).forEach((link) => {
+    const idMatch = (link.getAttribute("href") || "").match(/ct=(\d+)/);
+    if (!idMatch || parseInt(idMatch[1]) === 0) return;
+
+    const nameElement = link.querySelector(selectors.MEMBER_NAME);
+    const name = (nameElement ? nameElement.textContent : link.textContent)
+      .trim()
+      .replace(/\s+/g, " ");
+    // 「ブログを見る」などのリンク文言やメンバー名のないリンクは除外
+    if (!name || name.length >= 20 || members.has(idMatch[1])) return;
+
+    members.set(idMatch[1], {
+      id: idMatch[1],
+      name,
+      blogUrl: `${baseUrl}/s/k46o/diary/member/list?ima=0000&ct=${idMatch[1]}`,
+    });
+  });
+
+  return [...members.values()];
+}
+
+module.exports = {
+  id: "keyakizaka46",
+  name: "欅坂46",
+  emoji: "🌳",
+  color: "#2e7d32",
+  order: 2,
+  baseUrl: BASE_URL,
+  selectors: SELECTORS,
+  imageExcludePatterns: IMAGE_EXCLUDE_PATTERNS,
+  waits: { list: TIMEOUTS.PAGE_WAIT_MEDIUM, detail: TIMEOUTS.PAGE_WAIT_SHORT },
+  preferListDate: true,
+  skipEmptyPosts: true,
+  membersUrl: `${BASE_URL}/s/k46o/diary/member?ima=0000`,
+
+  listUrl: (memberId, page) =>
+    `${BASE_URL}/s/k46o/diary/member/list?ima=0000&page=${page}&ct=${memberId}`,
+
+  profileUrl: (memberId) => `${BASE_URL}/s/k46o/artist/${memberId}?ima=0000`,
+
+  // 欅坂時代のIDは櫻坂46のIDとは別で、"03" のようにゼロ埋めされている
+  // （名前や blog_posts の数値のIDからの特定は fetchMembers.resolveSiteMemberId() で行う）
+  resolveMemberId: ({ memberId }) => (memberId ? String(memberId) : null),
+
+  /**
+   * メンバー一覧を取得（DBが空ならサイトから取得して記録）
+   * @param {BlogDatabase} db - データベースインスタンス
+   * @param {object} options - {refresh: 強制的にサイトから再取得するか}
+   * @returns {Promise<Array>} メンバーの配列
+   */
+  listMembers: (db, options) =>
+    listSiteMembers(db, "keyakizaka46", () => fetchSiteMembers(module.exports), options),
+
+  extractList,
+  extractDetail,
+  extractMembers,
+};
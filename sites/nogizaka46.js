@@ -0,0 +1,187 @@
+const { fetchSiteMembers, listSiteMembers } = require('../fetchMembers');
+const { IMAGE_EXCLUDE_PATTERNS, TIMEOUTS } = require('../utils/constants');
+
+/**
+ * 乃木坂46 公式ブログのサイト定義
+ * メンバーIDは公式サイトの5桁のメンバーコード（例: 55401）
+ */
+
+const BASE_URL = 'https://www.nogizaka46.com';
+
+/**
+ * CSS セレクター
+ */
+const SELECTORS = {
+  BLOG_LIST_CONTAINER: '.bl--list',
+  POST_ITEM: '.bl--card',
+  POST_LINK: 'a[href*="/diary/detail/"]',
+  POST_DATE: '.bl--card__date',
+  POST_TITLE: '.bl--card__ttl',
+  PAGINATION: '.coms--pg a, .com--pg a, [class*="pager"] a',
+
+  // 詳細ページ
+  DETAIL_TITLE: ['.bd--hd__ttl', '.bd--hd h1', 'h1'],
+  DETAIL_CONTENT: ['.bd--edit', '.bd--body'],
+  DETAIL_DATE: ['.bd--hd__date', '.bd--hd time'],
+  BLOG_CONTAINER: ['.bd--edit', '.bd--body'],
+
+  // メンバー一覧
+  MEMBER_LINK: 'a[href*="/s/n46/artist/"]',
+  MEMBER_NAME: '.m--mem__name',
+
+  // プロフィールページ（項目は dt/dd から取得）
+  PROFILE_FURIGANA: ['.md--hd__k'],
+  PROFILE_PHOTO: ['.md--hd__fig img'],
+  PROFILE_GENERATION: ['.md--hd__tag'],
+};
+
+/**
+ * リストページから投稿を抽出（ブラウザ内で実行）
+ * 一覧のカード自体がリンクの場合と、カード内にリンクがある場合の両方に対応
+ */
+function extractList({ selectors, baseUrl, pageNumber }) {
+  const container = document.querySelector(selectors.BLOG_LIST_CONTAINER) || document;
+  const postData = [];
+  const uniqueUrls = new Set();
+
+  container.querySelectorAll(selectors.POST_ITEM).forEach(item => {
+    const link = item.matches(selectors.POST_LINK) ? item : item.querySelector(selectors.POST_LINK);
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    if (!href || uniqueUrls.has(href)) return;
+    uniqueUrls.add(href);
+
+    // "2024.01.05 18:30" → "2024/01/05"
+    const dateElement = item.querySelector(selectors.POST_DATE);
+    const dateMatch = dateElement ? dateElement.textContent.match(/(\d{4})\.(\d{1,2})\.(\d{1,2})/) : null;
+    const titleElement = item.querySelector(selectors.POST_TITLE);
+
+    postData.push({
+      url: href.startsWith('http') ? href : `${baseUrl}${href}`,
+      date: dateMatch ? `${dateMatch[1]}/${dateMatch[2].padStart(2, '0')}/${dateMatch[3].padStart(2, '0')}` : '',
+      title: titleElement ? titleElement.textContent.trim() : ''
+    });
+  });
+
+  // 次のページが存在するかチェック
+  const hasNext = [...document.querySelectorAll(selectors.PAGINATION)]
+    .some(link => (link.getAttribute('href') || '').includes(`page=${pageNumber + 1}`));
+
+  return { posts: postData, hasNext };
+}
+
+/**
+ * 詳細ページから投稿内容を抽出（ブラウザ内で実行）
+ */
+function extractDetail({ selectors, baseUrl, excludePatterns }) {
+  // どのセレクターで取得したか（check-selectors で使用）
+  const extraction = { title: null, date: null, content: null, images: null, fallbacks: [] };
+  const findElement = (field, selectorList) => {
+    const selector = selectorList.find(candidate => {
+      const element = document.querySelector(candidate);
+      return element && element.textContent.trim();
+    });
+    extraction[field] = selector || null;
+    return selector ? document.querySelector(selector) : null;
+  };
+
+  const titleElement = findElement('title', selectors.DETAIL_TITLE);
+  const title = titleElement ? titleElement.textContent.trim() : '';
+
+  let date = '';
+  const dateElement = findElement('date', selectors.DETAIL_DATE);
+  const dateMatch = dateElement ? dateElement.textContent.match(/(\d{4})\.(\d{1,2})\.(\d{1,2})/) : null;
+  if (dateMatch) {
+    date = `${dateMatch[1]}/${dateMatch[2].padStart(2, '0')}/${dateMatch[3].padStart(2, '0')}`;
+  }
+
+  // 投稿時刻（"2024.01.05 18:30" の "18:30"）
+  const timeMatch = dateElement ? dateElement.textContent.match(/(\d{1,2}):(\d{2})/) : null;
+  const time = timeMatch ? `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}` : '';
+
+  let content = '';
+  const contentElement = findElement('content', selectors.DETAIL_CONTENT);
+  if (contentElement) {
+    content = contentElement.innerHTML
+      .replace(/<script[^>]*>.*?<\/script>/gi, '')
+      .replace(/<style[^>]*>.*?<\/style>/gi, '')
+      .trim();
+  }
+
+  // 画像URLを取得（ブログ本文内のみ）
+  const images = [];
+  const imageSet = new Set();
+  extraction.images = selectors.BLOG_CONTAINER.find(selector => document.querySelector(selector)) || null;
+  if (extraction.images) {
+    document.querySelector(extraction.images).querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src');
+      if (!src || imageSet.has(src)) return;
+      const isExcluded = excludePatterns.some(pattern => src.toLowerCase().includes(pattern));
+      if (!isExcluded) {
+        imageSet.add(src);
+        images.push(src.startsWith('http') ? src : `${baseUrl}${src}`);
+      }
+    });
+  }
+
+  return { title, date, time, content, images, extraction };
+}
+
+/**
+ * メンバー一覧ページからメンバーを抽出（ブラウザ内で実行）
+ */
+function extractMembers({ selectors, baseUrl }) {
+  const members = new Map();
+
+  document.querySelectorAll(selectors.MEMBER_LINK).forEach(link => {
+    const idMatch = (link.getAttribute('href') || '').match(/\/artist\/(\d+)/);
+    if (!idMatch) return;
+
+    const nameElement = link.querySelector(selectors.MEMBER_NAME);
+    const name = (nameElement ? nameElement.textContent : link.textContent).trim().replace(/\s+/g, ' ');
+    if (!name || members.has(idMatch[1])) return;
+
+    members.set(idMatch[1], {
+      id: idMatch[1],
+      name,
+      blogUrl: `${baseUrl}/s/n46/diary/MEMBER/list?ima=0000&ct=${idMatch[1]}`
+    });
+  });
+
+  return [...members.values()];
+}
+
+module.exports = {
+  id: 'nogizaka46',
+  name: '乃木坂46',
+  emoji: '💜',
+  color: '#7e1083',
+  order: 4,
+  baseUrl: BASE_URL,
+  selectors: SELECTORS,
+  imageExcludePatterns: IMAGE_EXCLUDE_PATTERNS,
+  waits: { list: TIMEOUTS.PAGE_WAIT, detail: TIMEOUTS.PAGE_WAIT_SHORT },
+  preferListDate: false,
+  skipEmptyPosts: true,
+  membersUrl: `${BASE_URL}/s/n46/search/artist?ima=0000`,
+
+  listUrl: (memberId, page) =>
+    `${BASE_URL}/s/n46/diary/MEMBER/list?ima=0000&page=${page}&ct=${memberId}`,
+
+  profileUrl: (memberId) => `${BASE_URL}/s/n46/artist/${memberId}?ima=0000`,
+
+  resolveMemberId: ({ memberId }) => (memberId ? String(memberId) : null),
+
+  /**
+   * メンバー一覧を取得（DBが空ならサイトから取得して記録）
+   * @param {BlogDatabase} db - データベースインスタンス
+   * @param {object} options - {refresh: 強制的にサイトから再取得するか}
+   * @returns {Promise<Array>} メンバーの配列
+   */
+  listMembers: (db, options) => listSiteMembers(db, 'nogizaka46', () => fetchSiteMembers(module.exports), options),
+
+  extractList,
+  extractDetail,
+  extractMembers,
+};
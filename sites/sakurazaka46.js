@@ -0,0 +1,265 @@
+const { fetchMembers, listSiteMembers } = require('../fetchMembers');
+const { IMAGE_EXCLUDE_PATTERNS, TIMEOUTS } = require('../utils/constants');
+
+/**
+ * 櫻坂46 公式ブログのサイト定義
+ */
+
+const BASE_URL = 'https://sakurazaka46.com';
+
+/**
+ * CSS セレクター
+ */
+const SELECTORS = {
+  BLOG_LIST_CONTAINER: '.com-blog-part',
+  POST_ITEM: 'li.box',
+  POST_LINK: 'a',
+  POST_DATE: '.date, .time',
+  POST_TITLE: '.title, h3, h4',
+  PAGINATION: '.com-pager a, .pager a, [class*="pager"] a',
+
+  // 詳細ページ
+  DETAIL_TITLE: ['.box-ttl h1', '.box-ttl', 'h1.title', 'h1', '.blog-title', '.entry-title'],
+  DETAIL_CONTENT: ['.box-article', '.blog-body', '.entry-content', '.blog-content', '.article-body'],
+  DETAIL_CONTENT_FALLBACK: '.blog-detail, .contents, article, main p',
+  DETAIL_DATE_YEAR: '.year',
+  DETAIL_DATE_MONTH: '.month',
+  DETAIL_DATE_DAY: '.day',
+  DETAIL_DATE_FALLBACK: '.date, .time, [class*="date"]',
+  BLOG_CONTAINER: ['.box-article', '.blog-body'],
+
+  // プロフィールページ（項目は dt/dd から取得）
+  PROFILE_FURIGANA: ['.prof-elem .kana', '.kana'],
+  PROFILE_PHOTO: ['.prof-elem img', '.com-hero-img img', '.ph img'],
+  PROFILE_GENERATION: ['.prof-elem .gen', '.generation'],
+};
+
+/**
+ * リストページから投稿を抽出（ブラウザ内で実行）
+ */
+function extractList({ selectors, baseUrl, pageNumber }) {
+  // メインブログリストエリアのみを選択
+  const mainBlogList = document.querySelector(selectors.BLOG_LIST_CONTAINER);
+  if (!mainBlogList) {
+    return { posts: [], hasNext: false };
+  }
+
+  // com-blog-part内のli.boxのみから投稿を取得
+  const postItems = mainBlogList.querySelectorAll(selectors.POST_ITEM);
+  const postData = [];
+  const uniqueUrls = new Set();
+
+  postItems.forEach(item => {
+    const link = item.querySelector(selectors.POST_LINK);
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    if (href && href.includes('/diary/detail/') && !uniqueUrls.has(href)) {
+      uniqueUrls.add(href);
+      const fullUrl = href.startsWith('http') ? href : `${baseUrl}${href}`;
+
+      // タイトルと日付を取得
+      const dateElement = item.querySelector(selectors.POST_DATE);
+      const titleElement = item.querySelector(selectors.POST_TITLE);
+
+      postData.push({
+        url: fullUrl,
+        date: dateElement ? dateElement.textContent.trim() : '',
+        title: titleElement ? titleElement.textContent.trim() : ''
+      });
+    }
+  });
+
+  // 次のページが存在するかチェック
+  const paginationLinks = document.querySelectorAll(selectors.PAGINATION);
+  let hasNextPage = false;
+  paginationLinks.forEach(link => {
+    const href = link.getAttribute('href') || '';
+    if (href.includes(`page=${pageNumber + 1}`)) {
+      hasNextPage = true;
+    }
+  });
+
+  return {
+    posts: postData,
+    hasNext: hasNextPage
+  };
+}
+
+/**
+ * 詳細ページから投稿内容を抽出（ブラウザ内で実行）
+ */
+function extractDetail({ selectors, baseUrl, excludePatterns }) {
+  // どのセレクター・フォールバックで取得したか（check-selectors で使用）
+  const extraction = { title: null, date: null, content: null, images: null, fallbacks: [] };
+
+  // タイトルを取得（複数のセレクタを試す）
+  let title = '';
+  for (const selector of selectors.DETAIL_TITLE) {
+    const element = document.querySelector(selector);
+    if (element && element.textContent.trim() && !element.textContent.includes('OFFICIAL BLOG')) {
+      title = element.textContent.trim();
+      extraction.title = selector;
+      break;
+    }
+  }
+
+  // 本文を取得（より具体的なセレクタを使用）
+  let content = '';
+  for (const selector of selectors.DETAIL_CONTENT) {
+    const element = document.querySelector(selector);
+    if (element && element.textContent.trim().length > 20) {
+      // HTMLタグを保持したまま取得
+      content = element.innerHTML.replace(/<script[^>]*>.*?<\/script>/gi, '')
+                              .replace(/<style[^>]*>.*?<\/style>/gi, '')
+                              .trim();
+      if (content) {
+        extraction.content = selector;
+        break;
+      }
+    }
+  }
+
+  // フォールバック: テキストのみ抽出
+  if (!content) {
+    const textElements = document.querySelectorAll(selectors.DETAIL_CONTENT_FALLBACK);
+    textElements.forEach(el => {
+      const text = el.textContent.trim();
+      if (text && text.length > 50 && !text.includes('NEW ENTRY') && !text.includes('OFFICIAL BLOG')) {
+        content += text + '\n\n';
+      }
+    });
+    if (content) {
+      extraction.content = selectors.DETAIL_CONTENT_FALLBACK;
+      extraction.fallbacks.push('本文: テキストのみ抽出');
+    }
+  }
+
+  // 日付を取得
+  let date = '';
+
+  // 方法1: 年月日が別々の要素に入っている場合
+  const yearEl = document.querySelector(selectors.DETAIL_DATE_YEAR);
+  const monthEl = document.querySelector(selectors.DETAIL_DATE_MONTH);
+  const dayEl = document.querySelector(selectors.DETAIL_DATE_DAY);
+
+  if (yearEl && monthEl && dayEl) {
+    const year = yearEl.textContent.trim();
+    const month = monthEl.textContent.trim().replace('月', '');
+    const day = dayEl.textContent.trim().replace('日', '');
+    date = `${year}/${month.padStart(2, '0')}/${day.padStart(2, '0')}`;
+    extraction.date = 'year/month/day';
+  }
+
+  // 方法2: 完全な日付形式を含む要素を探す
+  if (!date) {
+    const dateElements = document.querySelectorAll(selectors.DETAIL_DATE_FALLBACK);
+    for (const element of dateElements) {
+      const text = element.textContent?.trim();
+      if (text && /\d{4}[\/\-\.]\d{1,2}[\/\-\.]\d{1,2}/.test(text)) {
+        date = text.match(/\d{4}[\/\-\.]\d{1,2}[\/\-\.]\d{1,2}/)[0];
+        date = date.replace(/-/g, '/').replace(/\./g, '/');
+        extraction.date = selectors.DETAIL_DATE_FALLBACK;
+        extraction.fallbacks.push('日付: 日付らしき要素から抽出');
+        break;
+      }
+    }
+  }
+
+  // 投稿時刻（日付と同じ要素、または日付らしき要素に "18:30" の形式で表示されている）
+  let time = '';
+  if (date) {
+    for (const element of document.querySelectorAll(selectors.DETAIL_DATE_FALLBACK)) {
+      const timeMatch = (element.textContent || '').match(/(\d{1,2}):(\d{2})/);
+      if (timeMatch) {
+        time = `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+        break;
+      }
+    }
+  }
+
+  // 方法3: メタデータから（ブラウザのタイムゾーンに依らず日本時間に変換）
+  if (!date) {
+    const metaDate = document.querySelector('meta[property="article:published_time"]');
+    if (metaDate) {
+      const content = metaDate.getAttribute('content');
+      const d = content ? new Date(new Date(content).getTime() + 9 * 60 * 60 * 1000) : null;
+      if (d && !isNaN(d.getTime())) {
+        date = `${d.getUTCFullYear()}/${String(d.getUTCMonth() + 1).padStart(2, '0')}/${String(d.getUTCDate()).padStart(2, '0')}`;
+        time = `${String(d.getUTCHours()).padStart(2, '0')}:${String(d.getUTCMinutes()).padStart(2, '0')}`;
+        extraction.date = 'meta[property="article:published_time"]';
+        extraction.fallbacks.push('日付: メタデータから抽出');
+      }
+    }
+  }
+
+  // 画像URLを取得（ブログ記事の画像のみ）
+  const images = [];
+  const imageSet = new Set();
+
+  const addImage = (src) => {
+    if (!src || imageSet.has(src)) return;
+    // 除外パターン
+    const isExcluded = excludePatterns.some(pattern => src.toLowerCase().includes(pattern));
+    if (!isExcluded) {
+      imageSet.add(src);
+      images.push(src.startsWith('http') ? src : `${baseUrl}${src}`);
+    }
+  };
+
+  // ブログ記事エリア内の画像を取得
+  extraction.images = selectors.BLOG_CONTAINER.find(selector => document.querySelector(selector)) || null;
+  if (extraction.images) {
+    document.querySelector(extraction.images).querySelectorAll('img').forEach(img => addImage(img.getAttribute('src')));
+  }
+
+  // コンテンツHTMLからも画像を抽出
+  if (content) {
+    const imgRegex = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
+    let match;
+    while ((match = imgRegex.exec(content)) !== null) {
+      addImage(match[1]);
+    }
+  }
+
+  return {
+    title: title,
+    date: date,
+    time: time,
+    content: content.trim(),
+    images: images,
+    extraction: extraction
+  };
+}
+
+module.exports = {
+  id: 'sakurazaka46',
+  name: '櫻坂46',
+  emoji: '🌸',
+  color: '#f19db5',
+  order: 1,
+  baseUrl: BASE_URL,
+  selectors: SELECTORS,
+  imageExcludePatterns: IMAGE_EXCLUDE_PATTERNS,
+  waits: { list: TIMEOUTS.PAGE_WAIT, detail: 0 },
+  preferListDate: false,
+  skipEmptyPosts: false,
+
+  listUrl: (memberId, page) =>
+    `${BASE_URL}/s/s46/diary/blog/list?ima=0000&page=${page}&ct=${memberId}&cd=blog`,
+
+  profileUrl: (memberId) => `${BASE_URL}/s/s46/artist/${memberId}?ima=0000`,
+
+  resolveMemberId: ({ memberId }) => (memberId ? String(memberId) : null),
+
+  /**
+   * メンバー一覧を取得（DBが空ならサイトから取得して記録）
+   * @param {BlogDatabase} db - データベースインスタンス
+   * @param {object} options - {refresh: 強制的にサイトから再取得するか}
+   * @returns {Promise<Array>} メンバーの配列
+   */
+  listMembers: (db, options) => listSiteMembers(db, 'sakurazaka46', fetchMembers, options),
+
+  extractList,
+  extractDetail,
+};
@@ -0,0 +1,182 @@
+const { chromium } = require('playwright');
+const { getSite, hasSite } = require('./sites');
+const { collectAllPostUrls } = require('./scraperEngine');
+const { resetRateLimitState } = require('./utils/scraperUtils');
+const { parseBlogDate } = require('./utils/dateUtils');
+const { attachFixtures } = require('./utils/fixtures');
+const { resolveSiteMemberId } = require('./fetchMembers');
+
+/**
+ * 公式サイトとの突き合わせ
+ * メンバーのリストページに載っている投稿URLと blog_posts を比較し、
+ * 公式サイトから消えた投稿を「削除済み」として記録する（再び見つかった場合は公開中に戻す）
+ */
+
+/**
+ * 1メンバー分の投稿を公式サイトと突き合わせる
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {object} page - Playwrightページオブジェクト
+ * @param {SiteDefinition} site - サイト定義
+ * @param {object} member - {memberId: blog_posts.member_id, memberName}
+ * @returns {Promise<object>} 結果 {site, memberId, memberName, listed, checked, deleted, restored, skipped}
+ */
+async function verifyMemberPosts(db, page, site, member) {
+  const result = {
+    site: site.id,
+    memberId: String(member.memberId),
+    memberName: member.memberName,
+    listed: 0,
+    checked: 0,
+    deleted: [],
+    restored: [],
+    skipped: null,
+  };
+
+  // blog_posts.member_id は数値のため、リストページのURLには記録済みのメンバーの表記（"03" など）を使う
+  const siteMemberId = await resolveSiteMemberId(db, site.id, member.memberId, member.memberName);
+  if (!siteMemberId) {
+    result.skipped = 'サイト上のメンバーIDが見つかりません';
+    return result;
+  }
+
+  // 日付・件数の制限なしでリストページを最後まで辿る
+  let reachedEnd = false;
+  const listedPosts = await collectAllPostUrls(page, site, siteMemberId, null, null, null, {
+    onCollectionEnd: (collection) => {
+      reachedEnd = collection.reachedEnd;
+    },
+  });
+  result.listed = listedPosts.length;
+
+  // リストが空の場合はブログ閉鎖と抽出エラーの区別がつかないため判定しない
+  if (listedPosts.length === 0) {
+    result.skipped = 'リストページから投稿を取得できませんでした';
+    return result;
+  }
+
+  // リストの最後まで読めなかった場合（ページ数の上限・空のページ・ページャーの抽出失敗）は、
+  // 読めたページより古い投稿は消えたのか未確認なのか区別できないため、確認できた期間の投稿だけを判定する
+  const oldestListedDate = reachedEnd
+    ? null
+    : listedPosts
+        .map(post => parseBlogDate(post.date))
+        .filter(Boolean)
+        .reduce((oldest, date) => (!oldest || date < oldest ? date : oldest), null);
+
+  const archivedPosts = await db.getMemberPostsForVerification(site.id, member.memberId);
+  const targets = archivedPosts.filter(post => {
+    if (reachedEnd) return true;
+    const postDate = parseBlogDate(post.date);
+    return oldestListedDate && postDate && postDate >= oldestListedDate;
+  });
+
+  const listedUrls = new Set(listedPosts.map(post => post.url));
+  const present = targets.filter(post => listedUrls.has(post.url));
+  const missing = targets.filter(post => !listedUrls.has(post.url));
+  result.checked = targets.length;
+
+  // 1件も一致しない場合はURL形式の変更を疑い、誤って削除扱いにしない
+  if (present.length === 0 && missing.length > 1) {
+    result.skipped = `保存済みの投稿URLが1件も一致しません（${missing.length}件）- URL形式が変わった可能性があります`;
+    return result;
+  }
+
+  result.deleted = missing.filter(post => post.upstream_status !== 'deleted');
+  result.restored = present.filter(post => post.upstream_status === 'deleted');
+
+  await db.updateUpstreamStatus(missing.map(post => post.id), 'deleted');
+  await db.updateUpstreamStatus(present.map(post => post.id), 'present');
+
+  return result;
+}
+
+/**
+ * 保存済みの投稿を公式サイトと突き合わせる
+ * @param {BlogDatabase} db - データベースインスタンス
+ * @param {object} options - {site: サイト識別子, memberId: blog_posts.member_id}（省略時は全件）
+ * @returns {Promise<Array>} メンバーごとの結果
+ */
+async function verifyUpstreamPosts(db, options = {}) {
+  const { site = null, memberId = null } = options;
+
+  const members = (await db.getArchivedMembersBySite(site))
+    .filter(member => hasSite(member.site))
+    .filter(member => !memberId || Number(member.member_id) === Number(memberId));
+
+  const results = [];
+  if (members.length === 0) return results;
+
+  const browser = await chromium.launch({ headless: true });
+  const page = await browser.newPage();
+
+  try {
+    await attachFixtures(page);
+    resetRateLimitState();
+
+    for (const member of members) {
+      const siteDefinition = getSite(member.site);
+      console.log(`\n${siteDefinition.emoji} ${member.member_name}さん（${siteDefinition.name}）の投稿を公式サイトと照合中...`);
+
+      try {
+        const result = await verifyMemberPosts(db, page, siteDefinition, {
+          memberId: member.member_id,
+          memberName: member.member_name,
+        });
+        if (result.skipped) {
+          console.log(`  ⚠️ スキップ: ${result.skipped}`);
+        } else {
+          console.log(`  ✓ ${result.checked}件を確認 - 新たに削除を検出: ${result.deleted.length}件 / 再公開: ${result.restored.length}件`);
+        }
+        results.push(result);
+      } catch (error) {
+        console.error(`  ✗ 照合エラー: ${error.message}`);
+        results.push({
+          site: member.site,
+          memberId: String(member.member_id),
+          memberName: member.member_name,
+          listed: 0,
+          checked: 0,
+          deleted: [],
+          restored: [],
+          skipped: null,
+          error: error.message,
+        });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return results;
+}
+
+/**
+ * 照合結果の一覧を表示
+ * @param {Array} results - verifyUpstreamPosts の結果
+ */
+function logVerificationSummary(results) {
+  console.log('\n📋 公式サイトとの照合結果');
+  console.table(
+    results.map(result => ({
+      メンバー: result.memberName,
+      サイト: result.site,
+      公式: result.listed,
+      確認: result.checked,
+      削除検出: result.deleted.length,
+      再公開: result.restored.length,
+      状態: result.error ? `✗ ${result.error}` : result.skipped ? `スキップ: ${result.skipped}` : '✓',
+    }))
+  );
+
+  const deletedPosts = results.flatMap(result => result.deleted);
+  if (deletedPosts.length > 0) {
+    console.log('\n🗑️ 新たに削除を検出した投稿:');
+    deletedPosts.forEach(post => console.log(`  #${post.id} ${post.date || ''} ${post.title || 'Untitled'} - ${post.url}`));
+  }
+}
+
+module.exports = {
+  verifyMemberPosts,
+  verifyUpstreamPosts,
+  logVerificationSummary,
+};
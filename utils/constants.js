@@ -23,9 +23,18 @@ const PAGINATION = {
   MAX_POSTS_FETCH: 10000,      // データベースから取得する最大投稿数
 };
 
+/**
+ * 差分同期設定
+ * 新着のみ取得モードで既存記事に到達したと判断する条件
+ */
+const INCREMENTAL_SYNC = {
+  KNOWN_STREAK_LIMIT: 5,       // アーカイブ済みURLが5件連続したら収集を終了
+};
+
 /**
  * 画像除外パターン
  * これらのパターンを含む画像URLは除外される
+ * サイト固有のセレクター・URLは sites/ の各サイト定義を参照
  */
 const IMAGE_EXCLUDE_PATTERNS = [
   'icon',
@@ -39,87 +48,6 @@ const IMAGE_EXCLUDE_PATTERNS = [
   'twemoji', // 絵文字画像
 ];
 
-/**
- * CSS セレクター（櫻坂46サイト）
- */
-const SAKURAZAKA_SELECTORS = {
-  BLOG_LIST_CONTAINER: '.com-blog-part',
-  POST_ITEM: 'li.box',
-  POST_LINK: 'a',
-  POST_DATE: '.date, .time',
-  POST_TITLE: '.title, h3, h4',
-  PAGINATION: '.com-pager a, .pager a, [class*="pager"] a',
-
-  // 詳細ページ
-  DETAIL_TITLE: ['.box-ttl h1', '.box-ttl', 'h1.title', 'h1', '.blog-title', '.entry-title'],
-  DETAIL_CONTENT: ['.box-article', '.blog-body', '.entry-content', '.blog-content', '.article-body'],
-  DETAIL_DATE_YEAR: '.year',
-  DETAIL_DATE_MONTH: '.month',
-  DETAIL_DATE_DAY: '.day',
-};
-
-/**
- * CSS セレクター（欅坂46サイト）
- */
-const KEYAKIZAKA_SELECTORS = {
-  POST_LINK: 'a[href*="/diary/detail/"]',
-  POST_DATE_CONTAINER: '.box-bottom',
-
-  // 詳細ページ
-  DETAIL_TITLE: ['.box-ttl', 'h1.title', 'h1', '.blog-title'],
-  DETAIL_CONTENT: ['.box-article', '.box--body', '.blog-body', '.blog-content'],
-  DETAIL_DATE_YEAR: '.year',
-  DETAIL_DATE_MONTH: '.month',
-  DETAIL_DATE_DAY: '.day',
-  BLOG_CONTAINER: '.box-article, .box--body',
-};
-
-/**
- * サイトURL
- */
-const SITE_URLS = {
-  SAKURAZAKA46_BASE: 'https://sakurazaka46.com',
-  SAKURAZAKA46_BLOG_LIST: (memberId, page) =>
-    `https://sakurazaka46.com/s/s46/diary/blog/list?ima=0000&page=${page}&ct=${memberId}&cd=blog`,
-
-  KEYAKIZAKA46_BASE: 'https://www.keyakizaka46.com',
-  KEYAKIZAKA46_BLOG_LIST: (memberId, page) =>
-    `https://www.keyakizaka46.com/s/k46o/diary/member/list?ima=0000&page=${page}&ct=${memberId}`,
-};
-
-/**
- * 欅坂46メンバーIDマッピング
- * 櫻坂46メンバーの欅坂時代のID
- */
-const KEYAKI_MEMBER_MAP = {
-  "上村 莉菜": "03",
-  "尾関 梨香": "04",
-  "小池 美波": "06",
-  "小林 由依": "07",
-  "齋藤 冬優花": "08",
-  "菅井 友香": "11",
-  "土生 瑞穂": "14",
-  "原田 葵": "15",
-  "守屋 茜": "18",
-  "渡辺 梨加": "20",
-  "渡邉 理佐": "21",
-  "井上 梨名": "43",
-  "関 有美子": "44",
-  "武元 唯衣": "45",
-  "田村 保乃": "46",
-  "藤吉 夏鈴": "47",
-  "松田 里奈": "48",
-  "松平 璃子": "49",
-  "森田 ひかる": "50",
-  "山﨑 天": "51",
-  "遠藤 光莉": "53",
-  "大園 玲": "54",
-  "大沼 晶保": "55",
-  "幸阪 茉里乃": "56",
-  "増本 綺良": "57",
-  "守屋 麗奈": "58",
-};
-
 /**
  * タイムアウト設定
  */
@@ -133,10 +61,7 @@ const TIMEOUTS = {
 module.exports = {
   RATE_LIMIT,
   PAGINATION,
+  INCREMENTAL_SYNC,
   IMAGE_EXCLUDE_PATTERNS,
-  SAKURAZAKA_SELECTORS,
-  KEYAKIZAKA_SELECTORS,
-  SITE_URLS,
-  KEYAKI_MEMBER_MAP,
   TIMEOUTS,
 };
@@ -0,0 +1,191 @@
+/**
+ * cron 形式のスケジュール
+ * "分 時 日 月 曜日" の5項目（"*"、数値、"a-b"、カンマ区切り、"/n" での間隔指定）と
+ * @hourly / @daily / @weekly / @monthly に対応する
+ *
+ * 時刻はすべて日本時間（UTC+9、サマータイムなし）で扱い、サーバーのタイムゾーンには依存しない
+ */
+
+// 日本時間のUTCからのずれ（ミリ秒）
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// 次の実行時刻を探す範囲（これより先に一致する時刻がなければ誤った式とみなす）
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// 各項目の範囲（曜日は 0 と 7 が日曜日）
+const FIELDS = [
+  { name: '分', min: 0, max: 59 },
+  { name: '時', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12 },
+  { name: '曜日', min: 0, max: 7 }
+];
+
+/**
+ * 1項目を値の集合に変換
+ * @param {string} text - 項目の文字列
+ * @param {object} field - 項目の範囲 {name, min, max}
+ * @returns {Set<number>} 一致する値
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`${field.name}の指定が不正です: ${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      end = match[3] !== undefined ? parseInt(match[3]) : start;
+    }
+    // "5/15" は 5 から最大値まで15おき
+    if (match[1] !== '*' && match[3] === undefined && match[4] !== undefined) {
+      end = field.max;
+    }
+    const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`${field.name}の範囲が不正です（${field.min}〜${field.max}）: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * cron 形式の文字列を解析
+ * @param {string} expression - "分 時 日 月 曜日" または @daily など
+ * @returns {object} {expression, minutes, hours, days, months, weekdays: Set<number>, dayRestricted, weekdayRestricted}
+ * @throws {Error} 式が不正な場合
+ */
+function parseCronExpression(expression) {
+  const source = String(expression || '').trim();
+  const normalized = MACROS[source] || source;
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`cron 形式は "分 時 日 月 曜日" の5項目で指定してください: ${source}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseField(part, FIELDS[index])
+  );
+  // 7 も日曜日
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // cron と同じく、日と曜日の両方を指定した場合はどちらかに一致すればよい
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * 日付（日本時間）がスケジュールの日・曜日に一致するか
+ * @param {object} schedule - parseCronExpression() の結果
+ * @param {Date} jst - 日本時間にずらした日時（getUTC* で読む）
+ * @returns {boolean} 一致すればtrue
+ */
+function matchesDay(schedule, jst) {
+  const dayMatch = schedule.days.has(jst.getUTCDate());
+  const weekdayMatch = schedule.weekdays.has(jst.getUTCDay());
+  if (schedule.dayRestricted && schedule.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  return dayMatch && weekdayMatch;
+}
+
+/**
+ * 指定した時刻より後で、スケジュールに一致する最初の時刻を求める
+ * @param {object} schedule - parseCronExpression() の結果
+ * @param {Date} after - 基準の時刻（この時刻ちょうどは含まない）
+ * @returns {Date} 次の実行時刻
+ * @throws {Error} 一致する時刻がない場合（2月30日など）
+ */
+function getNextCronTime(schedule, after) {
+  // 日本時間にずらして getUTC* で読む（分の途中なら次の分から）
+  const jst = new Date(Math.floor((after.getTime() + JST_OFFSET_MS) / MINUTE_MS + 1) * MINUTE_MS);
+  const limit = jst.getTime() + SEARCH_LIMIT_MS;
+
+  while (jst.getTime() <= limit) {
+    if (!schedule.months.has(jst.getUTCMonth() + 1)) {
+      jst.setUTCMonth(jst.getUTCMonth() + 1, 1);
+      jst.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, jst)) {
+      jst.setUTCDate(jst.getUTCDate() + 1);
+      jst.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(jst.getUTCHours())) {
+      jst.setUTCHours(jst.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(jst.getUTCMinutes())) {
+      jst.setUTCMinutes(jst.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return new Date(jst.getTime() - JST_OFFSET_MS);
+  }
+
+  throw new Error(`スケジュールに一致する日時がありません: ${schedule.expression}`);
+}
+
+/**
+ * 実行しない時間帯の指定を解析
+ * @param {string|null} text - 日本時間の "開始時-終了時"（例: "1-7" で 1:00〜6:59、"23-5" のように日をまたいでもよい）
+ * @returns {{start: number, end: number}|null} 時間帯（指定なしはnull）
+ * @throws {Error} 形式が不正な場合
+ */
+function parseQuietHours(text) {
+  if (!text) return null;
+  const match = String(text).trim().match(/^(\d{1,2})-(\d{1,2})$/);
+  const start = match ? parseInt(match[1]) : NaN;
+  const end = match ? parseInt(match[2]) : NaN;
+  if (!match || start > 23 || end > 24 || start === end) {
+    throw new Error(`実行しない時間帯は "開始時-終了時"（0〜24）で指定してください: ${text}`);
+  }
+  return { start, end };
+}
+
+/**
+ * 時刻が実行しない時間帯に含まれるか
+ * @param {{start: number, end: number}|null} quietHours - parseQuietHours() の結果
+ * @param {Date} date - 時刻
+ * @returns {boolean} 含まれればtrue
+ */
+function isInQuietHours(quietHours, date) {
+  if (!quietHours) return false;
+  const hour = new Date(date.getTime() + JST_OFFSET_MS).getUTCHours();
+  const { start, end } = quietHours;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextCronTime,
+  parseQuietHours,
+  isInQuietHours
+};
@@ -128,9 +128,92 @@ function formatDate(dateStr) {
   return dateStr.replace(/(\d{4})[年\-\.](\d{1,2})[月\-\.](\d{1,2})[日]?/, '$1/$2/$3');
 }
 
+/**
+ * 投稿日時を正規化（blog_posts.published_at に保存する形式）
+ * 日本時間の "YYYY-MM-DD" または "YYYY-MM-DD HH:MM" に揃え、文字列比較で並べ替え・範囲指定できるようにする
+ * 時刻は timeStr、なければ dateStr に含まれる "HH:MM" を使う
+ * @param {string} dateStr - "2024/12/25", "2024.12.25 18:30", "2024年12月25日" などの形式
+ * @param {string|null} timeStr - 詳細ページから取得した時刻 "HH:MM"
+ * @returns {string|null} 正規化した日時、解析失敗時はnull
+ */
+function normalizePublishedAt(dateStr, timeStr = null) {
+  if (!dateStr) return null;
+
+  const text = String(dateStr).trim();
+  const dateMatch =
+    text.match(/(\d{4})\s*[年\/\-\.]\s*(\d{1,2})\s*[月\/\-\.]\s*(\d{1,2})/) ||
+    text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!dateMatch) return null;
+
+  const [year, month, day] = dateMatch.slice(1).map((part) => parseInt(part));
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  const timeMatch = (timeStr || text.slice(dateMatch.index + dateMatch[0].length)).match(/(\d{1,2}):(\d{2})/);
+  if (!timeMatch || parseInt(timeMatch[1]) > 23) return date;
+
+  return `${date} ${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+}
+
+/**
+ * 正規化済みの投稿日時を表示用にフォーマット
+ * @param {string} publishedAt - "YYYY-MM-DD" または "YYYY-MM-DD HH:MM"
+ * @returns {string} "YYYY/MM/DD" または "YYYY/MM/DD HH:MM"
+ */
+function formatPublishedAt(publishedAt) {
+  if (!publishedAt) return '';
+  return publishedAt.replace(/^(\d{4})-(\d{2})-(\d{2})/, '$1/$2/$3');
+}
+
+/**
+ * 日付範囲の指定（"YYYY-MM-DD"）を published_at と比較できる範囲に変換
+ * 終了日はその日の投稿（時刻付きを含む）をすべて含める
+ * @param {string|null} dateFrom - 開始日
+ * @param {string|null} dateTo - 終了日
+ * @returns {{from: string|null, to: string|null}} published_at の下限と上限（どちらも含む）
+ */
+function toPublishedAtRange(dateFrom, dateTo) {
+  const from = normalizePublishedAt(dateFrom);
+  const to = normalizePublishedAt(dateTo);
+  return {
+    from: from ? from.slice(0, 10) : null,
+    to: to ? `${to.slice(0, 10)} 23:59` : null,
+  };
+}
+
+/**
+ * 次の誕生日までの日数と、その日に迎える年齢を計算
+ * タイムゾーンの問題を避けるため、ローカル時間の日付単位で比較
+ * 2月29日生まれは、うるう年以外は3月1日として扱う
+ * @param {string} birthday - 生年月日 "YYYY-MM-DD"
+ * @param {Date} today - 基準日（省略時は今日）
+ * @returns {{days: number, age: number, date: Date}|null} 今日が誕生日なら days は0、解析失敗時はnull
+ */
+function getNextBirthday(birthday, today = new Date()) {
+  const birthDate = parseBlogDate(birthday);
+  if (!birthDate) return null;
+
+  const base = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  let next = new Date(base.getFullYear(), birthDate.getMonth(), birthDate.getDate());
+  if (next < base) {
+    next = new Date(base.getFullYear() + 1, birthDate.getMonth(), birthDate.getDate());
+  }
+
+  return {
+    days: Math.round((next - base) / (24 * 60 * 60 * 1000)),
+    age: next.getFullYear() - birthDate.getFullYear(),
+    date: next,
+  };
+}
+
 module.exports = {
   parseBlogDate,
   isDateInRange,
   parsePostDate,
-  formatDate
+  formatDate,
+  normalizePublishedAt,
+  formatPublishedAt,
+  toPublishedAtRange,
+  getNextBirthday
 };
@@ -0,0 +1,174 @@
+/**
+ * スクレイピング用フィクスチャの記録・再生
+ * record: 実サイトへのリクエストをそのまま通し、レスポンスをフィクスチャディレクトリに保存
+ * replay: ネットワークに接続せず、保存済みのレスポンスだけでページと画像を返す
+ *
+ * 環境変数 SCRAPER_FIXTURES=record|replay で有効化（config.fixtures 参照）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// 記録対象のリソース種別（抽出に必要なHTML・スクリプト・APIレスポンス）
+const RECORDED_RESOURCE_TYPES = ['document', 'script', 'xhr', 'fetch'];
+
+const CONTENT_TYPE_EXTENSIONS = [
+  ['text/html', '.html'],
+  ['application/json', '.json'],
+  ['javascript', '.js'],
+  ['image/jpeg', '.jpg'],
+  ['image/png', '.png'],
+  ['image/gif', '.gif'],
+  ['image/webp', '.webp'],
+];
+
+let settings = {
+  mode: config.fixtures.mode,
+  dir: config.fixtures.dir,
+};
+
+/**
+ * フィクスチャ設定を変更（テストから記録先や再生モードを切り替える用途）
+ * @param {object} options - {mode: 'record'|'replay'|null, dir: フィクスチャディレクトリ}
+ */
+function configureFixtures(options = {}) {
+  settings = { ...settings, ...options };
+}
+
+/**
+ * 現在のフィクスチャモードを取得
+ * @returns {string|null} 'record' / 'replay' / null（無効）
+ */
+function getFixtureMode() {
+  return ['record', 'replay'].includes(settings.mode) ? settings.mode : null;
+}
+
+/**
+ * 再生モードかどうか（レート制限の待機を省略する判定に使用）
+ * @returns {boolean} 再生モードならtrue
+ */
+function isReplayMode() {
+  return getFixtureMode() === 'replay';
+}
+
+/**
+ * URLに対応するフィクスチャのパスを取得
+ * @param {string} url - リクエストURL
+ * @returns {string} メタデータファイルのパス（拡張子なし）
+ */
+function getFixtureBasePath(url) {
+  const host = new URL(url).host.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 16);
+  return path.join(settings.dir, host, hash);
+}
+
+/**
+ * Content-Typeから本文ファイルの拡張子を決定
+ * @param {string} contentType - Content-Typeヘッダー
+ * @returns {string} 拡張子
+ */
+function getExtension(contentType = '') {
+  const entry = CONTENT_TYPE_EXTENSIONS.find(([type]) => contentType.includes(type));
+  return entry ? entry[1] : '.bin';
+}
+
+/**
+ * レスポンスをフィクスチャとして保存
+ * @param {string} url - リクエストURL
+ * @param {object} meta - {status, contentType}
+ * @param {Buffer} body - レスポンス本文
+ */
+function writeFixture(url, meta, body) {
+  const basePath = getFixtureBasePath(url);
+  const bodyFile = path.basename(basePath) + getExtension(meta.contentType);
+
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  fs.writeFileSync(path.join(path.dirname(basePath), bodyFile), body);
+  fs.writeFileSync(`${basePath}.json`, JSON.stringify({
+    url,
+    status: meta.status,
+    contentType: meta.contentType || 'application/octet-stream',
+    bodyFile,
+    recordedAt: new Date().toISOString(),
+  }, null, 2));
+}
+
+/**
+ * 保存済みのフィクスチャを読み込む
+ * @param {string} url - リクエストURL
+ * @returns {object|null} {url, status, contentType, body}、未記録ならnull
+ */
+function readFixture(url) {
+  const basePath = getFixtureBasePath(url);
+  if (!fs.existsSync(`${basePath}.json`)) return null;
+
+  const meta = JSON.parse(fs.readFileSync(`${basePath}.json`, 'utf8'));
+  return {
+    ...meta,
+    body: fs.readFileSync(path.join(path.dirname(basePath), meta.bodyFile)),
+  };
+}
+
+/**
+ * Playwrightのページにフィクスチャの記録・再生を設定
+ * モードが無効な場合は何もしない
+ * @param {object} page - Playwrightページオブジェクト
+ */
+async function attachFixtures(page) {
+  const mode = getFixtureMode();
+  if (!mode) return;
+
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    const url = request.url();
+
+    if (mode === 'replay') {
+      const fixture = readFixture(url);
+      if (!fixture) {
+        if (request.resourceType() === 'document') {
+          console.warn(`  ⚠️ フィクスチャがありません: ${url}`);
+        }
+        await route.abort('internetdisconnected');
+        return;
+      }
+      await route.fulfill({
+        status: fixture.status,
+        contentType: fixture.contentType,
+        body: fixture.body,
+      });
+      return;
+    }
+
+    // 記録モード: 抽出に関係しないリソースはそのまま通す
+    if (request.method() !== 'GET' || !RECORDED_RESOURCE_TYPES.includes(request.resourceType())) {
+      await route.continue();
+      return;
+    }
+
+    try {
+      const response = await route.fetch();
+      const body = await response.body();
+      writeFixture(url, {
+        status: response.status(),
+        contentType: response.headers()['content-type'],
+      }, body);
+      await route.fulfill({ response, body });
+    } catch (error) {
+      console.warn(`  ⚠️ フィクスチャ記録エラー: ${url} - ${error.message}`);
+      await route.abort();
+    }
+  });
+
+  console.log(`  🎞️  フィクスチャ${mode === 'replay' ? '再生' : '記録'}モード: ${settings.dir}`);
+}
+
+module.exports = {
+  configureFixtures,
+  getFixtureMode,
+  isReplayMode,
+  attachFixtures,
+  writeFixture,
+  readFixture,
+};
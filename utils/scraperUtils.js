@@ -3,7 +3,8 @@
  * レート制限、遅延処理、共通スクレイピング関数
  */
 
-const { RATE_LIMIT } = require('./constants');
+const { RATE_LIMIT, INCREMENTAL_SYNC } = require('./constants');
+const { isReplayMode } = require('./fixtures');
 
 // グローバルなレート制限状態
 let requestCount = 0;
@@ -25,6 +26,9 @@ function resetRateLimitState() {
  * @returns {Promise<void>}
  */
 async function smartDelay(requestNumber) {
+  // フィクスチャ再生時はサイトにアクセスしないため待機不要
+  if (isReplayMode()) return;
+
   const now = Date.now();
   const timeSinceLastRequest = now - lastRequestTime;
 
@@ -114,6 +118,59 @@ function toAbsoluteUrl(url, baseUrl) {
   return url.startsWith('http') ? url : `${baseUrl}${url}`;
 }
 
+/**
+ * 差分同期の状態を生成
+ * @param {object} db - BlogDatabaseインスタンス（URLの既存チェックに使用）
+ * @returns {object} 同期状態 {db, knownStreak, skipped, reachedKnown}
+ */
+function createSyncState(db) {
+  return {
+    db,
+    knownStreak: 0,      // アーカイブ済みURLの連続数
+    skipped: 0,          // スキップしたアーカイブ済み記事数
+    reachedKnown: false, // 既存記事の連続に到達したか
+  };
+}
+
+/**
+ * アーカイブ済みの投稿を除外し、既存記事の連続に到達したかを判定
+ * リストページは新しい順に並んでいるため、既知URLが一定数連続した時点で
+ * それ以降のページはすべて保存済みとみなす
+ * @param {Array<{url: string}>} posts - リストページから取得した投稿
+ * @param {object} sync - createSyncState() で生成した同期状態
+ * @returns {Promise<Array>} 未保存の投稿のみ
+ */
+async function filterNewPosts(posts, sync) {
+  const knownUrls = await sync.db.getExistingPostUrls(posts.map(post => post.url));
+  const newPosts = [];
+
+  for (const post of posts) {
+    if (!knownUrls.has(post.url)) {
+      sync.knownStreak = 0;
+      newPosts.push(post);
+      continue;
+    }
+
+    sync.skipped++;
+    sync.knownStreak++;
+    if (sync.knownStreak >= INCREMENTAL_SYNC.KNOWN_STREAK_LIMIT) {
+      sync.reachedKnown = true;
+      break;
+    }
+  }
+
+  return newPosts;
+}
+
+/**
+ * 差分同期の結果を出力
+ * @param {number} newCount - 新規に取得した記事数
+ * @param {object} sync - 同期状態
+ */
+function logSyncStats(newCount, sync) {
+  console.log(`  🆕 新着: ${newCount}件 / ⏭️  アーカイブ済みスキップ: ${sync.skipped}件`);
+}
+
 module.exports = {
   resetRateLimitState,
   smartDelay,
@@ -121,6 +178,9 @@ module.exports = {
   getElementText,
   shouldExcludeImage,
   toAbsoluteUrl,
+  createSyncState,
+  filterNewPosts,
+  logSyncStats,
   // レート制限状態を外部から参照できるようにする
   getRateLimitState: () => ({ requestCount, lastRequestTime, startTime }),
   incrementRequestCount: () => requestCount++,
@@ -0,0 +1,205 @@
+/**
+ * 全文検索ユーティリティ
+ * 検索キーワードの解析（フレーズ・AND/OR/NOT）と、FTS5 の検索式・スニペットの変換を行う
+ */
+
+const { stripHTMLTags, decodeHTMLEntities } = require('./formatting');
+
+/**
+ * trigram トークナイザーで検索できる最短の語の長さ（これより短い語は LIKE で検索する）
+ */
+const MIN_FTS_TERM_LENGTH = 3;
+
+/**
+ * スニペット内の一致箇所を囲む目印（本文に現れない制御文字を使い、表示時にタグや色に置き換える）
+ */
+const SNIPPET_MARK_START = '\u0002';
+const SNIPPET_MARK_END = '\u0003';
+
+/**
+ * HTML本文を検索用のプレーンテキストに変換
+ * タグの属性（画像のURLなど）が検索に一致しないよう、タグを除いてから索引に登録する
+ * @param {string} html - HTML本文
+ * @returns {string} プレーンテキスト
+ */
+function toSearchText(html) {
+  if (!html) return '';
+
+  const text = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+
+  return decodeHTMLEntities(stripHTMLTags(text))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * 検索キーワードを解析
+ * - 空白区切りの語はすべて含む（AND）
+ * - "..." で囲んだ部分はフレーズとしてそのまま検索
+ * - OR でつないだ語はいずれかを含む、NOT の直後の語は含まない
+ * 演算子は NOT が最も強く、次に AND、OR の順に結合する（FTS5 と同じ）
+ * @param {string} keyword - 検索キーワード
+ * @returns {Array<Array<{term: string, negated: boolean}>>} OR でつながるグループの配列（グループ内は AND）
+ */
+function parseSearchQuery(keyword) {
+  const tokens = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(keyword || '')) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) tokens.push({ term: phrase });
+    } else if (['AND', 'OR', 'NOT'].includes(match[2])) {
+      tokens.push({ operator: match[2] });
+    } else {
+      tokens.push({ term: match[2] });
+    }
+  }
+
+  const groups = [[]];
+  let negateNext = false;
+  tokens.forEach(token => {
+    if (token.operator === 'OR') {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      negateNext = false;
+    } else if (token.operator === 'NOT') {
+      negateNext = true;
+    } else if (token.term) {
+      groups[groups.length - 1].push({ term: token.term, negated: negateNext });
+      negateNext = false;
+    }
+  });
+
+  return groups.filter(group => group.some(item => !item.negated));
+}
+
+/**
+ * 解析済みの検索条件を FTS5 の MATCH 式に変換
+ * 語が短すぎる（trigram で検索できない）場合は null を返すので、LIKE で検索する
+ * @param {Array<Array<{term: string, negated: boolean}>>} groups - parseSearchQuery() の結果
+ * @returns {string|null} MATCH 式
+ */
+function toFtsQuery(groups) {
+  const items = groups.flat();
+  if (items.length === 0 || items.some(item => [...item.term].length < MIN_FTS_TERM_LENGTH)) {
+    return null;
+  }
+
+  const quote = term => `"${term.replace(/"/g, '""')}"`;
+  return groups
+    .map(group => {
+      const positives = group.filter(item => !item.negated).map(item => quote(item.term));
+      const negatives = group.filter(item => item.negated).map(item => ` NOT ${quote(item.term)}`);
+      return `(${positives.join(' AND ')}${negatives.join('')})`;
+    })
+    .join(' OR ');
+}
+
+/**
+ * 解析済みの検索条件を LIKE による WHERE 条件に変換（trigram で検索できない短い語を含む場合に使用）
+ * @param {Array<Array<{term: string, negated: boolean}>>} groups - parseSearchQuery() の結果
+ * @param {Array<string>} columns - 検索する列
+ * @returns {{sql: string, params: Array<string>}} WHERE 条件とパラメータ
+ */
+function toLikeCondition(groups, columns) {
+  const params = [];
+  const termCondition = term => {
+    const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+    columns.forEach(() => params.push(pattern));
+    return `(${columns.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`;
+  };
+
+  const sql = groups
+    .map(group => `(${group.map(item => `${item.negated ? 'NOT ' : ''}${termCondition(item.term)}`).join(' AND ')})`)
+    .join(' OR ');
+
+  return { sql: sql || '0', params };
+}
+
+/**
+ * 検索条件に含まれる（NOT 以外の）語の一覧
+ * @param {Array<Array<{term: string, negated: boolean}>>} groups - parseSearchQuery() の結果
+ * @returns {Array<string>} 語の配列
+ */
+function getPositiveTerms(groups) {
+  return [...new Set(groups.flat().filter(item => !item.negated).map(item => item.term))];
+}
+
+/**
+ * テキストから一致箇所の周辺を切り出し、一致箇所を目印で囲む（FTS5 の snippet() を使えない LIKE 検索用）
+ * @param {string} text - プレーンテキスト
+ * @param {Array<string>} terms - 強調する語
+ * @param {number} length - 切り出す文字数
+ * @returns {string} スニペット
+ */
+function buildSnippet(text, terms, length = 80) {
+  if (!text) return '';
+
+  const lowerText = text.toLowerCase();
+  const positions = terms
+    .map(term => lowerText.indexOf(term.toLowerCase()))
+    .filter(index => index >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - Math.floor(length / 4));
+  const end = Math.min(text.length, start + length);
+
+  let snippet = text.slice(start, end);
+  terms.forEach(term => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    snippet = snippet.replace(new RegExp(escaped, 'gi'), found => `${SNIPPET_MARK_START}${found}${SNIPPET_MARK_END}`);
+  });
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * スニペットをHTMLに変換（本文はエスケープし、一致箇所を <mark> で囲む）
+ * @param {string} snippet - 目印付きのスニペット
+ * @returns {string} HTML
+ */
+function snippetToHtml(snippet) {
+  if (!snippet) return '';
+
+  const escapeHtml = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  return escapeHtml(snippet)
+    .split(SNIPPET_MARK_START).join('<mark>')
+    .split(SNIPPET_MARK_END).join('</mark>')
+    .replace(/\n/g, ' ');
+}
+
+/**
+ * スニペットの一致箇所を任意の形式で強調（CLI の色付けなどに使用）
+ * @param {string} snippet - 目印付きのスニペット
+ * @param {function(string): string} highlight - 一致箇所を変換する関数
+ * @returns {string} 強調したテキスト
+ */
+function highlightSnippet(snippet, highlight) {
+  if (!snippet) return '';
+
+  return snippet
+    .replace(new RegExp(`${SNIPPET_MARK_START}([^${SNIPPET_MARK_END}]*)${SNIPPET_MARK_END}`, 'g'), (_, found) => highlight(found))
+    .replace(/\n/g, ' ');
+}
+
+module.exports = {
+  MIN_FTS_TERM_LENGTH,
+  SNIPPET_MARK_START,
+  SNIPPET_MARK_END,
+  toSearchText,
+  parseSearchQuery,
+  toFtsQuery,
+  toLikeCondition,
+  getPositiveTerms,
+  buildSnippet,
+  snippetToHtml,
+  highlightSnippet
+};
@@ -0,0 +1,94 @@
+/**
+ * テキスト差分ユーティリティ
+ * 投稿の変更履歴で版どうしの違いを行単位で表示するために使用
+ */
+
+const { stripHTMLTags, decodeHTMLEntities } = require('./formatting');
+
+/**
+ * HTML本文を比較用の行配列に変換
+ * 改行・段落・ブロック要素の区切りで行に分け、タグを除いたテキストにする
+ * @param {string} html - HTML本文
+ * @returns {Array<string>} 空行を除いた行の配列
+ */
+function htmlToLines(html) {
+  if (!html) return [];
+
+  const text = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+
+  return decodeHTMLEntities(stripHTMLTags(text))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * 2つの行配列の差分を計算（最長共通部分列による行単位の差分）
+ * @param {Array<string>} oldLines - 変更前の行
+ * @param {Array<string>} newLines - 変更後の行
+ * @returns {Array<{type: string, text: string}>} type は 'same' / 'removed' / 'added'
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lcs[i][j] = oldLines[i..] と newLines[j..] の最長共通部分列の長さ
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i++] });
+    } else {
+      result.push({ type: 'added', text: newLines[j++] });
+    }
+  }
+  while (i < rows) result.push({ type: 'removed', text: oldLines[i++] });
+  while (j < cols) result.push({ type: 'added', text: newLines[j++] });
+
+  return result;
+}
+
+/**
+ * 投稿の2つの版を比較
+ * @param {object} oldVersion - 変更前の版 {title, date, content}
+ * @param {object} newVersion - 変更後の版 {title, date, content}
+ * @returns {object} {title: {before, after, changed}, date: {...}, content: 行差分, contentChanged}
+ */
+function diffPostVersions(oldVersion, newVersion) {
+  const compareField = (field) => ({
+    before: oldVersion[field] || '',
+    after: newVersion[field] || '',
+    changed: (oldVersion[field] || '') !== (newVersion[field] || ''),
+  });
+
+  const content = diffLines(htmlToLines(oldVersion.content), htmlToLines(newVersion.content));
+
+  return {
+    title: compareField('title'),
+    date: compareField('date'),
+    content,
+    contentChanged: content.some(line => line.type !== 'same'),
+  };
+}
+
+module.exports = {
+  htmlToLines,
+  diffLines,
+  diffPostVersions,
+};
@@ -7,7 +7,9 @@ const { StorageAdapterFactory } = require("./storageAdapter");
 const {
   parsePostDate,
   formatDate,
+  formatPublishedAt,
   isDateInRange,
+  getNextBirthday,
 } = require("./utils/dateUtils");
 const {
   cleanTextPreview,
@@ -15,6 +17,21 @@ const {
   formatFileSize,
 } = require("./utils/formatting");
 const { PAGINATION } = require("./utils/constants");
+const { diffPostVersions } = require("./utils/textDiff");
+const { snippetToHtml } = require("./utils/searchQuery");
+const { DEFAULT_SITE_ID, listSites, hasSite, getSite } = require("./sites");
+const {
+  createSessionMiddleware,
+  createAuthMiddleware,
+  requireLogin,
+  requireAdmin,
+  registerAuthRoutes,
+  registerApiTokenRoutes,
+} = require("./auth");
+const { createApiV1Router } = require("./api/v1");
+const { registerFeedRoutes } = require("./feeds");
+const { registerScrapeJobRoutes } = require("./scrapeJobs");
+const { createScheduler } = require("./scheduler");
 
 // Storage Adapterの初期化
 const storage = StorageAdapterFactory.create({
@@ -129,7 +146,18 @@ function calculateImageSize(posts) {
 const app = express();
 const PORT = config.server.port;
 
-// 静的ファイルの配信
+// 静的ファイルの配信（CSSなどはログイン画面でも使うため認証の前に配信）
+app.use(express.static("public"));
+app.use(express.json()); // JSONパラメータのパース
+app.use(express.urlencoded({ extended: false })); // ログインフォームのパース
+
+// ログイン（閲覧にログインが必要な場合、以降のページ・画像・APIはログイン後のみ）
+app.use(createSessionMiddleware());
+app.use(createAuthMiddleware(dataService));
+registerAuthRoutes(app, dataService);
+app.use(requireLogin);
+registerApiTokenRoutes(app, dataService);
+
 if (fs.existsSync("config.json")) {
   // Google Drive モードでは静的ファイル配信は不要
 } else {
@@ -137,11 +165,15 @@ if (fs.existsSync("config.json")) {
   // Storage Adapterを使った画像配信
   app.use("/images", express.static(IMAGE_DIR));
 }
-app.use(express.static("public"));
-app.use(express.json()); // JSONパラメータのパース
 
 // テンプレート共通ヘルパを登録
 app.locals.toImageUrl = toImageUrl;
+// サイトフィルタ・バッジ用（sites/ に登録された全サイト）
+app.locals.sites = listSites();
+app.locals.defaultSiteId = DEFAULT_SITE_ID;
+app.locals.getSiteInfo = (siteId) => (hasSite(siteId) ? getSite(siteId) : null);
+// フィード（feeds.js）は SQLite モードのみ
+app.locals.feedsEnabled = typeof dataService.queryBlogPosts === "function";
 app.use((req, res, next) => {
   // 環境に応じたベースURLを各テンプレートから参照可能にする
   res.locals.imageBaseUrl = getImageBaseUrl();
@@ -152,94 +184,139 @@ app.use((req, res, next) => {
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 
-// parsePostDate, formatDate, isDateInRange は utils/dateUtils.js からインポート
+// parsePostDate, formatDate, formatPublishedAt, isDateInRange は utils/dateUtils.js からインポート
 
-// 高度な検索関数
-async function performAdvancedSearch(options) {
-  const {
-    keyword,
-    titleSearch,
-    memberId,
-    members,
-    limit,
-    dateFrom,
-    dateTo,
-    sortOrder,
-    dataService,
-  } = options;
+/**
+ * 投稿の日付を表示用にフォーマット（正規化済みの published_at があればそれを使う）
+ * @param {object} post - 投稿
+ * @returns {string} "YYYY/MM/DD" または "YYYY/MM/DD HH:MM"
+ */
+function formatPostDate(post) {
+  return post.published_at
+    ? formatPublishedAt(post.published_at)
+    : formatDate(post.date);
+}
+
+/**
+ * 投稿の人物IDを取得（人物IDを持たないデータソースではメンバーIDで代用）
+ * @param {object} post - 投稿
+ * @returns {number|string} 人物ID
+ */
+function getPostPersonId(post) {
+  return post.person_id ?? post.member_id;
+}
+
+/**
+ * 検索パラメータをデータベースの検索条件に変換
+ * @param {object} params - extractSearchParams() の結果
+ * @returns {object} BlogDatabase.queryBlogPosts() の検索条件
+ */
+function toPostFilters(params) {
+  const personIds = params.memberId
+    ? [params.memberId]
+    : Array.isArray(params.members)
+      ? params.members
+      : [];
+  return {
+    keyword: params.keyword,
+    titleSearch: params.titleSearch,
+    personIds,
+    site: params.site,
+    upstream: params.upstream,
+    dateFrom: params.dateFrom,
+    dateTo: params.dateTo,
+    sortOrder: params.sortOrder,
+  };
+}
+
+/**
+ * 高度な検索（1ページ分の投稿と総件数、フィルター適用時はその統計情報）
+ * SQLiteモードでは絞り込み・並べ替え・ページ分割をすべてデータベース側で行う
+ * @param {object} params - extractSearchParams() の結果
+ * @returns {Promise<{posts: Array, total: number, filteredStats: object|null}>}
+ */
+async function performAdvancedSearch(params) {
+  const isFiltered = isFilterApplied(params);
 
   try {
-    // 基本的な検索から開始
-    let posts = [];
+    if (typeof dataService.queryBlogPosts === "function") {
+      const filters = toPostFilters(params);
+      const { posts, total } = await dataService.queryBlogPosts(filters, {
+        limit: params.perPage,
+        offset: (params.page - 1) * params.perPage,
+      });
 
-    if (keyword) {
-      posts = await dataService.searchBlogPosts(keyword);
-    } else {
-      // キーワードがない場合は全ブログ取得
-      posts = await dataService.getBlogPosts(null, 10000);
+      let filteredStats = null;
+      if (isFiltered) {
+        const stats = await dataService.getBlogPostStats(filters);
+        filteredStats = {
+          totalPosts: stats.totalPosts,
+          uniqueAuthors: stats.uniqueAuthors,
+          totalImages: stats.totalImages,
+          totalSize: calculateImageSize([{ local_images: stats.localPaths }]),
+        };
+      }
+
+      return { posts, total, filteredStats };
     }
 
+    // Google Sheetsの場合は全投稿を取得して絞り込む
+    let posts = params.keyword
+      ? await dataService.searchBlogPosts(params.keyword)
+      : await dataService.getBlogPosts(null, 10000);
+
     // タイトル検索でのフィルタリング
-    if (titleSearch) {
+    if (params.titleSearch) {
       posts = posts.filter(
         (post) =>
           post.title &&
-          post.title.toLowerCase().includes(titleSearch.toLowerCase())
+          post.title.toLowerCase().includes(params.titleSearch.toLowerCase())
       );
     }
 
-    // メンバーフィルタリング
-    if (memberId) {
-      posts = posts.filter((post) => post.member_id == memberId);
-    } else if (Array.isArray(members) && members.length > 0) {
-      posts = posts.filter((post) =>
-        members.includes(post.member_id.toString())
+    // サイトフィルタリング
+    if (params.site) {
+      posts = posts.filter(
+        (post) => (post.site || DEFAULT_SITE_ID) === params.site
       );
     }
 
-    // 日付範囲フィルタリング
-    if (dateFrom || dateTo) {
-      posts = posts.filter((post) => {
-        if (!post.date) return false;
-
-        const postDate = new Date(post.date);
-        let isInRange = true;
-
-        if (dateFrom) {
-          const fromDate = new Date(dateFrom);
-          if (postDate < fromDate) isInRange = false;
-        }
-
-        if (dateTo) {
-          const toDate = new Date(dateTo);
-          toDate.setHours(23, 59, 59, 999); // 終日まで含める
-          if (postDate > toDate) isInRange = false;
-        }
-
-        return isInRange;
-      });
+    // 公式サイトでの削除状態によるフィルタリング
+    if (params.upstream === "deleted") {
+      posts = posts.filter((post) => post.upstream_status === "deleted");
+    } else if (params.upstream === "present") {
+      posts = posts.filter((post) => post.upstream_status !== "deleted");
     }
 
-    // 日付によるソート
-    if (sortOrder === "asc") {
-      posts.sort((a, b) => {
-        const dateA = parsePostDate(a.date);
-        const dateB = parsePostDate(b.date);
-        return dateA - dateB;
-      });
-    } else {
-      posts.sort((a, b) => {
-        const dateA = parsePostDate(a.date);
-        const dateB = parsePostDate(b.date);
-        return dateB - dateA;
-      });
+    // メンバーフィルタリング（メンバー一覧のIDは人物ID）
+    const { personIds } = toPostFilters(params);
+    if (personIds.length > 0) {
+      posts = posts.filter((post) =>
+        personIds.includes(String(getPostPersonId(post)))
+      );
     }
 
-    // リミット適用
-    return posts.slice(0, limit);
+    // 日付範囲フィルタリングと並べ替え
+    posts = posts.filter((post) =>
+      params.dateFrom || params.dateTo
+        ? post.date && isDateInRange(post.date, params.dateFrom, params.dateTo)
+        : true
+    );
+    posts.sort((a, b) =>
+      params.sortOrder === "asc"
+        ? parsePostDate(a.date) - parsePostDate(b.date)
+        : parsePostDate(b.date) - parsePostDate(a.date)
+    );
+
+    const offset = (params.page - 1) * params.perPage;
+    return {
+      posts: posts.slice(offset, offset + params.perPage),
+      total: posts.length,
+      filteredStats: isFiltered ? calculateFilteredStats(posts) : null,
+    };
   } catch (error) {
     console.error("高度な検索エラー:", error);
-    return [];
+    return { posts: [], total: 0, filteredStats: null };
   }
 }
 
@@ -248,6 +325,23 @@ async function performAdvancedSearch(options) {
 // EJSテンプレートでグローバルに使える関数を登録
 app.locals.cleanTextPreview = cleanTextPreview;
 app.locals.decodeHTMLEntities = decodeHTMLEntities;
+app.locals.snippetToHtml = snippetToHtml;
+
+// 一覧の1ページあたりの最大件数（per_page の上限）
+const MAX_PER_PAGE = 100;
+
+/**
+ * ページ番号・件数のクエリパラメータを整数に変換（範囲外は範囲内に丸める）
+ * @param {*} value - クエリパラメータの値
+ * @param {number} defaultValue - 未指定・数値でない場合の値
+ * @param {number} max - 最大値（省略時は上限なし）
+ * @returns {number} 1以上max以下の整数
+ */
+function parsePageParam(value, defaultValue, max = Infinity) {
+  const num = parseInt(value);
+  if (isNaN(num)) return defaultValue;
+  return Math.min(Math.max(num, 1), max);
+}
 
 /**
  * リクエストから検索パラメータを抽出
@@ -264,8 +358,12 @@ function extractSearchParams(req) {
     titleSearch: req.query.title_search || "",
     memberId: req.query.member || null,
     members,
-    perPage: parseInt(req.query.per_page) || 20,
-    page: parseInt(req.query.page) || 1,
+    site: hasSite(req.query.site) ? req.query.site : "",
+    upstream: ["deleted", "present"].includes(req.query.upstream)
+      ? req.query.upstream
+      : "",
+    perPage: parsePageParam(req.query.per_page, 20, MAX_PER_PAGE),
+    page: parsePageParam(req.query.page, 1),
     dateFrom: req.query.date_from || "",
     dateTo: req.query.date_to || "",
     sortOrder: req.query.sort || "desc",
@@ -280,7 +378,7 @@ function extractSearchParams(req) {
 function calculateFilteredStats(posts) {
   return {
     totalPosts: posts.length,
-    uniqueAuthors: new Set(posts.map((p) => p.member_id)).size,
+    uniqueAuthors: new Set(posts.map((p) => getPostPersonId(p))).size,
     totalImages: posts.reduce((sum, post) => {
       const imgCount = post.images
         ? Array.isArray(post.images)
@@ -302,20 +400,14 @@ async function getGlobalStats(baseStats) {
   const globalStats = { ...baseStats };
   if (!fs.existsSync("config.json")) {
     try {
-      const authorsResult = await new Promise((resolve, reject) => {
-        dataService.db.get(
-          "SELECT COUNT(DISTINCT member_name) as count FROM blog_posts",
-          (err, row) => (err ? reject(err) : resolve(row))
-        );
-      });
+      const authorsResult = await dataService.dbGet(
+        "SELECT COUNT(DISTINCT member_name) as count FROM blog_posts WHERE deleted_at IS NULL"
+      );
       globalStats.uniqueAuthors = authorsResult.count;
 
-      const postsResult = await new Promise((resolve, reject) => {
-        dataService.db.get(
-          "SELECT COUNT(*) as count FROM blog_posts",
-          (err, row) => (err ? reject(err) : resolve(row))
-        );
-      });
+      const postsResult = await dataService.dbGet(
+        "SELECT COUNT(*) as count FROM blog_posts WHERE deleted_at IS NULL"
+      );
       globalStats.totalPosts = postsResult.count;
     } catch (err) {
       console.error("Error getting global stats:", err);
@@ -353,6 +445,8 @@ function isFilterApplied(params) {
     params.keyword ||
     params.titleSearch ||
     params.memberId ||
+    params.site ||
+    params.upstream ||
     (params.members && params.members.length > 0) ||
     params.dateFrom ||
     params.dateTo
@@ -364,17 +458,10 @@ app.get("/", async (req, res) => {
   try {
     const params = extractSearchParams(req);
 
-    const allPosts = await performAdvancedSearch({
-      ...params,
-      limit: 10000,
-      dataService,
-    });
-
-    const offset = (params.page - 1) * params.perPage;
-    const posts = allPosts.slice(offset, offset + params.perPage);
+    const { posts, total, filteredStats } = await performAdvancedSearch(params);
     const formattedPosts = posts.map((post) => ({
       ...post,
-      date: formatDate(post.date),
+      date: formatPostDate(post),
     }));
 
     const allMembers = await dataService.getAllMembersFromPosts();
@@ -389,11 +476,11 @@ app.get("/", async (req, res) => {
       posts: formattedPosts,
       members: allMembers,
       stats: globalStats,
-      filteredStats: calculateFilteredStats(allPosts),
+      filteredStats,
       isFiltered: isFilterApplied(params),
       title: "櫻坂46 ブログアーカイブ",
       req,
-      pagination: calculatePagination(allPosts.length, params.page, params.perPage),
+      pagination: calculatePagination(total, params.page, params.perPage),
     });
   } catch (error) {
     console.error(error);
@@ -401,8 +488,14 @@ app.get("/", async (req, res) => {
   }
 });
 
+// 読み取り専用の REST API（仕様は /api/v1/openapi.json）
+app.use("/api/v1", createApiV1Router(dataService, { toImageUrl }));
+
+// Atom / RSS フィード（/feed.xml, /site/:site/feed.xml, /member/:id/feed.xml）
+registerFeedRoutes(app, dataService, { toImageUrl });
+
 // 画像デバッグ用API: 指定投稿の画像配線状況を確認
-app.get("/api/post/:id/debug", async (req, res) => {
+app.get("/api/post/:id/debug", requireAdmin, async (req, res) => {
   try {
     const postId = req.params.id;
     const post = await dataService.getBlogPost(postId);
@@ -445,16 +538,64 @@ app.get("/api/post/:id/debug", async (req, res) => {
   }
 });
 
+// 「もうすぐ誕生日」に表示する日数
+const UPCOMING_BIRTHDAY_DAYS = 30;
+
+/**
+ * 保存済みのプロフィールを人物IDごとに取得
+ * @returns {Promise<Map<string, object>>} 人物ID → プロフィール（photoSrc を付加）
+ */
+async function getProfilesByPerson() {
+  const profiles = new Map();
+  if (typeof dataService.getMemberProfiles !== "function") return profiles;
+
+  (await dataService.getMemberProfiles()).forEach((profile) => {
+    profiles.set(String(profile.person_id), {
+      ...profile,
+      photoSrc: profile.photo_path ? toImageUrl(profile.photo_path) : profile.photo_url,
+    });
+  });
+  return profiles;
+}
+
+/**
+ * 誕生日が近いメンバーの一覧を作成
+ * @param {Array} members - メンバーの配列（profile 付き）
+ * @param {number} days - 何日先までを対象にするか
+ * @returns {Array<{member: object, days: number, age: number, date: string}>} 誕生日が近い順
+ */
+function getUpcomingBirthdays(members, days) {
+  return members
+    .map((member) => {
+      const next = member.profile ? getNextBirthday(member.profile.birthday) : null;
+      return next && next.days <= days
+        ? {
+            member,
+            days: next.days,
+            age: next.age,
+            date: `${next.date.getMonth() + 1}月${next.date.getDate()}日`,
+          }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.days - b.days);
+}
+
 // メンバー一覧ページ
 app.get("/members", async (req, res) => {
   try {
-    const members = await dataService.getAllMembersFromPosts();
+    const profiles = await getProfilesByPerson();
+    const members = (await dataService.getAllMembersFromPosts()).map(
+      (member) => ({ ...member, profile: profiles.get(String(member.id)) || null })
+    );
     const stats = fs.existsSync("config.json")
       ? await dataService.getStats()
       : getImageStats();
 
     res.render("members", {
       members,
+      upcomingBirthdays: getUpcomingBirthdays(members, UPCOMING_BIRTHDAY_DAYS),
+      upcomingBirthdayDays: UPCOMING_BIRTHDAY_DAYS,
       stats,
       title: "メンバー一覧",
     });
@@ -477,11 +618,41 @@ app.get("/member/:id", async (req, res) => {
     }
 
     // ページネーション
-    const page = parseInt(req.query.page) || 1;
-    const perPage = parseInt(req.query.per_page) || 50;
+    const page = parsePageParam(req.query.page, 1);
+    const perPage = parsePageParam(req.query.per_page, 50, MAX_PER_PAGE);
+
+    // すべての投稿を取得（欅坂46時代・櫻坂46時代などサイトをまたいで同一人物の投稿をまとめる）
+    const memberPosts =
+      typeof dataService.getPersonPosts === "function"
+        ? await dataService.getPersonPosts(memberId)
+        : await dataService.getBlogPosts(memberId, 10000);
+
+    // サイトごとのタブ（活動時期の古い順。投稿は published_at の新しい順に並んでいる）
+    const siteTabs = [];
+    [...memberPosts]
+      .reverse()
+      .forEach((post) => {
+        const siteId = post.site || DEFAULT_SITE_ID;
+        let tab = siteTabs.find((t) => t.site === siteId);
+        if (!tab) {
+          const siteInfo = hasSite(siteId) ? getSite(siteId) : null;
+          tab = {
+            site: siteId,
+            name: siteInfo ? siteInfo.name : siteId,
+            emoji: siteInfo ? siteInfo.emoji : "",
+            count: 0,
+          };
+          siteTabs.push(tab);
+        }
+        tab.count++;
+      });
 
-    // すべての投稿を取得
-    const allPosts = await dataService.getBlogPosts(memberId, 10000);
+    const activeSite = siteTabs.some((t) => t.site === req.query.site)
+      ? req.query.site
+      : "";
+    const allPosts = activeSite
+      ? memberPosts.filter((post) => (post.site || DEFAULT_SITE_ID) === activeSite)
+      : memberPosts;
 
     // ページネーション計算
     const totalPosts = allPosts.length;
@@ -492,11 +663,26 @@ app.get("/member/:id", async (req, res) => {
     // 日付をフォーマット
     const formattedPosts = posts.map((post) => ({
       ...post,
-      date: formatDate(post.date),
+      date: formatPostDate(post),
     }));
 
+    // プロフィールと写真の履歴（取得済みの場合のみ）
+    const profile = (await getProfilesByPerson()).get(String(member.id)) || null;
+    const profilePhotos =
+      typeof dataService.getPersonProfilePhotos === "function"
+        ? (await dataService.getPersonProfilePhotos(member.id)).map((photo) => ({
+            ...photo,
+            src: photo.local_path ? toImageUrl(photo.local_path) : photo.image_url,
+          }))
+        : [];
+
     res.render("member", {
       member,
+      profile,
+      profilePhotos,
+      nextBirthday: profile ? getNextBirthday(profile.birthday) : null,
+      siteTabs,
+      activeSite,
       posts: formattedPosts,
       title: `${member.name} - ブログ一覧`,
       req: req,
@@ -515,6 +701,52 @@ app.get("/member/:id", async (req, res) => {
   }
 });
 
+/**
+ * 変更履歴の表示用データを作成
+ * 変更前の版（古い順）と現在の版を並べ、選択した版とその次の版の差分を返す
+ * @param {object} post - 現在の投稿
+ * @param {Array} revisions - 変更前の版の配列（古い順）
+ * @param {string|undefined} selectedId - 比較する版のID（?rev=、省略時は直前の版）
+ * @returns {object|null} {versions, selected, next, diff}、履歴がなければnull
+ */
+function buildRevisionView(post, revisions, selectedId) {
+  if (!revisions || revisions.length === 0) return null;
+
+  const versions = [
+    ...revisions.map((revision, index) => ({
+      id: revision.id,
+      label: `第${index + 1}版`,
+      title: revision.title,
+      date: revision.date,
+      content: revision.content,
+      savedAt: revision.revised_at,
+    })),
+    {
+      id: null,
+      label: "現在の版",
+      title: post.title,
+      date: post.date,
+      content: post.content,
+      savedAt: null,
+    },
+  ];
+
+  let selectedIndex = versions.findIndex(
+    (version) => version.id !== null && String(version.id) === String(selectedId)
+  );
+  if (selectedIndex < 0) selectedIndex = versions.length - 2;
+
+  const selected = versions[selectedIndex];
+  const next = versions[selectedIndex + 1];
+
+  return {
+    versions,
+    selected,
+    next,
+    diff: diffPostVersions(selected, next),
+  };
+}
+
 // ブログ詳細
 app.get("/post/:id", async (req, res) => {
   try {
@@ -536,61 +768,69 @@ app.get("/post/:id", async (req, res) => {
       return;
     }
 
-    // 同じメンバーの全投稿を取得して前後のブログを探す
+    // 同じメンバーの前後のブログを探す
     let prevPost = null;
     let nextPost = null;
 
     try {
-      let allMemberPosts;
-
-      if (fs.existsSync("config.json")) {
+      if (typeof dataService.getAdjacentPosts === "function") {
+        // SQLiteの場合（同一人物の他サイトの投稿も含めて published_at 順に前後をたどる）
+        const { newer, older } = await dataService.getAdjacentPosts(post);
+        prevPost = newer ? { ...newer, date: formatPostDate(newer) } : null;
+        nextPost = older ? { ...older, date: formatPostDate(older) } : null;
+      } else {
         // Google Sheetsの場合は全投稿を取得してフィルタリング
         const allPosts = await dataService.getBlogPosts(null, 10000);
-        allMemberPosts = allPosts.filter((p) => p.member_id == post.member_id);
-      } else {
-        // SQLiteの場合
-        allMemberPosts = await dataService.getBlogPosts(post.member_id, 10000);
-      }
+        const allMemberPosts = allPosts.filter(
+          (p) => p.member_id == post.member_id
+        );
 
-      // 日付でソート（降順：新しい→古い）
-      allMemberPosts.sort((a, b) => {
-        const dateA = parsePostDate(a.date);
-        const dateB = parsePostDate(b.date);
-        return dateB - dateA;
-      });
+        // 日付でソート（降順：新しい→古い）
+        allMemberPosts.sort(
+          (a, b) => parsePostDate(b.date) - parsePostDate(a.date)
+        );
 
-      // 現在のブログのインデックスを見つける
-      const currentIndex = allMemberPosts.findIndex((p) => p.id == postId);
+        // 現在のブログのインデックスを見つける
+        const currentIndex = allMemberPosts.findIndex((p) => p.id == postId);
 
-      // 前のブログ（より新しい）と次のブログ（より古い）を取得
-      if (currentIndex > 0) {
-        prevPost = {
-          ...allMemberPosts[currentIndex - 1],
-          date: formatDate(allMemberPosts[currentIndex - 1].date),
-        };
-      }
+        // 前のブログ（より新しい）と次のブログ（より古い）を取得
+        if (currentIndex > 0) {
+          prevPost = {
+            ...allMemberPosts[currentIndex - 1],
+            date: formatDate(allMemberPosts[currentIndex - 1].date),
+          };
+        }
 
-      if (currentIndex < allMemberPosts.length - 1 && currentIndex >= 0) {
-        nextPost = {
-          ...allMemberPosts[currentIndex + 1],
-          date: formatDate(allMemberPosts[currentIndex + 1].date),
-        };
+        if (currentIndex < allMemberPosts.length - 1 && currentIndex >= 0) {
+          nextPost = {
+            ...allMemberPosts[currentIndex + 1],
+            date: formatDate(allMemberPosts[currentIndex + 1].date),
+          };
+        }
       }
     } catch (navError) {
       console.error("ナビゲーション取得エラー:", navError);
       // エラーが発生してもページは表示する
     }
 
+    // 変更履歴（SQLiteモードのみ）
+    let revisionView = null;
+    if (typeof dataService.getPostRevisions === "function") {
+      const revisions = await dataService.getPostRevisions(post.id);
+      revisionView = buildRevisionView(post, revisions, req.query.rev);
+    }
+
     // 日付をフォーマット
     post = {
       ...post,
-      date: formatDate(post.date),
+      date: formatPostDate(post),
     };
 
     res.render("post", {
       post,
       prevPost,
       nextPost,
+      revisionView,
       title: post.title || "ブログ",
       imageBaseUrl: getImageBaseUrl(),
     });
@@ -600,14 +840,14 @@ app.get("/post/:id", async (req, res) => {
   }
 });
 
-// 投稿削除
-app.delete("/api/post/:id", async (req, res) => {
+// 投稿削除（ゴミ箱に移動）
+app.delete("/api/post/:id", requireAdmin, async (req, res) => {
   try {
     const postId = req.params.id;
     const result = await dataService.deleteBlogPost(postId);
 
     if (result > 0) {
-      res.json({ success: true, message: "投稿が削除されました" });
+      res.json({ success: true, message: "投稿をゴミ箱に移動しました" });
     } else {
       res.status(404).json({ success: false, message: "投稿が見つかりません" });
     }
@@ -617,8 +857,8 @@ app.delete("/api/post/:id", async (req, res) => {
   }
 });
 
-// 一括投稿削除
-app.delete("/api/posts/bulk-delete", async (req, res) => {
+// 一括投稿削除（ゴミ箱に移動）
+app.delete("/api/posts/bulk-delete", requireAdmin, async (req, res) => {
   try {
     const { postIds } = req.body;
 
@@ -647,10 +887,10 @@ app.delete("/api/posts/bulk-delete", async (req, res) => {
     }
 
     if (deletedCount > 0) {
-      console.log(`一括削除完了: ${deletedCount}件削除`);
+      console.log(`一括削除完了: ${deletedCount}件をゴミ箱に移動`);
       res.json({
         success: true,
-        message: `${deletedCount}件の投稿が削除されました`,
+        message: `${deletedCount}件の投稿をゴミ箱に移動しました`,
         deletedCount,
         errors: errors.length > 0 ? errors : undefined,
       });
@@ -666,35 +906,148 @@ app.delete("/api/posts/bulk-delete", async (req, res) => {
   }
 });
 
-// 検索
-app.get("/search", async (req, res) => {
+/**
+ * ゴミ箱の操作対象の投稿IDを検証
+ * @param {*} postIds - リクエストボディの postIds
+ * @returns {Array|null} 投稿IDの配列（不正な場合はnull）
+ */
+function parseTrashPostIds(postIds) {
+  return Array.isArray(postIds) && postIds.length > 0 ? postIds : null;
+}
+
+/**
+ * ゴミ箱の投稿IDごとに処理を実行し、成功件数とエラーをまとめる
+ * @param {Array} postIds - 投稿IDの配列
+ * @param {function(*): Promise<number>} action - 投稿1件の処理（処理した件数を返す）
+ * @returns {Promise<{count: number, errors: Array<string>}>}
+ */
+async function applyToTrashedPosts(postIds, action) {
+  let count = 0;
+  const errors = [];
+  for (const postId of postIds) {
+    try {
+      count += await action(postId);
+    } catch (error) {
+      errors.push(`Post ${postId}: ${error.message}`);
+    }
+  }
+  return { count, errors };
+}
+
+// 定期更新（SCHEDULE_IN_WEB_SERVER=true の場合のみ startServer() で開始）
+let scheduler = null;
+
+// Webからのスクレイピング（/scrape、進捗は /api/scrape/events の SSE）
+const webScrapeJobs = registerScrapeJobRoutes(app, dataService, {
+  isBusy: () => scheduler !== null && scheduler.isRunning(),
+  getNextScheduledRun: () => (scheduler ? scheduler.getNextRun() : null),
+});
+
+// ゴミ箱
+app.get("/trash", requireAdmin, async (req, res) => {
+  if (typeof dataService.getTrashedPosts !== "function") {
+    res.status(404).send("ゴミ箱はこのデータソースでは利用できません");
+    return;
+  }
+
   try {
-    const params = extractSearchParams(req);
+    const posts = (await dataService.getTrashedPosts(config.trash.retentionDays)).map(
+      (post) => ({ ...post, date: formatPostDate(post) })
+    );
+
+    res.render("trash", {
+      posts,
+      retentionDays: config.trash.retentionDays,
+      title: "ゴミ箱",
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send("エラーが発生しました");
+  }
+});
+
+// ゴミ箱から復元
+app.post("/api/trash/restore", requireAdmin, async (req, res) => {
+  const postIds = parseTrashPostIds(req.body && req.body.postIds);
+  if (!postIds) {
+    res.status(400).json({ success: false, message: "復元する投稿IDが指定されていません" });
+    return;
+  }
 
-    const allPosts = await performAdvancedSearch({
-      ...params,
-      limit: 10000,
-      dataService,
+  try {
+    const { count, errors } = await applyToTrashedPosts(postIds, (postId) =>
+      dataService.restoreBlogPost(postId)
+    );
+    if (count === 0) {
+      res.status(404).json({ success: false, message: "復元できる投稿が見つかりませんでした" });
+      return;
+    }
+    res.json({
+      success: true,
+      message: `${count}件の投稿を復元しました`,
+      restoredCount: count,
+      errors: errors.length > 0 ? errors : undefined,
     });
+  } catch (error) {
+    console.error("復元エラー:", error);
+    res.status(500).json({ success: false, message: "エラーが発生しました" });
+  }
+});
 
-    const offset = (params.page - 1) * params.perPage;
-    const posts = allPosts.slice(offset, offset + params.perPage);
+// ゴミ箱から完全に削除（元に戻せない）
+app.delete("/api/trash", requireAdmin, async (req, res) => {
+  const postIds = parseTrashPostIds(req.body && req.body.postIds);
+  if (!postIds) {
+    res.status(400).json({ success: false, message: "削除する投稿IDが指定されていません" });
+    return;
+  }
+
+  try {
+    const { count, errors } = await applyToTrashedPosts(postIds, (postId) =>
+      dataService.purgeBlogPost(postId)
+    );
+    if (count === 0) {
+      res.status(404).json({ success: false, message: "ゴミ箱に該当する投稿が見つかりませんでした" });
+      return;
+    }
+    res.json({
+      success: true,
+      message: `${count}件の投稿を完全に削除しました`,
+      purgedCount: count,
+      errors: errors.length > 0 ? errors : undefined,
+    });
+  } catch (error) {
+    console.error("完全削除エラー:", error);
+    res.status(500).json({ success: false, message: "エラーが発生しました" });
+  }
+});
+
+// 検索（並び順の指定がなければ関連度順）
+app.get("/search", async (req, res) => {
+  try {
+    const params = {
+      ...extractSearchParams(req),
+      sortOrder: req.query.sort || "relevance",
+    };
+
+    const { posts, total, filteredStats } = await performAdvancedSearch(params);
     const formattedPosts = posts.map((post) => ({
       ...post,
-      date: formatDate(post.date),
+      date: formatPostDate(post),
     }));
 
     const allMembers = await dataService.getAllMembersFromPosts();
 
     res.render("search", {
       keyword: params.keyword,
+      sortOrder: params.sortOrder,
       posts: formattedPosts,
       members: allMembers,
-      filteredStats: calculateFilteredStats(allPosts),
+      filteredStats,
       isFiltered: isFilterApplied(params),
       title: params.keyword ? `「${params.keyword}」の検索結果` : "検索",
       req,
-      pagination: calculatePagination(allPosts.length, params.page, params.perPage),
+      pagination: calculatePagination(total, params.page, params.perPage),
     });
   } catch (error) {
     console.error(error);
@@ -716,19 +1069,59 @@ function getLocalIPAddress() {
   return "localhost";
 }
 
-// サーバー起動
-function startServer() {
+/**
+ * 保存期間を過ぎたゴミ箱の投稿を完全に削除
+ */
+async function purgeExpiredTrash() {
+  if (typeof dataService.purgeExpiredTrash !== "function") return;
+
+  try {
+    const purged = await dataService.purgeExpiredTrash(config.trash.retentionDays);
+    if (purged > 0) {
+      console.log(`🗑️ 保存期間（${config.trash.retentionDays}日）を過ぎたゴミ箱の投稿を${purged}件削除しました`);
+    }
+  } catch (error) {
+    console.error("ゴミ箱の自動削除エラー:", error);
+  }
+}
+
+// ゴミ箱の自動削除の間隔（起動時と、以後1日ごと）
+const TRASH_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * サーバー起動
+ * @param {number|string} port - 待ち受けポート（省略時は設定値）
+ * @returns {object} HTTPサーバー
+ */
+function startServer(port = PORT) {
   const localIP = getLocalIPAddress();
-  const server = app.listen(PORT, "0.0.0.0", () => {
+  const server = app.listen(port, "0.0.0.0", () => {
     console.log(`\n✨ Webサーバーが起動しました`);
-    console.log(`🌐 PCで開く: http://localhost:${PORT}`);
+    console.log(`🌐 PCで開く: http://localhost:${port}`);
     if (localIP !== "localhost") {
-      console.log(`📱 スマホで開く: http://${localIP}:${PORT}`);
+      console.log(`📱 スマホで開く: http://${localIP}:${port}`);
       console.log(`⚠️  同じWi-Fiネットワーク内からのみアクセスしてください`);
     }
     console.log(`📊 サーバーは自動的にバックグラウンドで実行されます\n`);
   });
 
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+
+  // 定期更新（SQLite モードのみ。Web から開始したジョブの実行中はその回をスキップする）
+  if (config.scheduler.runInWebServer && config.scheduler.schedules.length > 0) {
+    if (typeof dataService.createScheduledRun !== "function") {
+      console.log("⚠️  定期更新は SQLite モードでのみ利用できます");
+    } else {
+      try {
+        scheduler = createScheduler(dataService, { isBusy: webScrapeJobs.isRunning });
+        scheduler.start().catch((error) => console.error("定期更新の開始エラー:", error));
+      } catch (error) {
+        console.error(`⚠️  定期更新を開始できません: ${error.message}`);
+      }
+    }
+  }
+
   // プロセス終了時のクリーンアップ
   process.on("SIGINT", () => {
     console.log("\n🛑 Webサーバーを停止します...");